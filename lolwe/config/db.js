@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const FishType = require('../models/FishType');
 
 const connectDB = async () => {
   try {
@@ -8,6 +9,13 @@ const connectDB = async () => {
     });
 
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Make sure the fish type catalog holds the original types
+    try {
+      await FishType.seedDefaults();
+    } catch (error) {
+      console.error('Error seeding fish types:', error.message);
+    }
     
     // Handle connection events
     mongoose.connection.on('error', (err) => {
@@ -2,11 +2,12 @@
 
 // Custom error class
 class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, errors) {
     super(message);
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
     this.isOperational = true;
+    if (errors) this.errors = errors;
 
     Error.captureStackTrace(this, this.constructor);
   }
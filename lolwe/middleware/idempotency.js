@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// JSON.stringify with sorted keys, so equivalent bodies hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+// Middleware to replay the first response for a repeated Idempotency-Key.
+// Must run after authenticate, since keys are scoped per user.
+const idempotency = (options = {}) => {
+  const ttlMs = options.ttlMs
+    || (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) * 60 * 60 * 1000)
+    || DEFAULT_TTL_MS;
+
+  return async (req, res, next) => {
+    const key = req.header('Idempotency-Key');
+
+    if (!key) {
+      return next(); // Header is optional
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key cannot exceed 255 characters'
+      });
+    }
+
+    try {
+      const requestHash = hashRequest(req);
+      let record;
+
+      try {
+        record = await IdempotencyKey.create({
+          userId: req.user._id,
+          key,
+          method: req.method,
+          path: `${req.baseUrl}${req.path}`,
+          requestHash,
+          expiresAt: new Date(Date.now() + ttlMs)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const existing = await IdempotencyKey.findOne({ userId: req.user._id, key });
+
+        // Expired but not yet removed by the TTL monitor: start over
+        if (!existing || existing.isExpired) {
+          await IdempotencyKey.deleteOne({ userId: req.user._id, key, expiresAt: { $lte: new Date() } });
+          return idempotency(options)(req, res, next);
+        }
+
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key has already been used with a different request'
+          });
+        }
+
+        if (existing.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Capture the response so retries can be answered with it. The
+      // response is held back until it is stored, so a quick retry never
+      // sees the key still marked as processing.
+      const originalJson = res.json;
+      res.json = function(body) {
+        res.json = originalJson;
+
+        const store = res.statusCode >= 500
+          // Server errors are not stored, so the client can retry with the same key
+          ? IdempotencyKey.deleteOne({ _id: record._id })
+          : IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              status: 'completed',
+              responseStatus: res.statusCode,
+              responseBody: JSON.parse(JSON.stringify(body))
+            }
+          );
+
+        store
+          .catch(error => console.error('Failed to store idempotent response:', error.message))
+          .then(() => originalJson.call(res, body));
+
+        return res;
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { idempotency };
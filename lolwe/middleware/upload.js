@@ -0,0 +1,90 @@
+const multer = require('multer');
+const { AppError } = require('./errorHandler');
+const { IMAGE_TYPES, MAX_IMAGES_PER_FISH, getMaxImageBytes } = require('../utils/fishImages');
+
+// Middleware to accept image files from a multipart form field into memory
+// (req.files). Only the declared type is checked here; the contents are
+// checked again when the image is processed.
+const imageUpload = (field = 'images', maxCount = MAX_IMAGES_PER_FISH) => {
+  const maxBytes = getMaxImageBytes();
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: maxCount },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_TYPES[file.mimetype]) {
+        return cb(new AppError(`${file.originalname} is not a JPEG, PNG or WebP image`, 415));
+      }
+      cb(null, true);
+    }
+  }).array(field, maxCount);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return next(new AppError(`Images cannot be larger than ${maxBytes / (1024 * 1024)}MB`, 413));
+        }
+
+        if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+          return next(new AppError(`Upload up to ${maxCount} images in the "${field}" field`, 400));
+        }
+
+        return next(new AppError(error.message, 400));
+      }
+
+      next(error);
+    });
+  };
+};
+
+// Largest inventory spreadsheet accepted for import
+const MAX_CSV_BYTES = 1024 * 1024;
+
+// Browsers and spreadsheet apps label CSV files inconsistently
+const CSV_TYPES = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+
+// Middleware to accept one CSV file from a multipart form field into memory (req.file)
+const csvUpload = (field = 'file') => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CSV_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!CSV_TYPES.includes(file.mimetype) && !/\.csv$/i.test(file.originalname)) {
+        return cb(new AppError(`${file.originalname} is not a CSV file`, 415));
+      }
+      cb(null, true);
+    }
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return next(new AppError(`CSV files cannot be larger than ${MAX_CSV_BYTES / (1024 * 1024)}MB`, 413));
+        }
+
+        if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+          return next(new AppError(`Upload one CSV file in the "${field}" field`, 400));
+        }
+
+        return next(new AppError(error.message, 400));
+      }
+
+      next(error);
+    });
+  };
+};
+
+module.exports = {
+  imageUpload,
+  csvUpload
+};
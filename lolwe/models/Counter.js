@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Named sequence counters (e.g. one per day for order numbers)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Counter key is required']
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sequence cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to atomically increment a counter and return the new value
+counterSchema.statics.next = async function(key, session = null) {
+  const update = () => this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  try {
+    const counter = await update();
+    return counter.seq;
+  } catch (error) {
+    // Two first-of-the-day upserts can race on the _id index; the loser just retries
+    if (error.code === 11000) {
+      const counter = await update();
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+// Static method to increment a counter only while it is below a limit.
+// Resolves to null once the limit is reached.
+counterSchema.statics.incrementBelow = async function(key, limit, session = null) {
+  try {
+    return await this.findOneAndUpdate(
+      { _id: key, seq: { $lt: limit } },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true, session }
+    );
+  } catch (error) {
+    // The counter exists but is at the limit, so the upsert hit the _id index
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Static method to take one back off a counter, never below zero
+counterSchema.statics.decrement = function(key, session = null) {
+  return this.findOneAndUpdate(
+    { _id: key, seq: { $gt: 0 } },
+    { $inc: { seq: -1 } },
+    { new: true, session }
+  );
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Promo code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: {
+      values: ['percentage', 'fixed'],
+      message: 'Discount type must be one of: percentage, fixed'
+    }
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || (value > 0 && value <= 100);
+      },
+      message: 'Percentage discounts must be between 1 and 100'
+    }
+  },
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // FishType keys; empty means every type
+  fishTypes: {
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    default: []
+  },
+  minSpend: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum spend cannot be negative']
+  },
+  startsAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    validate: {
+      validator: function(date) {
+        return !date || !this.startsAt || date > this.startsAt;
+      },
+      message: 'Expiry date must be after the start date'
+    }
+  },
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1']
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Used count cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// Static method to find a coupon by the code a customer typed
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Method to calculate the discount for order items ({ fishType, subtotal })
+couponSchema.methods.calculateDiscount = function(items) {
+  const eligibleSubtotal = items
+    .filter(item => this.fishTypes.length === 0 || this.fishTypes.includes(item.fishType))
+    .reduce((total, item) => total + item.subtotal, 0);
+
+  let discount = this.discountType === 'percentage'
+    ? Math.round(eligibleSubtotal * this.value / 100)
+    : this.value;
+
+  if (this.maxDiscount != null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return { eligibleSubtotal, discount: Math.min(discount, eligibleSubtotal) };
+};
+
+// Method to check every rule for a customer's order.
+// Resolves to { valid, message } or { valid, discount, eligibleSubtotal }.
+couponSchema.methods.validateFor = async function({ userId, items }, session = null) {
+  const now = new Date();
+  const subtotal = items.reduce((total, item) => total + item.subtotal, 0);
+
+  if (!this.isActive) {
+    return { valid: false, message: 'Promo code is not active' };
+  }
+
+  if (this.startsAt && this.startsAt > now) {
+    return { valid: false, message: 'Promo code is not valid yet' };
+  }
+
+  if (this.expiresAt && this.expiresAt <= now) {
+    return { valid: false, message: 'Promo code has expired' };
+  }
+
+  if (this.usageLimit != null && this.usedCount >= this.usageLimit) {
+    return { valid: false, message: 'Promo code has reached its usage limit' };
+  }
+
+  if (subtotal < this.minSpend) {
+    return { valid: false, message: `Minimum spend for this promo code is KSh ${this.minSpend}` };
+  }
+
+  // Cancelled orders don't count as redemptions or previous orders
+  const Order = mongoose.model('Order');
+
+  if (this.firstOrderOnly) {
+    const previousOrders = await Order.countDocuments({ userId, status: { $ne: 'cancelled' } }).session(session);
+    if (previousOrders > 0) {
+      return { valid: false, message: 'Promo code is only valid on your first order' };
+    }
+  }
+
+  if (this.perUserLimit != null) {
+    const redemptions = await Order.countDocuments({
+      userId,
+      'discount.coupon': this._id,
+      status: { $ne: 'cancelled' }
+    }).session(session);
+
+    if (redemptions >= this.perUserLimit) {
+      return { valid: false, message: 'You have already used this promo code' };
+    }
+  }
+
+  const { eligibleSubtotal, discount } = this.calculateDiscount(items);
+
+  if (eligibleSubtotal === 0) {
+    return { valid: false, message: 'Promo code does not apply to any items in your order' };
+  }
+
+  return { valid: true, discount, eligibleSubtotal };
+};
+
+// Static method to count one use, only while the total cap allows it
+couponSchema.statics.redeem = function(couponId, session = null) {
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+};
+
+// Static method to give a use back (e.g. the order was cancelled)
+couponSchema.statics.release = function(couponId, session = null) {
+  return this.findOneAndUpdate(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { new: true, session }
+  );
+};
+
+// Each customer's uses of a code are counted on a counter of their own, so
+// two orders placed at once by the same customer conflict in their
+// transactions instead of both passing the per-customer checks
+const userCounterKey = (couponId, userId) => `coupon-${couponId}-user-${userId}`;
+
+// Method to count one use by a customer, only while their limit allows it
+// (a first-order code can be used once). Resolves to false at the limit.
+couponSchema.methods.redeemFor = async function(userId, session = null) {
+  const limit = this.firstOrderOnly ? 1 : this.perUserLimit;
+
+  if (limit == null) {
+    return true;
+  }
+
+  return !!(await Counter.incrementBelow(userCounterKey(this._id, userId), limit, session));
+};
+
+// Static method to give a customer's use back
+couponSchema.statics.releaseFor = function(couponId, userId, session = null) {
+  return Counter.decrement(userCounterKey(couponId, userId), session);
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Slots closer than this are no longer offered or bookable
+const getBookingCutoffMs = () => {
+  const hours = parseFloat(process.env.DELIVERY_SLOT_CUTOFF_HOURS);
+  return (Number.isNaN(hours) ? 2 : hours) * 60 * 60 * 1000;
+};
+
+const deliverySlotSchema = new mongoose.Schema({
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone',
+    required: [true, 'Delivery zone is required']
+  },
+  start: {
+    type: Date,
+    required: [true, 'Slot start time is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'Slot end time is required'],
+    validate: {
+      validator: function(date) {
+        return !this.start || date > this.start;
+      },
+      message: 'Slot end time must be after the start time'
+    }
+  },
+  capacity: {
+    type: Number,
+    required: [true, 'Slot capacity is required'],
+    min: [1, 'Slot capacity must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Slot capacity must be a whole number'
+    }
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: [0, 'Booked count cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for efficient queries
+deliverySlotSchema.index({ zone: 1, start: 1 }, { unique: true });
+deliverySlotSchema.index({ isActive: 1, start: 1 });
+
+// Virtual for remaining capacity
+deliverySlotSchema.virtual('remaining').get(function() {
+  return Math.max(0, this.capacity - this.booked);
+});
+
+// Virtual for fully booked slots
+deliverySlotSchema.virtual('isFull').get(function() {
+  return this.booked >= this.capacity;
+});
+
+// Static method to find slots customers can still book in a zone
+deliverySlotSchema.statics.findAvailable = function(zoneId, { from, to } = {}) {
+  const earliest = new Date(Date.now() + getBookingCutoffMs());
+  const start = { $gte: from && from > earliest ? from : earliest };
+
+  if (to) {
+    start.$lte = to;
+  }
+
+  return this.find({
+    zone: zoneId,
+    isActive: true,
+    start,
+    $expr: { $lt: ['$booked', '$capacity'] }
+  }).sort({ start: 1 });
+};
+
+// Static method to atomically take one place in a slot.
+// Returns null when the slot is full, inactive, past the cutoff or in another zone.
+deliverySlotSchema.statics.book = function(slotId, zoneId, session = null) {
+  return this.findOneAndUpdate(
+    {
+      _id: slotId,
+      zone: zoneId,
+      isActive: true,
+      start: { $gte: new Date(Date.now() + getBookingCutoffMs()) },
+      $expr: { $lt: ['$booked', '$capacity'] }
+    },
+    { $inc: { booked: 1 } },
+    { new: true, session }
+  );
+};
+
+// Static method to give a booked place back
+deliverySlotSchema.statics.release = function(slotId, session = null) {
+  return this.findOneAndUpdate(
+    { _id: slotId, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { new: true, session }
+  );
+};
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
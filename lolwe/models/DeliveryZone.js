@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_DELIVERY_FEE = 100;
+
+// Depot location used for radius zones and distance-based fees (defaults to Nairobi CBD)
+const getDepot = () => ({
+  lat: parseFloat(process.env.DEPOT_LAT) || -1.2864,
+  lng: parseFloat(process.env.DEPOT_LNG) || 36.8172
+});
+
+// Great-circle distance between two { lat, lng } points in km
+const distanceKm = (from, to) => {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(to.lat - from.lat);
+  const dLng = toRad(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Ray casting point-in-polygon test on a GeoJSON ring ([lng, lat] pairs)
+const isPointInRing = (point, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = ((yi > point.lat) !== (yj > point.lat)) &&
+      (point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi);
+    if (intersects) inside = !inside;
+  }
+  return inside;
+};
+
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  coverage: {
+    type: String,
+    required: [true, 'Coverage type is required'],
+    enum: {
+      values: ['area', 'radius', 'polygon'],
+      message: 'Coverage must be one of: area, radius, polygon'
+    }
+  },
+  areas: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    validate: {
+      validator: function(areas) {
+        return this.coverage !== 'area' || (areas && areas.length > 0);
+      },
+      message: 'Area zones need at least one named area'
+    }
+  },
+  radiusKm: {
+    type: Number,
+    min: [0, 'Radius cannot be negative'],
+    required: [function() { return this.coverage === 'radius'; }, 'Radius is required for radius zones']
+  },
+  polygon: {
+    type: {
+      type: String,
+      enum: ['Polygon']
+    },
+    coordinates: {
+      type: [[[Number]]],
+      default: undefined
+    }
+  },
+  baseFee: {
+    type: Number,
+    required: [true, 'Base fee is required'],
+    min: [0, 'Base fee cannot be negative']
+  },
+  feePerKm: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fee per km cannot be negative']
+  },
+  minimumOrder: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order cannot be negative']
+  },
+  freeDeliveryThreshold: {
+    type: Number,
+    min: [0, 'Free delivery threshold cannot be negative']
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+deliveryZoneSchema.index({ isActive: 1, priority: -1 });
+deliveryZoneSchema.index({ name: 1 }, { unique: true });
+
+// Polygon zones must carry a closed outer ring
+deliveryZoneSchema.pre('validate', function(next) {
+  if (this.coverage === 'polygon') {
+    const ring = this.polygon?.coordinates?.[0];
+    if (!ring || ring.length < 4) {
+      this.invalidate('polygon', 'Polygon zones need a closed ring of at least 4 points');
+    }
+  }
+  next();
+});
+
+// Method to check whether a location/address falls in this zone
+deliveryZoneSchema.methods.covers = function({ location, address }) {
+  if (this.coverage === 'area') {
+    const text = (address || '').toLowerCase();
+    return this.areas.some(area => text.includes(area));
+  }
+
+  if (!location) return false;
+
+  if (this.coverage === 'radius') {
+    return distanceKm(getDepot(), location) <= this.radiusKm;
+  }
+
+  return isPointInRing(location, this.polygon.coordinates[0]);
+};
+
+// Method to calculate the fee for an order subtotal
+deliveryZoneSchema.methods.calculateFee = function(subtotal, location = null) {
+  const distance = location ? distanceKm(getDepot(), location) : null;
+  const freeDelivery = this.freeDeliveryThreshold != null && subtotal >= this.freeDeliveryThreshold;
+  const fee = freeDelivery
+    ? 0
+    : Math.round(this.baseFee + (distance ? distance * this.feePerKm : 0));
+
+  return {
+    deliveryFee: fee,
+    freeDelivery,
+    distanceKm: distance !== null ? Math.round(distance * 10) / 10 : null
+  };
+};
+
+// Static method to find the zone serving a location/address (highest priority wins)
+deliveryZoneSchema.statics.resolve = async function({ zoneId, location, address }, session = null) {
+  if (zoneId) {
+    const zone = await this.findOne({ _id: zoneId, isActive: true }).session(session);
+    return zone && zone.covers({ location, address }) ? zone : null;
+  }
+
+  const zones = await this.find({ isActive: true })
+    .sort({ priority: -1, createdAt: 1 })
+    .session(session);
+
+  return zones.find(zone => zone.covers({ location, address })) || null;
+};
+
+// Static method to quote delivery for an order subtotal.
+// Used by both the quote endpoint and order creation so the numbers match.
+deliveryZoneSchema.statics.quote = async function({ subtotal, zoneId, location, address }, session = null) {
+  const hasZones = await this.exists({ isActive: true }).session(session);
+
+  // Until zones are configured, keep charging the flat default fee
+  if (!hasZones) {
+    return {
+      zone: null,
+      subtotal,
+      deliveryFee: DEFAULT_DELIVERY_FEE,
+      freeDelivery: false,
+      distanceKm: null,
+      minimumOrder: 0,
+      meetsMinimum: true,
+      freeDeliveryThreshold: null,
+      amountToFreeDelivery: null,
+      total: subtotal + DEFAULT_DELIVERY_FEE
+    };
+  }
+
+  const zone = await this.resolve({ zoneId, location, address }, session);
+
+  if (!zone) {
+    return null;
+  }
+
+  const { deliveryFee, freeDelivery, distanceKm: distance } = zone.calculateFee(subtotal, location);
+
+  return {
+    zone: { _id: zone._id, name: zone.name },
+    subtotal,
+    deliveryFee,
+    freeDelivery,
+    distanceKm: distance,
+    minimumOrder: zone.minimumOrder,
+    meetsMinimum: subtotal >= zone.minimumOrder,
+    freeDeliveryThreshold: zone.freeDeliveryThreshold ?? null,
+    amountToFreeDelivery: zone.freeDeliveryThreshold != null
+      ? Math.max(0, zone.freeDeliveryThreshold - subtotal)
+      : null,
+    total: subtotal + deliveryFee
+  };
+};
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
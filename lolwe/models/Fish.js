@@ -1,21 +1,88 @@
 const mongoose = require('mongoose');
+const StockMovement = require('./StockMovement');
+const FishType = require('./FishType');
+const { isQuantityStep } = require('../utils/quantity');
+const { MAX_IMAGES_PER_FISH } = require('../utils/fishImageLimits');
+
+// Stock (kg) at or below which a fish is low on stock, unless it sets its own
+const DEFAULT_REORDER_THRESHOLD = 10;
+
+// How a fish can be prepared before delivery; whole needs no extra work
+const DEFAULT_PREPARATION = { method: 'whole', surchargePerKg: 0, yieldFactor: 1 };
+
+const preparationSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    required: [true, 'Preparation method is required'],
+    enum: {
+      values: ['whole', 'gutted', 'filleted', 'smoked'],
+      message: 'Preparation must be one of: whole, gutted, filleted, smoked'
+    }
+  },
+  // Charged per kg ordered, on top of pricePerKg
+  surchargePerKg: {
+    type: Number,
+    default: 0,
+    min: [0, 'Surcharge cannot be negative']
+  },
+  // Share of the ordered weight the customer receives after preparation
+  yieldFactor: {
+    type: Number,
+    default: 1,
+    min: [0.05, 'Yield factor must be at least 0.05'],
+    max: [1, 'Yield factor cannot exceed 1']
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Uploaded photo with its thumbnails; the first image in the gallery is the cover
+const fishImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required']
+  },
+  thumbnails: {
+    small: String,
+    medium: String,
+    large: String
+  },
+  // Storage keys of the original and every thumbnail, for removal
+  keys: {
+    type: [String],
+    select: false
+  },
+  contentType: {
+    type: String,
+    enum: ['image/jpeg', 'image/png', 'image/webp']
+  },
+  bytes: Number,
+  width: Number,
+  height: Number,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
 const fishSchema = new mongoose.Schema({
+  // Key of an active FishType; the size must fall within its range
   type: {
     type: String,
     required: [true, 'Fish type is required'],
-    enum: {
-      values: ['tilapia', 'omena', 'catfish', 'nileperch'],
-      message: 'Fish type must be one of: tilapia, omena, catfish, nileperch'
-    },
     lowercase: true,
     trim: true
   },
   size: {
     type: Number,
     required: [true, 'Fish size is required'],
-    min: [2, 'Fish size must be at least 2'],
-    max: [8, 'Fish size cannot exceed 8'],
+    min: [1, 'Fish size must be at least 1'],
     validate: {
       validator: Number.isInteger,
       message: 'Fish size must be a whole number'
@@ -39,10 +106,16 @@ const fishSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Stock cannot be negative'],
     validate: {
-      validator: Number.isInteger,
-      message: 'Stock must be a whole number'
+      validator: isQuantityStep,
+      message: 'Stock must be in 0.5 kg steps'
     }
   },
+  // Low-stock alerts are raised when stock falls to this level
+  reorderThreshold: {
+    type: Number,
+    default: DEFAULT_REORDER_THRESHOLD,
+    min: [0, 'Reorder threshold cannot be negative']
+  },
   description: {
     type: String,
     trim: true,
@@ -75,10 +148,36 @@ const fishSchema = new mongoose.Schema({
       min: 0
     }
   },
+  // Offered preparations; when empty the fish is sold whole only
+  preparations: {
+    type: [preparationSchema],
+    default: [],
+    validate: {
+      validator: function(preparations) {
+        const methods = preparations.map(preparation => preparation.method);
+        return new Set(methods).size === methods.length;
+      },
+      message: 'Each preparation method can only be listed once'
+    }
+  },
+  images: {
+    type: [fishImageSchema],
+    default: [],
+    validate: {
+      validator: function(images) {
+        return images.length <= MAX_IMAGES_PER_FISH;
+      },
+      message: `A fish can have at most ${MAX_IMAGES_PER_FISH} images`
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // When the fish was archived (soft deleted); cleared on restore
+  archivedAt: {
+    type: Date
+  },
   featured: {
     type: Boolean,
     default: false
@@ -100,11 +199,17 @@ fishSchema.virtual('isAvailable').get(function() {
 
 // Virtual for stock status
 fishSchema.virtual('stockStatus').get(function() {
-  if (this.stock === 0) return 'out-of-stock';
-  if (this.stock <= 10) return 'low-stock';
-  return 'in-stock';
+  return this.constructor.stockStatusFor(this);
 });
 
+// Static method to work out the stock status against the fish's reorder
+// threshold (works on documents and lean objects)
+fishSchema.statics.stockStatusFor = function({ stock, reorderThreshold }) {
+  if (stock === 0) return 'out-of-stock';
+  if (stock <= (reorderThreshold ?? DEFAULT_REORDER_THRESHOLD)) return 'low-stock';
+  return 'in-stock';
+};
+
 // Static method to find available fish
 fishSchema.statics.findAvailable = function(filters = {}) {
   return this.find({ 
@@ -124,14 +229,89 @@ fishSchema.statics.findByTypeAndSize = function(type, size) {
   });
 };
 
-// Method to update stock
-fishSchema.methods.updateStock = function(quantity, operation = 'subtract') {
-  if (operation === 'subtract') {
-    this.stock = Math.max(0, this.stock - quantity);
-  } else if (operation === 'add') {
-    this.stock += quantity;
+// Static method to atomically reserve stock (only decrements when enough is left).
+// Pass movement details ({ type, actor, order, lot, note }) to record it in the ledger.
+fishSchema.statics.reserveStock = async function(fishId, quantity, session = null, movement = null) {
+  const fish = await this.findOneAndUpdate(
+    { _id: fishId, isActive: true, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { new: true, session }
+  );
+
+  if (fish && movement) {
+    await StockMovement.record({
+      ...movement,
+      fish: fish._id,
+      stockBefore: fish.stock + quantity,
+      stockAfter: fish.stock
+    }, session);
+  }
+
+  return fish;
+};
+
+// Static method to return reserved stock (e.g. when an order is cancelled)
+fishSchema.statics.releaseStock = async function(fishId, quantity, session = null, movement = null) {
+  const fish = await this.findByIdAndUpdate(
+    fishId,
+    { $inc: { stock: quantity } },
+    { new: true, session }
+  );
+
+  if (fish && movement) {
+    await StockMovement.record({
+      ...movement,
+      fish: fish._id,
+      stockBefore: fish.stock - quantity,
+      stockAfter: fish.stock
+    }, session);
   }
-  return this.save();
+
+  return fish;
+};
+
+// Method to update stock through the fish's lots, recorded in the ledger as an
+// adjustment unless another movement type is given. Added stock is received
+// as a new lot; removed stock is taken from the lots that expire first.
+fishSchema.methods.updateStock = async function(quantity, operation = 'subtract', movement = {}) {
+  const StockLot = mongoose.model('StockLot');
+  const session = this.$session();
+  const details = { type: 'adjustment', ...movement };
+
+  if (operation === 'add') {
+    await StockLot.receive({ fish: this._id, quantity }, session, details);
+  } else if (operation === 'subtract') {
+    await StockLot.reconcile(this._id, session);
+    const { stock } = await this.constructor.findById(this._id).session(session).select('stock');
+    const taken = Math.min(quantity, stock);
+
+    if (taken > 0 && await this.constructor.reserveStock(this._id, taken, session, details)) {
+      await StockLot.allocate(this._id, taken, session);
+    }
+  }
+
+  const { stock } = await this.constructor.findById(this._id).session(session).select('stock');
+  this.stock = stock;
+  this.unmarkModified('stock');
+
+  return this;
+};
+
+// Static method to list the preparations a customer can choose for a fish
+// (works on documents and lean objects)
+fishSchema.statics.preparationsFor = function(fish) {
+  const offered = (fish.preparations || []).filter(preparation => preparation.isAvailable !== false);
+
+  if (offered.length === 0) {
+    return [{ ...DEFAULT_PREPARATION }];
+  }
+
+  return offered.map(({ method, surchargePerKg, yieldFactor }) => ({ method, surchargePerKg, yieldFactor }));
+};
+
+// Method to find an offered preparation (defaults to whole); null when not offered
+fishSchema.methods.findPreparation = function(method = 'whole') {
+  return this.constructor.preparationsFor(this).find(preparation => preparation.method === method) || null;
 };
 
 // Method to check if quantity is available
@@ -139,6 +319,25 @@ fishSchema.methods.hasStock = function(requiredQuantity) {
   return this.stock >= requiredQuantity;
 };
 
+// Pre-validate middleware to check the type and size against the catalog
+fishSchema.pre('validate', async function() {
+  if (!this.type || !(this.isNew || this.isModified('type') || this.isModified('size'))) {
+    return;
+  }
+
+  const fishType = await FishType.findActiveBySlug(this.type).session(this.$session());
+
+  if (!fishType) {
+    this.invalidate('type', `Fish type ${this.type} is not in the catalog`, this.type);
+  } else if (this.size != null && !fishType.allowsSize(this.size)) {
+    this.invalidate(
+      'size',
+      `${fishType.name} size must be between ${fishType.minSize} and ${fishType.maxSize}`,
+      this.size
+    );
+  }
+});
+
 // Pre-save middleware to ensure data consistency
 fishSchema.pre('save', function(next) {
   // Ensure stock is not negative
@@ -161,4 +360,4 @@ fishSchema.post('save', function(doc) {
   }
 });
 
-module.exports = mongoose.model('Fish', fishSchema);
\ No newline at end of file
+module.exports = mongoose.model('Fish', fishSchema);
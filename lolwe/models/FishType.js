@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+// Types the catalog starts with, matching the original fixed list
+const DEFAULT_FISH_TYPES = [
+  { slug: 'tilapia', name: 'Tilapia', swahiliName: 'Sato', minSize: 2, maxSize: 8, sortOrder: 1 },
+  { slug: 'omena', name: 'Omena', swahiliName: 'Dagaa', minSize: 2, maxSize: 8, sortOrder: 2 },
+  { slug: 'catfish', name: 'Catfish', swahiliName: 'Kambale', minSize: 2, maxSize: 8, sortOrder: 3 },
+  { slug: 'nileperch', name: 'Nile Perch', swahiliName: 'Sangara', minSize: 2, maxSize: 8, sortOrder: 4 }
+];
+
+const fishTypeSchema = new mongoose.Schema({
+  // Key stored on fish, order items and coupons; cannot change once created
+  slug: {
+    type: String,
+    required: [true, 'Fish type key is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    immutable: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Fish type key must be 2-30 lower case letters, numbers or dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true,
+    maxlength: [50, 'Display name cannot exceed 50 characters']
+  },
+  swahiliName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Swahili name cannot exceed 50 characters']
+  },
+  defaultImage: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: function(value) {
+        if (!value) return true; // Optional field
+        return /^https?:\/\/.+\.(jpg|jpeg|png|webp)$/i.test(value);
+      },
+      message: 'Default image must be a valid URL ending in jpg, jpeg, png, or webp'
+    }
+  },
+  minSize: {
+    type: Number,
+    required: [true, 'Minimum size is required'],
+    min: [1, 'Minimum size must be at least 1'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Minimum size must be a whole number'
+    }
+  },
+  maxSize: {
+    type: Number,
+    required: [true, 'Maximum size is required'],
+    validate: [
+      {
+        validator: Number.isInteger,
+        message: 'Maximum size must be a whole number'
+      },
+      {
+        validator: function(value) {
+          return value >= this.minSize;
+        },
+        message: 'Maximum size cannot be below the minimum size'
+      }
+    ]
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing the catalog
+fishTypeSchema.index({ isActive: 1, sortOrder: 1 });
+
+// Static method to list active types in display order
+fishTypeSchema.statics.findActive = function() {
+  return this.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+};
+
+// Static method to find an active type by its key
+fishTypeSchema.statics.findActiveBySlug = function(slug) {
+  return this.findOne({ slug: String(slug).trim().toLowerCase(), isActive: true });
+};
+
+// Static method for express-validator: resolves when the key names an
+// active type, otherwise rejects with the list of allowed keys
+fishTypeSchema.statics.validateSlug = async function(slug) {
+  if (await this.findActiveBySlug(slug)) {
+    return true;
+  }
+
+  const slugs = (await this.findActive().select('slug')).map(type => type.slug);
+  throw new Error(`Fish type must be one of: ${slugs.join(', ')}`);
+};
+
+// Method to check a size against the allowed range
+fishTypeSchema.methods.allowsSize = function(size) {
+  return size >= this.minSize && size <= this.maxSize;
+};
+
+// Static method to add the default types that are missing (keeps admin edits)
+fishTypeSchema.statics.seedDefaults = function() {
+  return this.bulkWrite(DEFAULT_FISH_TYPES.map(type => ({
+    updateOne: {
+      filter: { slug: type.slug },
+      update: { $setOnInsert: type },
+      upsert: true
+    }
+  })));
+};
+
+module.exports = mongoose.model('FishType', fishTypeSchema);
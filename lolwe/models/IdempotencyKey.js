@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true,
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  method: {
+    type: String,
+    required: [true, 'Request method is required']
+  },
+  path: {
+    type: String,
+    required: [true, 'Request path is required']
+  },
+  requestHash: {
+    type: String,
+    required: [true, 'Request hash is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['processing', 'completed'],
+      message: 'Status must be one of: processing, completed'
+    },
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  }
+}, {
+  timestamps: true
+});
+
+// One stored response per user and key
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// Let MongoDB remove keys once their window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the replay window has passed (TTL cleanup is not instant)
+idempotencyKeySchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -1,4 +1,44 @@
 const mongoose = require('mongoose');
+const Fish = require('./Fish');
+const Counter = require('./Counter');
+const DeliverySlot = require('./DeliverySlot');
+const DeliveryZone = require('./DeliveryZone');
+const Coupon = require('./Coupon');
+const StockLot = require('./StockLot');
+const Payment = require('./Payment');
+const { isQuantityStep, roundWeight, roundMoney } = require('../utils/quantity');
+
+const lotAllocationSchema = new mongoose.Schema({
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Quantity cannot be negative']
+  }
+}, { _id: false });
+
+const preparationSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['whole', 'gutted', 'filleted', 'smoked'],
+    default: 'whole'
+  },
+  surchargePerKg: {
+    type: Number,
+    default: 0,
+    min: [0, 'Surcharge cannot be negative']
+  },
+  yieldFactor: {
+    type: Number,
+    default: 1,
+    min: 0,
+    max: 1
+  }
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   fishId: {
@@ -9,34 +49,125 @@ const orderItemSchema = new mongoose.Schema({
   fishType: {
     type: String,
     required: [true, 'Fish type is required'],
-    enum: ['tilapia', 'omena', 'catfish', 'nileperch']
+    lowercase: true,
+    trim: true
   },
   fishSize: {
     type: Number,
     required: [true, 'Fish size is required'],
-    min: 2,
-    max: 8
+    min: 1
   },
   quantity: {
     type: Number,
     required: [true, 'Quantity is required'],
-    min: [1, 'Quantity must be at least 1 kg'],
+    min: [0.5, 'Quantity must be at least 0.5 kg'],
     validate: {
-      validator: function(value) {
-        return value > 0;
-      },
-      message: 'Quantity must be greater than 0'
+      validator: isQuantityStep,
+      message: 'Quantity must be in 0.5 kg steps'
     }
   },
+  // Weight recorded at dispatch; billed instead of the ordered quantity
+  actualWeight: {
+    type: Number,
+    min: [0.001, 'Actual weight must be greater than 0']
+  },
   pricePerKg: {
     type: Number,
     required: [true, 'Price per kg is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Chosen preparation, priced at the time of order
+  preparation: {
+    type: preparationSchema,
+    default: undefined
+  },
   subtotal: {
     type: Number,
     required: [true, 'Subtotal is required'],
     min: [0, 'Subtotal cannot be negative']
+  },
+  lots: {
+    type: [lotAllocationSchema],
+    default: undefined
+  }
+}, { _id: false });
+
+// Virtual for the quantity an item is billed for: its dispatch weight once
+// weighed, the ordered quantity until then
+orderItemSchema.virtual('billedQuantity').get(function() {
+  return this.actualWeight ?? this.quantity;
+});
+
+// Virtual for the weight the customer can expect once the fish is prepared
+orderItemSchema.virtual('preparedWeight').get(function() {
+  return roundWeight(this.billedQuantity * (this.preparation?.yieldFactor ?? 1));
+});
+
+orderItemSchema.set('toJSON', { virtuals: true });
+
+const discountSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  }
+}, { _id: false });
+
+// Weighing at dispatch and what it did to the amount owed
+const weighingSchema = new mongoose.Schema({
+  weighedAt: {
+    type: Date,
+    default: Date.now
+  },
+  weighedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  estimatedTotal: {
+    type: Number,
+    required: true
+  },
+  difference: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null,
+    immutable: true
+  },
+  to: {
+    type: String,
+    required: [true, 'Target status is required'],
+    immutable: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Status note cannot exceed 500 characters'],
+    immutable: true
   }
 }, { _id: false });
 
@@ -66,6 +197,16 @@ const orderSchema = new mongoose.Schema({
     required: [true, 'Total price is required'],
     min: [0, 'Total price cannot be negative']
   },
+  discount: {
+    type: discountSchema,
+    default: undefined,
+    validate: {
+      validator: function(discount) {
+        return !discount || discount.amount <= this.totalPrice;
+      },
+      message: 'Discount cannot exceed the order total'
+    }
+  },
   deliveryAddress: {
     type: String,
     required: [true, 'Delivery address is required'],
@@ -77,6 +218,23 @@ const orderSchema = new mongoose.Schema({
     default: 100,
     min: [0, 'Delivery fee cannot be negative']
   },
+  deliveryZone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryZone'
+  },
+  // Where delivery was quoted for, so weighing can quote it again
+  deliveryLocation: {
+    lat: Number,
+    lng: Number
+  },
+  deliverySlot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliverySlot'
+  },
+  deliveryWindow: {
+    start: Date,
+    end: Date
+  },
   status: {
     type: String,
     required: [true, 'Order status is required'],
@@ -94,6 +252,10 @@ const orderSchema = new mongoose.Schema({
     },
     default: 'pending'
   },
+  // When the STK Push waiting for an answer was sent; cleared by its callback
+  paymentRequestedAt: {
+    type: Date
+  },
   estimatedDelivery: {
     type: Date,
     validate: {
@@ -121,6 +283,29 @@ const orderSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [500, 'Admin notes cannot exceed 500 characters']
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+  cancelledAt: {
+    type: Date
+  },
+  invoiceNumber: {
+    type: String,
+    trim: true
+  },
+  invoicedAt: {
+    type: Date
+  },
+  weighing: {
+    type: weighingSchema,
+    default: undefined
+  },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
   }
 }, {
   timestamps: true
@@ -132,10 +317,16 @@ orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'items.fishId': 1 });
+orderSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+
+// Virtual for item total after discount
+orderSchema.virtual('netTotal').get(function() {
+  return this.totalPrice - (this.discount?.amount || 0);
+});
 
-// Virtual for grand total (including delivery fee)
+// Virtual for grand total (after discount, including delivery fee)
 orderSchema.virtual('grandTotal').get(function() {
-  return this.totalPrice + this.deliveryFee;
+  return this.netTotal + this.deliveryFee;
 });
 
 // Virtual for order age in days
@@ -143,23 +334,71 @@ orderSchema.virtual('ageInDays').get(function() {
   return Math.floor((new Date() - this.createdAt) / (1000 * 60 * 60 * 24));
 });
 
-// Static method to generate order number
-orderSchema.statics.generateOrderNumber = async function() {
-  const today = new Date();
-  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
+// Format a date as YYYYMMDD in the given IANA timezone
+const formatDatePart = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+
+  return parts.replace(/-/g, '');
+};
+
+// Static method to generate order number (PREFIX-YYYYMMDD-NNNN)
+orderSchema.statics.generateOrderNumber = async function(session = null, date = new Date()) {
+  const prefix = process.env.ORDER_NUMBER_PREFIX || 'ORD';
+  const timeZone = process.env.ORDER_NUMBER_TIMEZONE || 'Africa/Nairobi';
+  const dateStr = formatDatePart(date, timeZone);
   
-  // Find the last order of today
-  const lastOrder = await this.findOne({
-    orderNumber: new RegExp(`^ORD-${dateStr}-`)
-  }).sort({ orderNumber: -1 });
+  // Atomic per-day counter, so parallel orders never share a sequence
+  const sequence = await Counter.next(`orderNumber-${prefix}-${dateStr}`, session);
   
-  let sequence = 1;
-  if (lastOrder) {
-    const lastSequence = parseInt(lastOrder.orderNumber.split('-')[2]);
-    sequence = lastSequence + 1;
+  return `${prefix}-${dateStr}-${sequence.toString().padStart(4, '0')}`;
+};
+
+// Method to give the order an invoice number (PREFIX-YYYY-NNNNNN) the first time
+// it is invoiced. Numbers come from their own yearly counter, so they stay
+// sequential and gap-free regardless of how orders are numbered.
+orderSchema.methods.assignInvoiceNumber = async function() {
+  if (this.invoiceNumber) {
+    return this.invoiceNumber;
   }
-  
-  return `ORD-${dateStr}-${sequence.toString().padStart(4, '0')}`;
+
+  const prefix = process.env.INVOICE_NUMBER_PREFIX || 'INV';
+  const timeZone = process.env.ORDER_NUMBER_TIMEZONE || 'Africa/Nairobi';
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      const current = await this.constructor.findById(this._id).session(session).select('invoiceNumber invoicedAt');
+
+      // Someone else invoiced it first
+      if (current.invoiceNumber) {
+        this.invoiceNumber = current.invoiceNumber;
+        this.invoicedAt = current.invoicedAt;
+        return;
+      }
+
+      const invoicedAt = new Date();
+      const year = formatDatePart(invoicedAt, timeZone).slice(0, 4);
+      const sequence = await Counter.next(`invoiceNumber-${prefix}-${year}`, session);
+
+      this.invoiceNumber = `${prefix}-${year}-${sequence.toString().padStart(6, '0')}`;
+      this.invoicedAt = invoicedAt;
+
+      await this.constructor.updateOne(
+        { _id: this._id },
+        { invoiceNumber: this.invoiceNumber, invoicedAt },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return this.invoiceNumber;
 };
 
 // Static method to find orders by status
@@ -181,15 +420,127 @@ orderSchema.statics.findUserOrders = function(userId, options = {}) {
 // Method to calculate total from items
 orderSchema.methods.calculateTotal = function() {
   this.totalPrice = this.items.reduce((total, item) => {
-    item.subtotal = item.quantity * item.pricePerKg;
+    item.subtotal = roundMoney(item.billedQuantity * (item.pricePerKg + (item.preparation?.surchargePerKg || 0)));
     return total + item.subtotal;
   }, 0);
   
   return this.totalPrice;
 };
 
+// Method to bill the weights recorded at dispatch (kg, one per item, in item
+// order). Recalculates the totals and promo discount, and reopens payment when
+// an earlier payment no longer covers the order. Resolves to the weighing.
+orderSchema.methods.recordWeights = async function(weights, actor = null) {
+  const session = this.$session();
+  const estimatedTotal = this.grandTotal;
+
+  this.items.forEach((item, index) => {
+    item.actualWeight = roundWeight(weights[index]);
+  });
+  this.calculateTotal();
+
+  if (this.discount) {
+    const coupon = this.discount.coupon
+      ? await Coupon.findById(this.discount.coupon).session(session)
+      : null;
+
+    this.discount.amount = coupon
+      ? coupon.calculateDiscount(this.items).discount
+      : Math.min(this.discount.amount, this.totalPrice);
+  }
+
+  // The weighed subtotal can cross the zone's free delivery threshold; the
+  // flat fee charged before zones existed does not depend on it
+  if (this.deliveryZone) {
+    const quote = await DeliveryZone.quote({
+      subtotal: this.netTotal,
+      zoneId: this.deliveryZone,
+      location: this.deliveryLocation?.lat != null ? this.deliveryLocation : null,
+      address: this.deliveryAddress
+    }, session);
+
+    if (quote) {
+      this.deliveryFee = quote.deliveryFee;
+    }
+  }
+
+  this.weighing = {
+    weighedAt: new Date(),
+    weighedBy: actor,
+    estimatedTotal,
+    difference: roundMoney(this.grandTotal - estimatedTotal)
+  };
+
+  const amountPaid = await Payment.totalPaid(this._id, session);
+  if (this.paymentStatus === 'paid' && amountPaid > 0 && amountPaid < Math.ceil(this.grandTotal)) {
+    this.paymentStatus = 'pending';
+  }
+
+  return this.weighing;
+};
+
+// Method to return every item's quantity to stock. Lot-tracked quantities go
+// back to the lots they came from and are written off if those lots have
+// expired meanwhile; quantities from orders placed before lot tracking come
+// back as a new lot.
+orderSchema.methods.restock = async function(actor = null) {
+  const session = this.$session();
+  const movement = { type: 'return', actor, order: this._id };
+  const released = [];
+
+  for (const item of this.items) {
+    const lots = item.lots || [];
+    const fromLots = lots.reduce((total, allocation) => total + allocation.quantity, 0);
+
+    if (fromLots > 0) {
+      released.push(await Fish.releaseStock(item.fishId, fromLots, session, movement));
+      await StockLot.restore(lots, session, { actor, order: this._id });
+    }
+
+    if (item.quantity > fromLots) {
+      await StockLot.receive({
+        fish: item.fishId,
+        quantity: item.quantity - fromLots,
+        notes: `Returned from order ${this.orderNumber}`
+      }, session, movement);
+    }
+  }
+
+  return released;
+};
+
+// Method to free the booked delivery slot
+orderSchema.methods.releaseDeliverySlot = function() {
+  if (!this.deliverySlot) {
+    return Promise.resolve(null);
+  }
+
+  return DeliverySlot.release(this.deliverySlot, this.$session());
+};
+
+// Method to give back the promo code use, overall and for the customer
+orderSchema.methods.releaseCoupon = async function() {
+  if (!this.discount?.coupon) {
+    return null;
+  }
+
+  await Coupon.releaseFor(this.discount.coupon, this.populated('userId') || this.userId, this.$session());
+  return Coupon.release(this.discount.coupon, this.$session());
+};
+
+// Method to append an entry to the status history
+orderSchema.methods.recordStatusChange = function(from, to, actor = null, note = '') {
+  this.statusHistory.push({
+    from,
+    to,
+    actor,
+    timestamp: new Date(),
+    note: note || undefined
+  });
+};
+
 // Method to update status with validation
-orderSchema.methods.updateStatus = function(newStatus, adminNotes = '') {
+orderSchema.methods.updateStatus = async function(newStatus, adminNotes = '', actor = null, note = adminNotes) {
   const validTransitions = {
     pending: ['processing', 'cancelled'],
     processing: ['shipped', 'cancelled'],
@@ -202,6 +553,7 @@ orderSchema.methods.updateStatus = function(newStatus, adminNotes = '') {
     throw new Error(`Cannot change status from ${this.status} to ${newStatus}`);
   }
   
+  this.recordStatusChange(this.status, newStatus, actor, note);
   this.status = newStatus;
   if (adminNotes) {
     this.adminNotes = adminNotes;
@@ -211,11 +563,24 @@ orderSchema.methods.updateStatus = function(newStatus, adminNotes = '') {
     this.actualDelivery = new Date();
   }
   
+  // Cancelled orders give their stock, delivery slot and promo code back
+  if (newStatus === 'cancelled') {
+    this.cancelledAt = new Date();
+    await this.restock(actor);
+    await this.releaseDeliverySlot();
+    await this.releaseCoupon();
+  }
+  
   return this.save();
 };
 
 // Pre-save middleware to validate and calculate totals
 orderSchema.pre('save', function(next) {
+  // Start the status history with the initial status
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.recordStatusChange(null, this.status, this.userId);
+  }
+  
   // Auto-generate order number if not present
   if (this.isNew && !this.orderNumber) {
     this.constructor.generateOrderNumber().then(orderNumber => {
@@ -230,9 +595,10 @@ orderSchema.pre('save', function(next) {
     this.calculateTotal();
   }
   
-  // Set estimated delivery (3 days from now for new orders)
+  // Set estimated delivery (start of the booked slot, otherwise 3 days from now)
   if (this.isNew && !this.estimatedDelivery) {
-    this.estimatedDelivery = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+    this.estimatedDelivery = this.deliveryWindow?.start
+      || new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
   }
   
   next();
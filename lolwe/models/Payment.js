@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order ID is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  provider: {
+    type: String,
+    enum: {
+      values: ['mpesa'],
+      message: 'Payment provider must be mpesa'
+    },
+    default: 'mpesa'
+  },
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    match: [/^254[17]\d{8}$/, 'Phone number must be in the format 2547XXXXXXXX']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [1, 'Amount must be at least 1']
+  },
+  // What M-Pesa reports the customer actually paid
+  amountPaid: {
+    type: Number,
+    min: [0, 'Amount paid cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'paid', 'failed'],
+      message: 'Payment status must be one of: pending, paid, failed'
+    },
+    default: 'pending'
+  },
+  merchantRequestId: {
+    type: String
+  },
+  checkoutRequestId: {
+    type: String
+  },
+  resultCode: {
+    type: Number
+  },
+  resultDesc: {
+    type: String,
+    trim: true
+  },
+  mpesaReceiptNumber: {
+    type: String
+  },
+  transactionDate: {
+    type: Date
+  },
+  callbackPayload: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+paymentSchema.index({ orderId: 1, createdAt: -1 });
+paymentSchema.index({ checkoutRequestId: 1 }, { unique: true, sparse: true });
+paymentSchema.index({ status: 1 });
+
+// Virtual for whether the attempt has reached a final state
+paymentSchema.virtual('isFinal').get(function() {
+  return this.status !== 'pending';
+});
+
+// Static method to find all attempts for an order
+paymentSchema.statics.findByOrder = function(orderId) {
+  return this.find({ orderId }).sort({ createdAt: -1 });
+};
+
+// Static method to sum the successful payments for an order, using the
+// amount M-Pesa confirmed (attempts recorded before that was stored count
+// the amount requested)
+paymentSchema.statics.totalPaid = async function(orderId, session = null) {
+  const [result] = await this.aggregate([
+    { $match: { orderId: new mongoose.Types.ObjectId(orderId), status: 'paid' } },
+    { $group: { _id: null, amount: { $sum: { $ifNull: ['$amountPaid', '$amount'] } } } }
+  ]).session(session);
+
+  return result ? result.amount : 0;
+};
+
+// Method to apply an STK callback result to this attempt
+paymentSchema.methods.applyCallback = function(callback) {
+  this.resultCode = callback.ResultCode;
+  this.resultDesc = callback.ResultDesc;
+  this.callbackPayload = callback;
+
+  if (callback.ResultCode === 0) {
+    // Flatten CallbackMetadata.Item into a plain object
+    const metadata = (callback.CallbackMetadata?.Item || []).reduce((acc, item) => {
+      acc[item.Name] = item.Value;
+      return acc;
+    }, {});
+
+    this.status = 'paid';
+    this.amountPaid = Number(metadata.Amount) || 0;
+    this.mpesaReceiptNumber = metadata.MpesaReceiptNumber;
+    if (metadata.TransactionDate) {
+      // Daraja sends YYYYMMDDHHmmss in Nairobi time (UTC+3)
+      const raw = String(metadata.TransactionDate);
+      this.transactionDate = new Date(
+        `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}T${raw.slice(8, 10)}:${raw.slice(10, 12)}:${raw.slice(12, 14)}+03:00`
+      );
+    }
+  } else {
+    this.status = 'failed';
+  }
+
+  return this.save();
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
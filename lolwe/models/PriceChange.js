@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Append-only record of every change to a fish's price per kg
+const priceChangeSchema = new mongoose.Schema({
+  fish: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fish',
+    required: [true, 'Fish is required'],
+    immutable: true
+  },
+  // null for the price a fish was first listed at
+  oldPrice: {
+    type: Number,
+    default: null,
+    immutable: true
+  },
+  newPrice: {
+    type: Number,
+    required: [true, 'New price is required'],
+    min: [0.01, 'Price must be greater than 0'],
+    immutable: true
+  },
+  source: {
+    type: String,
+    required: [true, 'Source is required'],
+    enum: {
+      values: ['created', 'manual', 'scheduled'],
+      message: 'Source must be one of: created, manual, scheduled'
+    },
+    immutable: true
+  },
+  // Admin who made the change, or who scheduled it
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+  scheduledPrice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledPrice',
+    immutable: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters'],
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for a fish's history in date order
+priceChangeSchema.index({ fish: 1, createdAt: 1 });
+
+// Price changes are never edited or removed once written
+const rejectChange = function(next) {
+  next(new Error('Price history cannot be changed or deleted'));
+};
+
+priceChangeSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+priceChangeSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+// Static method to record a price change from oldPrice to newPrice.
+// Nothing is written when the price did not change.
+priceChangeSchema.statics.record = async function(
+  { fish, oldPrice = null, newPrice, source, changedBy, scheduledPrice, note },
+  session = null
+) {
+  if (oldPrice === newPrice) {
+    return null;
+  }
+
+  const [change] = await this.create([{
+    fish,
+    oldPrice,
+    newPrice,
+    source,
+    changedBy,
+    scheduledPrice,
+    note
+  }], { session });
+
+  return change;
+};
+
+module.exports = mongoose.model('PriceChange', priceChangeSchema);
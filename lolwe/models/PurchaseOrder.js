@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { isQuantityStep, roundMoney } = require('../utils/quantity');
+
+// Purchase order item sub-schema
+const purchaseOrderItemSchema = new mongoose.Schema({
+  fish: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fish',
+    required: [true, 'Fish is required']
+  },
+  fishType: {
+    type: String,
+    required: [true, 'Fish type is required']
+  },
+  fishSize: {
+    type: Number,
+    required: [true, 'Fish size is required']
+  },
+  orderedQuantity: {
+    type: Number,
+    required: [true, 'Ordered quantity is required'],
+    min: [0.5, 'Ordered quantity must be at least 0.5 kg'],
+    validate: {
+      validator: isQuantityStep,
+      message: 'Ordered quantity must be in 0.5 kg steps'
+    }
+  },
+  // What actually arrived; stays 0 until the order is received
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Received quantity cannot be negative'],
+    validate: {
+      validator: isQuantityStep,
+      message: 'Received quantity must be in 0.5 kg steps'
+    }
+  },
+  // What we pay the supplier per kg
+  unitCost: {
+    type: Number,
+    required: [true, 'Unit cost is required'],
+    min: [0, 'Unit cost cannot be negative']
+  },
+  // Stock lot created when the item was received
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot'
+  }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    unique: true,
+    required: [true, 'Purchase order number is required']
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Supplier is required']
+  },
+  items: {
+    type: [purchaseOrderItemSchema],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0 && items.length <= 20;
+      },
+      message: 'Purchase order must have between 1 and 20 items'
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['draft', 'sent', 'received'],
+      message: 'Status must be one of: draft, sent, received'
+    },
+    default: 'draft'
+  },
+  expectedAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required']
+  },
+  sentAt: {
+    type: Date
+  },
+  receivedAt: {
+    type: Date
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+purchaseOrderSchema.index({ status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ 'items.fish': 1 });
+
+// Virtual for the cost of what was ordered
+purchaseOrderSchema.virtual('orderedCost').get(function() {
+  return roundMoney((this.items || []).reduce((total, item) => total + item.orderedQuantity * item.unitCost, 0));
+});
+
+// Virtual for the cost of what was received, which is what we owe
+purchaseOrderSchema.virtual('receivedCost').get(function() {
+  return roundMoney((this.items || []).reduce((total, item) => total + item.receivedQuantity * item.unitCost, 0));
+});
+
+purchaseOrderSchema.set('toJSON', { virtuals: true });
+
+// Static method to generate a purchase order number (PO-YYYYMMDD-NNNN)
+purchaseOrderSchema.statics.generatePoNumber = async function(session = null, date = new Date()) {
+  const timeZone = process.env.ORDER_NUMBER_TIMEZONE || 'Africa/Nairobi';
+  const dateStr = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date).replace(/-/g, '');
+
+  const sequence = await Counter.next(`poNumber-${dateStr}`, session);
+
+  return `PO-${dateStr}-${sequence.toString().padStart(4, '0')}`;
+};
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
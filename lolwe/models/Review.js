@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// A customer's rating of a fish they received: one per item of a delivered
+// order. Only approved reviews are public and count toward a fish's rating.
+const reviewSchema = new mongoose.Schema({
+  fish: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fish',
+    required: [true, 'Fish is required']
+  },
+  fishType: {
+    type: String,
+    required: [true, 'Fish type is required']
+  },
+  fishSize: {
+    type: Number,
+    required: [true, 'Fish size is required']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  // Position of the reviewed item in the order
+  itemIndex: {
+    type: Number,
+    required: [true, 'Item index is required'],
+    min: [0, 'Item index cannot be negative']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'approved', 'hidden'],
+      message: 'Status must be one of: pending, approved, hidden'
+    },
+    default: 'pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Moderation note cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes: one review per order item, a fish's public reviews and the moderation queue
+reviewSchema.index({ order: 1, itemIndex: 1 }, { unique: true });
+reviewSchema.index({ fish: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+reviewSchema.index({ user: 1, createdAt: -1 });
+
+// Static method to summarise the approved reviews of each fish.
+// Returns a Map of fish ID to { averageRating, reviewCount }.
+reviewSchema.statics.summaryFor = async function(fishIds) {
+  const summaries = await this.aggregate([
+    { $match: { fish: { $in: fishIds }, status: 'approved' } },
+    { $group: { _id: '$fish', averageRating: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+  ]);
+
+  return new Map(summaries.map(summary => [summary._id.toString(), {
+    averageRating: Math.round(summary.averageRating * 10) / 10,
+    reviewCount: summary.reviewCount
+  }]));
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
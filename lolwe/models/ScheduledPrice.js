@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A price per kg planned to take effect at a later time
+const scheduledPriceSchema = new mongoose.Schema({
+  fish: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fish',
+    required: [true, 'Fish is required']
+  },
+  pricePerKg: {
+    type: Number,
+    required: [true, 'Price per kg is required'],
+    min: [0.01, 'Price must be greater than 0']
+  },
+  effectiveAt: {
+    type: Date,
+    required: [true, 'Effective date is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'applied', 'cancelled'],
+      message: 'Status must be one of: pending, applied, cancelled'
+    },
+    default: 'pending'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by is required']
+  },
+  appliedAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for the scheduler and a fish's upcoming prices
+scheduledPriceSchema.index({ status: 1, effectiveAt: 1 });
+scheduledPriceSchema.index({ fish: 1, status: 1, effectiveAt: 1 });
+
+// Static method to find pending prices whose time has come, oldest first
+scheduledPriceSchema.statics.findDue = function(now = new Date()) {
+  return this.find({ status: 'pending', effectiveAt: { $lte: now } }).sort({ effectiveAt: 1, createdAt: 1 });
+};
+
+// Static method to list a fish's upcoming prices
+scheduledPriceSchema.statics.findUpcoming = function(fishId) {
+  return this.find({ fish: fishId, status: 'pending' }).sort({ effectiveAt: 1 });
+};
+
+module.exports = mongoose.model('ScheduledPrice', scheduledPriceSchema);
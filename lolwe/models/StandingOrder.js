@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const { isQuantityStep } = require('../utils/quantity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Day of the week (0 = Sunday) in the shop's timezone
+const weekdayOf = (date) => {
+  const timeZone = process.env.STANDING_ORDER_TIMEZONE || 'Africa/Nairobi';
+  const name = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short' }).format(date);
+  return WEEKDAYS.indexOf(name);
+};
+
+const standingOrderItemSchema = new mongoose.Schema({
+  fishId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fish',
+    required: [true, 'Fish ID is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.5, 'Quantity must be at least 0.5 kg'],
+    validate: {
+      validator: isQuantityStep,
+      message: 'Quantity must be in 0.5 kg steps'
+    }
+  },
+  preparation: {
+    type: String,
+    enum: ['whole', 'gutted', 'filleted', 'smoked'],
+    default: 'whole'
+  }
+}, { _id: false });
+
+const lastRunSchema = new mongoose.Schema({
+  at: Date,
+  status: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  message: String
+}, { _id: false });
+
+const standingOrderSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  items: {
+    type: [standingOrderItemSchema],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0 && items.length <= 10;
+      },
+      message: 'Standing order must have between 1 and 10 items'
+    }
+  },
+  deliveryAddress: {
+    type: String,
+    required: [true, 'Delivery address is required'],
+    trim: true,
+    maxlength: [200, 'Delivery address cannot exceed 200 characters']
+  },
+  location: {
+    lat: Number,
+    lng: Number
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  frequency: {
+    type: String,
+    required: [true, 'Frequency is required'],
+    enum: {
+      values: ['daily', 'weekly', 'custom'],
+      message: 'Frequency must be one of: daily, weekly, custom'
+    }
+  },
+  daysOfWeek: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: []
+  },
+  nextRunAt: {
+    type: Date,
+    required: [true, 'Next run date is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'paused', 'cancelled'],
+      message: 'Status must be one of: active, paused, cancelled'
+    },
+    default: 'active'
+  },
+  pausedAt: Date,
+  lastRun: lastRunSchema,
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failureCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for efficient queries
+standingOrderSchema.index({ status: 1, nextRunAt: 1 });
+standingOrderSchema.index({ userId: 1, createdAt: -1 });
+
+// Weekly runs once a week, custom runs on each chosen day
+standingOrderSchema.pre('validate', function(next) {
+  this.daysOfWeek = [...new Set(this.daysOfWeek)].sort();
+
+  if (this.frequency === 'weekly') {
+    if (this.daysOfWeek.length === 0 && this.nextRunAt) {
+      this.daysOfWeek = [weekdayOf(this.nextRunAt)];
+    } else if (this.daysOfWeek.length !== 1) {
+      this.invalidate('daysOfWeek', 'Weekly standing orders run on exactly one day');
+    }
+  }
+
+  if (this.frequency === 'custom' && this.daysOfWeek.length === 0) {
+    this.invalidate('daysOfWeek', 'Custom standing orders need at least one day of the week');
+  }
+
+  next();
+});
+
+// New schedules start on their first matching day
+standingOrderSchema.pre('save', function(next) {
+  if (this.isModified('nextRunAt') || this.isModified('frequency') || this.isModified('daysOfWeek')) {
+    this.nextRunAt = this.nextRunOnOrAfter(this.nextRunAt);
+  }
+  next();
+});
+
+// Method to check whether the schedule runs on a given date
+standingOrderSchema.methods.runsOn = function(date) {
+  return this.frequency === 'daily' || this.daysOfWeek.includes(weekdayOf(date));
+};
+
+// Method to find the first scheduled run at or after a date, keeping the time of day
+standingOrderSchema.methods.nextRunOnOrAfter = function(date) {
+  let next = new Date(date);
+  for (let i = 0; i < 7 && !this.runsOn(next); i++) {
+    next = new Date(next.getTime() + DAY_MS);
+  }
+  return next;
+};
+
+// Method to compute the run after the current one, skipping any missed runs
+standingOrderSchema.methods.computeNextRun = function(after = new Date()) {
+  let next = new Date(this.nextRunAt.getTime() + DAY_MS);
+
+  if (next <= after) {
+    const missedDays = Math.ceil((after - next) / DAY_MS);
+    next = new Date(next.getTime() + missedDays * DAY_MS);
+    if (next <= after) {
+      next = new Date(next.getTime() + DAY_MS);
+    }
+  }
+
+  return this.nextRunOnOrAfter(next);
+};
+
+// Method to pause the schedule
+standingOrderSchema.methods.pause = function() {
+  if (this.status !== 'active') {
+    throw new Error(`Cannot pause a ${this.status} standing order`);
+  }
+
+  this.status = 'paused';
+  this.pausedAt = new Date();
+  return this.save();
+};
+
+// Method to resume the schedule from the next run still in the future
+standingOrderSchema.methods.resume = function() {
+  if (this.status !== 'paused') {
+    throw new Error(`Cannot resume a ${this.status} standing order`);
+  }
+
+  this.status = 'active';
+  this.pausedAt = undefined;
+  if (this.nextRunAt <= new Date()) {
+    this.nextRunAt = this.computeNextRun();
+  }
+  return this.save();
+};
+
+// Static method to find active standing orders that are due
+standingOrderSchema.statics.findDue = function(now = new Date()) {
+  return this.find({ status: 'active', nextRunAt: { $lte: now } }).sort({ nextRunAt: 1 });
+};
+
+module.exports = mongoose.model('StandingOrder', standingOrderSchema);
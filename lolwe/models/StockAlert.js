@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Raised when a fish's stock falls to its reorder threshold or runs out.
+// A fish has at most one unresolved alert, matching its current stock status.
+const stockAlertSchema = new mongoose.Schema({
+  fish: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fish',
+    required: [true, 'Fish is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Alert type is required'],
+    enum: {
+      values: ['low-stock', 'out-of-stock'],
+      message: 'Alert type must be one of: low-stock, out-of-stock'
+    }
+  },
+  // Stock and threshold when the alert was raised
+  stock: {
+    type: Number,
+    required: [true, 'Stock is required']
+  },
+  threshold: {
+    type: Number,
+    required: [true, 'Threshold is required']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['open', 'acknowledged', 'resolved'],
+      message: 'Status must be one of: open, acknowledged, resolved'
+    },
+    default: 'open'
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acknowledgedAt: {
+    type: Date
+  },
+  // Set when stock recovers or the alert is superseded
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for the admin list and a fish's unresolved alert
+stockAlertSchema.index({ status: 1, createdAt: -1 });
+stockAlertSchema.index({ fish: 1, status: 1 });
+
+// Push a new alert to admins once it is committed. Inside a transaction that
+// is only known when the session ends, and the alert may have been rolled back.
+const notifyAdmins = (StockAlert, alert, payload, session) => {
+  const emit = () => global.emitStockAlert && global.emitStockAlert(payload);
+
+  if (!session || !session.inTransaction()) {
+    emit();
+    return;
+  }
+
+  session.once('ended', () => {
+    StockAlert.exists({ _id: alert._id })
+      .then(found => found && emit())
+      .catch(error => console.error('❌ Stock alert notification failed:', error.message));
+  });
+};
+
+// Static method to raise or resolve alerts after a fish's stock moved from
+// stockBefore to stockAfter. Pass thresholdBefore when the threshold itself changed.
+stockAlertSchema.statics.checkStock = async function(
+  { fish: fishId, stockBefore, stockAfter, thresholdBefore },
+  session = null
+) {
+  const Fish = mongoose.model('Fish');
+  const fish = await Fish.findById(fishId).select('type size reorderThreshold isActive').session(session);
+
+  if (!fish || !fish.isActive) {
+    return null;
+  }
+
+  const before = Fish.stockStatusFor({ stock: stockBefore, reorderThreshold: thresholdBefore ?? fish.reorderThreshold });
+  const after = Fish.stockStatusFor({ stock: stockAfter, reorderThreshold: fish.reorderThreshold });
+
+  if (before === after) {
+    return null;
+  }
+
+  // Whatever no longer matches the stock status is resolved
+  await this.updateMany(
+    { fish: fish._id, status: { $ne: 'resolved' }, type: { $ne: after } },
+    { status: 'resolved', resolvedAt: new Date() },
+    { session }
+  );
+
+  if (after === 'in-stock') {
+    return null;
+  }
+
+  const unresolved = await this.findOne({ fish: fish._id, status: { $ne: 'resolved' }, type: after }).session(session);
+  if (unresolved) {
+    return null;
+  }
+
+  const [alert] = await this.create([{
+    fish: fish._id,
+    type: after,
+    stock: stockAfter,
+    threshold: fish.reorderThreshold
+  }], { session });
+
+  notifyAdmins(this, alert, {
+    ...alert.toObject(),
+    fish: { _id: fish._id, type: fish.type, size: fish.size }
+  }, session);
+
+  return alert;
+};
+
+module.exports = mongoose.model('StockAlert', stockAlertSchema);
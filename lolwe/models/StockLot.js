@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+const Fish = require('./Fish');
+const StockMovement = require('./StockMovement');
+const { isQuantityStep } = require('../utils/quantity');
+
+// Days a lot stays sellable after the catch when no expiry date is given
+const DEFAULT_SHELF_LIFE_DAYS = 3;
+
+const getShelfLifeDays = () =>
+  parseFloat(process.env.FISH_SHELF_LIFE_DAYS) || DEFAULT_SHELF_LIFE_DAYS;
+
+const stockLotSchema = new mongoose.Schema({
+  fish: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fish',
+    required: [true, 'Fish is required']
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Lot reference cannot exceed 50 characters']
+  },
+  supplier: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Supplier cannot exceed 100 characters']
+  },
+  // Set when the lot arrived on a purchase order
+  purchaseOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
+  },
+  // What we paid per kg, for cost of goods
+  unitCost: {
+    type: Number,
+    min: [0, 'Unit cost cannot be negative']
+  },
+  caughtAt: {
+    type: Date,
+    required: [true, 'Catch date is required'],
+    default: Date.now
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry date is required'],
+    validate: {
+      validator: function(date) {
+        return !this.caughtAt || date > this.caughtAt;
+      },
+      message: 'Expiry date must be after the catch date'
+    }
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0.5, 'Quantity must be at least 0.5 kg'],
+    validate: {
+      validator: isQuantityStep,
+      message: 'Quantity must be in 0.5 kg steps'
+    }
+  },
+  remaining: {
+    type: Number,
+    min: [0, 'Remaining quantity cannot be negative']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['active', 'depleted', 'expired'],
+      message: 'Status must be one of: active, depleted, expired'
+    },
+    default: 'active'
+  },
+  writtenOff: {
+    type: Number,
+    default: 0,
+    min: [0, 'Written off quantity cannot be negative']
+  },
+  writtenOffAt: {
+    type: Date
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Notes cannot exceed 300 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for FEFO picking and the expiry sweep
+stockLotSchema.index({ fish: 1, status: 1, expiresAt: 1 });
+stockLotSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for whether the lot is past its expiry date
+stockLotSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+stockLotSchema.set('toJSON', { virtuals: true });
+
+// Static method to receive a new lot and add it to the fish's stock.
+// Recorded in the ledger as a restock unless movement details say otherwise.
+stockLotSchema.statics.receive = async function(data, session = null, movement = {}) {
+  const [lot] = await this.create([data], { session });
+
+  const fish = await Fish.findByIdAndUpdate(
+    lot.fish,
+    { $inc: { stock: lot.quantity } },
+    { new: true, session }
+  );
+
+  await StockMovement.record({
+    type: 'restock',
+    ...movement,
+    fish: lot.fish,
+    lot: lot._id,
+    stockBefore: fish.stock - lot.quantity,
+    stockAfter: fish.stock
+  }, session);
+
+  return lot;
+};
+
+// Static method to make a fish's stock equal the quantity left in its lots.
+// Stock recorded before lot tracking was introduced becomes an opening lot;
+// if the lots hold more than the stock, the stock is raised to match them.
+// Resolves to the opening lot, if one was created.
+stockLotSchema.statics.reconcile = async function(fishId, session = null) {
+  const fish = await Fish.findById(fishId).session(session);
+
+  if (!fish) return null;
+
+  const [tracked] = await this.aggregate([
+    { $match: { fish: fish._id, status: 'active' } },
+    { $group: { _id: null, remaining: { $sum: '$remaining' } } }
+  ]).session(session);
+  const remaining = tracked ? tracked.remaining : 0;
+
+  if (fish.stock > remaining) {
+    const [lot] = await this.create([{
+      fish: fish._id,
+      quantity: fish.stock - remaining,
+      notes: 'Opening stock from before lot tracking'
+    }], { session });
+    return lot;
+  }
+
+  if (fish.stock < remaining) {
+    await Fish.updateOne({ _id: fish._id }, { stock: remaining }, { session });
+    await StockMovement.record({
+      fish: fish._id,
+      type: 'adjustment',
+      stockBefore: fish.stock,
+      stockAfter: remaining,
+      note: 'Matched to stock lots'
+    }, session);
+  }
+
+  return null;
+};
+
+// Static method to draw a quantity from a fish's lots, first expiry first out.
+// Resolves to the allocations made ([{ lot, quantity }]). Stock must be fully
+// covered by lots (see reconcile), so a shortfall aborts the draw.
+stockLotSchema.statics.allocate = async function(fishId, quantity, session = null) {
+  const lots = await this.find({
+    fish: fishId,
+    status: 'active',
+    remaining: { $gt: 0 },
+    expiresAt: { $gt: new Date() }
+  })
+    .sort({ expiresAt: 1, caughtAt: 1 })
+    .session(session);
+
+  const allocations = [];
+  let outstanding = quantity;
+
+  for (const lot of lots) {
+    if (outstanding <= 0) break;
+
+    const take = Math.min(lot.remaining, outstanding);
+    const updated = await this.findOneAndUpdate(
+      { _id: lot._id, status: 'active', remaining: { $gte: take } },
+      [{
+        $set: {
+          remaining: { $subtract: ['$remaining', take] },
+          status: { $cond: [{ $eq: ['$remaining', take] }, 'depleted', 'active'] }
+        }
+      }],
+      { new: true, session }
+    );
+
+    if (!updated) continue; // Drawn or written off concurrently
+
+    allocations.push({ lot: lot._id, quantity: take });
+    outstanding -= take;
+  }
+
+  if (outstanding > 0) {
+    throw new Error(`Stock lots of fish ${fishId} are ${outstanding}kg short of its stock`);
+  }
+
+  return allocations;
+};
+
+// Static method to put allocated quantities back into their lots (e.g. a
+// cancelled order) once they are back in the fish's stock. Quantities
+// returned to a lot that has since expired are written off again and recorded
+// as spoilage. Resolves to the quantity written off.
+stockLotSchema.statics.restore = async function(allocations = [], session = null, movement = {}) {
+  let writtenOff = 0;
+
+  for (const allocation of allocations) {
+    const lot = await this.findById(allocation.lot).session(session);
+
+    if (!lot) continue;
+
+    if (lot.status === 'expired' || lot.isExpired) {
+      lot.writtenOff += allocation.quantity;
+      lot.writtenOffAt = lot.writtenOffAt || new Date();
+      await lot.save({ session });
+
+      const fish = await Fish.findByIdAndUpdate(
+        lot.fish,
+        { $inc: { stock: -allocation.quantity } },
+        { new: true, session }
+      );
+
+      await StockMovement.record({
+        ...movement,
+        fish: lot.fish,
+        type: 'spoilage',
+        lot: lot._id,
+        stockBefore: fish.stock + allocation.quantity,
+        stockAfter: fish.stock,
+        note: 'Returned to an expired lot'
+      }, session);
+
+      writtenOff += allocation.quantity;
+    } else {
+      lot.remaining += allocation.quantity;
+      lot.status = 'active';
+      await lot.save({ session });
+    }
+  }
+
+  return writtenOff;
+};
+
+// Static method to write off a fish's expired lots and take them out of its
+// stock. Resolves to the write-offs ([{ lot, quantity }]) with the quantity
+// each lot still had on sale.
+stockLotSchema.statics.writeOffExpired = async function(fishId, session = null, now = new Date()) {
+  const expired = await this.find({
+    fish: fishId,
+    status: 'active',
+    expiresAt: { $lte: now }
+  }).session(session);
+  const writeOffs = [];
+
+  for (const lot of expired) {
+    const quantity = lot.remaining;
+
+    lot.writtenOff += quantity;
+    lot.writtenOffAt = now;
+    lot.remaining = 0;
+    lot.status = 'expired';
+    await lot.save({ session });
+    writeOffs.push({ lot: lot._id, quantity });
+
+    if (quantity === 0) continue;
+
+    const before = await Fish.findByIdAndUpdate(
+      fishId,
+      [{ $set: { stock: { $max: [0, { $subtract: ['$stock', quantity] }] } } }],
+      { session }
+    );
+
+    await StockMovement.record({
+      fish: fishId,
+      type: 'spoilage',
+      lot: lot._id,
+      stockBefore: before.stock,
+      stockAfter: Math.max(0, before.stock - quantity),
+      note: 'Lot expired'
+    }, session);
+  }
+
+  return writeOffs;
+};
+
+// Static method to find the fish that have expired lots still on sale
+stockLotSchema.statics.findFishWithExpiredLots = function(now = new Date()) {
+  return this.distinct('fish', { status: 'active', expiresAt: { $lte: now } });
+};
+
+// Static method to get the catch and expiry dates of the lot each fish is
+// currently sold from. Resolves to a Map of fish id => { caughtAt, expiresAt }.
+stockLotSchema.statics.freshnessFor = async function(fishIds) {
+  const results = await this.aggregate([
+    {
+      $match: {
+        fish: { $in: fishIds.map(id => new mongoose.Types.ObjectId(id)) },
+        status: 'active',
+        remaining: { $gt: 0 },
+        expiresAt: { $gt: new Date() }
+      }
+    },
+    { $sort: { expiresAt: 1, caughtAt: 1 } },
+    {
+      $group: {
+        _id: '$fish',
+        caughtAt: { $first: '$caughtAt' },
+        expiresAt: { $first: '$expiresAt' }
+      }
+    }
+  ]);
+
+  return new Map(results.map(result => [
+    result._id.toString(),
+    { caughtAt: result.caughtAt, expiresAt: result.expiresAt }
+  ]));
+};
+
+// Pre-validate middleware to fill in the sellable quantity and expiry date
+stockLotSchema.pre('validate', function(next) {
+  if (this.isNew && this.remaining == null) {
+    this.remaining = this.quantity;
+  }
+
+  if (!this.expiresAt && this.caughtAt) {
+    this.expiresAt = new Date(this.caughtAt.getTime() + getShelfLifeDays() * 24 * 60 * 60 * 1000);
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('StockLot', stockLotSchema);
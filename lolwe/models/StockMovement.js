@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const StockAlert = require('./StockAlert');
+
+// Append-only record of every change to a fish's stock
+const stockMovementSchema = new mongoose.Schema({
+  fish: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Fish',
+    required: [true, 'Fish is required'],
+    immutable: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Movement type is required'],
+    enum: {
+      values: ['sale', 'restock', 'adjustment', 'spoilage', 'return'],
+      message: 'Movement type must be one of: sale, restock, adjustment, spoilage, return'
+    },
+    immutable: true
+  },
+  // Signed change in kg: negative when stock goes out
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    immutable: true
+  },
+  stockBefore: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  stockAfter: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    immutable: true
+  },
+  lot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot',
+    immutable: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters'],
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for a fish's ledger and order lookups
+stockMovementSchema.index({ fish: 1, createdAt: -1 });
+stockMovementSchema.index({ order: 1 });
+
+// Movements are never edited or removed once written
+const rejectChange = function(next) {
+  next(new Error('Stock movements cannot be changed or deleted'));
+};
+
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+// Static method to record a change from stockBefore to stockAfter and raise
+// or resolve stock alerts. Nothing is written when the stock did not change.
+stockMovementSchema.statics.record = async function(
+  { fish, type, stockBefore, stockAfter, actor, order, lot, note },
+  session = null
+) {
+  const quantity = stockAfter - stockBefore;
+
+  if (quantity === 0) {
+    return null;
+  }
+
+  const [movement] = await this.create([{
+    fish,
+    type,
+    quantity,
+    stockBefore,
+    stockAfter,
+    actor,
+    order,
+    lot,
+    note
+  }], { session });
+
+  await StockAlert.checkStock({ fish, stockBefore, stockAfter }, session);
+
+  return movement;
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
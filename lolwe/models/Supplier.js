@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// A fisherman, cooperative or trader we buy fish from
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: [100, 'Supplier name cannot exceed 100 characters']
+  },
+  kind: {
+    type: String,
+    enum: {
+      values: ['fisherman', 'cooperative', 'trader', 'farm'],
+      message: 'Supplier kind must be one of: fisherman, cooperative, trader, farm'
+    },
+    default: 'fisherman'
+  },
+  contactName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact name cannot exceed 100 characters']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [
+      /^(\+254|0)[17]\d{8}$/,
+      'Please enter a valid Kenyan phone number'
+    ]
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please enter a valid email address'
+    ]
+  },
+  // Landing site, beach or farm the fish comes from
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Location cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for listing and duplicate checks
+supplierSchema.index({ isActive: 1, name: 1 });
+supplierSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -0,0 +1,268 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Fish = require('../models/Fish');
+const FishType = require('../models/FishType');
+const { authenticate, requireAdmin, requireClient } = require('../middleware/auth');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { isQuantityStep } = require('../utils/quantity');
+
+const router = express.Router();
+
+// Validation rules (code, discountType and value are optional on update)
+const couponValidation = (isUpdate = false) => [
+  (isUpdate ? body('code').optional() : body('code'))
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Promo code must be 3-30 letters, numbers, dashes or underscores'),
+
+  (isUpdate ? body('discountType').optional() : body('discountType'))
+    .isIn(['percentage', 'fixed'])
+    .withMessage('Discount type must be one of: percentage, fixed'),
+
+  (isUpdate ? body('value').optional() : body('value'))
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a non-negative number'),
+
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum discount must be a non-negative number'),
+
+  body('fishTypes')
+    .optional()
+    .isArray()
+    .withMessage('Fish types must be an array'),
+
+  body('fishTypes.*')
+    .custom(value => FishType.validateSlug(value)),
+
+  body('minSpend')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum spend must be a non-negative number'),
+
+  body('startsAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date'),
+
+  body('usageLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limit must be at least 1'),
+
+  body('perUserLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Per-user limit must be at least 1'),
+
+  body('firstOrderOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('firstOrderOnly must be a boolean'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const validateCodeValidation = [
+  body('code')
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Promo code must be between 3 and 30 characters'),
+
+  body('items')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Order must have between 1 and 10 items'),
+
+  body('items.*.fishId')
+    .isMongoId()
+    .withMessage('Fish ID must be a valid MongoDB ObjectId'),
+
+  body('items.*.quantity')
+    .isFloat({ min: 0.5 })
+    .withMessage('Quantity must be at least 0.5 kg')
+    .custom(isQuantityStep)
+    .withMessage('Quantity must be in 0.5 kg steps'),
+
+  body('items.*.preparation')
+    .optional()
+    .isIn(['whole', 'gutted', 'filleted', 'smoked'])
+    .withMessage('Preparation must be one of: whole, gutted, filleted, smoked')
+];
+
+const couponFields = ['code', 'description', 'discountType', 'value', 'maxDiscount', 'fishTypes', 'minSpend', 'startsAt', 'expiresAt', 'usageLimit', 'perUserLimit', 'firstOrderOnly', 'isActive'];
+
+const pickCouponFields = (source) => couponFields.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// GET /api/coupons - List promo codes (Admin only)
+router.get('/', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const coupons = await Coupon.find().sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    data: { coupons }
+  });
+}));
+
+// POST /api/coupons/validate - Preview a promo code against a cart
+router.post('/validate', authenticate, requireClient, validateCodeValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const coupon = await Coupon.findByCode(req.body.code);
+
+  if (!coupon) {
+    throw new AppError('Invalid promo code', 400);
+  }
+
+  // Price the cart from current fish prices, exactly as order creation does
+  const items = [];
+  for (const item of req.body.items) {
+    const fish = await Fish.findOne({ _id: item.fishId, isActive: true }).select('type size pricePerKg preparations');
+
+    if (!fish) {
+      throw new AppError(`Fish with ID ${item.fishId} not found`, 404);
+    }
+
+    const preparation = fish.findPreparation(item.preparation);
+
+    if (!preparation) {
+      throw new AppError(`${fish.type} size ${fish.size} is not available ${item.preparation}`, 400);
+    }
+
+    items.push({ fishType: fish.type, subtotal: item.quantity * (fish.pricePerKg + preparation.surchargePerKg) });
+  }
+
+  const result = await coupon.validateFor({ userId: req.user._id, items });
+
+  if (!result.valid) {
+    throw new AppError(result.message, 400);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      code: coupon.code,
+      description: coupon.description,
+      discount: result.discount,
+      eligibleSubtotal: result.eligibleSubtotal
+    }
+  });
+}));
+
+// GET /api/coupons/:id - Get a promo code (Admin only)
+router.get('/:id', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    throw new AppError('Promo code not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { coupon }
+  });
+}));
+
+// POST /api/coupons - Create a promo code (Admin only)
+router.post('/', authenticate, requireAdmin, couponValidation(), catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const coupon = new Coupon(pickCouponFields(req.body));
+  await coupon.save();
+
+  console.log(`✅ Promo code created: ${coupon.code} by admin ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Promo code created successfully',
+    data: { coupon }
+  });
+}));
+
+// PUT /api/coupons/:id - Update a promo code (Admin only)
+router.put('/:id', authenticate, requireAdmin, couponValidation(true), catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    throw new AppError('Promo code not found', 404);
+  }
+
+  Object.assign(coupon, pickCouponFields(req.body));
+  await coupon.save();
+
+  console.log(`✅ Promo code updated: ${coupon.code} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Promo code updated successfully',
+    data: { coupon }
+  });
+}));
+
+// DELETE /api/coupons/:id - Deactivate a promo code (Admin only)
+router.delete('/:id', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const coupon = await Coupon.findOne({ _id: req.params.id, isActive: true });
+
+  if (!coupon) {
+    throw new AppError('Promo code not found', 404);
+  }
+
+  coupon.isActive = false;
+  await coupon.save();
+
+  console.log(`✅ Promo code deactivated: ${coupon.code} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Promo code deactivated successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,498 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const DeliveryZone = require('../models/DeliveryZone');
+const DeliverySlot = require('../models/DeliverySlot');
+const Fish = require('../models/Fish');
+const Coupon = require('../models/Coupon');
+const { authenticate, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { isQuantityStep } = require('../utils/quantity');
+
+const router = express.Router();
+
+// Validation rules
+const zoneValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Zone name must be between 2 and 100 characters'),
+
+  body('coverage')
+    .isIn(['area', 'radius', 'polygon'])
+    .withMessage('Coverage must be one of: area, radius, polygon'),
+
+  body('areas')
+    .optional()
+    .isArray()
+    .withMessage('Areas must be an array of place names'),
+
+  body('radiusKm')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Radius must be a non-negative number'),
+
+  body('baseFee')
+    .isFloat({ min: 0 })
+    .withMessage('Base fee must be a non-negative number'),
+
+  body('feePerKm')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Fee per km must be a non-negative number'),
+
+  body('minimumOrder')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order must be a non-negative number'),
+
+  body('freeDeliveryThreshold')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Free delivery threshold must be a non-negative number')
+];
+
+const updateZoneValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Zone name must be between 2 and 100 characters'),
+
+  body('coverage')
+    .optional()
+    .isIn(['area', 'radius', 'polygon'])
+    .withMessage('Coverage must be one of: area, radius, polygon'),
+
+  body('areas')
+    .optional()
+    .isArray()
+    .withMessage('Areas must be an array of place names'),
+
+  body('radiusKm')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Radius must be a non-negative number'),
+
+  body('baseFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Base fee must be a non-negative number'),
+
+  body('feePerKm')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Fee per km must be a non-negative number'),
+
+  body('minimumOrder')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order must be a non-negative number'),
+
+  body('freeDeliveryThreshold')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Free delivery threshold must be a non-negative number')
+];
+
+const locationValidation = [
+  body('location.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('location.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  body('zoneId')
+    .optional()
+    .isMongoId()
+    .withMessage('Zone ID must be a valid MongoDB ObjectId')
+];
+
+const quoteValidation = [
+  body('items')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Quote must have between 1 and 10 items'),
+
+  body('items.*.fishId')
+    .isMongoId()
+    .withMessage('Fish ID must be a valid MongoDB ObjectId'),
+
+  body('items.*.quantity')
+    .isFloat({ min: 0.5 })
+    .withMessage('Quantity must be at least 0.5 kg')
+    .custom(isQuantityStep)
+    .withMessage('Quantity must be in 0.5 kg steps'),
+
+  body('items.*.preparation')
+    .optional()
+    .isIn(['whole', 'gutted', 'filleted', 'smoked'])
+    .withMessage('Preparation must be one of: whole, gutted, filleted, smoked'),
+
+  body('couponCode')
+    .optional()
+    .isString()
+    .withMessage('Promo code must be a string'),
+
+  ...locationValidation
+];
+
+const slotValidation = [
+  body('zone')
+    .isMongoId()
+    .withMessage('Zone ID must be a valid MongoDB ObjectId'),
+
+  body('start')
+    .isISO8601()
+    .withMessage('Start must be a valid date'),
+
+  body('end')
+    .isISO8601()
+    .withMessage('End must be a valid date'),
+
+  body('capacity')
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a whole number of at least 1')
+];
+
+const updateSlotValidation = [
+  body('start')
+    .optional()
+    .isISO8601()
+    .withMessage('Start must be a valid date'),
+
+  body('end')
+    .optional()
+    .isISO8601()
+    .withMessage('End must be a valid date'),
+
+  body('capacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a whole number of at least 1'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const slotQueryValidation = [
+  query('zoneId')
+    .optional()
+    .isMongoId()
+    .withMessage('Zone ID must be a valid MongoDB ObjectId'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+const zoneFields = ['name', 'description', 'coverage', 'areas', 'radiusKm', 'polygon', 'baseFee', 'feePerKm', 'minimumOrder', 'freeDeliveryThreshold', 'priority', 'isActive'];
+
+const pickZoneFields = (source) => zoneFields.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// GET /api/delivery/zones - List delivery zones (inactive ones for admins only)
+router.get('/zones', optionalAuth, catchAsync(async (req, res) => {
+  const filter = req.user?.role === 'admin' ? {} : { isActive: true };
+
+  const zones = await DeliveryZone.find(filter).sort({ priority: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { zones }
+  });
+}));
+
+// POST /api/delivery/zones - Create delivery zone (Admin only)
+router.post('/zones', authenticate, requireAdmin, zoneValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const zone = new DeliveryZone(pickZoneFields(req.body));
+  await zone.save();
+
+  console.log(`✅ Delivery zone created: ${zone.name} by admin ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Delivery zone created successfully',
+    data: { zone }
+  });
+}));
+
+// PUT /api/delivery/zones/:id - Update delivery zone (Admin only)
+router.put('/zones/:id', authenticate, requireAdmin, updateZoneValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const zone = await DeliveryZone.findById(req.params.id);
+
+  if (!zone) {
+    throw new AppError('Delivery zone not found', 404);
+  }
+
+  Object.assign(zone, pickZoneFields(req.body));
+  await zone.save();
+
+  console.log(`✅ Delivery zone updated: ${zone.name} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Delivery zone updated successfully',
+    data: { zone }
+  });
+}));
+
+// DELETE /api/delivery/zones/:id - Deactivate delivery zone (Admin only)
+router.delete('/zones/:id', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const zone = await DeliveryZone.findOne({ _id: req.params.id, isActive: true });
+
+  if (!zone) {
+    throw new AppError('Delivery zone not found', 404);
+  }
+
+  zone.isActive = false;
+  await zone.save();
+
+  console.log(`✅ Delivery zone deactivated: ${zone.name} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Delivery zone deactivated successfully'
+  });
+}));
+
+// GET /api/delivery/slots - List bookable delivery slots for a zone (admins see every slot)
+router.get('/slots', optionalAuth, slotQueryValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { zoneId } = req.query;
+  const from = req.query.from ? new Date(req.query.from) : undefined;
+  const to = req.query.to ? new Date(req.query.to) : undefined;
+  let slots;
+
+  if (req.user?.role === 'admin') {
+    const filter = {};
+    if (zoneId) filter.zone = zoneId;
+    if (from || to) {
+      filter.start = {};
+      if (from) filter.start.$gte = from;
+      if (to) filter.start.$lte = to;
+    }
+
+    slots = await DeliverySlot.find(filter)
+      .sort({ start: 1 })
+      .populate('zone', 'name');
+  } else {
+    if (!zoneId) {
+      throw new AppError('Zone ID is required', 400);
+    }
+
+    slots = await DeliverySlot.findAvailable(zoneId, { from, to });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { slots }
+  });
+}));
+
+// POST /api/delivery/slots - Create delivery slot (Admin only)
+router.post('/slots', authenticate, requireAdmin, slotValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { zone: zoneId, start, end, capacity } = req.body;
+
+  const zone = await DeliveryZone.findOne({ _id: zoneId, isActive: true });
+
+  if (!zone) {
+    throw new AppError('Delivery zone not found', 404);
+  }
+
+  const slot = new DeliverySlot({ zone: zone._id, start, end, capacity });
+  await slot.save();
+
+  console.log(`✅ Delivery slot created: ${zone.name} ${slot.start.toISOString()} by admin ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Delivery slot created successfully',
+    data: { slot }
+  });
+}));
+
+// PUT /api/delivery/slots/:id - Update delivery slot (Admin only)
+router.put('/slots/:id', authenticate, requireAdmin, updateSlotValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const slot = await DeliverySlot.findById(req.params.id);
+
+  if (!slot) {
+    throw new AppError('Delivery slot not found', 404);
+  }
+
+  const { start, end, capacity, isActive } = req.body;
+
+  if (capacity !== undefined && capacity < slot.booked) {
+    throw new AppError(`Capacity cannot be lower than the ${slot.booked} orders already booked`, 400);
+  }
+
+  if (start !== undefined) slot.start = start;
+  if (end !== undefined) slot.end = end;
+  if (capacity !== undefined) slot.capacity = capacity;
+  if (isActive !== undefined) slot.isActive = isActive;
+
+  await slot.save();
+
+  console.log(`✅ Delivery slot updated: ${slot._id} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Delivery slot updated successfully',
+    data: { slot }
+  });
+}));
+
+// DELETE /api/delivery/slots/:id - Close delivery slot to new bookings (Admin only)
+router.delete('/slots/:id', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const slot = await DeliverySlot.findOne({ _id: req.params.id, isActive: true });
+
+  if (!slot) {
+    throw new AppError('Delivery slot not found', 404);
+  }
+
+  slot.isActive = false;
+  await slot.save();
+
+  console.log(`✅ Delivery slot closed: ${slot._id} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Delivery slot closed successfully'
+  });
+}));
+
+// POST /api/delivery/quote - Quote the delivery fee for a cart
+router.post('/quote', optionalAuth, quoteValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { items, zoneId, location, couponCode } = req.body;
+  const address = req.body.deliveryAddress || req.user?.deliveryAddress;
+
+  // Price the cart from current fish prices, exactly as order creation does
+  const pricedItems = [];
+  for (const item of items) {
+    const fish = await Fish.findOne({ _id: item.fishId, isActive: true }).select('type size pricePerKg preparations');
+
+    if (!fish) {
+      throw new AppError(`Fish with ID ${item.fishId} not found`, 404);
+    }
+
+    const preparation = fish.findPreparation(item.preparation);
+
+    if (!preparation) {
+      throw new AppError(`${fish.type} size ${fish.size} is not available ${item.preparation}`, 400);
+    }
+
+    pricedItems.push({ fishType: fish.type, subtotal: item.quantity * (fish.pricePerKg + preparation.surchargePerKg) });
+  }
+
+  // Delivery is priced on the subtotal after the promo code, as on orders. A
+  // code that does not apply is left for checkout to report.
+  let discount = 0;
+  if (couponCode) {
+    const coupon = await Coupon.findByCode(couponCode);
+    const result = coupon && await coupon.validateFor({ userId: req.user?._id, items: pricedItems });
+    discount = result?.valid ? result.discount : 0;
+  }
+
+  const subtotal = pricedItems.reduce((total, item) => total + item.subtotal, 0) - discount;
+  const quote = await DeliveryZone.quote({ subtotal, zoneId, location, address });
+
+  if (!quote) {
+    throw new AppError('Sorry, we do not deliver to this location yet', 422);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { quote }
+  });
+}));
+
+module.exports = router;
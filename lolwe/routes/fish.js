@@ -1,28 +1,97 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, query, validationResult } = require('express-validator');
 const Fish = require('../models/Fish');
+const StockLot = require('../models/StockLot');
+const StockMovement = require('../models/StockMovement');
+const PriceChange = require('../models/PriceChange');
+const ScheduledPrice = require('../models/ScheduledPrice');
+const StockAlert = require('../models/StockAlert');
+const Review = require('../models/Review');
+const FishType = require('../models/FishType');
+const Order = require('../models/Order');
+const StandingOrder = require('../models/StandingOrder');
+const PurchaseOrder = require('../models/PurchaseOrder');
 const { authenticate, requireAdmin, optionalAuth } = require('../middleware/auth');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { isQuantityStep } = require('../utils/quantity');
+const { imageUpload, csvUpload } = require('../middleware/upload');
+const { MAX_IMAGES_PER_FISH, storeFishImage, removeStoredKeys, removeFishImage } = require('../utils/fishImages');
+const { rankFish } = require('../utils/fishSearch');
+const { countFacets } = require('../utils/fishFacets');
+const { fishToCsv, readFishRows, fishKey, planFishImport, summarizeImport } = require('../utils/fishCsv');
 
 const router = express.Router();
 
 // Validation rules
+
+// Catch details for the lot that new stock is received as
+const lotDetailsValidation = [
+  body('caughtAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Catch date must be a valid date'),
+
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date'),
+
+  body('supplier')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Supplier cannot exceed 100 characters')
+];
+
+// Preparation options offered for a fish
+const preparationValidation = [
+  body('preparations')
+    .optional()
+    .isArray({ max: 4 })
+    .withMessage('Preparations must be an array of at most 4 options'),
+
+  body('preparations.*.method')
+    .isIn(['whole', 'gutted', 'filleted', 'smoked'])
+    .withMessage('Preparation must be one of: whole, gutted, filleted, smoked'),
+
+  body('preparations.*.surchargePerKg')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Surcharge must be a non-negative number'),
+
+  body('preparations.*.yieldFactor')
+    .optional()
+    .isFloat({ min: 0.05, max: 1 })
+    .withMessage('Yield factor must be between 0.05 and 1'),
+
+  body('preparations.*.isAvailable')
+    .optional()
+    .isBoolean()
+    .withMessage('isAvailable must be a boolean')
+];
+
 const fishValidation = [
   body('type')
-    .isIn(['tilapia', 'omena', 'catfish', 'nileperch'])
-    .withMessage('Fish type must be one of: tilapia, omena, catfish, nileperch'),
+    .custom(value => FishType.validateSlug(value)),
   
   body('size')
-    .isInt({ min: 2, max: 8 })
-    .withMessage('Fish size must be an integer between 2 and 8'),
+    .isInt({ min: 1 })
+    .withMessage('Fish size must be a positive integer'),
   
   body('pricePerKg')
     .isFloat({ min: 0.01 })
     .withMessage('Price per kg must be a positive number'),
   
   body('stock')
-    .isInt({ min: 0 })
-    .withMessage('Stock must be a non-negative integer'),
+    .isFloat({ min: 0 })
+    .withMessage('Stock must be a non-negative number')
+    .custom(isQuantityStep)
+    .withMessage('Stock must be in 0.5 kg steps'),
+
+  body('reorderThreshold')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Reorder threshold must be a non-negative number'),
   
   body('description')
     .optional()
@@ -32,19 +101,22 @@ const fishValidation = [
   body('image')
     .optional()
     .isURL()
-    .withMessage('Image must be a valid URL')
+    .withMessage('Image must be a valid URL'),
+
+  ...preparationValidation,
+
+  ...lotDetailsValidation
 ];
 
 const updateFishValidation = [
   body('type')
     .optional()
-    .isIn(['tilapia', 'omena', 'catfish', 'nileperch'])
-    .withMessage('Fish type must be one of: tilapia, omena, catfish, nileperch'),
+    .custom(value => FishType.validateSlug(value)),
   
   body('size')
     .optional()
-    .isInt({ min: 2, max: 8 })
-    .withMessage('Fish size must be an integer between 2 and 8'),
+    .isInt({ min: 1 })
+    .withMessage('Fish size must be a positive integer'),
   
   body('pricePerKg')
     .optional()
@@ -53,8 +125,15 @@ const updateFishValidation = [
   
   body('stock')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Stock must be a non-negative integer'),
+    .isFloat({ min: 0 })
+    .withMessage('Stock must be a non-negative number')
+    .custom(isQuantityStep)
+    .withMessage('Stock must be in 0.5 kg steps'),
+
+  body('reorderThreshold')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Reorder threshold must be a non-negative number'),
   
   body('description')
     .optional()
@@ -64,19 +143,222 @@ const updateFishValidation = [
   body('image')
     .optional()
     .isURL()
-    .withMessage('Image must be a valid URL')
+    .withMessage('Image must be a valid URL'),
+
+  body('featured')
+    .optional()
+    .isBoolean()
+    .withMessage('Featured must be a boolean'),
+
+  body('reason')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Reason cannot exceed 300 characters'),
+
+  ...preparationValidation,
+
+  ...lotDetailsValidation
+];
+
+const lotValidation = [
+  body('quantity')
+    .isFloat({ min: 0.5 })
+    .withMessage('Quantity must be at least 0.5 kg')
+    .custom(isQuantityStep)
+    .withMessage('Quantity must be in 0.5 kg steps'),
+
+  body('reference')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Lot reference cannot exceed 50 characters'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Notes cannot exceed 300 characters'),
+
+  ...lotDetailsValidation
+];
+
+const movementQueryValidation = [
+  query('type')
+    .optional()
+    .isIn(['sale', 'restock', 'adjustment', 'spoilage', 'return'])
+    .withMessage('Movement type must be one of: sale, restock, adjustment, spoilage, return'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// A price to take effect later
+const scheduledPriceValidation = [
+  body('pricePerKg')
+    .isFloat({ min: 0.01 })
+    .withMessage('Price per kg must be a positive number'),
+
+  body('effectiveAt')
+    .isISO8601()
+    .withMessage('Effective date must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Effective date must be in the future'),
+
+  body('note')
+    .optional()
+    .isLength({ max: 300 })
+    .withMessage('Note cannot exceed 300 characters')
+];
+
+const priceHistoryQueryValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+// Names and fallback image from the fish type catalog
+const catalogFields = (fishType) => ({
+  typeName: fishType?.name,
+  swahiliName: fishType?.swahiliName,
+  defaultImage: fishType?.defaultImage
+});
+
+// Average of the approved reviews; null until the fish has one
+const ratingFields = (rating) => ({
+  averageRating: rating ? rating.averageRating : null,
+  reviewCount: rating ? rating.reviewCount : 0
+});
+
+// Fields PUT /:id may change; stock goes through lots and images, archiving
+// and restoring have their own endpoints
+const pickFishUpdates = ({ type, size, pricePerKg, description, image, featured, preparations, reorderThreshold }) => (
+  Object.fromEntries(Object.entries({ type, size, pricePerKg, description, image, featured, preparations, reorderThreshold })
+    .filter(([, value]) => value !== undefined))
+);
+
+const pickLotDetails = ({ caughtAt, expiresAt, supplier, reference, notes }) => ({
+  caughtAt,
+  expiresAt,
+  supplier,
+  reference,
+  notes
+});
+
+// Move a fish's stock by change kg through lots: increases are received as
+// a new lot, decreases are taken from the lots that expire first
+const changeStock = async (fish, change, session, movement, lotDetails = {}) => {
+  if (change > 0) {
+    await StockLot.receive({ fish: fish._id, quantity: change, ...lotDetails }, session, movement);
+  } else if (change < 0) {
+    await StockLot.reconcile(fish._id, session);
+    const reduced = await Fish.reserveStock(fish._id, -change, session, movement);
+
+    if (!reduced) {
+      throw new AppError('Stock changed while updating, please try again', 409);
+    }
+
+    await StockLot.allocate(fish._id, -change, session);
+  }
+};
+
+// Count the orders, standing orders and purchase orders that name each fish.
+// Returns a Map of fish ID to { orders, standingOrders, purchaseOrders }.
+const countReferences = async (fishIds) => {
+  const countBy = (Model, field) => Model.aggregate([
+    { $match: { [field]: { $in: fishIds } } },
+    { $unwind: '$items' },
+    { $match: { [field]: { $in: fishIds } } },
+    { $group: { _id: `$${field}`, documents: { $addToSet: '$_id' } } },
+    { $project: { count: { $size: '$documents' } } }
+  ]);
+
+  const [orders, standingOrders, purchaseOrders] = await Promise.all([
+    countBy(Order, 'items.fishId'),
+    countBy(StandingOrder, 'items.fishId'),
+    countBy(PurchaseOrder, 'items.fish')
+  ]);
+
+  const references = new Map(fishIds.map(id => [
+    id.toString(),
+    { orders: 0, standingOrders: 0, purchaseOrders: 0 }
+  ]));
+
+  [['orders', orders], ['standingOrders', standingOrders], ['purchaseOrders', purchaseOrders]]
+    .forEach(([name, counts]) => counts.forEach(({ _id, count }) => {
+      references.get(_id.toString())[name] = count;
+    }));
+
+  return references;
+};
+
+const isReferenced = (references) => Object.values(references).some(count => count > 0);
+
+const archivedQueryValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const importQueryValidation = [
+  query('dryRun')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dryRun must be true or false')
 ];
 
 const queryValidation = [
+  // Fish of a deactivated type stay on sale, so their type stays filterable
   query('type')
     .optional()
-    .isIn(['tilapia', 'omena', 'catfish', 'nileperch'])
-    .withMessage('Fish type must be one of: tilapia, omena, catfish, nileperch'),
+    .isString()
+    .withMessage('Fish type must be a string')
+    .bail()
+    .trim()
+    .toLowerCase()
+    .custom(async value => (await Fish.exists({ type: value, isActive: true })) || FishType.validateSlug(value)),
   
   query('size')
     .optional()
-    .isInt({ min: 2, max: 8 })
-    .withMessage('Fish size must be an integer between 2 and 8'),
+    .isInt({ min: 1 })
+    .withMessage('Fish size must be a positive integer'),
+
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+
+  query('facets')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Facets must be true or false'),
   
   query('page')
     .optional()
@@ -111,42 +393,95 @@ router.get('/', optionalAuth, queryValidation, catchAsync(async (req, res) => {
     maxPrice, 
     inStock,
     featured,
+    search,
+    facets,
     page = 1, 
     limit = 10 
   } = req.query;
 
-  // Build filter object
-  const filter = { isActive: true };
+  // Build filter object. Type, size, price and stock filters are kept apart
+  // so each facet count can leave its own filter out.
+  const baseFilter = { isActive: true };
+  const facetFilters = {};
 
-  if (type) filter.type = type;
-  if (size) filter.size = parseInt(size);
+  if (type) facetFilters.type = { type };
+  if (size) facetFilters.size = { size: parseInt(size) };
   if (minPrice || maxPrice) {
-    filter.pricePerKg = {};
-    if (minPrice) filter.pricePerKg.$gte = parseFloat(minPrice);
-    if (maxPrice) filter.pricePerKg.$lte = parseFloat(maxPrice);
+    const pricePerKg = {};
+    if (minPrice) pricePerKg.$gte = parseFloat(minPrice);
+    if (maxPrice) pricePerKg.$lte = parseFloat(maxPrice);
+    facetFilters.price = { pricePerKg };
   }
-  if (inStock === 'true') filter.stock = { $gt: 0 };
-  if (featured === 'true') filter.featured = true;
+  if (inStock === 'true') facetFilters.inStock = { stock: { $gt: 0 } };
+  if (featured === 'true') baseFilter.featured = true;
 
   // Calculate pagination
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  // Execute query with pagination
-  const [fish, totalCount] = await Promise.all([
-    Fish.find(filter)
-      .sort({ featured: -1, createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean(),
-    Fish.countDocuments(filter)
+  let fish, totalCount;
+  const matches = new Map();
+
+  if (search && search.trim()) {
+    // Rank every fish, narrow the search to the matches, then apply the other filters
+    const candidates = await Fish.find(baseFilter).select('type description featured createdAt').lean();
+    const candidateTypes = await FishType.find({
+      slug: { $in: [...new Set(candidates.map(item => item.type))] }
+    }).lean();
+
+    const ranked = rankFish(candidates, search, new Map(candidateTypes.map(fishType => [fishType.slug, fishType])));
+    baseFilter._id = { $in: ranked.map(match => match._id) };
+
+    const filtered = await Fish.find(Object.assign({}, baseFilter, ...Object.values(facetFilters))).select('_id').lean();
+    const filteredIds = new Set(filtered.map(item => item._id.toString()));
+    const results = ranked.filter(match => filteredIds.has(match._id.toString()));
+
+    const pageIds = results.slice(skip, skip + parseInt(limit)).map(match => match._id);
+    results.forEach(match => matches.set(match._id.toString(), match));
+
+    const pageFish = await Fish.find({ _id: { $in: pageIds } }).lean();
+    const fishById = new Map(pageFish.map(item => [item._id.toString(), item]));
+
+    fish = pageIds.map(id => fishById.get(id.toString())).filter(Boolean);
+    totalCount = results.length;
+  } else {
+    const filter = Object.assign({}, baseFilter, ...Object.values(facetFilters));
+
+    // Execute query with pagination
+    [fish, totalCount] = await Promise.all([
+      Fish.find(filter)
+        .sort({ featured: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Fish.countDocuments(filter)
+    ]);
+  }
+
+  const facetCounts = facets === 'true'
+    ? await countFacets(Fish, baseFilter, facetFilters)
+    : undefined;
+
+  // Catch date of the lot each fish is currently sold from, catalog names and ratings
+  const [freshness, fishTypes, ratings] = await Promise.all([
+    StockLot.freshnessFor(fish.map(item => item._id)),
+    FishType.find({ slug: { $in: [...new Set(fish.map(item => item.type))] } }).lean(),
+    Review.summaryFor(fish.map(item => item._id))
   ]);
+  const typesBySlug = new Map(fishTypes.map(fishType => [fishType.slug, fishType]));
 
   // Add computed fields
   const fishWithComputedFields = fish.map(item => ({
     ...item,
+    ...(matches.has(item._id.toString()) && {
+      searchScore: matches.get(item._id.toString()).score,
+      highlights: matches.get(item._id.toString()).highlights
+    }),
+    ...catalogFields(typesBySlug.get(item.type)),
+    preparationOptions: Fish.preparationsFor(item),
+    freshness: freshness.get(item._id.toString()) || null,
+    ...ratingFields(ratings.get(item._id.toString())),
     isAvailable: item.stock > 0,
-    stockStatus: item.stock === 0 ? 'out-of-stock' : 
-                 item.stock <= 10 ? 'low-stock' : 'in-stock'
+    stockStatus: Fish.stockStatusFor(item)
   }));
 
   const totalPages = Math.ceil(totalCount / parseInt(limit));
@@ -155,6 +490,62 @@ router.get('/', optionalAuth, queryValidation, catchAsync(async (req, res) => {
     success: true,
     data: {
       fish: fishWithComputedFields,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: parseInt(page) < totalPages,
+        hasPreviousPage: parseInt(page) > 1
+      },
+      ...(facetCounts && { facets: facetCounts })
+    }
+  });
+}));
+
+// GET /api/fish/archived - List archived fish with what still refers to them (Admin only)
+// A fish can be purged once nothing refers to it and it has no stock left.
+router.get('/archived', authenticate, requireAdmin, archivedQueryValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { page = 1, limit = 20 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const filter = { isActive: false };
+
+  const [fish, totalCount] = await Promise.all([
+    Fish.find(filter)
+      .sort({ archivedAt: -1, updatedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean(),
+    Fish.countDocuments(filter)
+  ]);
+
+  const references = await countReferences(fish.map(item => item._id));
+  const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      fish: fish.map(item => {
+        const itemReferences = references.get(item._id.toString());
+        return {
+          ...item,
+          references: itemReferences,
+          canPurge: item.stock === 0 && !isReferenced(itemReferences)
+        };
+      }),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -167,6 +558,130 @@ router.get('/', optionalAuth, queryValidation, catchAsync(async (req, res) => {
   });
 }));
 
+// GET /api/fish/export - Download the inventory as CSV, in the import format (Admin only)
+router.get('/export', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const fish = await Fish.find({ isActive: true }).sort({ type: 1, size: 1 }).lean();
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="fish-inventory-${date}.csv"`
+  });
+  res.status(200).send(fishToCsv(fish));
+}));
+
+// POST /api/fish/import - Create or update fish from a CSV file (Admin only)
+// Rows are matched on type + size. With ?dryRun=true only the report is
+// returned; otherwise nothing is written unless every row is valid.
+router.post('/import', authenticate, requireAdmin, csvUpload('file'), importQueryValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  if (!req.file) {
+    throw new AppError('Attach a CSV file in the "file" field', 400);
+  }
+
+  let rows;
+  try {
+    rows = readFishRows(req.file.buffer.toString('utf8'));
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  const [fishTypes, existing] = await Promise.all([
+    FishType.find({ isActive: true }),
+    Fish.find({ isActive: true })
+  ]);
+
+  const report = planFishImport(rows, {
+    fishTypes: new Map(fishTypes.map(fishType => [fishType.slug, fishType])),
+    existingFish: new Map(existing.map(item => [fishKey(item.type, item.size), item]))
+  });
+  const summary = summarizeImport(report);
+  const dryRun = req.query.dryRun === 'true';
+
+  if (dryRun || summary.invalid > 0) {
+    return res.status(dryRun ? 200 : 400).json({
+      success: dryRun,
+      message: summary.invalid > 0
+        ? `${summary.invalid} row${summary.invalid > 1 ? 's have' : ' has'} errors${dryRun ? '' : ', nothing was imported'}`
+        : 'Dry run, nothing was imported',
+      data: { dryRun, summary, report }
+    });
+  }
+
+  const movement = { type: 'adjustment', actor: req.user._id, note: 'CSV import' };
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      for (const entry of report) {
+        if (entry.action === 'unchanged') continue;
+
+        const { pricePerKg, stock, description } = entry.changes;
+        let fish = await Fish.findOne({ type: entry.type, size: entry.size, isActive: true }).session(session);
+
+        if (entry.action === 'create') {
+          if (fish) {
+            throw new AppError(`${entry.type} of size ${entry.size} was added while importing, please try again`, 409);
+          }
+
+          fish = new Fish({ type: entry.type, size: entry.size, pricePerKg: pricePerKg.to, stock: 0, description: description?.to });
+          await fish.save({ session });
+          await PriceChange.record({ fish: fish._id, newPrice: fish.pricePerKg, source: 'created', changedBy: req.user._id }, session);
+
+          if (stock?.to > 0) {
+            await StockLot.receive({ fish: fish._id, quantity: stock.to }, session, { actor: req.user._id, note: 'Opening stock (CSV import)' });
+          }
+          continue;
+        }
+
+        if (!fish) {
+          throw new AppError(`${entry.type} of size ${entry.size} was removed while importing, please try again`, 409);
+        }
+
+        const oldPrice = fish.pricePerKg;
+        if (pricePerKg) fish.pricePerKg = pricePerKg.to;
+        if (description) fish.description = description.to;
+        await fish.save({ session });
+
+        await PriceChange.record({
+          fish: fish._id,
+          oldPrice,
+          newPrice: fish.pricePerKg,
+          source: 'manual',
+          changedBy: req.user._id,
+          note: 'CSV import'
+        }, session);
+
+        if (stock) {
+          await changeStock(fish, stock.to - fish.stock, session, movement);
+        }
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  console.log(`✅ Fish imported: ${summary.create} added, ${summary.update} updated by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: `Imported ${summary.create} new and ${summary.update} updated fish`,
+    data: { dryRun, summary, report }
+  });
+}));
+
 // GET /api/fish/:id - Get specific fish by ID
 router.get('/:id', catchAsync(async (req, res) => {
   const fish = await Fish.findOne({ 
@@ -178,14 +693,23 @@ router.get('/:id', catchAsync(async (req, res) => {
     throw new AppError('Fish not found', 404);
   }
 
+  const [freshness, fishType, ratings] = await Promise.all([
+    StockLot.freshnessFor([fish._id]),
+    FishType.findOne({ slug: fish.type }).lean(),
+    Review.summaryFor([fish._id])
+  ]);
+
   res.status(200).json({
     success: true,
     data: {
       fish: {
         ...fish.toObject(),
+        ...catalogFields(fishType),
+        preparationOptions: Fish.preparationsFor(fish),
+        freshness: freshness.get(fish._id.toString()) || null,
+        ...ratingFields(ratings.get(fish._id.toString())),
         isAvailable: fish.stock > 0,
-        stockStatus: fish.stock === 0 ? 'out-of-stock' : 
-                     fish.stock <= 10 ? 'low-stock' : 'in-stock'
+        stockStatus: Fish.stockStatusFor(fish)
       }
     }
   });
@@ -206,7 +730,7 @@ router.post('/', authenticate, requireAdmin, fishValidation, catchAsync(async (r
     });
   }
 
-  const { type, size, pricePerKg, stock, description, image, nutritionalInfo } = req.body;
+  const { type, size, pricePerKg, stock, reorderThreshold, description, image, nutritionalInfo, preparations } = req.body;
 
   // Check if fish with same type and size already exists
   const existingFish = await Fish.findOne({ type, size, isActive: true });
@@ -217,18 +741,38 @@ router.post('/', authenticate, requireAdmin, fishValidation, catchAsync(async (r
     });
   }
 
-  // Create new fish
+  // Create new fish; its opening stock is received as the first lot
   const fish = new Fish({
     type,
     size,
     pricePerKg,
-    stock,
+    stock: 0,
+    reorderThreshold,
     description,
     image,
-    nutritionalInfo
+    nutritionalInfo,
+    preparations
   });
 
-  await fish.save();
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await fish.save({ session });
+      await PriceChange.record({ fish: fish._id, newPrice: fish.pricePerKg, source: 'created', changedBy: req.user._id }, session);
+
+      if (stock > 0) {
+        await StockLot.receive(
+          { fish: fish._id, quantity: stock, ...pickLotDetails(req.body) },
+          session,
+          { actor: req.user._id, note: 'Opening stock' }
+        );
+        fish.stock = stock;
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+  fish.$session(null);
 
   console.log(`✅ New fish added: ${type} size ${size} by admin ${req.user.email}`);
 
@@ -282,9 +826,47 @@ router.put('/:id', authenticate, requireAdmin, updateFishValidation, catchAsync(
     }
   }
 
-  // Update fish
-  Object.assign(fish, req.body);
-  await fish.save();
+  // Stock changes go through lots: increases are received as a new lot,
+  // decreases are taken from the lots that expire first
+  const { stock, caughtAt, expiresAt, supplier, reason } = req.body;
+  const updates = pickFishUpdates(req.body);
+  const change = stock !== undefined ? stock - fish.stock : 0;
+  const movement = { type: 'adjustment', actor: req.user._id, note: reason };
+  const oldPrice = fish.pricePerKg;
+  const { stock: oldStock, reorderThreshold: oldThreshold } = fish;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      Object.assign(fish, updates);
+      await fish.save({ session });
+
+      await PriceChange.record({
+        fish: fish._id,
+        oldPrice,
+        newPrice: fish.pricePerKg,
+        source: 'manual',
+        changedBy: req.user._id,
+        note: reason
+      }, session);
+
+      await changeStock(fish, change, session, movement, { caughtAt, expiresAt, supplier });
+
+      // A new threshold can raise or resolve an alert without any stock moving
+      if (fish.reorderThreshold !== oldThreshold) {
+        await StockAlert.checkStock({
+          fish: fish._id,
+          stockBefore: oldStock,
+          stockAfter: oldStock + change,
+          thresholdBefore: oldThreshold
+        }, session);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+  fish.$session(null);
+  fish.stock = stock !== undefined ? stock : fish.stock;
 
   console.log(`✅ Fish updated: ${fish.type} size ${fish.size} by admin ${req.user.email}`);
 
@@ -295,6 +877,367 @@ router.put('/:id', authenticate, requireAdmin, updateFishValidation, catchAsync(
   });
 }));
 
+// GET /api/fish/:id/lots - List a fish's stock lots (Admin only)
+router.get('/:id/lots', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const fish = await Fish.findById(req.params.id).select('type size stock');
+
+  if (!fish) {
+    throw new AppError('Fish not found', 404);
+  }
+
+  // Only lots still on sale unless ?status=all or a specific status is asked for
+  const filter = { fish: fish._id };
+  if (req.query.status !== 'all') {
+    filter.status = ['active', 'depleted', 'expired'].includes(req.query.status)
+      ? req.query.status
+      : 'active';
+  }
+
+  const lots = await StockLot.find(filter).sort({ expiresAt: 1, caughtAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    data: { fish, lots }
+  });
+}));
+
+// POST /api/fish/:id/lots - Receive a new lot of stock (Admin only)
+router.post('/:id/lots', authenticate, requireAdmin, lotValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const fish = await Fish.findOne({ _id: req.params.id, isActive: true });
+
+  if (!fish) {
+    throw new AppError('Fish not found', 404);
+  }
+
+  const session = await mongoose.startSession();
+  let lot;
+  try {
+    await session.withTransaction(async () => {
+      lot = await StockLot.receive({
+        fish: fish._id,
+        quantity: req.body.quantity,
+        ...pickLotDetails(req.body)
+      }, session, { actor: req.user._id });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  console.log(`✅ Lot received: ${lot.quantity}kg of ${fish.type} size ${fish.size} by admin ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Lot received successfully',
+    data: { lot }
+  });
+}));
+
+// GET /api/fish/:id/movements - Stock movement ledger for reconciliation (Admin only)
+router.get('/:id/movements', authenticate, requireAdmin, movementQueryValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const fish = await Fish.findById(req.params.id).select('type size stock');
+
+  if (!fish) {
+    throw new AppError('Fish not found', 404);
+  }
+
+  const { type, from, to, page = 1, limit = 50 } = req.query;
+
+  const filter = { fish: fish._id };
+  if (type) filter.type = type;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [movements, totalCount, totals] = await Promise.all([
+    StockMovement.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('actor', 'name email role')
+      .populate('order', 'orderNumber status'),
+    StockMovement.countDocuments(filter),
+    StockMovement.aggregate([
+      { $match: filter },
+      { $group: { _id: '$type', quantity: { $sum: '$quantity' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      fish,
+      movements,
+      totals: totals.reduce((byType, total) => ({
+        ...byType,
+        [total._id]: { quantity: total.quantity, count: total.count }
+      }), {}),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: parseInt(page) < totalPages,
+        hasPreviousPage: parseInt(page) > 1
+      }
+    }
+  });
+}));
+
+// GET /api/fish/:id/price-history - Price changes and upcoming scheduled prices (Admin only)
+router.get('/:id/price-history', authenticate, requireAdmin, priceHistoryQueryValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const fish = await Fish.findById(req.params.id).select('type size pricePerKg');
+
+  if (!fish) {
+    throw new AppError('Fish not found', 404);
+  }
+
+  const { from, to } = req.query;
+
+  const filter = { fish: fish._id };
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  // Oldest first, ready to plot
+  const [history, scheduled] = await Promise.all([
+    PriceChange.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('changedBy', 'name email'),
+    ScheduledPrice.findUpcoming(fish._id)
+      .populate('createdBy', 'name email')
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      fish,
+      history,
+      scheduled
+    }
+  });
+}));
+
+// POST /api/fish/:id/scheduled-prices - Schedule a future price (Admin only)
+router.post('/:id/scheduled-prices', authenticate, requireAdmin, scheduledPriceValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const fish = await Fish.findOne({ _id: req.params.id, isActive: true }).select('type size');
+
+  if (!fish) {
+    throw new AppError('Fish not found', 404);
+  }
+
+  const { pricePerKg, effectiveAt, note } = req.body;
+
+  const scheduled = await ScheduledPrice.create({
+    fish: fish._id,
+    pricePerKg,
+    effectiveAt,
+    note,
+    createdBy: req.user._id
+  });
+
+  console.log(`✅ Price KSh ${pricePerKg}/kg scheduled for ${fish.type} size ${fish.size} from ${scheduled.effectiveAt.toISOString()} by admin ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Price change scheduled',
+    data: { scheduled }
+  });
+}));
+
+// DELETE /api/fish/:id/scheduled-prices/:scheduleId - Cancel a scheduled price (Admin only)
+router.delete('/:id/scheduled-prices/:scheduleId', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const scheduled = await ScheduledPrice.findOneAndUpdate(
+    { _id: req.params.scheduleId, fish: req.params.id, status: 'pending' },
+    { status: 'cancelled', cancelledAt: new Date(), cancelledBy: req.user._id },
+    { new: true }
+  );
+
+  if (!scheduled) {
+    throw new AppError('Scheduled price not found or already applied', 404);
+  }
+
+  console.log(`✅ Scheduled price ${scheduled._id} cancelled by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Scheduled price cancelled',
+    data: { scheduled }
+  });
+}));
+
+// POST /api/fish/:id/images - Upload gallery images (Admin only)
+// Multipart form with up to 10 files in the "images" field
+router.post('/:id/images', authenticate, requireAdmin, imageUpload('images'), catchAsync(async (req, res) => {
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    throw new AppError('Attach at least one image in the "images" field', 400);
+  }
+
+  const fish = await Fish.findOne({ _id: req.params.id, isActive: true });
+
+  if (!fish) {
+    throw new AppError('Fish not found', 404);
+  }
+
+  if (fish.images.length + files.length > MAX_IMAGES_PER_FISH) {
+    throw new AppError(`A fish can have at most ${MAX_IMAGES_PER_FISH} images (${fish.images.length} already uploaded)`, 400);
+  }
+
+  const images = [];
+  try {
+    for (const file of files) {
+      images.push(await storeFishImage(fish._id, file, req.user._id));
+    }
+  } catch (error) {
+    await removeStoredKeys(images.flatMap(image => image.keys));
+    throw error;
+  }
+
+  // Only add them if the gallery still has room (another upload may have won)
+  const updated = await Fish.findOneAndUpdate(
+    { _id: fish._id, [`images.${MAX_IMAGES_PER_FISH - images.length}`]: { $exists: false } },
+    { $push: { images: { $each: images } } },
+    { new: true }
+  );
+
+  if (!updated) {
+    await removeStoredKeys(images.flatMap(image => image.keys));
+    throw new AppError(`A fish can have at most ${MAX_IMAGES_PER_FISH} images`, 409);
+  }
+
+  console.log(`✅ ${images.length} image(s) uploaded for ${fish.type} size ${fish.size} by admin ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Images uploaded successfully',
+    data: { images: updated.images }
+  });
+}));
+
+// POST /api/fish/:id/images/:imageId/cover - Make an image the gallery cover (Admin only)
+router.post('/:id/images/:imageId/cover', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.imageId)) {
+    throw new AppError('Image not found', 404);
+  }
+
+  const imageId = new mongoose.Types.ObjectId(req.params.imageId);
+
+  // Move the image to the front, keeping the others in order
+  const fish = await Fish.findOneAndUpdate(
+    { _id: req.params.id, 'images._id': imageId },
+    [{
+      $set: {
+        images: {
+          $concatArrays: [
+            { $filter: { input: '$images', cond: { $eq: ['$$this._id', imageId] } } },
+            { $filter: { input: '$images', cond: { $ne: ['$$this._id', imageId] } } }
+          ]
+        }
+      }
+    }],
+    { new: true }
+  );
+
+  if (!fish) {
+    throw new AppError('Image not found', 404);
+  }
+
+  console.log(`✅ Cover image changed for ${fish.type} size ${fish.size} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Cover image updated successfully',
+    data: { images: fish.images }
+  });
+}));
+
+// DELETE /api/fish/:id/images/:imageId - Remove a gallery image and its files (Admin only)
+router.delete('/:id/images/:imageId', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const fish = await Fish.findById(req.params.id).select('+images.keys');
+  const image = fish?.images.id(req.params.imageId);
+
+  if (!image) {
+    throw new AppError('Image not found', 404);
+  }
+
+  const updated = await Fish.findByIdAndUpdate(
+    fish._id,
+    { $pull: { images: { _id: image._id } } },
+    { new: true }
+  );
+
+  await removeFishImage(image);
+
+  console.log(`✅ Image removed from ${fish.type} size ${fish.size} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Image removed successfully',
+    data: { images: updated.images }
+  });
+}));
+
 // DELETE /api/fish/:id - Soft delete fish (Admin only)
 router.delete('/:id', authenticate, requireAdmin, catchAsync(async (req, res) => {
   const fish = await Fish.findOne({ _id: req.params.id, isActive: true });
@@ -303,10 +1246,16 @@ router.delete('/:id', authenticate, requireAdmin, catchAsync(async (req, res) =>
     throw new AppError('Fish not found', 404);
   }
 
-  // Soft delete by setting isActive to false
+  // Soft delete by setting isActive to false; its alerts no longer need attention
   fish.isActive = false;
+  fish.archivedAt = new Date();
   await fish.save();
 
+  await StockAlert.updateMany(
+    { fish: fish._id, status: { $ne: 'resolved' } },
+    { status: 'resolved', resolvedAt: new Date() }
+  );
+
   console.log(`✅ Fish deleted: ${fish.type} size ${fish.size} by admin ${req.user.email}`);
 
   res.status(200).json({
@@ -315,34 +1264,119 @@ router.delete('/:id', authenticate, requireAdmin, catchAsync(async (req, res) =>
   });
 }));
 
+// POST /api/fish/:id/restore - Bring an archived fish back into the inventory (Admin only)
+router.post('/:id/restore', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const fish = await Fish.findOne({ _id: req.params.id, isActive: false });
+
+  if (!fish) {
+    throw new AppError('Archived fish not found', 404);
+  }
+
+  if (!await FishType.findActiveBySlug(fish.type)) {
+    throw new AppError(`Fish type ${fish.type} is no longer in the catalog`, 409);
+  }
+
+  const duplicate = await Fish.findOne({ type: fish.type, size: fish.size, isActive: true });
+  if (duplicate) {
+    return res.status(409).json({
+      success: false,
+      message: `${fish.type} of size ${fish.size} already exists in inventory`
+    });
+  }
+
+  fish.isActive = true;
+  fish.archivedAt = undefined;
+  await fish.save();
+
+  console.log(`✅ Fish restored: ${fish.type} size ${fish.size} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Fish restored to inventory successfully',
+    data: { fish }
+  });
+}));
+
+// DELETE /api/fish/:id/purge - Permanently delete an archived fish (Admin only)
+// Only fish that no order, standing order or purchase order refers to and
+// that have no stock left. Lots, scheduled prices, alerts and images go with
+// it; stock movements and price history are kept.
+router.delete('/:id/purge', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const fish = await Fish.findOne({ _id: req.params.id, isActive: false }).select('+images.keys');
+
+  if (!fish) {
+    throw new AppError('Archived fish not found', 404);
+  }
+
+  if (fish.stock > 0) {
+    throw new AppError(`${fish.type} size ${fish.size} still has ${fish.stock}kg in stock; restore it and write the stock off first`, 409);
+  }
+
+  const references = (await countReferences([fish._id])).get(fish._id.toString());
+  if (isReferenced(references)) {
+    return res.status(409).json({
+      success: false,
+      message: `${fish.type} size ${fish.size} is still referenced and cannot be purged`,
+      data: { references }
+    });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await StockLot.deleteMany({ fish: fish._id }, { session });
+      await ScheduledPrice.deleteMany({ fish: fish._id }, { session });
+      await StockAlert.deleteMany({ fish: fish._id }, { session });
+      await Fish.deleteOne({ _id: fish._id }, { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await removeStoredKeys(fish.images.flatMap(image => image.keys || []));
+
+  console.log(`✅ Fish purged: ${fish.type} size ${fish.size} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Fish permanently deleted'
+  });
+}));
+
 // GET /api/fish/types/summary - Get summary of fish types and their availability
 router.get('/types/summary', catchAsync(async (req, res) => {
-  const summary = await Fish.aggregate([
+  // Every active catalog type, including those with nothing in stock yet
+  const summary = await FishType.aggregate([
     { $match: { isActive: true } },
     {
-      $group: {
-        _id: '$type',
-        totalStock: { $sum: '$stock' },
-        avgPrice: { $avg: '$pricePerKg' },
-        minPrice: { $min: '$pricePerKg' },
-        maxPrice: { $max: '$pricePerKg' },
-        sizes: { $addToSet: '$size' },
-        count: { $sum: 1 }
+      $lookup: {
+        from: Fish.collection.name,
+        let: { slug: '$slug' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$type', '$$slug'] }, { $eq: ['$isActive', true] }] } } }
+        ],
+        as: 'fish'
       }
     },
     {
       $project: {
-        type: '$_id',
-        totalStock: 1,
-        avgPrice: { $round: ['$avgPrice', 2] },
-        minPrice: 1,
-        maxPrice: 1,
-        sizes: { $sortArray: { input: '$sizes', sortBy: 1 } },
-        varietyCount: '$count',
-        isAvailable: { $gt: ['$totalStock', 0] }
+        type: '$slug',
+        name: 1,
+        swahiliName: 1,
+        defaultImage: 1,
+        minSize: 1,
+        maxSize: 1,
+        sortOrder: 1,
+        totalStock: { $sum: '$fish.stock' },
+        avgPrice: { $round: [{ $avg: '$fish.pricePerKg' }, 2] },
+        minPrice: { $min: '$fish.pricePerKg' },
+        maxPrice: { $max: '$fish.pricePerKg' },
+        sizes: { $sortArray: { input: { $setUnion: ['$fish.size', []] }, sortBy: 1 } },
+        varietyCount: { $size: '$fish' },
+        isAvailable: { $gt: [{ $sum: '$fish.stock' }, 0] }
       }
     },
-    { $sort: { type: 1 } }
+    { $sort: { sortOrder: 1, type: 1 } }
   ]);
 
   res.status(200).json({
@@ -0,0 +1,191 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const FishType = require('../models/FishType');
+const Fish = require('../models/Fish');
+const { authenticate, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Validation rules (slug, name and the size range are optional on update)
+const fishTypeValidation = (isUpdate = false) => [
+  isUpdate
+    ? body('slug').not().exists().withMessage('Fish type key cannot be changed')
+    : body('slug')
+      .trim()
+      .matches(/^[a-zA-Z][a-zA-Z0-9-]{1,29}$/)
+      .withMessage('Fish type key must be 2-30 letters, numbers or dashes'),
+
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Display name must be between 1 and 50 characters'),
+
+  body('swahiliName')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Swahili name cannot exceed 50 characters'),
+
+  body('defaultImage')
+    .optional({ checkFalsy: true })
+    .isURL()
+    .withMessage('Default image must be a valid URL'),
+
+  (isUpdate ? body('minSize').optional() : body('minSize'))
+    .isInt({ min: 1 })
+    .withMessage('Minimum size must be a positive integer'),
+
+  (isUpdate ? body('maxSize').optional() : body('maxSize'))
+    .isInt({ min: 1 })
+    .withMessage('Maximum size must be a positive integer'),
+
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be an integer'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const fishTypeFields = ['slug', 'name', 'swahiliName', 'defaultImage', 'minSize', 'maxSize', 'sortOrder', 'isActive'];
+
+const pickFishTypeFields = (source) => fishTypeFields.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// GET /api/fish-types - List the catalog (admins can add ?all=true for inactive types)
+router.get('/', optionalAuth, catchAsync(async (req, res) => {
+  const includeInactive = req.query.all === 'true' && req.user?.role === 'admin';
+
+  const fishTypes = includeInactive
+    ? await FishType.find().sort({ sortOrder: 1, name: 1 })
+    : await FishType.findActive();
+
+  res.status(200).json({
+    success: true,
+    data: { fishTypes }
+  });
+}));
+
+// GET /api/fish-types/:id - Get a fish type
+router.get('/:id', catchAsync(async (req, res) => {
+  const fishType = await FishType.findById(req.params.id);
+
+  if (!fishType) {
+    throw new AppError('Fish type not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { fishType }
+  });
+}));
+
+// POST /api/fish-types - Add a fish type to the catalog (Admin only)
+router.post('/', authenticate, requireAdmin, fishTypeValidation(), catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const existing = await FishType.findOne({ slug: req.body.slug.toLowerCase() });
+  if (existing) {
+    return res.status(409).json({
+      success: false,
+      message: `Fish type ${existing.slug} already exists`
+    });
+  }
+
+  const fishType = new FishType(pickFishTypeFields(req.body));
+  await fishType.save();
+
+  console.log(`✅ Fish type added: ${fishType.slug} by admin ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Fish type added successfully',
+    data: { fishType }
+  });
+}));
+
+// PUT /api/fish-types/:id - Update a fish type (Admin only)
+router.put('/:id', authenticate, requireAdmin, fishTypeValidation(true), catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const fishType = await FishType.findById(req.params.id);
+
+  if (!fishType) {
+    throw new AppError('Fish type not found', 404);
+  }
+
+  Object.assign(fishType, pickFishTypeFields(req.body));
+
+  // A narrower size range must still cover the fish already listed
+  if (fishType.isModified('minSize') || fishType.isModified('maxSize')) {
+    const outOfRange = await Fish.countDocuments({
+      type: fishType.slug,
+      isActive: true,
+      $or: [{ size: { $lt: fishType.minSize } }, { size: { $gt: fishType.maxSize } }]
+    });
+
+    if (outOfRange > 0) {
+      throw new AppError(`${outOfRange} listed ${fishType.name} fish fall outside the new size range`, 409);
+    }
+  }
+
+  await fishType.save();
+
+  console.log(`✅ Fish type updated: ${fishType.slug} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Fish type updated successfully',
+    data: { fishType }
+  });
+}));
+
+// DELETE /api/fish-types/:id - Deactivate a fish type (Admin only)
+// Fish already listed under it stay on sale; no new fish can use it.
+router.delete('/:id', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const fishType = await FishType.findOne({ _id: req.params.id, isActive: true });
+
+  if (!fishType) {
+    throw new AppError('Fish type not found', 404);
+  }
+
+  fishType.isActive = false;
+  await fishType.save();
+
+  console.log(`✅ Fish type deactivated: ${fishType.slug} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Fish type deactivated successfully'
+  });
+}));
+
+module.exports = router;
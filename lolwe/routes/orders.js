@@ -1,10 +1,15 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, query, validationResult } = require('express-validator');
 const Order = require('../models/Order');
-const Fish = require('../models/Fish');
 const User = require('../models/User');
+const Payment = require('../models/Payment');
 const { authenticate, requireAdmin, requireClient } = require('../middleware/auth');
 const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
+const { placeOrder } = require('../utils/orderPlacement');
+const { generateInvoicePdf } = require('../utils/invoicePdf');
+const { isQuantityStep } = require('../utils/quantity');
 
 const router = express.Router();
 
@@ -19,10 +24,19 @@ const createOrderValidation = [
     .withMessage('Fish ID must be a valid MongoDB ObjectId'),
   
   body('items.*.quantity')
-    .isFloat({ min: 1 })
-    .withMessage('Quantity must be at least 1 kg'),
+    .isFloat({ min: 0.5 })
+    .withMessage('Quantity must be at least 0.5 kg')
+    .custom(isQuantityStep)
+    .withMessage('Quantity must be in 0.5 kg steps'),
   
+  body('items.*.preparation')
+    .optional()
+    .isIn(['whole', 'gutted', 'filleted', 'smoked'])
+    .withMessage('Preparation must be one of: whole, gutted, filleted, smoked'),
+  
+  // Defaults to the customer's profile address
   body('deliveryAddress')
+    .optional()
     .trim()
     .isLength({ min: 10, max: 200 })
     .withMessage('Delivery address must be between 10 and 200 characters'),
@@ -30,7 +44,33 @@ const createOrderValidation = [
   body('notes')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Notes cannot exceed 500 characters')
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  body('zoneId')
+    .optional()
+    .isMongoId()
+    .withMessage('Zone ID must be a valid MongoDB ObjectId'),
+
+  body('location.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('location.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  body('slotId')
+    .optional()
+    .isMongoId()
+    .withMessage('Slot ID must be a valid MongoDB ObjectId'),
+
+  body('couponCode')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage('Promo code must be between 3 and 30 characters')
 ];
 
 const updateOrderValidation = [
@@ -41,7 +81,18 @@ const updateOrderValidation = [
   body('adminNotes')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Admin notes cannot exceed 500 characters')
+    .withMessage('Admin notes cannot exceed 500 characters'),
+
+  body('weights')
+    .optional()
+    .custom((value, { req }) => req.body.status === 'shipped')
+    .withMessage('Weights can only be recorded when shipping an order')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Weights must be an array with one weight per item'),
+
+  body('weights.*')
+    .isFloat({ min: 0.001, max: 1000 })
+    .withMessage('Each weight must be a positive number of kg')
 ];
 
 const queryValidation = [
@@ -61,8 +112,87 @@ const queryValidation = [
     .withMessage('Limit must be between 1 and 100')
 ];
 
+const cancelOrderValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Cancellation reason cannot exceed 500 characters')
+];
+
+// Load an order and apply a status change inside a transaction, so that
+// restocking on cancellation happens exactly once
+const changeOrderStatus = async (orderId, applyChange) => {
+  const session = await mongoose.startSession();
+  let order;
+
+  try {
+    await session.withTransaction(async () => {
+      order = await Order.findById(orderId).session(session);
+
+      if (!order) {
+        throw new AppError('Order not found', 404);
+      }
+
+      try {
+        await applyChange(order);
+      } catch (error) {
+        if (error.message.includes('Cannot change status')) {
+          throw new AppError(error.message, 400);
+        }
+        throw error;
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Detach the ended session so later queries (e.g. populate) don't reuse it
+  order.$session(null);
+  return order;
+};
+
+// Emit real-time update (this will be handled by socket.io in server.js)
+const emitOrderUpdate = (req, order) => {
+  req.app.get('io').to(`order-${order._id}`).emit('orderUpdate', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    updatedAt: order.updatedAt
+  });
+};
+
+// Tell the customer what their order weighed and what they now owe, before
+// they are asked to pay
+const notifyWeighing = async (req, order) => {
+  const amountPaid = await Payment.totalPaid(order._id);
+  const customerId = order.userId._id || order.userId;
+  const weighing = {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    items: order.items.map(item => ({
+      fishType: item.fishType,
+      fishSize: item.fishSize,
+      quantity: item.quantity,
+      actualWeight: item.actualWeight,
+      subtotal: item.subtotal
+    })),
+    estimatedTotal: order.weighing.estimatedTotal,
+    grandTotal: order.grandTotal,
+    difference: order.weighing.difference,
+    amountPaid,
+    balanceDue: Math.ceil(order.grandTotal) - amountPaid
+  };
+
+  const io = req.app.get('io');
+  io.to(`order-${order._id}`).emit('orderWeighed', weighing);
+  io.to(`user-${customerId}`).emit('orderWeighed', weighing);
+
+  console.log(`⚖️ Order ${order.orderNumber} weighed: KSh ${weighing.estimatedTotal} estimated, KSh ${weighing.grandTotal} final`);
+};
+
 // POST /api/orders - Create new order (Clients only)
-router.post('/', authenticate, requireClient, createOrderValidation, catchAsync(async (req, res) => {
+router.post('/', authenticate, requireClient, idempotency(), createOrderValidation, catchAsync(async (req, res) => {
   // Check validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -76,72 +206,26 @@ router.post('/', authenticate, requireClient, createOrderValidation, catchAsync(
     });
   }
 
-  const { items, deliveryAddress, notes } = req.body;
-  const userId = req.user._id;
-
-  // Validate and prepare order items
-  const orderItems = [];
-  let totalPrice = 0;
-
-  for (const item of items) {
-    // Find fish and check availability
-    const fish = await Fish.findById(item.fishId);
-    
-    if (!fish || !fish.isActive) {
-      throw new AppError(`Fish with ID ${item.fishId} not found`, 404);
-    }
-
-    if (!fish.hasStock(item.quantity)) {
-      throw new AppError(
-        `Insufficient stock for ${fish.type} size ${fish.size}. Available: ${fish.stock}kg, Requested: ${item.quantity}kg`,
-        400
-      );
-    }
-
-    // Prepare order item
-    const subtotal = item.quantity * fish.pricePerKg;
-    orderItems.push({
-      fishId: fish._id,
-      fishType: fish.type,
-      fishSize: fish.size,
-      quantity: item.quantity,
-      pricePerKg: fish.pricePerKg,
-      subtotal
-    });
-
-    totalPrice += subtotal;
-  }
-
-  // Generate order number
-  const orderNumber = await Order.generateOrderNumber();
-
-  // Create order
-  const order = new Order({
-    userId,
-    orderNumber,
-    items: orderItems,
-    totalPrice,
-    deliveryAddress: deliveryAddress || req.user.deliveryAddress,
-    notes
+  const { items, deliveryAddress, notes, zoneId, location, slotId, couponCode } = req.body;
+
+  const order = await placeOrder({
+    user: req.user,
+    items,
+    deliveryAddress,
+    notes,
+    zoneId,
+    location,
+    slotId,
+    couponCode
   });
 
-  await order.save();
-
-  // Update fish stock
-  for (const item of items) {
-    await Fish.findByIdAndUpdate(
-      item.fishId,
-      { $inc: { stock: -item.quantity } }
-    );
-  }
-
   // Populate order data for response
   await order.populate([
     { path: 'userId', select: 'name email' },
     { path: 'items.fishId', select: 'type size image' }
   ]);
 
-  console.log(`✅ New order created: ${orderNumber} by ${req.user.email}`);
+  console.log(`✅ New order created: ${order.orderNumber} by ${req.user.email}`);
 
   res.status(201).json({
     success: true,
@@ -227,6 +311,69 @@ router.get('/:id', authenticate, catchAsync(async (req, res) => {
   });
 }));
 
+// GET /api/orders/:id/timeline - Get order status history
+router.get('/:id/timeline', authenticate, catchAsync(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .select('userId orderNumber status statusHistory createdAt')
+    .populate('statusHistory.actor', 'name role');
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  // Check if user can access this order
+  if (req.user.role === 'client' && order.userId.toString() !== req.user._id.toString()) {
+    throw new AppError('Access denied. You can only view your own orders.', 403);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      timeline: order.statusHistory
+    }
+  });
+}));
+
+// GET /api/orders/:id/invoice.pdf - Download the order invoice
+router.get('/:id/invoice.pdf', authenticate, catchAsync(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .populate('userId', 'name email phone');
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  // Check if user can access this order
+  if (req.user.role === 'client' && order.userId._id.toString() !== req.user._id.toString()) {
+    throw new AppError('Access denied. You can only view your own orders.', 403);
+  }
+
+  if (order.status === 'cancelled') {
+    throw new AppError('Cancelled orders cannot be invoiced', 400);
+  }
+
+  // Totals are final once the order is weighed and shipped, so numbered
+  // invoices are only issued from then on
+  if (!['shipped', 'delivered'].includes(order.status)) {
+    throw new AppError(`Orders can only be invoiced once shipped (status: ${order.status})`, 400);
+  }
+
+  // The invoice number is fixed the first time the invoice is downloaded
+  await order.assignInvoiceNumber();
+
+  const pdf = await generateInvoicePdf(order);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${order.invoiceNumber}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.status(200).send(pdf);
+}));
+
 // PUT /api/orders/:id - Update order status (Admin only)
 router.put('/:id', authenticate, requireAdmin, updateOrderValidation, catchAsync(async (req, res) => {
   // Check validation errors
@@ -242,55 +389,112 @@ router.put('/:id', authenticate, requireAdmin, updateOrderValidation, catchAsync
     });
   }
 
-  const { status, adminNotes } = req.body;
-  
-  const order = await Order.findById(req.params.id);
-  
-  if (!order) {
-    throw new AppError('Order not found', 404);
-  }
+  const { status, adminNotes, weights } = req.body;
 
-  try {
-    // Use the model method to update status with validation
-    await order.updateStatus(status, adminNotes);
+  // Use the model method to update status with validation; weights recorded
+  // at dispatch are billed in the same transaction
+  const order = await changeOrderStatus(req.params.id, async (order) => {
+    if (weights) {
+      if (order.status !== 'processing') {
+        throw new AppError(`Cannot change status from ${order.status} to ${status}`, 400);
+      }
 
-    // Populate for response
-    await order.populate([
-      { path: 'userId', select: 'name email' },
-      { path: 'items.fishId', select: 'type size' }
-    ]);
+      if (weights.length !== order.items.length) {
+        throw new AppError(`Expected ${order.items.length} weights, one per item`, 400);
+      }
 
-    console.log(`✅ Order ${order.orderNumber} status updated to ${status} by admin ${req.user.email}`);
+      await order.recordWeights(weights.map(Number), req.user._id);
+    }
 
-    // Emit real-time update (this will be handled by socket.io in server.js)
-    req.app.get('io').to(`order-${order._id}`).emit('orderUpdate', {
-      orderId: order._id,
-      orderNumber: order.orderNumber,
-      status: order.status,
-      updatedAt: order.updatedAt
-    });
+    return order.updateStatus(status, adminNotes, req.user._id);
+  });
+
+  // Populate for response
+  await order.populate([
+    { path: 'userId', select: 'name email' },
+    { path: 'items.fishId', select: 'type size' }
+  ]);
+
+  console.log(`✅ Order ${order.orderNumber} status updated to ${status} by admin ${req.user.email}`);
+
+  emitOrderUpdate(req, order);
+
+  if (weights) {
+    await notifyWeighing(req, order);
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Order status updated successfully',
-      data: { order }
+  res.status(200).json({
+    success: true,
+    message: 'Order status updated successfully',
+    data: { order }
+  });
+}));
+
+// POST /api/orders/:id/cancel - Cancel a pending order (Order owner)
+router.post('/:id/cancel', authenticate, requireClient, cancelOrderValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
     });
-  } catch (error) {
-    if (error.message.includes('Cannot change status')) {
-      throw new AppError(error.message, 400);
-    }
-    throw error;
   }
+
+  const { reason } = req.body;
+
+  const order = await changeOrderStatus(req.params.id, (order) => {
+    // Check if user can cancel this order
+    if (req.user.role === 'client' && order.userId.toString() !== req.user._id.toString()) {
+      throw new AppError('Access denied. You can only cancel your own orders.', 403);
+    }
+
+    if (order.status !== 'pending') {
+      throw new AppError(`Order can no longer be cancelled (status: ${order.status})`, 400);
+    }
+
+    if (reason) {
+      order.cancellationReason = reason;
+    }
+
+    return order.updateStatus('cancelled', '', req.user._id, reason);
+  });
+
+  // Populate for response
+  await order.populate([
+    { path: 'userId', select: 'name email' },
+    { path: 'items.fishId', select: 'type size' }
+  ]);
+
+  console.log(`✅ Order ${order.orderNumber} cancelled by ${req.user.email}`);
+
+  emitOrderUpdate(req, order);
+
+  res.status(200).json({
+    success: true,
+    message: 'Order cancelled successfully',
+    data: { order }
+  });
 }));
 
 // GET /api/orders/stats/summary - Get order statistics (Admin only)
 router.get('/stats/summary', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  // Net revenue is what customers paid for items after promo codes
+  const netPrice = { $subtract: ['$totalPrice', { $ifNull: ['$discount.amount', 0] }] };
+
   const stats = await Order.aggregate([
     {
       $group: {
         _id: null,
         totalOrders: { $sum: 1 },
         totalRevenue: { $sum: '$totalPrice' },
+        grossRevenue: { $sum: '$totalPrice' },
+        totalDiscounts: { $sum: { $ifNull: ['$discount.amount', 0] } },
+        netRevenue: { $sum: netPrice },
         avgOrderValue: { $avg: '$totalPrice' }
       }
     }
@@ -313,7 +517,8 @@ router.get('/stats/summary', authenticate, requireAdmin, catchAsync(async (req,
           month: { $month: '$createdAt' }
         },
         orders: { $sum: 1 },
-        revenue: { $sum: '$totalPrice' }
+        revenue: { $sum: '$totalPrice' },
+        netRevenue: { $sum: netPrice }
       }
     },
     {
@@ -327,7 +532,14 @@ router.get('/stats/summary', authenticate, requireAdmin, catchAsync(async (req,
   res.status(200).json({
     success: true,
     data: {
-      summary: stats[0] || { totalOrders: 0, totalRevenue: 0, avgOrderValue: 0 },
+      summary: stats[0] || {
+        totalOrders: 0,
+        totalRevenue: 0,
+        grossRevenue: 0,
+        totalDiscounts: 0,
+        netRevenue: 0,
+        avgOrderValue: 0
+      },
       statusBreakdown: statusStats,
       monthlyTrends: monthlyStats
     }
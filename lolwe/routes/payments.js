@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const { authenticate, requireClient } = require('../middleware/auth');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { idempotency } = require('../middleware/idempotency');
+const mpesa = require('../utils/mpesa');
+
+const router = express.Router();
+
+// How long an unanswered STK Push blocks another one for the same order
+const STK_PROMPT_EXPIRY_MS = 2 * 60 * 1000;
+
+// Validation rules
+const stkPushValidation = [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Order ID must be a valid MongoDB ObjectId'),
+
+  body('phone')
+    .optional()
+    .matches(/^(\+?254|0)[17]\d{8}$/)
+    .withMessage('Please provide a valid Kenyan phone number')
+];
+
+// Set an order's payment status from the payments received so far
+const markOrderPaid = async (orderId) => {
+  const order = await Order.findById(orderId).select('totalPrice discount deliveryFee');
+
+  if (!order) {
+    return null;
+  }
+
+  const amountPaid = await Payment.totalPaid(orderId);
+  const paymentStatus = amountPaid >= Math.ceil(order.grandTotal) ? 'paid' : 'pending';
+
+  return Order.findByIdAndUpdate(orderId, { paymentStatus, $unset: { paymentRequestedAt: 1 } }, { new: true });
+};
+
+// POST /api/payments/mpesa/stk-push - Start an M-Pesa STK Push for an order
+router.post('/mpesa/stk-push', authenticate, requireClient, idempotency(), stkPushValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const order = await Order.findById(req.body.orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  // Check if user can pay for this order
+  if (req.user.role === 'client' && order.userId.toString() !== req.user._id.toString()) {
+    throw new AppError('Access denied. You can only pay for your own orders.', 403);
+  }
+
+  if (order.status === 'cancelled') {
+    throw new AppError('Cannot pay for a cancelled order', 400);
+  }
+
+  // Weighing at dispatch can leave a balance on an order paid at its estimate
+  const amountDue = Math.ceil(order.grandTotal) - await Payment.totalPaid(order._id);
+
+  if (order.paymentStatus === 'paid' || amountDue <= 0) {
+    throw new AppError('Order has already been paid', 409);
+  }
+
+  const phone = mpesa.normalizePhone(req.body.phone || req.user.phone);
+
+  if (!phone) {
+    throw new AppError('A Kenyan phone number is required for M-Pesa payments', 400);
+  }
+
+  // One prompt at a time, so two quick requests cannot charge the customer twice
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $or: [
+        { paymentRequestedAt: null },
+        { paymentRequestedAt: { $lte: new Date(Date.now() - STK_PROMPT_EXPIRY_MS) } }
+      ]
+    },
+    { paymentRequestedAt: new Date() }
+  );
+
+  if (!claimed) {
+    throw new AppError('A payment request is already waiting on your phone', 409);
+  }
+
+  const payment = new Payment({
+    orderId: order._id,
+    userId: req.user._id,
+    phone,
+    amount: amountDue
+  });
+
+  try {
+    const result = await mpesa.stkPush({
+      phone,
+      amount: payment.amount,
+      accountReference: order.orderNumber,
+      description: `Order ${order.orderNumber}`
+    });
+
+    payment.merchantRequestId = result.merchantRequestId;
+    payment.checkoutRequestId = result.checkoutRequestId;
+    await payment.save();
+  } catch (error) {
+    if (error.name !== 'MpesaError') throw error;
+
+    // Keep a record of the failed attempt
+    payment.status = 'failed';
+    payment.resultDesc = error.message;
+    await payment.save();
+    await Order.updateOne({ _id: order._id }, { $unset: { paymentRequestedAt: 1 } });
+
+    throw new AppError(error.message, error.statusCode);
+  }
+
+  console.log(`📲 STK Push sent for order ${order.orderNumber} (KSh ${payment.amount}) by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment request sent. Enter your M-Pesa PIN on your phone to complete payment.',
+    data: { payment }
+  });
+}));
+
+// POST /api/payments/mpesa/callback - Daraja STK Push result webhook
+router.post('/mpesa/callback', catchAsync(async (req, res) => {
+  // Daraja does not sign callbacks, so a shared token in the callback URL is
+  // used instead. Without one anybody could report a payment, so none are taken
+  if (!process.env.MPESA_CALLBACK_TOKEN) {
+    console.error('❌ M-Pesa callback rejected: MPESA_CALLBACK_TOKEN is not set');
+    return res.status(503).json({ ResultCode: 1, ResultDesc: 'Callbacks are not configured' });
+  }
+
+  if (req.query.token !== process.env.MPESA_CALLBACK_TOKEN) {
+    return res.status(401).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+  }
+
+  const stkCallback = req.body?.Body?.stkCallback;
+
+  if (!stkCallback?.CheckoutRequestID) {
+    return res.status(400).json({ ResultCode: 1, ResultDesc: 'Invalid callback payload' });
+  }
+
+  const payment = await Payment.findOne({ checkoutRequestId: stkCallback.CheckoutRequestID });
+
+  if (!payment) {
+    console.warn(`⚠️ M-Pesa callback for unknown request ${stkCallback.CheckoutRequestID}`);
+    return res.status(404).json({ ResultCode: 1, ResultDesc: 'Unknown CheckoutRequestID' });
+  }
+
+  // Daraja may deliver the same callback more than once
+  if (payment.isFinal) {
+    return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  }
+
+  // A reported success is only credited once Daraja confirms it
+  if (stkCallback.ResultCode === 0) {
+    let confirmed = null;
+    try {
+      confirmed = await mpesa.stkQuery(payment.checkoutRequestId);
+    } catch (error) {
+      if (error.name !== 'MpesaError') throw error;
+      console.warn(`⚠️ M-Pesa query for ${payment.checkoutRequestId} failed: ${error.message}`);
+    }
+
+    if (confirmed?.resultCode !== 0) {
+      console.warn(`⚠️ M-Pesa callback for ${payment.checkoutRequestId} reported a payment Daraja did not confirm`);
+      return res.status(409).json({ ResultCode: 1, ResultDesc: 'Payment not confirmed' });
+    }
+  }
+
+  await payment.applyCallback(stkCallback);
+
+  // The order is only paid once its payments cover the (weighed) total. A
+  // failed attempt never overrides an earlier successful one, and leaves a
+  // part-paid order pending
+  let order;
+  if (payment.status === 'paid') {
+    order = await markOrderPaid(payment.orderId);
+  } else {
+    const amountPaid = await Payment.totalPaid(payment.orderId);
+    order = await Order.findOneAndUpdate(
+      { _id: payment.orderId, paymentStatus: { $ne: 'paid' } },
+      { paymentStatus: amountPaid > 0 ? 'pending' : 'failed', $unset: { paymentRequestedAt: 1 } },
+      { new: true }
+    );
+  }
+
+  console.log(`📲 M-Pesa payment ${payment.status} for order ${payment.orderId}: ${payment.resultDesc}`);
+
+  if (order) {
+    req.app.get('io').to(`order-${order._id}`).emit('orderUpdate', {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      updatedAt: order.updatedAt
+    });
+  }
+
+  res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+}));
+
+// GET /api/payments/order/:orderId - Get every payment attempt for an order
+router.get('/order/:orderId', authenticate, catchAsync(async (req, res) => {
+  const order = await Order.findById(req.params.orderId).select('userId orderNumber paymentStatus');
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  // Check if user can access this order
+  if (req.user.role === 'client' && order.userId.toString() !== req.user._id.toString()) {
+    throw new AppError('Access denied. You can only view your own orders.', 403);
+  }
+
+  const payments = await Payment.findByOrder(order._id).select('-callbackPayload');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orderNumber: order.orderNumber,
+      paymentStatus: order.paymentStatus,
+      payments
+    }
+  });
+}));
+
+module.exports = router;
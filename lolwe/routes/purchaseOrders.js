@@ -0,0 +1,407 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Fish = require('../models/Fish');
+const StockLot = require('../models/StockLot');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { isQuantityStep, roundMoney } = require('../utils/quantity');
+
+const router = express.Router();
+
+// Validation rules (everything is optional when editing a draft)
+const purchaseOrderValidation = (isUpdate = false) => [
+  (isUpdate ? body('supplier').optional() : body('supplier'))
+    .isMongoId()
+    .withMessage('Valid supplier ID is required'),
+
+  (isUpdate ? body('items').optional() : body('items'))
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Purchase order must have between 1 and 20 items'),
+
+  body('items.*.fishId')
+    .isMongoId()
+    .withMessage('Valid fish ID is required'),
+
+  body('items.*.quantity')
+    .isFloat({ min: 0.5 })
+    .withMessage('Quantity must be at least 0.5 kg')
+    .custom(isQuantityStep)
+    .withMessage('Quantity must be in 0.5 kg steps'),
+
+  body('items.*.unitCost')
+    .isFloat({ min: 0 })
+    .withMessage('Unit cost must be a non-negative number'),
+
+  body('expectedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected date must be a valid date'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+// What arrived, when it differs from what was ordered, and the catch details
+const receiveValidation = [
+  body('items')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Items must be an array of at most 20 entries'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Valid item ID is required'),
+
+  body('items.*.receivedQuantity')
+    .isFloat({ min: 0 })
+    .withMessage('Received quantity must be a non-negative number')
+    .custom(isQuantityStep)
+    .withMessage('Received quantity must be in 0.5 kg steps'),
+
+  body('caughtAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Catch date must be a valid date'),
+
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date')
+];
+
+const queryValidation = [
+  query('status')
+    .optional()
+    .isIn(['draft', 'sent', 'received'])
+    .withMessage('Status must be one of: draft, sent, received'),
+
+  query('supplier')
+    .optional()
+    .isMongoId()
+    .withMessage('Supplier must be a valid ID'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// Check the supplier can be ordered from
+const findActiveSupplier = async (supplierId) => {
+  const supplier = await Supplier.findOne({ _id: supplierId, isActive: true });
+
+  if (!supplier) {
+    throw new AppError('Supplier not found or inactive', 400);
+  }
+
+  return supplier;
+};
+
+// Turn requested items into purchase order items, keeping the fish's type and size
+const buildItems = async (items) => {
+  const fish = await Fish.find({ _id: { $in: items.map(item => item.fishId) }, isActive: true });
+  const fishById = new Map(fish.map(item => [item._id.toString(), item]));
+
+  return items.map(item => {
+    const fishItem = fishById.get(item.fishId);
+
+    if (!fishItem) {
+      throw new AppError(`Fish ${item.fishId} not found`, 400);
+    }
+
+    return {
+      fish: fishItem._id,
+      fishType: fishItem.type,
+      fishSize: fishItem.size,
+      orderedQuantity: item.quantity,
+      unitCost: item.unitCost
+    };
+  });
+};
+
+// Find a purchase order, failing with 409 when it is not in the expected status
+const findWithStatus = async (id, status, action) => {
+  const purchaseOrder = await PurchaseOrder.findById(id);
+
+  if (!purchaseOrder) {
+    throw new AppError('Purchase order not found', 404);
+  }
+
+  if (purchaseOrder.status !== status) {
+    throw new AppError(`Only ${status} purchase orders can be ${action} (this one is ${purchaseOrder.status})`, 409);
+  }
+
+  return purchaseOrder;
+};
+
+// GET /api/purchase-orders - List purchase orders (Admin only)
+router.get('/', authenticate, requireAdmin, queryValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { status, supplier, page = 1, limit = 10 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (supplier) filter.supplier = supplier;
+
+  const [purchaseOrders, totalCount] = await Promise.all([
+    PurchaseOrder.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('supplier', 'name kind'),
+    PurchaseOrder.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      purchaseOrders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: parseInt(page) < totalPages,
+        hasPreviousPage: parseInt(page) > 1
+      }
+    }
+  });
+}));
+
+// GET /api/purchase-orders/:id - Get a purchase order with costs next to selling prices (Admin only)
+router.get('/:id', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id)
+    .populate('supplier')
+    .populate('items.fish', 'type size pricePerKg')
+    .populate('createdBy', 'name email')
+    .populate('receivedBy', 'name email');
+
+  if (!purchaseOrder) {
+    throw new AppError('Purchase order not found', 404);
+  }
+
+  // Margin per kg at today's selling price
+  const costs = purchaseOrder.items.map(item => ({
+    itemId: item._id,
+    fishType: item.fishType,
+    fishSize: item.fishSize,
+    unitCost: item.unitCost,
+    sellingPrice: item.fish?.pricePerKg ?? null,
+    marginPerKg: item.fish ? roundMoney(item.fish.pricePerKg - item.unitCost) : null
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: { purchaseOrder, costs }
+  });
+}));
+
+// POST /api/purchase-orders - Draft a purchase order (Admin only)
+router.post('/', authenticate, requireAdmin, purchaseOrderValidation(), catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { supplier: supplierId, items, expectedAt, notes } = req.body;
+
+  const supplier = await findActiveSupplier(supplierId);
+  const purchaseOrder = new PurchaseOrder({
+    poNumber: await PurchaseOrder.generatePoNumber(),
+    supplier: supplier._id,
+    items: await buildItems(items),
+    expectedAt,
+    notes,
+    createdBy: req.user._id
+  });
+
+  await purchaseOrder.save();
+
+  console.log(`✅ Purchase order drafted: ${purchaseOrder.poNumber} for ${supplier.name} by admin ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Purchase order created successfully',
+    data: { purchaseOrder }
+  });
+}));
+
+// PUT /api/purchase-orders/:id - Edit a draft purchase order (Admin only)
+router.put('/:id', authenticate, requireAdmin, purchaseOrderValidation(true), catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const purchaseOrder = await findWithStatus(req.params.id, 'draft', 'edited');
+  const { supplier: supplierId, items, expectedAt, notes } = req.body;
+
+  if (supplierId) purchaseOrder.supplier = (await findActiveSupplier(supplierId))._id;
+  if (items) purchaseOrder.items = await buildItems(items);
+  if (expectedAt !== undefined) purchaseOrder.expectedAt = expectedAt;
+  if (notes !== undefined) purchaseOrder.notes = notes;
+
+  await purchaseOrder.save();
+
+  console.log(`✅ Purchase order updated: ${purchaseOrder.poNumber} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Purchase order updated successfully',
+    data: { purchaseOrder }
+  });
+}));
+
+// POST /api/purchase-orders/:id/send - Mark a draft as sent to the supplier (Admin only)
+router.post('/:id/send', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const purchaseOrder = await findWithStatus(req.params.id, 'draft', 'sent');
+
+  purchaseOrder.status = 'sent';
+  purchaseOrder.sentAt = new Date();
+  await purchaseOrder.save();
+
+  console.log(`✅ Purchase order sent: ${purchaseOrder.poNumber} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Purchase order sent',
+    data: { purchaseOrder }
+  });
+}));
+
+// POST /api/purchase-orders/:id/receive - Receive a sent purchase order into stock (Admin only)
+// Items arrive in full unless `items` lists what actually arrived. Each
+// received item becomes a stock lot, recorded in the ledger as a restock.
+router.post('/:id/receive', authenticate, requireAdmin, receiveValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { items = [], caughtAt, expiresAt } = req.body;
+  const received = new Map(items.map(item => [item.itemId, item.receivedQuantity]));
+  let purchaseOrder;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      purchaseOrder = await PurchaseOrder.findById(req.params.id).populate('supplier', 'name').session(session);
+
+      if (!purchaseOrder) {
+        throw new AppError('Purchase order not found', 404);
+      }
+
+      if (purchaseOrder.status !== 'sent') {
+        throw new AppError(`Only sent purchase orders can be received (this one is ${purchaseOrder.status})`, 409);
+      }
+
+      const unknown = [...received.keys()].find(itemId => !purchaseOrder.items.id(itemId));
+      if (unknown) {
+        throw new AppError(`Item ${unknown} is not on purchase order ${purchaseOrder.poNumber}`, 400);
+      }
+
+      for (const item of purchaseOrder.items) {
+        const quantity = received.has(item._id.toString())
+          ? parseFloat(received.get(item._id.toString()))
+          : item.orderedQuantity;
+
+        item.receivedQuantity = quantity;
+        if (quantity === 0) continue;
+
+        const lot = await StockLot.receive({
+          fish: item.fish,
+          quantity,
+          caughtAt,
+          expiresAt,
+          supplier: purchaseOrder.supplier.name,
+          reference: purchaseOrder.poNumber,
+          purchaseOrder: purchaseOrder._id,
+          unitCost: item.unitCost
+        }, session, { actor: req.user._id, note: `Received on ${purchaseOrder.poNumber}` });
+
+        item.lot = lot._id;
+      }
+
+      purchaseOrder.status = 'received';
+      purchaseOrder.receivedAt = new Date();
+      purchaseOrder.receivedBy = req.user._id;
+      await purchaseOrder.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+  purchaseOrder.$session(null);
+
+  console.log(`✅ Purchase order received: ${purchaseOrder.poNumber} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Purchase order received into stock',
+    data: { purchaseOrder }
+  });
+}));
+
+// DELETE /api/purchase-orders/:id - Delete a draft purchase order (Admin only)
+router.delete('/:id', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const purchaseOrder = await findWithStatus(req.params.id, 'draft', 'deleted');
+
+  await purchaseOrder.deleteOne();
+
+  console.log(`✅ Purchase order deleted: ${purchaseOrder.poNumber} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Purchase order deleted successfully'
+  });
+}));
+
+module.exports = router;
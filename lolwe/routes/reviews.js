@@ -0,0 +1,310 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const { authenticate, requireAdmin, requireClient } = require('../middleware/auth');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// Validation rules
+const reviewValidation = [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Valid order ID is required'),
+
+  body('itemIndex')
+    .isInt({ min: 0 })
+    .withMessage('Item index must be a non-negative integer'),
+
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number from 1 to 5'),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters')
+];
+
+const moderationValidation = [
+  body('status')
+    .isIn(['approved', 'hidden'])
+    .withMessage('Status must be one of: approved, hidden'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Note cannot exceed 300 characters')
+];
+
+const paginationValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+const publicQueryValidation = [
+  query('fish')
+    .optional()
+    .isMongoId()
+    .withMessage('Fish must be a valid ID'),
+
+  query('withComment')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('withComment must be true or false'),
+
+  ...paginationValidation
+];
+
+const moderationQueryValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'hidden'])
+    .withMessage('Status must be one of: pending, approved, hidden'),
+
+  ...paginationValidation
+];
+
+// Public name of a reviewer: first name and last initial
+const reviewerName = (user) => {
+  const [first, ...rest] = (user?.name || 'Customer').trim().split(/\s+/);
+  const last = rest.pop();
+  return last ? `${first} ${last.charAt(0).toUpperCase()}.` : first;
+};
+
+// GET /api/reviews - List approved reviews, optionally for one fish
+router.get('/', publicQueryValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { fish, withComment, page = 1, limit = 10 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const filter = { status: 'approved' };
+  if (fish) filter.fish = fish;
+  if (withComment === 'true') filter.comment = { $exists: true, $ne: '' };
+
+  const [reviews, totalCount] = await Promise.all([
+    Review.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('fish fishType fishSize rating comment user createdAt')
+      .populate('user', 'name')
+      .lean(),
+    Review.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reviews: reviews.map(({ user, ...review }) => ({ ...review, reviewer: reviewerName(user) })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: parseInt(page) < totalPages,
+        hasPreviousPage: parseInt(page) > 1
+      }
+    }
+  });
+}));
+
+// GET /api/reviews/mine - Get the current user's reviews and the delivered items still to review
+router.get('/mine', authenticate, requireClient, catchAsync(async (req, res) => {
+  const [reviews, deliveredOrders] = await Promise.all([
+    Review.find({ user: req.user._id }).sort({ createdAt: -1 }),
+    Order.find({ userId: req.user._id, status: 'delivered' })
+      .sort({ createdAt: -1 })
+      .select('orderNumber items.fishId items.fishType items.fishSize updatedAt')
+      .lean()
+  ]);
+
+  const reviewed = new Set(reviews.map(review => `${review.order}:${review.itemIndex}`));
+
+  const reviewable = deliveredOrders.flatMap(order => order.items
+    .map((item, itemIndex) => ({
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      itemIndex,
+      fishId: item.fishId,
+      fishType: item.fishType,
+      fishSize: item.fishSize
+    }))
+    .filter(item => !reviewed.has(`${order._id}:${item.itemIndex}`)));
+
+  res.status(200).json({
+    success: true,
+    data: { reviews, reviewable }
+  });
+}));
+
+// POST /api/reviews - Review an item of one of your delivered orders
+router.post('/', authenticate, requireClient, reviewValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { orderId, rating, comment } = req.body;
+  const itemIndex = parseInt(req.body.itemIndex);
+
+  const order = await Order.findOne({ _id: orderId, userId: req.user._id });
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  if (order.status !== 'delivered') {
+    throw new AppError(`Only delivered orders can be reviewed (status: ${order.status})`, 400);
+  }
+
+  const item = order.items[itemIndex];
+  if (!item) {
+    throw new AppError(`Order ${order.orderNumber} has no item ${itemIndex}`, 400);
+  }
+
+  if (await Review.exists({ order: order._id, itemIndex })) {
+    return res.status(409).json({
+      success: false,
+      message: 'You have already reviewed this item'
+    });
+  }
+
+  const review = new Review({
+    fish: item.fishId,
+    fishType: item.fishType,
+    fishSize: item.fishSize,
+    order: order._id,
+    itemIndex,
+    user: req.user._id,
+    rating,
+    comment
+  });
+  await review.save();
+
+  console.log(`⭐ Review submitted: ${item.fishType} size ${item.fishSize} rated ${rating} by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Thank you! Your review will appear once it has been approved',
+    data: { review }
+  });
+}));
+
+// GET /api/reviews/moderation - List reviews for moderation, pending ones unless a status is given (Admin only)
+router.get('/moderation', authenticate, requireAdmin, moderationQueryValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { status = 'pending', page = 1, limit = 20 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const filter = { status };
+
+  const [reviews, totalCount] = await Promise.all([
+    Review.find(filter)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('user', 'name email')
+      .populate('order', 'orderNumber')
+      .populate('moderatedBy', 'name email'),
+    Review.countDocuments(filter)
+  ]);
+
+  const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reviews,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: parseInt(page) < totalPages,
+        hasPreviousPage: parseInt(page) > 1
+      }
+    }
+  });
+}));
+
+// PUT /api/reviews/:id/moderate - Approve or hide a review (Admin only)
+router.put('/:id/moderate', authenticate, requireAdmin, moderationValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const review = await Review.findById(req.params.id);
+
+  if (!review) {
+    throw new AppError('Review not found', 404);
+  }
+
+  review.status = req.body.status;
+  review.moderatedBy = req.user._id;
+  review.moderatedAt = new Date();
+  review.moderationNote = req.body.note;
+  await review.save();
+
+  console.log(`✅ Review ${review.status}: ${review._id} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: `Review ${review.status}`,
+    data: { review }
+  });
+}));
+
+module.exports = router;
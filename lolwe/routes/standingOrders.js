@@ -0,0 +1,349 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const StandingOrder = require('../models/StandingOrder');
+const Fish = require('../models/Fish');
+const { authenticate, requireClient } = require('../middleware/auth');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { isQuantityStep } = require('../utils/quantity');
+
+const router = express.Router();
+
+// Validation rules
+const standingOrderValidation = [
+  body('items')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Standing order must have between 1 and 10 items'),
+
+  body('items.*.fishId')
+    .isMongoId()
+    .withMessage('Fish ID must be a valid MongoDB ObjectId'),
+
+  body('items.*.quantity')
+    .isFloat({ min: 0.5 })
+    .withMessage('Quantity must be at least 0.5 kg')
+    .custom(isQuantityStep)
+    .withMessage('Quantity must be in 0.5 kg steps'),
+
+  body('items.*.preparation')
+    .optional()
+    .isIn(['whole', 'gutted', 'filleted', 'smoked'])
+    .withMessage('Preparation must be one of: whole, gutted, filleted, smoked'),
+
+  body('deliveryAddress')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 200 })
+    .withMessage('Delivery address must be between 10 and 200 characters'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  body('location.lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('location.lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  body('frequency')
+    .isIn(['daily', 'weekly', 'custom'])
+    .withMessage('Frequency must be one of: daily, weekly, custom'),
+
+  body('daysOfWeek')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Days of week must be an array'),
+
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body('nextRunAt')
+    .isISO8601()
+    .withMessage('Next run date must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Next run date must be in the future')
+];
+
+const updateStandingOrderValidation = [
+  body('items')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Standing order must have between 1 and 10 items'),
+
+  body('items.*.fishId')
+    .isMongoId()
+    .withMessage('Fish ID must be a valid MongoDB ObjectId'),
+
+  body('items.*.quantity')
+    .isFloat({ min: 0.5 })
+    .withMessage('Quantity must be at least 0.5 kg')
+    .custom(isQuantityStep)
+    .withMessage('Quantity must be in 0.5 kg steps'),
+
+  body('items.*.preparation')
+    .optional()
+    .isIn(['whole', 'gutted', 'filleted', 'smoked'])
+    .withMessage('Preparation must be one of: whole, gutted, filleted, smoked'),
+
+  body('deliveryAddress')
+    .optional()
+    .trim()
+    .isLength({ min: 10, max: 200 })
+    .withMessage('Delivery address must be between 10 and 200 characters'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  body('frequency')
+    .optional()
+    .isIn(['daily', 'weekly', 'custom'])
+    .withMessage('Frequency must be one of: daily, weekly, custom'),
+
+  body('daysOfWeek')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Days of week must be an array'),
+
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body('nextRunAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Next run date must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Next run date must be in the future')
+];
+
+const queryValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'paused', 'cancelled'])
+    .withMessage('Status must be one of: active, paused, cancelled')
+];
+
+// Check that every fish in the schedule can currently be ordered as prepared
+const checkItems = async (items) => {
+  for (const item of items) {
+    const fish = await Fish.findOne({ _id: item.fishId, isActive: true }).select('type size preparations');
+
+    if (!fish) {
+      throw new AppError(`Fish with ID ${item.fishId} not found`, 404);
+    }
+
+    if (!fish.findPreparation(item.preparation)) {
+      throw new AppError(`${fish.type} size ${fish.size} is not available ${item.preparation}`, 400);
+    }
+  }
+};
+
+// Load a standing order the current user may manage
+const findStandingOrder = async (req) => {
+  const standingOrder = await StandingOrder.findById(req.params.id);
+
+  if (!standingOrder || standingOrder.status === 'cancelled') {
+    throw new AppError('Standing order not found', 404);
+  }
+
+  if (req.user.role === 'client' && standingOrder.userId.toString() !== req.user._id.toString()) {
+    throw new AppError('Access denied. You can only manage your own standing orders.', 403);
+  }
+
+  return standingOrder;
+};
+
+// Run a pause/resume and turn invalid transitions into 400s
+const changeSchedule = async (standingOrder, change) => {
+  try {
+    await change(standingOrder);
+  } catch (error) {
+    if (error.message.startsWith('Cannot ')) {
+      throw new AppError(error.message, 400);
+    }
+    throw error;
+  }
+};
+
+// POST /api/standing-orders - Create a standing order (Clients only)
+router.post('/', authenticate, requireClient, standingOrderValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { items, deliveryAddress, location, notes, frequency, daysOfWeek, nextRunAt } = req.body;
+
+  await checkItems(items);
+
+  const standingOrder = new StandingOrder({
+    userId: req.user._id,
+    items,
+    deliveryAddress: deliveryAddress || req.user.deliveryAddress,
+    location,
+    notes,
+    frequency,
+    daysOfWeek,
+    nextRunAt
+  });
+
+  await standingOrder.save();
+
+  console.log(`✅ Standing order created: ${standingOrder._id} (${frequency}) by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Standing order created successfully',
+    data: { standingOrder }
+  });
+}));
+
+// GET /api/standing-orders - List standing orders (own for clients, all for admin)
+router.get('/', authenticate, queryValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const filter = req.user.role === 'admin' ? {} : { userId: req.user._id };
+  filter.status = req.query.status || { $ne: 'cancelled' };
+
+  const standingOrders = await StandingOrder.find(filter)
+    .sort({ nextRunAt: 1 })
+    .populate('userId', 'name email')
+    .populate('items.fishId', 'type size pricePerKg')
+    .populate('lastRun.order', 'orderNumber status');
+
+  res.status(200).json({
+    success: true,
+    data: { standingOrders }
+  });
+}));
+
+// GET /api/standing-orders/:id - Get a single standing order
+router.get('/:id', authenticate, catchAsync(async (req, res) => {
+  const standingOrder = await findStandingOrder(req);
+
+  await standingOrder.populate([
+    { path: 'items.fishId', select: 'type size pricePerKg' },
+    { path: 'lastRun.order', select: 'orderNumber status' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: { standingOrder }
+  });
+}));
+
+// PUT /api/standing-orders/:id - Change items, address or schedule
+router.put('/:id', authenticate, updateStandingOrderValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const standingOrder = await findStandingOrder(req);
+  const { items, deliveryAddress, location, notes, frequency, daysOfWeek, nextRunAt } = req.body;
+
+  if (items) {
+    await checkItems(items);
+    standingOrder.items = items;
+  }
+  if (deliveryAddress !== undefined) standingOrder.deliveryAddress = deliveryAddress;
+  if (location !== undefined) standingOrder.location = location;
+  if (notes !== undefined) standingOrder.notes = notes;
+  if (frequency !== undefined) {
+    standingOrder.frequency = frequency;
+    standingOrder.daysOfWeek = daysOfWeek || [];
+  } else if (daysOfWeek !== undefined) {
+    standingOrder.daysOfWeek = daysOfWeek;
+  }
+  if (nextRunAt !== undefined) standingOrder.nextRunAt = nextRunAt;
+
+  await standingOrder.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Standing order updated successfully',
+    data: { standingOrder }
+  });
+}));
+
+// POST /api/standing-orders/:id/pause - Pause a standing order
+router.post('/:id/pause', authenticate, catchAsync(async (req, res) => {
+  const standingOrder = await findStandingOrder(req);
+
+  await changeSchedule(standingOrder, doc => doc.pause());
+
+  console.log(`⏸️ Standing order paused: ${standingOrder._id} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Standing order paused',
+    data: { standingOrder }
+  });
+}));
+
+// POST /api/standing-orders/:id/resume - Resume a paused standing order
+router.post('/:id/resume', authenticate, catchAsync(async (req, res) => {
+  const standingOrder = await findStandingOrder(req);
+
+  await changeSchedule(standingOrder, doc => doc.resume());
+
+  console.log(`▶️ Standing order resumed: ${standingOrder._id} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Standing order resumed',
+    data: { standingOrder }
+  });
+}));
+
+// DELETE /api/standing-orders/:id - Cancel a standing order
+router.delete('/:id', authenticate, catchAsync(async (req, res) => {
+  const standingOrder = await findStandingOrder(req);
+
+  standingOrder.status = 'cancelled';
+  await standingOrder.save();
+
+  console.log(`✅ Standing order cancelled: ${standingOrder._id} by ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Standing order cancelled successfully'
+  });
+}));
+
+module.exports = router;
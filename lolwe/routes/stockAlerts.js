@@ -0,0 +1,99 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const StockAlert = require('../models/StockAlert');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+const queryValidation = [
+  query('status')
+    .optional()
+    .isIn(['open', 'acknowledged', 'resolved'])
+    .withMessage('Status must be one of: open, acknowledged, resolved'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+// GET /api/stock-alerts - List stock alerts, unresolved ones unless a status is given (Admin only)
+router.get('/', authenticate, requireAdmin, queryValidation, catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid query parameters',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const { status, page = 1, limit = 20 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const filter = { status: status || { $ne: 'resolved' } };
+
+  const [alerts, totalCount, openCount] = await Promise.all([
+    StockAlert.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('fish', 'type size stock reorderThreshold')
+      .populate('acknowledgedBy', 'name email'),
+    StockAlert.countDocuments(filter),
+    StockAlert.countDocuments({ status: 'open' })
+  ]);
+
+  const totalPages = Math.ceil(totalCount / parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      alerts,
+      openCount,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalItems: totalCount,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: parseInt(page) < totalPages,
+        hasPreviousPage: parseInt(page) > 1
+      }
+    }
+  });
+}));
+
+// POST /api/stock-alerts/:id/acknowledge - Acknowledge an open stock alert (Admin only)
+// It stays listed until the fish is restocked above its threshold.
+router.post('/:id/acknowledge', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const alert = await StockAlert.findOne({ _id: req.params.id, status: 'open' });
+
+  if (!alert) {
+    throw new AppError('Stock alert not found or already acknowledged', 404);
+  }
+
+  alert.status = 'acknowledged';
+  alert.acknowledgedBy = req.user._id;
+  alert.acknowledgedAt = new Date();
+  await alert.save();
+
+  console.log(`✅ Stock alert acknowledged: ${alert._id} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Stock alert acknowledged',
+    data: { alert }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,211 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { roundMoney } = require('../utils/quantity');
+
+const router = express.Router();
+
+// Case-insensitive match, the same as the unique name index
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// Validation rules (the name is optional on update)
+const supplierValidation = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Supplier name must be between 1 and 100 characters'),
+
+  body('kind')
+    .optional()
+    .isIn(['fisherman', 'cooperative', 'trader', 'farm'])
+    .withMessage('Supplier kind must be one of: fisherman, cooperative, trader, farm'),
+
+  body('contactName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Contact name cannot exceed 100 characters'),
+
+  body('phone')
+    .optional({ checkFalsy: true })
+    .matches(/^(\+254|0)[17]\d{8}$/)
+    .withMessage('Please enter a valid Kenyan phone number'),
+
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage('Please enter a valid email address'),
+
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Location cannot exceed 100 characters'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const supplierFields = ['name', 'kind', 'contactName', 'phone', 'email', 'location', 'notes', 'isActive'];
+
+const pickSupplierFields = (source) => supplierFields.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+const findDuplicate = (name, excludeId = null) => Supplier.findOne({
+  name,
+  ...(excludeId && { _id: { $ne: excludeId } })
+}).collation(NAME_COLLATION);
+
+// GET /api/suppliers - List suppliers, ?all=true for inactive ones too (Admin only)
+router.get('/', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const filter = req.query.all === 'true' ? {} : { isActive: true };
+  const suppliers = await Supplier.find(filter).sort({ name: 1 }).collation(NAME_COLLATION);
+
+  res.status(200).json({
+    success: true,
+    data: { suppliers }
+  });
+}));
+
+// GET /api/suppliers/:id - Get a supplier with their purchase totals (Admin only)
+router.get('/:id', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404);
+  }
+
+  // Received quantities and their cost, for cost of goods
+  const [totals] = await PurchaseOrder.aggregate([
+    { $match: { supplier: supplier._id, status: 'received' } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: null,
+        orders: { $addToSet: '$_id' },
+        quantity: { $sum: '$items.receivedQuantity' },
+        cost: { $sum: { $multiply: ['$items.receivedQuantity', '$items.unitCost'] } }
+      }
+    }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      supplier,
+      totals: {
+        receivedOrders: totals ? totals.orders.length : 0,
+        receivedQuantity: totals ? totals.quantity : 0,
+        receivedCost: totals ? roundMoney(totals.cost) : 0
+      }
+    }
+  });
+}));
+
+// POST /api/suppliers - Add a supplier (Admin only)
+router.post('/', authenticate, requireAdmin, supplierValidation(), catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  if (await findDuplicate(req.body.name)) {
+    return res.status(409).json({
+      success: false,
+      message: `Supplier ${req.body.name} already exists`
+    });
+  }
+
+  const supplier = new Supplier(pickSupplierFields(req.body));
+  await supplier.save();
+
+  console.log(`✅ Supplier added: ${supplier.name} by admin ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Supplier added successfully',
+    data: { supplier }
+  });
+}));
+
+// PUT /api/suppliers/:id - Update a supplier (Admin only)
+router.put('/:id', authenticate, requireAdmin, supplierValidation(true), catchAsync(async (req, res) => {
+  // Check validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.param,
+        message: error.msg
+      }))
+    });
+  }
+
+  const supplier = await Supplier.findById(req.params.id);
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404);
+  }
+
+  if (req.body.name && await findDuplicate(req.body.name, supplier._id)) {
+    return res.status(409).json({
+      success: false,
+      message: `Supplier ${req.body.name} already exists`
+    });
+  }
+
+  Object.assign(supplier, pickSupplierFields(req.body));
+  await supplier.save();
+
+  console.log(`✅ Supplier updated: ${supplier.name} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Supplier updated successfully',
+    data: { supplier }
+  });
+}));
+
+// DELETE /api/suppliers/:id - Deactivate a supplier (Admin only)
+// Their purchase orders are kept; no new ones can be raised.
+router.delete('/:id', authenticate, requireAdmin, catchAsync(async (req, res) => {
+  const supplier = await Supplier.findOne({ _id: req.params.id, isActive: true });
+
+  if (!supplier) {
+    throw new AppError('Supplier not found', 404);
+  }
+
+  supplier.isActive = false;
+  await supplier.save();
+
+  console.log(`✅ Supplier deactivated: ${supplier.name} by admin ${req.user.email}`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Supplier deactivated successfully'
+  });
+}));
+
+module.exports = router;
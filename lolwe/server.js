@@ -12,13 +12,28 @@ dotenv.config();
 // Import custom modules
 const connectDB = require('./config/db');
 const { errorHandler, notFound, rateLimitHandler } = require('./middleware/errorHandler');
+const { verifyToken } = require('./middleware/auth');
+const User = require('./models/User');
 const { createLogger, performanceLogger, errorLogger } = require('./middleware/logger');
+const { startStandingOrderScheduler } = require('./utils/standingOrderJob');
+const { startStockLotScheduler } = require('./utils/stockLotJob');
+const { startPriceScheduler } = require('./utils/priceScheduleJob');
+const { getUploadDir } = require('./utils/imageStorage');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const fishRoutes = require('./routes/fish');
 const orderRoutes = require('./routes/orders');
 const userRoutes = require('./routes/users');
+const paymentRoutes = require('./routes/payments');
+const deliveryRoutes = require('./routes/delivery');
+const standingOrderRoutes = require('./routes/standingOrders');
+const couponRoutes = require('./routes/coupons');
+const fishTypeRoutes = require('./routes/fishTypes');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const stockAlertRoutes = require('./routes/stockAlerts');
+const reviewRoutes = require('./routes/reviews');
 
 // Create Express app
 const app = express();
@@ -50,9 +65,16 @@ app.use(cors({
   origin: process.env.CLIENT_URL || "http://localhost:5173",
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Content-Disposition']
 }));
 
+// Uploaded images on local storage (served before rate limiting; a product
+// page loads many of them)
+if ((process.env.IMAGE_STORAGE || 'local') === 'local') {
+  app.use('/uploads', express.static(getUploadDir(), { maxAge: '30d', immutable: true }));
+}
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
@@ -106,6 +128,15 @@ app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/fish', fishRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/delivery', deliveryRoutes);
+app.use('/api/standing-orders', standingOrderRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/fish-types', fishTypeRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/stock-alerts', stockAlertRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -118,6 +149,15 @@ app.get('/', (req, res) => {
       fish: '/api/fish',
       orders: '/api/orders',
       users: '/api/users',
+      payments: '/api/payments',
+      delivery: '/api/delivery',
+      standingOrders: '/api/standing-orders',
+      coupons: '/api/coupons',
+      fishTypes: '/api/fish-types',
+      suppliers: '/api/suppliers',
+      purchaseOrders: '/api/purchase-orders',
+      stockAlerts: '/api/stock-alerts',
+      reviews: '/api/reviews',
       health: '/health'
     }
   });
@@ -139,8 +179,31 @@ io.on('connection', (socket) => {
     console.log(`👤 Socket ${socket.id} left room: order-${orderId}`);
   });
 
-  // Handle admin joining admin room for notifications
-  socket.on('join-admin-room', () => {
+  // Handle customer joining their own room for account notifications.
+  // The room comes from the JWT sent in the handshake, never from the client.
+  socket.on('join-user-room', () => {
+    const decoded = verifyToken(socket.handshake.auth?.token);
+
+    if (!decoded) {
+      socket.emit('error', { message: 'Authentication error: sign in to receive account notifications' });
+      return;
+    }
+
+    socket.join(`user-${decoded.userId}`);
+    console.log(`👤 Socket ${socket.id} joined room: user-${decoded.userId}`);
+  });
+
+  // Handle admin joining admin room for notifications. Stock levels and
+  // prices are pushed there, so the JWT must belong to an active admin.
+  socket.on('join-admin-room', async () => {
+    const decoded = verifyToken(socket.handshake.auth?.token);
+    const user = decoded && await User.findById(decoded.userId).select('role isActive').catch(() => null);
+
+    if (!user || !user.isActive || user.role !== 'admin') {
+      socket.emit('error', { message: 'Authentication error: only admins can join the admin room' });
+      return;
+    }
+
     socket.join('admin-room');
     console.log(`👑 Admin socket ${socket.id} joined admin room`);
   });
@@ -168,9 +231,23 @@ const emitNewOrderNotification = (orderData) => {
   console.log(`📡 New order notification emitted to admins`);
 };
 
+// Emit stock alerts to admins
+const emitStockAlert = (alertData) => {
+  io.to('admin-room').emit('stockAlert', alertData);
+  console.log(`📡 Stock alert emitted to admins: ${alertData.type}`);
+};
+
 // Make socket functions available globally
 global.emitOrderUpdate = emitOrderUpdate;
 global.emitNewOrderNotification = emitNewOrderNotification;
+global.emitStockAlert = emitStockAlert;
+
+// Create orders for due standing orders, write off expired stock lots and apply scheduled prices
+if (process.env.NODE_ENV !== 'test') {
+  startStandingOrderScheduler(io);
+  startStockLotScheduler(io);
+  startPriceScheduler(io);
+}
 
 // Error handling middleware (must be last)
 app.use(errorLogger);
@@ -0,0 +1,259 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const { generateToken } = require('../middleware/auth');
+
+describe('Coupon Routes', () => {
+  let clientToken, otherToken, adminToken, clientUser, tilapia, omena;
+
+  beforeEach(async () => {
+    clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const otherUser = new User({
+      name: 'Other Client',
+      email: 'other@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '456 Other Street, Nairobi'
+    });
+    await otherUser.save();
+    otherToken = generateToken(otherUser._id, otherUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    [tilapia, omena] = await Fish.create([
+      { type: 'tilapia', size: 4, pricePerKg: 800, stock: 50 },
+      { type: 'omena', size: 2, pricePerKg: 600, stock: 30 }
+    ]);
+  });
+
+  const placeOrder = (couponCode, token = clientToken, items = [{ fishId: tilapia._id, quantity: 2 }]) => request(app)
+    .post('/api/orders')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      items,
+      deliveryAddress: '123 Client Street, Nairobi, Kenya',
+      couponCode
+    });
+
+  describe('Admin CRUD', () => {
+    it('should create coupon as admin', async () => {
+      const response = await request(app)
+        .post('/api/coupons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'samaki10', discountType: 'percentage', value: 10, minSpend: 1000 })
+        .expect(201);
+
+      expect(response.body.data.coupon.code).toBe('SAMAKI10');
+      expect(response.body.data.coupon.usedCount).toBe(0);
+    });
+
+    it('should reject percentage above 100', async () => {
+      const response = await request(app)
+        .post('/api/coupons')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'TOOMUCH', discountType: 'percentage', value: 150 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject coupon management by client', async () => {
+      await request(app)
+        .post('/api/coupons')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ code: 'FREEFISH', discountType: 'fixed', value: 500 })
+        .expect(403);
+
+      await request(app)
+        .get('/api/coupons')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(403);
+    });
+
+    it('should update and deactivate coupon', async () => {
+      const coupon = await Coupon.create({ code: 'KARIBU', discountType: 'fixed', value: 200 });
+
+      const updated = await request(app)
+        .put(`/api/coupons/${coupon._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ value: 300 })
+        .expect(200);
+      expect(updated.body.data.coupon.value).toBe(300);
+
+      await request(app)
+        .delete(`/api/coupons/${coupon._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await placeOrder('KARIBU').expect(400);
+      expect(response.body.message).toBe('Promo code is not active');
+    });
+  });
+
+  describe('Applying coupons to orders', () => {
+    it('should apply a percentage discount and store it on the order', async () => {
+      await Coupon.create({ code: 'SAMAKI10', discountType: 'percentage', value: 10 });
+
+      const response = await placeOrder('samaki10').expect(201);
+
+      const { order } = response.body.data;
+      expect(order.totalPrice).toBe(1600);
+      expect(order.discount.code).toBe('SAMAKI10');
+      expect(order.discount.amount).toBe(160);
+
+      const coupon = await Coupon.findByCode('SAMAKI10');
+      expect(coupon.usedCount).toBe(1);
+    });
+
+    it('should cap percentage discounts at maxDiscount', async () => {
+      await Coupon.create({ code: 'HALF', discountType: 'percentage', value: 50, maxDiscount: 300 });
+
+      const response = await placeOrder('HALF').expect(201);
+
+      expect(response.body.data.order.discount.amount).toBe(300);
+    });
+
+    it('should only discount the allowed fish types', async () => {
+      await Coupon.create({ code: 'OMENA200', discountType: 'fixed', value: 200, fishTypes: ['omena'] });
+
+      const noOmena = await placeOrder('OMENA200').expect(400);
+      expect(noOmena.body.message).toContain('does not apply');
+
+      const response = await placeOrder('OMENA200', clientToken, [
+        { fishId: tilapia._id, quantity: 2 },
+        { fishId: omena._id, quantity: 1 }
+      ]).expect(201);
+      expect(response.body.data.order.discount.amount).toBe(200);
+    });
+
+    it('should enforce minimum spend and expiry', async () => {
+      await Coupon.create([
+        { code: 'BIGSPEND', discountType: 'fixed', value: 500, minSpend: 5000 },
+        { code: 'OLDCODE', discountType: 'fixed', value: 500, expiresAt: new Date(Date.now() - 1000) }
+      ]);
+
+      const minSpend = await placeOrder('BIGSPEND').expect(400);
+      expect(minSpend.body.message).toContain('Minimum spend');
+
+      const expired = await placeOrder('OLDCODE').expect(400);
+      expect(expired.body.message).toBe('Promo code has expired');
+    });
+
+    it('should enforce the total usage cap', async () => {
+      await Coupon.create({ code: 'FIRST1', discountType: 'fixed', value: 100, usageLimit: 1 });
+
+      await placeOrder('FIRST1').expect(201);
+      const response = await placeOrder('FIRST1', otherToken).expect(400);
+
+      expect(response.body.message).toContain('usage limit');
+    });
+
+    it('should enforce the per-user cap', async () => {
+      await Coupon.create({ code: 'ONCEEACH', discountType: 'fixed', value: 100, perUserLimit: 1 });
+
+      await placeOrder('ONCEEACH').expect(201);
+      const response = await placeOrder('ONCEEACH').expect(400);
+      expect(response.body.message).toBe('You have already used this promo code');
+
+      await placeOrder('ONCEEACH', otherToken).expect(201);
+    });
+
+    it('should hold the per-user cap for orders placed at the same time', async () => {
+      await Coupon.create({ code: 'ONCEEACH', discountType: 'fixed', value: 100, perUserLimit: 1 });
+
+      const responses = await Promise.all([
+        placeOrder('ONCEEACH', clientToken, [{ fishId: tilapia._id, quantity: 2 }]),
+        placeOrder('ONCEEACH', clientToken, [{ fishId: omena._id, quantity: 2 }])
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+      expect(await Order.countDocuments({ 'discount.code': 'ONCEEACH' })).toBe(1);
+    });
+
+    it('should limit first-order codes to new customers', async () => {
+      await Coupon.create({ code: 'WELCOME', discountType: 'fixed', value: 300, firstOrderOnly: true });
+
+      await placeOrder().expect(201);
+      const response = await placeOrder('WELCOME').expect(400);
+      expect(response.body.message).toContain('first order');
+
+      await placeOrder('WELCOME', otherToken).expect(201);
+    });
+
+    it('should roll back the order and stock for an invalid code', async () => {
+      const response = await placeOrder('NOSUCHCODE').expect(400);
+
+      expect(response.body.message).toBe('Invalid promo code');
+      expect(await Order.countDocuments()).toBe(0);
+      expect((await Fish.findById(tilapia._id)).stock).toBe(50);
+    });
+
+    it('should give the use back when the order is cancelled', async () => {
+      await Coupon.create({ code: 'ONCEEACH', discountType: 'fixed', value: 100, perUserLimit: 1, usageLimit: 1 });
+
+      const created = await placeOrder('ONCEEACH').expect(201);
+
+      await request(app)
+        .post(`/api/orders/${created.body.data.order._id}/cancel`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({})
+        .expect(200);
+
+      expect((await Coupon.findByCode('ONCEEACH')).usedCount).toBe(0);
+      await placeOrder('ONCEEACH').expect(201);
+    });
+  });
+
+  describe('POST /api/coupons/validate', () => {
+    it('should preview the discount for a cart', async () => {
+      await Coupon.create({ code: 'SAMAKI10', discountType: 'percentage', value: 10 });
+
+      const response = await request(app)
+        .post('/api/coupons/validate')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ code: 'samaki10', items: [{ fishId: tilapia._id, quantity: 2 }] })
+        .expect(200);
+
+      expect(response.body.data.discount).toBe(160);
+      expect(await Coupon.findByCode('SAMAKI10').then(coupon => coupon.usedCount)).toBe(0);
+    });
+  });
+
+  describe('GET /api/orders/stats/summary', () => {
+    it('should report gross and net revenue', async () => {
+      await Coupon.create({ code: 'SAMAKI10', discountType: 'percentage', value: 10 });
+      await placeOrder('SAMAKI10').expect(201);
+      await placeOrder(undefined, otherToken).expect(201);
+
+      const response = await request(app)
+        .get('/api/orders/stats/summary')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { summary } = response.body.data;
+      expect(summary.grossRevenue).toBe(3200);
+      expect(summary.totalDiscounts).toBe(160);
+      expect(summary.netRevenue).toBe(3040);
+    });
+  });
+});
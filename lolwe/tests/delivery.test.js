@@ -0,0 +1,425 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const DeliveryZone = require('../models/DeliveryZone');
+const DeliverySlot = require('../models/DeliverySlot');
+const Coupon = require('../models/Coupon');
+const { generateToken } = require('../middleware/auth');
+
+describe('Delivery Routes', () => {
+  let clientToken, adminToken, fish;
+
+  beforeEach(async () => {
+    const clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '12 Argwings Kodhek Road, Kilimani, Nairobi'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    fish = await Fish.create({
+      type: 'tilapia',
+      size: 4,
+      pricePerKg: 800,
+      stock: 50
+    });
+  });
+
+  const quote = (body, token = clientToken) => request(app)
+    .post('/api/delivery/quote')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ items: [{ fishId: fish._id, quantity: 2 }], ...body });
+
+  describe('Zone management', () => {
+    const zoneData = {
+      name: 'Kilimani & Kileleshwa',
+      coverage: 'area',
+      areas: ['Kilimani', 'Kileleshwa'],
+      baseFee: 150,
+      minimumOrder: 1000,
+      freeDeliveryThreshold: 5000
+    };
+
+    it('should create zone as admin', async () => {
+      const response = await request(app)
+        .post('/api/delivery/zones')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(zoneData)
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.zone.name).toBe(zoneData.name);
+      expect(response.body.data.zone.areas).toEqual(['kilimani', 'kileleshwa']);
+    });
+
+    it('should reject zone creation by client', async () => {
+      const response = await request(app)
+        .post('/api/delivery/zones')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send(zoneData)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should require a radius for radius zones', async () => {
+      const response = await request(app)
+        .post('/api/delivery/zones')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Depot radius', coverage: 'radius', baseFee: 100 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should update and deactivate zone as admin', async () => {
+      const zone = await DeliveryZone.create(zoneData);
+
+      const updated = await request(app)
+        .put(`/api/delivery/zones/${zone._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ baseFee: 200 })
+        .expect(200);
+
+      expect(updated.body.data.zone.baseFee).toBe(200);
+
+      await request(app)
+        .delete(`/api/delivery/zones/${zone._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const listed = await request(app)
+        .get('/api/delivery/zones')
+        .expect(200);
+
+      expect(listed.body.data.zones).toHaveLength(0);
+    });
+
+    it('should validate fees, radius and areas on update', async () => {
+      const zone = await DeliveryZone.create(zoneData);
+
+      for (const update of [{ feePerKm: -5 }, { radiusKm: 'far' }, { areas: 'Kilimani' }]) {
+        const response = await request(app)
+          .put(`/api/delivery/zones/${zone._id}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send(update)
+          .expect(400);
+
+        expect(response.body.message).toBe('Validation failed');
+      }
+    });
+  });
+
+  describe('POST /api/delivery/quote', () => {
+    it('should charge the flat default fee when no zones exist', async () => {
+      const response = await quote({}).expect(200);
+
+      expect(response.body.data.quote.zone).toBeNull();
+      expect(response.body.data.quote.subtotal).toBe(1600);
+      expect(response.body.data.quote.deliveryFee).toBe(100);
+      expect(response.body.data.quote.total).toBe(1700);
+    });
+
+    it('should match named area from the customer address', async () => {
+      await DeliveryZone.create({
+        name: 'Kilimani',
+        coverage: 'area',
+        areas: ['kilimani'],
+        baseFee: 150,
+        freeDeliveryThreshold: 5000
+      });
+
+      const response = await quote({}).expect(200);
+
+      expect(response.body.data.quote.zone.name).toBe('Kilimani');
+      expect(response.body.data.quote.deliveryFee).toBe(150);
+      expect(response.body.data.quote.amountToFreeDelivery).toBe(3400);
+    });
+
+    it('should waive the fee above the free delivery threshold', async () => {
+      await DeliveryZone.create({
+        name: 'Kilimani',
+        coverage: 'area',
+        areas: ['kilimani'],
+        baseFee: 150,
+        freeDeliveryThreshold: 1500
+      });
+
+      const response = await quote({}).expect(200);
+
+      expect(response.body.data.quote.freeDelivery).toBe(true);
+      expect(response.body.data.quote.deliveryFee).toBe(0);
+    });
+
+    it('should apply the free delivery threshold after the promo discount', async () => {
+      await DeliveryZone.create({
+        name: 'Kilimani',
+        coverage: 'area',
+        areas: ['kilimani'],
+        baseFee: 150,
+        freeDeliveryThreshold: 1500
+      });
+      await Coupon.create({ code: 'LESS200', discountType: 'fixed', value: 200 });
+
+      const response = await quote({ couponCode: 'LESS200' }).expect(200);
+
+      expect(response.body.data.quote.subtotal).toBe(1400);
+      expect(response.body.data.quote.freeDelivery).toBe(false);
+      expect(response.body.data.quote.deliveryFee).toBe(150);
+    });
+
+    it('should add a per-km fee for radius zones', async () => {
+      await DeliveryZone.create({
+        name: 'Within 10km of depot',
+        coverage: 'radius',
+        radiusKm: 10,
+        baseFee: 100,
+        feePerKm: 20
+      });
+
+      // Roughly 5.5 km from the default depot (Nairobi CBD)
+      const response = await quote({ location: { lat: -1.2364, lng: 36.8172 } }).expect(200);
+
+      expect(response.body.data.quote.zone.name).toBe('Within 10km of depot');
+      expect(response.body.data.quote.distanceKm).toBeCloseTo(5.6, 0);
+      expect(response.body.data.quote.deliveryFee).toBeGreaterThan(200);
+    });
+
+    it('should match polygon zones by location', async () => {
+      await DeliveryZone.create({
+        name: 'Westlands',
+        coverage: 'polygon',
+        polygon: {
+          type: 'Polygon',
+          coordinates: [[[36.78, -1.25], [36.82, -1.25], [36.82, -1.28], [36.78, -1.28], [36.78, -1.25]]]
+        },
+        baseFee: 180
+      });
+
+      const response = await quote({ location: { lat: -1.265, lng: 36.8 } }).expect(200);
+
+      expect(response.body.data.quote.zone.name).toBe('Westlands');
+      expect(response.body.data.quote.deliveryFee).toBe(180);
+    });
+
+    it('should flag orders below the zone minimum', async () => {
+      await DeliveryZone.create({
+        name: 'Kilimani',
+        coverage: 'area',
+        areas: ['kilimani'],
+        baseFee: 150,
+        minimumOrder: 2000
+      });
+
+      const response = await quote({}).expect(200);
+
+      expect(response.body.data.quote.meetsMinimum).toBe(false);
+      expect(response.body.data.quote.minimumOrder).toBe(2000);
+    });
+
+    it('should reject locations outside every zone', async () => {
+      await DeliveryZone.create({
+        name: 'Karen',
+        coverage: 'area',
+        areas: ['karen'],
+        baseFee: 250
+      });
+
+      const response = await quote({}).expect(422);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('do not deliver');
+    });
+  });
+
+  describe('Order creation', () => {
+    beforeEach(async () => {
+      await DeliveryZone.create({
+        name: 'Kilimani',
+        coverage: 'area',
+        areas: ['kilimani'],
+        baseFee: 150,
+        minimumOrder: 2000
+      });
+    });
+
+    it('should charge the quoted delivery fee', async () => {
+      const quoted = await quote({ items: [{ fishId: fish._id, quantity: 3 }] }).expect(200);
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({
+          items: [{ fishId: fish._id, quantity: 3 }],
+          deliveryAddress: '12 Argwings Kodhek Road, Kilimani, Nairobi'
+        })
+        .expect(201);
+
+      expect(response.body.data.order.deliveryFee).toBe(quoted.body.data.quote.deliveryFee);
+      expect(response.body.data.order.deliveryZone).toBe(quoted.body.data.quote.zone._id);
+    });
+
+    it('should apply the zone minimum after the promo discount', async () => {
+      await Coupon.create({ code: 'LESS500', discountType: 'fixed', value: 500 });
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({
+          items: [{ fishId: fish._id, quantity: 3 }],
+          deliveryAddress: '12 Argwings Kodhek Road, Kilimani, Nairobi',
+          couponCode: 'LESS500'
+        })
+        .expect(400);
+
+      expect(response.body.message).toBe('Minimum order for Kilimani is KSh 2000. Your subtotal after discount is KSh 1900');
+    });
+
+    it('should reject orders below the zone minimum', async () => {
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({
+          items: [{ fishId: fish._id, quantity: 2 }],
+          deliveryAddress: '12 Argwings Kodhek Road, Kilimani, Nairobi'
+        })
+        .expect(400);
+
+      expect(response.body.message).toContain('Minimum order for Kilimani');
+
+      const unchanged = await Fish.findById(fish._id).select('stock');
+      expect(unchanged.stock).toBe(50);
+    });
+  });
+
+  describe('Delivery slots', () => {
+    let zone, slot;
+    const address = '12 Argwings Kodhek Road, Kilimani, Nairobi';
+    const tomorrowAt = (hour) => {
+      const date = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      date.setUTCHours(hour, 0, 0, 0);
+      return date;
+    };
+
+    beforeEach(async () => {
+      zone = await DeliveryZone.create({
+        name: 'Kilimani',
+        coverage: 'area',
+        areas: ['kilimani'],
+        baseFee: 150
+      });
+
+      slot = await DeliverySlot.create({
+        zone: zone._id,
+        start: tomorrowAt(3),
+        end: tomorrowAt(6),
+        capacity: 1
+      });
+    });
+
+    const placeOrder = (slotId) => request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({
+        items: [{ fishId: fish._id, quantity: 2 }],
+        deliveryAddress: address,
+        slotId
+      });
+
+    it('should create slot as admin', async () => {
+      const response = await request(app)
+        .post('/api/delivery/slots')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ zone: zone._id, start: tomorrowAt(9), end: tomorrowAt(12), capacity: 5 })
+        .expect(201);
+
+      expect(response.body.data.slot.capacity).toBe(5);
+      expect(response.body.data.slot.remaining).toBe(5);
+    });
+
+    it('should reject slot creation by client', async () => {
+      await request(app)
+        .post('/api/delivery/slots')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ zone: zone._id, start: tomorrowAt(9), end: tomorrowAt(12), capacity: 5 })
+        .expect(403);
+    });
+
+    it('should list available slots for a zone', async () => {
+      const response = await request(app)
+        .get(`/api/delivery/slots?zoneId=${zone._id}`)
+        .expect(200);
+
+      expect(response.body.data.slots).toHaveLength(1);
+      expect(response.body.data.slots[0].remaining).toBe(1);
+    });
+
+    it('should book the slot when the order is created', async () => {
+      const response = await placeOrder(slot._id).expect(201);
+
+      expect(response.body.data.order.deliverySlot).toBe(slot._id.toString());
+      expect(new Date(response.body.data.order.estimatedDelivery)).toEqual(slot.start);
+
+      const booked = await DeliverySlot.findById(slot._id);
+      expect(booked.booked).toBe(1);
+
+      const listed = await request(app)
+        .get(`/api/delivery/slots?zoneId=${zone._id}`)
+        .expect(200);
+      expect(listed.body.data.slots).toHaveLength(0);
+    });
+
+    it('should reject orders for a full slot and keep stock', async () => {
+      await placeOrder(slot._id).expect(201);
+
+      const response = await placeOrder(slot._id).expect(409);
+
+      expect(response.body.message).toContain('no longer available');
+
+      const unchanged = await Fish.findById(fish._id).select('stock');
+      expect(unchanged.stock).toBe(48);
+    });
+
+    it('should not let capacity drop below booked orders', async () => {
+      slot.capacity = 2;
+      await slot.save();
+      await placeOrder(slot._id).expect(201);
+      await placeOrder(slot._id).expect(201);
+
+      const response = await request(app)
+        .put(`/api/delivery/slots/${slot._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ capacity: 1 })
+        .expect(400);
+
+      expect(response.body.message).toContain('already booked');
+    });
+
+    it('should free the slot when the order is cancelled', async () => {
+      const created = await placeOrder(slot._id).expect(201);
+
+      await request(app)
+        .post(`/api/orders/${created.body.data.order._id}/cancel`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({})
+        .expect(200);
+
+      const released = await DeliverySlot.findById(slot._id);
+      expect(released.booked).toBe(0);
+    });
+  });
+});
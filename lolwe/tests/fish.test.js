@@ -2,6 +2,7 @@ const request = require('supertest');
 const { app } = require('../server');
 const User = require('../models/User');
 const Fish = require('../models/Fish');
+const FishType = require('../models/FishType');
 const { generateToken } = require('../middleware/auth');
 
 describe('Fish Routes', () => {
@@ -79,6 +80,34 @@ describe('Fish Routes', () => {
       expect(response.body.data.fish[0].type).toBe('tilapia');
     });
 
+    it('should match the type filter regardless of case', async () => {
+      const response = await request(app)
+        .get('/api/fish?type=Tilapia')
+        .expect(200);
+
+      expect(response.body.data.fish).toHaveLength(1);
+      expect(response.body.data.fish[0].type).toBe('tilapia');
+    });
+
+    it('should reject query operators in the type filter', async () => {
+      const response = await request(app)
+        .get('/api/fish?type[$ne]=tilapia')
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid query parameters');
+    });
+
+    it('should filter by a deactivated type that still has fish on sale', async () => {
+      await FishType.updateOne({ slug: 'tilapia' }, { isActive: false });
+
+      const response = await request(app)
+        .get('/api/fish?type=tilapia')
+        .expect(200);
+
+      expect(response.body.data.fish).toHaveLength(1);
+      expect(response.body.data.fish[0].type).toBe('tilapia');
+    });
+
     it('should filter fish by size', async () => {
       const response = await request(app)
         .get('/api/fish?size=4')
@@ -152,6 +181,69 @@ describe('Fish Routes', () => {
     });
   });
 
+  describe('GET /api/fish facets', () => {
+    it('should only count facets when asked', async () => {
+      const response = await request(app)
+        .get('/api/fish')
+        .expect(200);
+
+      expect(response.body.data).not.toHaveProperty('facets');
+    });
+
+    it('should count every option for the whole catalog', async () => {
+      const response = await request(app)
+        .get('/api/fish?facets=true')
+        .expect(200);
+
+      const { facets } = response.body.data;
+      expect(facets.types).toEqual([
+        { value: 'catfish', count: 1 },
+        { value: 'omena', count: 1 },
+        { value: 'tilapia', count: 1 }
+      ]);
+      expect(facets.sizes.map(entry => entry.value)).toEqual([2, 4, 6]);
+      expect(facets.priceRanges).toEqual([
+        { min: 0, max: 500, count: 0 },
+        { min: 500, max: 1000, count: 2 },
+        { min: 1000, max: 1500, count: 1 },
+        { min: 1500, max: 2000, count: 0 },
+        { min: 2000, max: null, count: 0 }
+      ]);
+      expect(facets.availability).toEqual({ inStock: 2, outOfStock: 1 });
+    });
+
+    it('should apply the other filters but not a facet\'s own', async () => {
+      const response = await request(app)
+        .get('/api/fish?type=tilapia&facets=true')
+        .expect(200);
+
+      const { fish, facets } = response.body.data;
+      expect(fish).toHaveLength(1);
+      // Other types stay available to switch to
+      expect(facets.types).toHaveLength(3);
+      expect(facets.sizes).toEqual([{ value: 4, count: 1 }]);
+      expect(facets.availability).toEqual({ inStock: 1, outOfStock: 0 });
+    });
+
+    it('should count out of stock fish while in-stock is selected', async () => {
+      const response = await request(app)
+        .get('/api/fish?inStock=true&facets=true')
+        .expect(200);
+
+      const { facets } = response.body.data;
+      expect(facets.availability).toEqual({ inStock: 2, outOfStock: 1 });
+      expect(facets.types.map(entry => entry.value)).toEqual(['omena', 'tilapia']);
+    });
+
+    it('should count within search results', async () => {
+      const response = await request(app)
+        .get('/api/fish?search=tilapia&facets=true')
+        .expect(200);
+
+      expect(response.body.data.facets.types).toEqual([{ value: 'tilapia', count: 1 }]);
+    });
+  });
+
   describe('GET /api/fish/:id', () => {
     let fishId;
 
@@ -331,6 +423,25 @@ describe('Fish Routes', () => {
       expect(response.body.data.fish.stock).toBe(updateData.stock);
     });
 
+    it('should ignore fields that have their own endpoints', async () => {
+      await request(app)
+        .put(`/api/fish/${fishId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          featured: true,
+          images: [{ url: 'https://example.com/x.jpg', keys: ['x.jpg'] }],
+          archivedAt: '2024-01-01T00:00:00Z',
+          isActive: false
+        })
+        .expect(200);
+
+      const fish = await Fish.findById(fishId);
+      expect(fish.featured).toBe(true);
+      expect(fish.images).toHaveLength(0);
+      expect(fish.archivedAt).toBeUndefined();
+      expect(fish.isActive).toBe(true);
+    });
+
     it('should reject fish update by client', async () => {
       const response = await request(app)
         .put(`/api/fish/${fishId}`)
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const PriceChange = require('../models/PriceChange');
+const { generateToken } = require('../middleware/auth');
+
+describe('Archived Fish', () => {
+  let clientToken, adminToken, tilapia;
+
+  beforeEach(async () => {
+    const clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    const created = await request(app)
+      .post('/api/fish')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ type: 'tilapia', size: 4, pricePerKg: 800, stock: 0 })
+      .expect(201);
+    tilapia = created.body.data.fish;
+  });
+
+  const admin = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${adminToken}`);
+
+  const archive = (id) => admin('delete', `/api/fish/${id}`).expect(200);
+
+  it('should list archived fish and whether they can be purged', async () => {
+    await archive(tilapia._id);
+
+    const response = await admin('get', '/api/fish/archived').expect(200);
+    const [archived] = response.body.data.fish;
+
+    expect(response.body.data.fish).toHaveLength(1);
+    expect(archived.archivedAt).toBeDefined();
+    expect(archived.references).toEqual({ orders: 0, standingOrders: 0, purchaseOrders: 0 });
+    expect(archived.canPurge).toBe(true);
+  });
+
+  it('should restore an archived fish', async () => {
+    await archive(tilapia._id);
+
+    const response = await admin('post', `/api/fish/${tilapia._id}/restore`).expect(200);
+    expect(response.body.data.fish.isActive).toBe(true);
+    expect(response.body.data.fish.archivedAt).toBeUndefined();
+
+    await request(app).get(`/api/fish/${tilapia._id}`).expect(200);
+    await admin('post', `/api/fish/${tilapia._id}/restore`).expect(404);
+  });
+
+  it('should not restore over a fish with the same type and size', async () => {
+    await archive(tilapia._id);
+    await Fish.create({ type: 'tilapia', size: 4, pricePerKg: 850, stock: 10 });
+
+    const response = await admin('post', `/api/fish/${tilapia._id}/restore`).expect(409);
+    expect(response.body.message).toBe('tilapia of size 4 already exists in inventory');
+  });
+
+  it('should purge an unreferenced fish and keep its price history', async () => {
+    await archive(tilapia._id);
+
+    await admin('delete', `/api/fish/${tilapia._id}/purge`).expect(200);
+
+    expect(await Fish.findById(tilapia._id)).toBeNull();
+    expect(await PriceChange.countDocuments({ fish: tilapia._id })).toBe(1);
+  });
+
+  it('should not purge a fish that was ordered', async () => {
+    const omena = await Fish.create({ type: 'omena', size: 2, pricePerKg: 600, stock: 5 });
+
+    await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({
+        items: [{ fishId: omena._id, quantity: 5 }],
+        deliveryAddress: '123 Client Street, Nairobi, Kenya'
+      })
+      .expect(201);
+
+    await archive(omena._id);
+
+    const response = await admin('delete', `/api/fish/${omena._id}/purge`).expect(409);
+    expect(response.body.data.references).toEqual({ orders: 1, standingOrders: 0, purchaseOrders: 0 });
+    expect(await Fish.findById(omena._id)).not.toBeNull();
+  });
+
+  it('should not purge a fish with stock left', async () => {
+    const omena = await Fish.create({ type: 'omena', size: 2, pricePerKg: 600, stock: 5 });
+    await archive(omena._id);
+
+    const response = await admin('delete', `/api/fish/${omena._id}/purge`).expect(409);
+    expect(response.body.message).toMatch(/still has 5kg in stock/);
+  });
+
+  it('should only purge archived fish', async () => {
+    await admin('delete', `/api/fish/${tilapia._id}/purge`).expect(404);
+  });
+
+  it('should only be available to admins', async () => {
+    await request(app)
+      .get('/api/fish/archived')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const { generateToken } = require('../middleware/auth');
+
+describe('Fish Images', () => {
+  let uploadDir, adminToken, clientToken, tilapia, photo;
+
+  beforeAll(async () => {
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fish-images-'));
+    process.env.UPLOAD_DIR = uploadDir;
+    process.env.UPLOAD_PUBLIC_URL = 'http://localhost:5000/uploads';
+
+    photo = await sharp({
+      create: { width: 1600, height: 1200, channels: 3, background: '#2f6f9f' }
+    }).jpeg().toBuffer();
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    delete process.env.UPLOAD_DIR;
+    delete process.env.UPLOAD_PUBLIC_URL;
+  });
+
+  beforeEach(async () => {
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    const clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    tilapia = await Fish.create({ type: 'tilapia', size: 4, pricePerKg: 800, stock: 50 });
+  });
+
+  const upload = (files, token = adminToken) => {
+    const req = request(app)
+      .post(`/api/fish/${tilapia._id}/images`)
+      .set('Authorization', `Bearer ${token}`);
+    files.forEach(([buffer, name]) => req.attach('images', buffer, name));
+    return req;
+  };
+
+  const storedPath = (url) => path.join(uploadDir, url.replace('http://localhost:5000/uploads/', ''));
+
+  it('should store uploads with thumbnails in the gallery', async () => {
+    const response = await upload([[photo, 'catch.jpg'], [photo, 'fillet.jpg']]).expect(201);
+    const { images } = response.body.data;
+
+    expect(images).toHaveLength(2);
+    expect(images[0]).toMatchObject({ contentType: 'image/jpeg', width: 1600, height: 1200 });
+    expect(images[0].keys).toBeUndefined();
+    expect(fs.existsSync(storedPath(images[0].url))).toBe(true);
+
+    const medium = await sharp(storedPath(images[0].thumbnails.medium)).metadata();
+    expect(medium).toMatchObject({ format: 'webp', width: 480 });
+
+    const detail = await request(app).get(`/api/fish/${tilapia._id}`).expect(200);
+    expect(detail.body.data.fish.images).toHaveLength(2);
+  });
+
+  it('should reject files that are not images', async () => {
+    await upload([[Buffer.from('not a picture'), 'notes.txt']]).expect(415);
+
+    // Declared as an image but isn't one
+    const response = await request(app)
+      .post(`/api/fish/${tilapia._id}/images`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .attach('images', Buffer.from('not a picture'), { filename: 'fake.png', contentType: 'image/png' })
+      .expect(415);
+
+    expect(response.body.message).toBe('fake.png is not a JPEG, PNG or WebP image');
+    expect((await Fish.findById(tilapia._id)).images).toHaveLength(0);
+  });
+
+  it('should reject requests without images and uploads from clients', async () => {
+    await upload([]).expect(400);
+    await upload([[photo, 'catch.jpg']], clientToken).expect(403);
+  });
+
+  it('should cap the gallery size', async () => {
+    await upload(Array.from({ length: 8 }, (_, i) => [photo, `catch-${i}.jpg`])).expect(201);
+    await upload([[photo, 'a.jpg'], [photo, 'b.jpg'], [photo, 'c.jpg']]).expect(400);
+  });
+
+  it('should change the cover image', async () => {
+    const uploaded = await upload([[photo, 'first.jpg'], [photo, 'second.jpg']]).expect(201);
+    const [first, second] = uploaded.body.data.images;
+
+    const response = await request(app)
+      .post(`/api/fish/${tilapia._id}/images/${second._id}/cover`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.body.data.images.map(image => image._id)).toEqual([second._id, first._id]);
+  });
+
+  it('should remove an image and its files', async () => {
+    const uploaded = await upload([[photo, 'catch.jpg']]).expect(201);
+    const [image] = uploaded.body.data.images;
+
+    await request(app)
+      .delete(`/api/fish/${tilapia._id}/images/${image._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect((await Fish.findById(tilapia._id)).images).toHaveLength(0);
+    expect(fs.existsSync(storedPath(image.url))).toBe(false);
+    expect(fs.existsSync(storedPath(image.thumbnails.small))).toBe(false);
+  });
+});
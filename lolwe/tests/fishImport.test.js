@@ -0,0 +1,145 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const StockLot = require('../models/StockLot');
+const PriceChange = require('../models/PriceChange');
+const FishType = require('../models/FishType');
+const { generateToken } = require('../middleware/auth');
+const { parseCsv } = require('../utils/fishCsv');
+
+describe('Fish CSV Import/Export', () => {
+  let clientToken, adminToken, tilapia;
+
+  beforeEach(async () => {
+    const clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    tilapia = await Fish.create({ type: 'tilapia', size: 4, pricePerKg: 800, stock: 20, description: 'Fresh, from Lake Victoria' });
+  });
+
+  const importCsv = (csv, query = '') => request(app)
+    .post(`/api/fish/import${query}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .attach('file', Buffer.from(csv), { filename: 'fish.csv', contentType: 'text/csv' });
+
+  const csv = [
+    'type,size,pricePerKg,stock,description',
+    'tilapia,4,850,20,',
+    'omena,2,600,30,"Sun dried, Lake Victoria"',
+    'tilapia,6,1100,,'
+  ].join('\n');
+
+  it('should report what an import would do without writing', async () => {
+    const response = await importCsv(csv, '?dryRun=true').expect(200);
+
+    expect(response.body.data.summary).toEqual({ total: 3, create: 2, update: 1, unchanged: 0, invalid: 0 });
+    expect(response.body.data.report[0]).toMatchObject({
+      row: 2,
+      action: 'update',
+      changes: { pricePerKg: { from: 800, to: 850 } }
+    });
+    expect(await Fish.countDocuments()).toBe(1);
+  });
+
+  it('should upsert on type and size', async () => {
+    await importCsv(csv).expect(200);
+
+    const updated = await Fish.findById(tilapia._id);
+    expect(updated.pricePerKg).toBe(850);
+    // Blank cells leave the current value
+    expect(updated.description).toBe('Fresh, from Lake Victoria');
+    expect(updated.stock).toBe(20);
+
+    const omena = await Fish.findOne({ type: 'omena', size: 2 });
+    expect(omena).toMatchObject({ pricePerKg: 600, stock: 30, description: 'Sun dried, Lake Victoria' });
+    expect(await StockLot.countDocuments({ fish: omena._id })).toBe(1);
+
+    const change = await PriceChange.findOne({ fish: tilapia._id, source: 'manual' });
+    expect(change).toMatchObject({ oldPrice: 800, newPrice: 850, note: 'CSV import' });
+  });
+
+  it('should import nothing when a row is invalid', async () => {
+    const response = await importCsv([
+      'type,size,pricePerKg,stock',
+      'omena,2,600,30',
+      'shark,4,900,10',
+      'omena,2,650,',
+      'catfish,5,-1,2.3'
+    ].join('\n')).expect(400);
+
+    const { summary, report } = response.body.data;
+    expect(summary.invalid).toBe(3);
+    expect(report[1].errors[0]).toMatch(/^Fish type must be one of/);
+    expect(report[2].errors).toEqual(['Same type and size as row 2']);
+    expect(report[3].errors).toEqual(['Price per kg must be a positive number', 'Stock must be in 0.5 kg steps']);
+    expect(await Fish.countDocuments()).toBe(1);
+  });
+
+  it('should reject files with unknown columns', async () => {
+    const response = await importCsv('type,size,colour\ntilapia,4,grey').expect(400);
+    expect(response.body.message).toBe('Unknown column: colour. Expected: type, size, pricePerKg, stock, description');
+  });
+
+  it('should export in the import format', async () => {
+    await Fish.create({ type: 'omena', size: 2, pricePerKg: 600, stock: 12.5, description: '=HYPERLINK("x")' });
+
+    const response = await request(app)
+      .get('/api/fish/export')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="fish-inventory-/);
+    expect(parseCsv(response.text)).toEqual([
+      ['type', 'size', 'pricePerKg', 'stock', 'description'],
+      ['omena', '2', '600', '12.5', '\'=HYPERLINK("x")'],
+      ['tilapia', '4', '800', '20', 'Fresh, from Lake Victoria']
+    ]);
+
+    // Re-importing the export changes nothing
+    const reimport = await importCsv(response.text, '?dryRun=true').expect(200);
+    expect(reimport.body.data.summary).toMatchObject({ unchanged: 2, invalid: 0 });
+  });
+
+  it('should re-import fish whose type has left the catalog', async () => {
+    await FishType.updateOne({ slug: 'tilapia' }, { isActive: false });
+
+    const exported = await request(app)
+      .get('/api/fish/export')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const reimport = await importCsv(exported.text.replace('800', '820')).expect(200);
+    expect(reimport.body.data.summary).toMatchObject({ update: 1, invalid: 0 });
+    expect((await Fish.findById(tilapia._id)).pricePerKg).toBe(820);
+
+    // New fish still need an active type
+    const response = await importCsv('type,size,pricePerKg\ntilapia,6,900', '?dryRun=true').expect(200);
+    expect(response.body.data.report[0].errors[0]).toMatch(/^Fish type must be one of/);
+  });
+
+  it('should only be available to admins', async () => {
+    await request(app)
+      .get('/api/fish/export')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const { app } = require('../server');
+const Fish = require('../models/Fish');
+const { editDistance, parseSearch } = require('../utils/fishSearch');
+
+describe('Fish Search', () => {
+  beforeEach(async () => {
+    await Fish.create([
+      { type: 'tilapia', size: 3, pricePerKg: 700, stock: 20, description: 'Whole tilapia from Lake Victoria' },
+      { type: 'tilapia', size: 6, pricePerKg: 1100, stock: 15, description: 'Large tilapia, great for grilling' },
+      { type: 'nileperch', size: 5, pricePerKg: 900, stock: 25, description: 'Firm white fillets, pairs well with tilapia' },
+      { type: 'omena', size: 2, pricePerKg: 500, stock: 40, description: 'Sun dried from Lake Victoria' },
+      { type: 'catfish', size: 4, pricePerKg: 800, stock: 10, description: 'Farmed in Kisumu', isActive: false }
+    ]);
+  });
+
+  const search = (query) => request(app).get(`/api/fish?${query}`).expect(200);
+
+  it('should find fish despite a typo in the name', async () => {
+    const response = await search('search=tilapa');
+    const fish = response.body.data.fish;
+
+    expect(fish).toHaveLength(3);
+    expect(fish.slice(0, 2).map(item => item.type)).toEqual(['tilapia', 'tilapia']);
+    // A description mention ranks below the type itself
+    expect(fish[2].type).toBe('nileperch');
+    expect(fish[0].searchScore).toBeGreaterThan(fish[2].searchScore);
+  });
+
+  it('should match Swahili names', async () => {
+    const response = await search('search=dagaa');
+
+    expect(response.body.data.fish).toHaveLength(1);
+    expect(response.body.data.fish[0].type).toBe('omena');
+    expect(response.body.data.fish[0].highlights).toEqual([
+      { field: 'swahiliName', text: 'Dagaa', matches: [{ start: 0, length: 5 }] }
+    ]);
+  });
+
+  it('should return highlight ranges for description matches', async () => {
+    const response = await search('search=victoria');
+    const omena = response.body.data.fish.find(item => item.type === 'omena');
+
+    expect(response.body.data.fish).toHaveLength(2);
+    expect(omena.highlights).toEqual([
+      { field: 'description', text: 'Sun dried from Lake Victoria', matches: [{ start: 20, length: 8 }] }
+    ]);
+  });
+
+  it('should rank fish matching every term first', async () => {
+    const response = await search('search=tilapia%20grilling');
+
+    expect(response.body.data.fish[0].size).toBe(6);
+    expect(response.body.data.fish).toHaveLength(3);
+  });
+
+  it('should combine search with size and price filters', async () => {
+    const bySize = await search('search=tilapia&size=3');
+    expect(bySize.body.data.fish).toHaveLength(1);
+    expect(bySize.body.data.fish[0].pricePerKg).toBe(700);
+
+    const byPrice = await search('search=tilapia&maxPrice=1000');
+    expect(byPrice.body.data.fish.map(item => item.type).sort()).toEqual(['nileperch', 'tilapia']);
+  });
+
+  it('should paginate ranked results', async () => {
+    const firstPage = await search('search=tilapia&limit=2&page=1');
+    const secondPage = await search('search=tilapia&limit=2&page=2');
+
+    expect(firstPage.body.data.fish).toHaveLength(2);
+    expect(firstPage.body.data.pagination).toMatchObject({ totalItems: 3, totalPages: 2, hasNextPage: true });
+    expect(secondPage.body.data.fish).toHaveLength(1);
+    expect(secondPage.body.data.fish[0].type).toBe('nileperch');
+  });
+
+  it('should leave out inactive fish and fish that do not match', async () => {
+    const inactive = await search('search=kisumu');
+    expect(inactive.body.data.fish).toHaveLength(0);
+    expect(inactive.body.data.pagination.totalItems).toBe(0);
+
+    const unrelated = await search('search=lobster');
+    expect(unrelated.body.data.fish).toHaveLength(0);
+  });
+
+  it('should list normally when the search is blank', async () => {
+    const response = await search('search=%20%20');
+
+    expect(response.body.data.fish).toHaveLength(4);
+    expect(response.body.data.fish[0]).not.toHaveProperty('highlights');
+  });
+
+  it('should reject an overly long search', async () => {
+    const response = await request(app)
+      .get(`/api/fish?search=${'a'.repeat(101)}`)
+      .expect(400);
+
+    expect(response.body.errors[0].message).toBe('Search cannot exceed 100 characters');
+  });
+
+  describe('helpers', () => {
+    it('should count a swapped pair of letters as one typo', () => {
+      expect(editDistance('tilpaia', 'tilapia')).toBe(1);
+      expect(editDistance('tilapa', 'tilapia')).toBe(1);
+      expect(editDistance('omena', 'omena')).toBe(0);
+    });
+
+    it('should split a search into unique lower case terms', () => {
+      expect(parseSearch('  Nile-Perch nile ')).toEqual(['nile', 'perch']);
+    });
+  });
+});
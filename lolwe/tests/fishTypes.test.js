@@ -0,0 +1,162 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const FishType = require('../models/FishType');
+const { generateToken } = require('../middleware/auth');
+
+describe('Fish Type Catalog', () => {
+  let clientToken, adminToken;
+
+  beforeEach(async () => {
+    const clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+  });
+
+  const addMudfish = (overrides = {}) => request(app)
+    .post('/api/fish-types')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ slug: 'mudfish', name: 'Mudfish', swahiliName: 'Kamongo', minSize: 3, maxSize: 6, ...overrides });
+
+  describe('GET /api/fish-types', () => {
+    it('should list the default types without authentication', async () => {
+      const response = await request(app)
+        .get('/api/fish-types')
+        .expect(200);
+
+      expect(response.body.data.fishTypes.map(type => type.slug))
+        .toEqual(['tilapia', 'omena', 'catfish', 'nileperch']);
+      expect(response.body.data.fishTypes[3].swahiliName).toBe('Sangara');
+    });
+  });
+
+  describe('Admin CRUD', () => {
+    it('should add a type that fish can then use', async () => {
+      const created = await addMudfish().expect(201);
+      expect(created.body.data.fishType.slug).toBe('mudfish');
+
+      const response = await request(app)
+        .post('/api/fish')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ type: 'mudfish', size: 4, pricePerKg: 700, stock: 10 })
+        .expect(201);
+
+      expect(response.body.data.fish.type).toBe('mudfish');
+    });
+
+    it('should reject duplicate keys and client changes', async () => {
+      await addMudfish().expect(201);
+      await addMudfish().expect(409);
+
+      await request(app)
+        .post('/api/fish-types')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ slug: 'eel', name: 'Eel', minSize: 2, maxSize: 4 })
+        .expect(403);
+    });
+
+    it('should not allow the key to change', async () => {
+      const tilapia = await FishType.findOne({ slug: 'tilapia' });
+
+      const response = await request(app)
+        .put(`/api/fish-types/${tilapia._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ slug: 'sato' })
+        .expect(400);
+
+      expect(response.body.errors[0].message).toBe('Fish type key cannot be changed');
+    });
+
+    it('should not narrow the size range below listed fish', async () => {
+      await Fish.create({ type: 'tilapia', size: 8, pricePerKg: 800, stock: 5 });
+      const tilapia = await FishType.findOne({ slug: 'tilapia' });
+
+      await request(app)
+        .put(`/api/fish-types/${tilapia._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ maxSize: 6 })
+        .expect(409);
+
+      const response = await request(app)
+        .put(`/api/fish-types/${tilapia._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Lake Victoria Tilapia', maxSize: 10 })
+        .expect(200);
+
+      expect(response.body.data.fishType.name).toBe('Lake Victoria Tilapia');
+    });
+
+    it('should stop new fish using a deactivated type', async () => {
+      const omena = await FishType.findOne({ slug: 'omena' });
+
+      await request(app)
+        .delete(`/api/fish-types/${omena._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/fish')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ type: 'omena', size: 2, pricePerKg: 600, stock: 10 })
+        .expect(400);
+
+      expect(response.body.errors[0].message).toBe('Fish type must be one of: tilapia, catfish, nileperch');
+    });
+  });
+
+  describe('Validation against the catalog', () => {
+    it('should enforce the size range of the type', async () => {
+      await addMudfish().expect(201);
+
+      const response = await request(app)
+        .post('/api/fish')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ type: 'mudfish', size: 8, pricePerKg: 700, stock: 10 })
+        .expect(400);
+
+      expect(response.body.message).toContain('Mudfish size must be between 3 and 6');
+    });
+
+    it('should include catalog types without fish in the summary', async () => {
+      await Fish.create({ type: 'tilapia', size: 4, pricePerKg: 800, stock: 5 });
+      await addMudfish().expect(201);
+
+      const response = await request(app)
+        .get('/api/fish/types/summary')
+        .expect(200);
+
+      const mudfish = response.body.data.summary.find(entry => entry.type === 'mudfish');
+      expect(mudfish).toMatchObject({ name: 'Mudfish', totalStock: 0, varietyCount: 0, isAvailable: false });
+
+      const tilapia = response.body.data.summary.find(entry => entry.type === 'tilapia');
+      expect(tilapia).toMatchObject({ totalStock: 5, sizes: [4], isAvailable: true });
+    });
+
+    it('should add catalog names to fish listings', async () => {
+      await Fish.create({ type: 'nileperch', size: 6, pricePerKg: 1200, stock: 5 });
+
+      const response = await request(app)
+        .get('/api/fish')
+        .expect(200);
+
+      expect(response.body.data.fish[0]).toMatchObject({ typeName: 'Nile Perch', swahiliName: 'Sangara' });
+    });
+  });
+});
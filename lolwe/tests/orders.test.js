@@ -121,6 +121,91 @@ describe('Orders Routes', () => {
       expect(response2.body.data.order.orderNumber).toMatch(/^ORD-\d{8}-\d{4}$/);
     });
 
+    it('should generate unique order numbers for parallel orders', async () => {
+      const responses = await Promise.all([...Array(5)].map(() =>
+        request(app)
+          .post('/api/orders')
+          .set('Authorization', `Bearer ${clientToken}`)
+          .send({ ...validOrderData, items: [{ fishId: fishIds[0], quantity: 1 }] })
+      ));
+
+      responses.forEach(response => expect(response.status).toBe(201));
+
+      const orderNumbers = responses.map(response => response.body.data.order.orderNumber);
+      expect(new Set(orderNumbers).size).toBe(5);
+    });
+
+    it('should replay the first response for a repeated Idempotency-Key', async () => {
+      const first = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .set('Idempotency-Key', 'checkout-abc-123')
+        .send(validOrderData)
+        .expect(201);
+
+      const retry = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .set('Idempotency-Key', 'checkout-abc-123')
+        .send(validOrderData)
+        .expect(201);
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body).toEqual(first.body);
+      expect(await Order.countDocuments()).toBe(1);
+
+      const fish = await Fish.findById(fishIds[0]).select('stock');
+      expect(fish.stock).toBe(48); // stock taken only once
+    });
+
+    it('should reject a reused Idempotency-Key with a different body', async () => {
+      await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .set('Idempotency-Key', 'checkout-abc-123')
+        .send(validOrderData)
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .set('Idempotency-Key', 'checkout-abc-123')
+        .send({ ...validOrderData, items: [{ fishId: fishIds[0], quantity: 5 }] })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('different request');
+    });
+
+    it('should scope Idempotency-Key per user', async () => {
+      const otherUser = new User({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'Password123',
+        role: 'client',
+        deliveryAddress: '456 Other Street, Nairobi'
+      });
+      await otherUser.save();
+      const otherToken = generateToken(otherUser._id, otherUser.role);
+
+      await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .set('Idempotency-Key', 'shared-key')
+        .send(validOrderData)
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .set('Idempotency-Key', 'shared-key')
+        .send(validOrderData)
+        .expect(201);
+
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+      expect(await Order.countDocuments()).toBe(2);
+    });
+
     it('should use user delivery address if not provided', async () => {
       const orderWithoutAddress = {
         items: validOrderData.items,
@@ -151,12 +236,78 @@ describe('Orders Routes', () => {
         .post('/api/orders')
         .set('Authorization', `Bearer ${clientToken}`)
         .send(orderData)
-        .expect(400);
+        .expect(409);
 
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('Insufficient stock');
       expect(response.body.message).toContain('Available: 5');
       expect(response.body.message).toContain('Requested: 10');
+      expect(response.body.errors).toHaveLength(1);
+      expect(response.body.errors[0]).toMatchObject({
+        fishType: 'catfish',
+        fishSize: 6,
+        available: 5,
+        requested: 10
+      });
+    });
+
+    it('should roll back every reservation when any item runs short', async () => {
+      const orderData = {
+        items: [
+          {
+            fishId: fishIds[0], // tilapia with stock 50
+            quantity: 5
+          },
+          {
+            fishId: fishIds[2], // catfish with stock 5
+            quantity: 10
+          }
+        ],
+        deliveryAddress: validOrderData.deliveryAddress
+      };
+
+      const response = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send(orderData)
+        .expect(409);
+
+      expect(response.body.errors).toHaveLength(1);
+
+      const tilapia = await Fish.findById(fishIds[0]).select('stock');
+      const catfish = await Fish.findById(fishIds[2]).select('stock');
+      expect(tilapia.stock).toBe(50);
+      expect(catfish.stock).toBe(5);
+      expect(await Order.countDocuments()).toBe(0);
+    });
+
+    it('should not oversell when checkouts run concurrently', async () => {
+      const orderData = {
+        items: [
+          {
+            fishId: fishIds[2], // catfish with stock 5
+            quantity: 3
+          }
+        ],
+        deliveryAddress: validOrderData.deliveryAddress
+      };
+
+      const responses = await Promise.all([
+        request(app)
+          .post('/api/orders')
+          .set('Authorization', `Bearer ${clientToken}`)
+          .send(orderData),
+        request(app)
+          .post('/api/orders')
+          .set('Authorization', `Bearer ${clientToken}`)
+          .send(orderData)
+      ]);
+
+      const statuses = responses.map(res => res.status).sort();
+      expect(statuses).toEqual([201, 409]);
+
+      const catfish = await Fish.findById(fishIds[2]).select('stock');
+      expect(catfish.stock).toBe(2);
     });
 
     it('should reject order with non-existent fish', async () => {
@@ -555,6 +706,337 @@ describe('Orders Routes', () => {
     });
   });
 
+  describe('POST /api/orders/:id/cancel', () => {
+    let order;
+
+    beforeEach(async () => {
+      // Simulate the stock already reserved by order creation
+      await Fish.findByIdAndUpdate(fishIds[0], { $inc: { stock: -2 } });
+
+      order = await Order.create({
+        userId: clientUser._id,
+        orderNumber: 'ORD-20231201-0001',
+        items: [{
+          fishId: fishIds[0],
+          fishType: 'tilapia',
+          fishSize: 4,
+          quantity: 2,
+          pricePerKg: 800,
+          subtotal: 1600
+        }],
+        totalPrice: 1600,
+        deliveryAddress: clientUser.deliveryAddress,
+        status: 'pending'
+      });
+    });
+
+    it('should cancel pending order for owner and restock items', async () => {
+      const response = await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ reason: 'Ordered the wrong size' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.message).toBe('Order cancelled successfully');
+      expect(response.body.data.order.status).toBe('cancelled');
+      expect(response.body.data.order.cancellationReason).toBe('Ordered the wrong size');
+      expect(response.body.data.order).toHaveProperty('cancelledAt');
+
+      const fish = await Fish.findById(fishIds[0]).select('stock');
+      expect(fish.stock).toBe(50);
+    });
+
+    it('should reject cancellation once order is processing', async () => {
+      await Order.findByIdAndUpdate(order._id, { status: 'processing' });
+
+      const response = await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('can no longer be cancelled');
+
+      const fish = await Fish.findById(fishIds[0]).select('stock');
+      expect(fish.stock).toBe(48);
+    });
+
+    it('should reject cancellation of other user order', async () => {
+      const otherUser = new User({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'Password123',
+        role: 'client',
+        deliveryAddress: '456 Other St'
+      });
+      await otherUser.save();
+      const otherToken = generateToken(otherUser._id, otherUser.role);
+
+      const response = await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({})
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Access denied');
+    });
+
+    it('should restock only once when cancelled twice', async () => {
+      await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({})
+        .expect(200);
+
+      await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({})
+        .expect(400);
+
+      const fish = await Fish.findById(fishIds[0]).select('stock');
+      expect(fish.stock).toBe(50);
+    });
+
+    it('should restock when admin cancels through status update', async () => {
+      await request(app)
+        .put(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'cancelled' })
+        .expect(200);
+
+      const fish = await Fish.findById(fishIds[0]).select('stock');
+      expect(fish.stock).toBe(50);
+    });
+  });
+
+  describe('GET /api/orders/:id/timeline', () => {
+    let order;
+
+    beforeEach(async () => {
+      order = await Order.create({
+        userId: clientUser._id,
+        orderNumber: 'ORD-20231201-0001',
+        items: [{
+          fishId: fishIds[0],
+          fishType: 'tilapia',
+          fishSize: 4,
+          quantity: 2,
+          pricePerKg: 800,
+          subtotal: 1600
+        }],
+        totalPrice: 1600,
+        deliveryAddress: clientUser.deliveryAddress,
+        status: 'pending'
+      });
+    });
+
+    it('should record each status change with actor and note', async () => {
+      await request(app)
+        .put(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'processing', adminNotes: 'Cleaning the fish' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'shipped' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/orders/${order._id}/timeline`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.status).toBe('shipped');
+
+      const { timeline } = response.body.data;
+      expect(timeline).toHaveLength(3);
+      expect(timeline[0]).toMatchObject({ from: null, to: 'pending' });
+      expect(timeline[1]).toMatchObject({ from: 'pending', to: 'processing', note: 'Cleaning the fish' });
+      expect(timeline[1].actor.name).toBe('Admin User');
+      expect(timeline[2]).toMatchObject({ from: 'processing', to: 'shipped' });
+      expect(timeline[2]).toHaveProperty('timestamp');
+    });
+
+    it('should keep earlier entries when admin notes are overwritten', async () => {
+      await request(app)
+        .put(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'processing', adminNotes: 'First note' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/orders/${order._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'shipped', adminNotes: 'Second note' })
+        .expect(200);
+
+      const updated = await Order.findById(order._id);
+      expect(updated.adminNotes).toBe('Second note');
+      expect(updated.statusHistory.map(entry => entry.note)).toEqual([undefined, 'First note', 'Second note']);
+    });
+
+    it('should record cancellation reason in the timeline', async () => {
+      await request(app)
+        .post(`/api/orders/${order._id}/cancel`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ reason: 'Restaurant closed today' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/orders/${order._id}/timeline`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+
+      const lastEntry = response.body.data.timeline[response.body.data.timeline.length - 1];
+      expect(lastEntry).toMatchObject({ from: 'pending', to: 'cancelled', note: 'Restaurant closed today' });
+      expect(lastEntry.actor.name).toBe('John Client');
+    });
+
+    it('should reject timeline access to other user order', async () => {
+      const otherUser = new User({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'Password123',
+        role: 'client',
+        deliveryAddress: '456 Other St'
+      });
+      await otherUser.save();
+      const otherToken = generateToken(otherUser._id, otherUser.role);
+
+      const response = await request(app)
+        .get(`/api/orders/${order._id}/timeline`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/orders/:id/invoice.pdf', () => {
+    let orders;
+
+    // Collect the binary PDF body
+    const binaryParser = (res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    const downloadInvoice = (orderId, token = clientToken) => request(app)
+      .get(`/api/orders/${orderId}/invoice.pdf`)
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse(binaryParser);
+
+    beforeEach(async () => {
+      orders = await Order.create(['ORD-20231201-0001', 'ORD-20231201-0002'].map(orderNumber => ({
+        userId: clientUser._id,
+        orderNumber,
+        items: [{
+          fishId: fishIds[0],
+          fishType: 'tilapia',
+          fishSize: 4,
+          quantity: 2,
+          pricePerKg: 800,
+          subtotal: 1600
+        }],
+        totalPrice: 1600,
+        deliveryAddress: clientUser.deliveryAddress,
+        status: 'shipped'
+      })));
+    });
+
+    it('should return a PDF invoice for the order owner', async () => {
+      const response = await downloadInvoice(orders[0]._id).expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+      expect(response.body.slice(0, 5).toString()).toBe('%PDF-');
+
+      const order = await Order.findById(orders[0]._id);
+      expect(order.invoiceNumber).toMatch(/^INV-\d{4}-000001$/);
+      expect(response.headers['content-disposition']).toContain(`${order.invoiceNumber}.pdf`);
+    });
+
+    it('should keep the invoice number on repeat downloads and number invoices sequentially', async () => {
+      await downloadInvoice(orders[1]._id).expect(200);
+      await downloadInvoice(orders[1]._id).expect(200);
+      await downloadInvoice(orders[0]._id, adminToken).expect(200);
+
+      const [first, second] = await Promise.all(orders.map(order => Order.findById(order._id)));
+      expect(second.invoiceNumber).toMatch(/-000001$/);
+      expect(first.invoiceNumber).toMatch(/-000002$/);
+      expect(first.orderNumber).toBe('ORD-20231201-0001');
+    });
+
+    it('should reject other clients', async () => {
+      const otherClient = await User.create({
+        name: 'Other Client',
+        email: 'other@example.com',
+        password: 'Password123',
+        role: 'client',
+        deliveryAddress: '456 Other Street, Nairobi'
+      });
+      const otherToken = generateToken(otherClient._id, otherClient.role);
+
+      await downloadInvoice(orders[0]._id, otherToken).expect(403);
+    });
+
+    it('should not invoice cancelled orders', async () => {
+      await Order.updateOne({ _id: orders[0]._id }, { status: 'cancelled' });
+
+      await downloadInvoice(orders[0]._id).expect(400);
+    });
+
+    it('should not number an invoice before the order is shipped', async () => {
+      await Order.updateOne({ _id: orders[0]._id }, { status: 'processing' });
+
+      await downloadInvoice(orders[0]._id).expect(400);
+
+      const order = await Order.findById(orders[0]._id);
+      expect(order.invoiceNumber).toBeUndefined();
+    });
+  });
+
+  describe('Order.generateOrderNumber', () => {
+    afterEach(() => {
+      delete process.env.ORDER_NUMBER_PREFIX;
+      delete process.env.ORDER_NUMBER_TIMEZONE;
+    });
+
+    it('should increment the per-day sequence', async () => {
+      const date = new Date('2023-12-01T09:00:00Z');
+
+      const first = await Order.generateOrderNumber(null, date);
+      const second = await Order.generateOrderNumber(null, date);
+
+      expect(first).toBe('ORD-20231201-0001');
+      expect(second).toBe('ORD-20231201-0002');
+    });
+
+    it('should use Nairobi local date by default', async () => {
+      // 22:30 UTC is already the next day in Nairobi (UTC+3)
+      const orderNumber = await Order.generateOrderNumber(null, new Date('2023-12-01T22:30:00Z'));
+
+      expect(orderNumber).toBe('ORD-20231202-0001');
+    });
+
+    it('should honour configured prefix and timezone', async () => {
+      process.env.ORDER_NUMBER_PREFIX = 'SAM';
+      process.env.ORDER_NUMBER_TIMEZONE = 'UTC';
+
+      const orderNumber = await Order.generateOrderNumber(null, new Date('2023-12-01T22:30:00Z'));
+
+      expect(orderNumber).toBe('SAM-20231201-0001');
+    });
+  });
+
   describe('GET /api/orders/stats/summary', () => {
     beforeEach(async () => {
       // Create some orders for statistics
@@ -0,0 +1,337 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { generateToken } = require('../middleware/auth');
+const { createDarajaSimulator, RESULT_CODES } = require('../utils/darajaSimulator');
+
+describe('Payments Routes', () => {
+  let simulator, clientToken, clientUser, adminToken, order;
+
+  beforeAll(async () => {
+    simulator = createDarajaSimulator({ autoCallback: false });
+    const simulatorUrl = await simulator.listen();
+
+    Object.assign(process.env, {
+      MPESA_BASE_URL: simulatorUrl,
+      MPESA_CONSUMER_KEY: simulator.settings.consumerKey,
+      MPESA_CONSUMER_SECRET: simulator.settings.consumerSecret,
+      MPESA_PASSKEY: simulator.settings.passkey,
+      MPESA_SHORTCODE: '174379',
+      MPESA_CALLBACK_TOKEN: 'test-callback-token',
+      MPESA_CALLBACK_URL: 'http://localhost:5000/api/payments/mpesa/callback?token=test-callback-token'
+    });
+  });
+
+  afterAll(async () => {
+    await simulator.close();
+  });
+
+  beforeEach(async () => {
+    clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      phone: '0712345678',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    const fish = await Fish.create({
+      type: 'tilapia',
+      size: 4,
+      pricePerKg: 800,
+      stock: 50
+    });
+
+    order = await Order.create({
+      userId: clientUser._id,
+      orderNumber: 'ORD-20231201-0001',
+      items: [{
+        fishId: fish._id,
+        fishType: 'tilapia',
+        fishSize: 4,
+        quantity: 2,
+        pricePerKg: 800,
+        subtotal: 1600
+      }],
+      totalPrice: 1600,
+      deliveryAddress: clientUser.deliveryAddress
+    });
+  });
+
+  const startPayment = () => request(app)
+    .post('/api/payments/mpesa/stk-push')
+    .set('Authorization', `Bearer ${clientToken}`)
+    .send({ orderId: order._id });
+
+  const postCallback = (payload, token = process.env.MPESA_CALLBACK_TOKEN) => request(app)
+    .post('/api/payments/mpesa/callback')
+    .query({ token })
+    .send(payload);
+
+  const sendCallback = (checkoutRequestId, overrides) => postCallback(simulator.buildCallback(checkoutRequestId, overrides));
+
+  describe('POST /api/payments/mpesa/stk-push', () => {
+    it('should start STK push for order grand total', async () => {
+      const response = await startPayment().expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.payment.status).toBe('pending');
+      expect(response.body.data.payment.amount).toBe(1700); // 1600 + 100 delivery
+      expect(response.body.data.payment.phone).toBe('254712345678');
+      expect(response.body.data.payment.checkoutRequestId).toMatch(/^ws_CO_/);
+
+      const sent = simulator.requests[simulator.requests.length - 1].body;
+      expect(sent.Amount).toBe(1700);
+      expect(sent.PhoneNumber).toBe('254712345678');
+      expect(sent.AccountReference).toBe('ORD-20231201');
+    });
+
+    it('should use phone from request body when provided', async () => {
+      const response = await request(app)
+        .post('/api/payments/mpesa/stk-push')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ orderId: order._id, phone: '+254798765432' })
+        .expect(201);
+
+      expect(response.body.data.payment.phone).toBe('254798765432');
+    });
+
+    it('should reject when no phone number is available', async () => {
+      await User.findByIdAndUpdate(clientUser._id, { $unset: { phone: 1 } });
+
+      const response = await startPayment().expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('phone number is required');
+    });
+
+    it('should reject payment for another user order', async () => {
+      const otherUser = new User({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'Password123',
+        role: 'client',
+        phone: '0700000000',
+        deliveryAddress: '456 Other St'
+      });
+      await otherUser.save();
+      const otherToken = generateToken(otherUser._id, otherUser.role);
+
+      const response = await request(app)
+        .post('/api/payments/mpesa/stk-push')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ orderId: order._id })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should reject payment for an order that is already paid', async () => {
+      await Order.findByIdAndUpdate(order._id, { paymentStatus: 'paid' });
+
+      const response = await startPayment().expect(409);
+
+      expect(response.body.message).toBe('Order has already been paid');
+    });
+
+    it('should not send another prompt while one is waiting for an answer', async () => {
+      await startPayment().expect(201);
+      const sent = simulator.requests.length;
+
+      const response = await startPayment().expect(409);
+      expect(response.body.message).toBe('A payment request is already waiting on your phone');
+      expect(simulator.requests).toHaveLength(sent);
+
+      // An unanswered prompt stops blocking once it has expired
+      await Order.findByIdAndUpdate(order._id, { paymentRequestedAt: new Date(Date.now() - 3 * 60 * 1000) });
+      await startPayment().expect(201);
+    });
+
+    it('should record a failed attempt when Daraja rejects the request', async () => {
+      const passkey = process.env.MPESA_PASSKEY;
+      process.env.MPESA_PASSKEY = 'wrong-passkey';
+
+      try {
+        const response = await startPayment().expect(502);
+        expect(response.body.message).toContain('Invalid Password');
+      } finally {
+        process.env.MPESA_PASSKEY = passkey;
+      }
+
+      const attempts = await Payment.find({ orderId: order._id });
+      expect(attempts).toHaveLength(1);
+      expect(attempts[0].status).toBe('failed');
+    });
+  });
+
+  describe('POST /api/payments/mpesa/callback', () => {
+    it('should mark order paid on successful callback', async () => {
+      const started = await startPayment().expect(201);
+      const { checkoutRequestId } = started.body.data.payment;
+
+      const response = await sendCallback(checkoutRequestId, { receiptNumber: 'QKL7XYZ123' }).expect(200);
+      expect(response.body.ResultCode).toBe(0);
+
+      const payment = await Payment.findOne({ checkoutRequestId });
+      expect(payment.status).toBe('paid');
+      expect(payment.mpesaReceiptNumber).toBe('QKL7XYZ123');
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('paid');
+    });
+
+    it('should mark order failed when customer cancels the prompt', async () => {
+      const started = await startPayment().expect(201);
+      const { checkoutRequestId } = started.body.data.payment;
+
+      await sendCallback(checkoutRequestId, { resultCode: RESULT_CODES.CANCELLED_BY_USER }).expect(200);
+
+      const payment = await Payment.findOne({ checkoutRequestId });
+      expect(payment.status).toBe('failed');
+      expect(payment.resultCode).toBe(1032);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('failed');
+    });
+
+    it('should allow retry after a failed attempt', async () => {
+      const first = await startPayment().expect(201);
+      await sendCallback(first.body.data.payment.checkoutRequestId, {
+        resultCode: RESULT_CODES.INSUFFICIENT_FUNDS
+      }).expect(200);
+
+      const second = await startPayment().expect(201);
+      await sendCallback(second.body.data.payment.checkoutRequestId).expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('paid');
+      expect(await Payment.countDocuments({ orderId: order._id })).toBe(2);
+    });
+
+    it('should count the amount M-Pesa reports as paid', async () => {
+      const started = await startPayment().expect(201);
+      const { checkoutRequestId } = started.body.data.payment;
+
+      await sendCallback(checkoutRequestId, { amount: 1000 }).expect(200);
+
+      const payment = await Payment.findOne({ checkoutRequestId });
+      expect(payment.amountPaid).toBe(1000);
+      expect(await Payment.totalPaid(order._id)).toBe(1000);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('pending');
+    });
+
+    it('should keep a part-paid order pending when a later attempt fails', async () => {
+      await Payment.create({
+        orderId: order._id,
+        userId: clientUser._id,
+        phone: '254712345678',
+        amount: 1000,
+        amountPaid: 1000,
+        status: 'paid'
+      });
+
+      const started = await startPayment().expect(201);
+      await sendCallback(started.body.data.payment.checkoutRequestId, {
+        resultCode: RESULT_CODES.CANCELLED_BY_USER
+      }).expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('pending');
+    });
+
+    it('should ignore repeated callbacks for the same request', async () => {
+      const started = await startPayment().expect(201);
+      const { checkoutRequestId } = started.body.data.payment;
+
+      await sendCallback(checkoutRequestId).expect(200);
+      await sendCallback(checkoutRequestId, { resultCode: RESULT_CODES.TIMEOUT }).expect(200);
+
+      const payment = await Payment.findOne({ checkoutRequestId });
+      expect(payment.status).toBe('paid');
+    });
+
+    it('should reject callback without stkCallback body', async () => {
+      const response = await postCallback({}).expect(400);
+
+      expect(response.body.ResultCode).toBe(1);
+    });
+
+    it('should reject callbacks without the callback token', async () => {
+      const started = await startPayment().expect(201);
+      const payload = simulator.buildCallback(started.body.data.payment.checkoutRequestId);
+
+      await postCallback(payload, 'wrong-token').expect(401);
+
+      const token = process.env.MPESA_CALLBACK_TOKEN;
+      delete process.env.MPESA_CALLBACK_TOKEN;
+      try {
+        await postCallback(payload, token).expect(503);
+      } finally {
+        process.env.MPESA_CALLBACK_TOKEN = token;
+      }
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('pending');
+    });
+
+    it('should not credit a success that Daraja does not confirm', async () => {
+      const started = await startPayment().expect(201);
+      const { checkoutRequestId } = started.body.data.payment;
+
+      // The customer has not answered the prompt, so Daraja has no result yet
+      await postCallback({
+        Body: {
+          stkCallback: {
+            CheckoutRequestID: checkoutRequestId,
+            ResultCode: 0,
+            ResultDesc: 'The service request is processed successfully.',
+            CallbackMetadata: { Item: [{ Name: 'Amount', Value: 1700 }] }
+          }
+        }
+      }).expect(409);
+
+      const payment = await Payment.findOne({ checkoutRequestId });
+      expect(payment.status).toBe('pending');
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('pending');
+    });
+  });
+
+  describe('GET /api/payments/order/:orderId', () => {
+    it('should list every payment attempt for the order', async () => {
+      const first = await startPayment().expect(201);
+      await sendCallback(first.body.data.payment.checkoutRequestId, {
+        resultCode: RESULT_CODES.TIMEOUT
+      }).expect(200);
+      await startPayment().expect(201);
+
+      const response = await request(app)
+        .get(`/api/payments/order/${order._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.payments).toHaveLength(2);
+      expect(response.body.data.paymentStatus).toBe('pending');
+    });
+  });
+});
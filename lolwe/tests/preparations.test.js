@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const Order = require('../models/Order');
+const { generateToken } = require('../middleware/auth');
+
+describe('Preparation Variants', () => {
+  let clientToken, adminToken, tilapia, omena;
+
+  beforeEach(async () => {
+    const clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    [tilapia, omena] = await Fish.create([
+      {
+        type: 'tilapia',
+        size: 4,
+        pricePerKg: 800,
+        stock: 50,
+        preparations: [
+          { method: 'whole' },
+          { method: 'gutted', surchargePerKg: 50, yieldFactor: 0.85 },
+          { method: 'filleted', surchargePerKg: 200, yieldFactor: 0.4 },
+          { method: 'smoked', surchargePerKg: 300, yieldFactor: 0.6, isAvailable: false }
+        ]
+      },
+      { type: 'omena', size: 2, pricePerKg: 600, stock: 30 }
+    ]);
+  });
+
+  const placeOrder = (items) => request(app)
+    .post('/api/orders')
+    .set('Authorization', `Bearer ${clientToken}`)
+    .send({ items, deliveryAddress: '123 Client Street, Nairobi, Kenya' });
+
+  it('should list the preparations customers can choose', async () => {
+    const response = await request(app)
+      .get(`/api/fish/${tilapia._id}`)
+      .expect(200);
+
+    expect(response.body.data.fish.preparationOptions.map(option => option.method))
+      .toEqual(['whole', 'gutted', 'filleted']);
+
+    const list = await request(app).get('/api/fish?type=omena').expect(200);
+    expect(list.body.data.fish[0].preparationOptions).toEqual([
+      { method: 'whole', surchargePerKg: 0, yieldFactor: 1 }
+    ]);
+  });
+
+  it('should charge the surcharge and record the preparation on the order', async () => {
+    const response = await placeOrder([
+      { fishId: tilapia._id, quantity: 2, preparation: 'filleted' },
+      { fishId: tilapia._id, quantity: 1 }
+    ]).expect(201);
+
+    const { order } = response.body.data;
+    expect(order.items[0].preparation).toEqual({ method: 'filleted', surchargePerKg: 200, yieldFactor: 0.4 });
+    expect(order.items[0].subtotal).toBe(2000);
+    expect(order.items[0].preparedWeight).toBe(0.8);
+    expect(order.items[1].preparedWeight).toBe(1);
+    expect(order.items[1].preparation.method).toBe('whole');
+    expect(order.items[1].subtotal).toBe(800);
+    expect(order.totalPrice).toBe(2800);
+
+    // Preparation does not change how much stock is drawn
+    expect((await Fish.findById(tilapia._id)).stock).toBe(47);
+  });
+
+  it('should reject preparations the fish does not offer', async () => {
+    const unavailable = await placeOrder([{ fishId: tilapia._id, quantity: 2, preparation: 'smoked' }]).expect(400);
+    expect(unavailable.body.message).toBe('tilapia size 4 is not available smoked');
+
+    await placeOrder([{ fishId: omena._id, quantity: 2, preparation: 'filleted' }]).expect(400);
+    await placeOrder([{ fishId: omena._id, quantity: 2, preparation: 'boiled' }]).expect(400);
+
+    expect(await Order.countDocuments()).toBe(0);
+    expect((await Fish.findById(tilapia._id)).stock).toBe(50);
+  });
+
+  it('should price delivery quotes with the surcharge', async () => {
+    const response = await request(app)
+      .post('/api/delivery/quote')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ items: [{ fishId: tilapia._id, quantity: 2, preparation: 'gutted' }] })
+      .expect(200);
+
+    expect(response.body.data.quote.subtotal).toBe(1700);
+  });
+
+  it('should let admins set preparations', async () => {
+    const response = await request(app)
+      .put(`/api/fish/${omena._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ preparations: [{ method: 'whole' }, { method: 'smoked', surchargePerKg: 150, yieldFactor: 0.5 }] })
+      .expect(200);
+
+    expect(response.body.data.fish.preparations).toHaveLength(2);
+
+    await request(app)
+      .put(`/api/fish/${omena._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ preparations: [{ method: 'whole' }, { method: 'whole' }] })
+      .expect(400);
+
+    await request(app)
+      .put(`/api/fish/${omena._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ preparations: [{ method: 'filleted', yieldFactor: 1.5 }] })
+      .expect(400);
+  });
+});
@@ -0,0 +1,183 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const PriceChange = require('../models/PriceChange');
+const ScheduledPrice = require('../models/ScheduledPrice');
+const { generateToken } = require('../middleware/auth');
+const { applyScheduledPrices } = require('../utils/priceScheduleJob');
+
+describe('Price History', () => {
+  let clientToken, adminToken, adminUser, tilapia;
+
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  beforeEach(async () => {
+    const clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    const created = await request(app)
+      .post('/api/fish')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ type: 'tilapia', size: 4, pricePerKg: 800, stock: 20 })
+      .expect(201);
+    tilapia = created.body.data.fish;
+  });
+
+  const getHistory = (token = adminToken) => request(app)
+    .get(`/api/fish/${tilapia._id}/price-history`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const schedule = (body) => request(app)
+    .post(`/api/fish/${tilapia._id}/scheduled-prices`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  it('should record the opening price and every manual change', async () => {
+    await request(app)
+      .put(`/api/fish/${tilapia._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ pricePerKg: 850, reason: 'Supplier price rise' })
+      .expect(200);
+
+    // Changes that leave the price alone are not history
+    await request(app)
+      .put(`/api/fish/${tilapia._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ description: 'Fresh from Kisumu' })
+      .expect(200);
+
+    const response = await getHistory().expect(200);
+    const { history } = response.body.data;
+
+    expect(history).toHaveLength(2);
+    expect(history[0]).toMatchObject({ oldPrice: null, newPrice: 800, source: 'created' });
+    expect(history[1]).toMatchObject({ oldPrice: 800, newPrice: 850, source: 'manual', note: 'Supplier price rise' });
+    expect(history[1].changedBy.email).toBe('admin@example.com');
+  });
+
+  it('should keep history entries unchangeable', async () => {
+    await expect(PriceChange.deleteMany({ fish: tilapia._id }))
+      .rejects.toThrow('Price history cannot be changed or deleted');
+  });
+
+  it('should only show price history to admins', async () => {
+    await getHistory(clientToken).expect(403);
+  });
+
+  describe('Scheduled prices', () => {
+    it('should schedule a future price without changing the current one', async () => {
+      const response = await schedule({ pricePerKg: 900, effectiveAt: inDays(7).toISOString(), note: 'Next week' })
+        .expect(201);
+
+      expect(response.body.data.scheduled.status).toBe('pending');
+      expect((await Fish.findById(tilapia._id)).pricePerKg).toBe(800);
+
+      const history = await getHistory().expect(200);
+      expect(history.body.data.scheduled).toHaveLength(1);
+      expect(history.body.data.scheduled[0].pricePerKg).toBe(900);
+    });
+
+    it('should reject a price in the past', async () => {
+      const response = await schedule({ pricePerKg: 900, effectiveAt: inDays(-1).toISOString() })
+        .expect(400);
+
+      expect(response.body.errors[0].message).toBe('Effective date must be in the future');
+    });
+
+    it('should apply due prices in order and record who scheduled them', async () => {
+      await ScheduledPrice.create([
+        { fish: tilapia._id, pricePerKg: 900, effectiveAt: inDays(-2), createdBy: adminUser._id },
+        { fish: tilapia._id, pricePerKg: 950, effectiveAt: inDays(-1), createdBy: adminUser._id },
+        { fish: tilapia._id, pricePerKg: 1000, effectiveAt: inDays(3), createdBy: adminUser._id }
+      ]);
+
+      const summary = await applyScheduledPrices();
+
+      expect(summary).toEqual({ applied: 2, cancelled: 0, failed: 0 });
+      expect((await Fish.findById(tilapia._id)).pricePerKg).toBe(950);
+
+      const response = await getHistory().expect(200);
+      expect(response.body.data.history.map(change => change.newPrice)).toEqual([800, 900, 950]);
+      expect(response.body.data.history[2]).toMatchObject({ oldPrice: 900, source: 'scheduled' });
+      expect(response.body.data.history[2].changedBy.email).toBe('admin@example.com');
+      expect(response.body.data.scheduled.map(price => price.pricePerKg)).toEqual([1000]);
+
+      // Running again applies nothing twice
+      expect(await applyScheduledPrices()).toEqual({ applied: 0, cancelled: 0, failed: 0 });
+    });
+
+    it('should cancel prices for archived fish', async () => {
+      const scheduled = await ScheduledPrice.create({
+        fish: tilapia._id, pricePerKg: 900, effectiveAt: inDays(-1), createdBy: adminUser._id
+      });
+
+      await request(app)
+        .delete(`/api/fish/${tilapia._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await applyScheduledPrices()).toEqual({ applied: 0, cancelled: 1, failed: 0 });
+      expect((await Fish.findById(tilapia._id)).pricePerKg).toBe(800);
+      expect((await ScheduledPrice.findById(scheduled._id)).status).toBe('cancelled');
+    });
+
+    it('should keep applying the rest when one price fails', async () => {
+      const omena = await Fish.create({ type: 'omena', size: 2, pricePerKg: 600, stock: 10 });
+
+      // A stored price the fish would reject
+      const { insertedId } = await ScheduledPrice.collection.insertOne({
+        fish: new mongoose.Types.ObjectId(tilapia._id),
+        pricePerKg: -5,
+        effectiveAt: inDays(-2),
+        status: 'pending',
+        createdBy: adminUser._id
+      });
+      await ScheduledPrice.create({
+        fish: omena._id, pricePerKg: 650, effectiveAt: inDays(-1), createdBy: adminUser._id
+      });
+
+      expect(await applyScheduledPrices()).toEqual({ applied: 1, cancelled: 0, failed: 1 });
+      expect((await Fish.findById(omena._id)).pricePerKg).toBe(650);
+      expect((await Fish.findById(tilapia._id)).pricePerKg).toBe(800);
+      expect((await ScheduledPrice.findById(insertedId)).status).toBe('pending');
+    });
+
+    it('should not apply a cancelled price', async () => {
+      const created = await schedule({ pricePerKg: 900, effectiveAt: inDays(1).toISOString() }).expect(201);
+      const scheduleId = created.body.data.scheduled._id;
+
+      await request(app)
+        .delete(`/api/fish/${tilapia._id}/scheduled-prices/${scheduleId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await applyScheduledPrices({ now: inDays(2) });
+      expect((await Fish.findById(tilapia._id)).pricePerKg).toBe(800);
+
+      // Cancelling twice finds nothing pending
+      await request(app)
+        .delete(`/api/fish/${tilapia._id}/scheduled-prices/${scheduleId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+});
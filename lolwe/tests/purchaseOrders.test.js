@@ -0,0 +1,195 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const StockLot = require('../models/StockLot');
+const StockMovement = require('../models/StockMovement');
+const { generateToken } = require('../middleware/auth');
+
+describe('Suppliers and Purchase Orders', () => {
+  let clientToken, adminToken, tilapia, omena, supplier;
+
+  beforeEach(async () => {
+    const clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    tilapia = await Fish.create({ type: 'tilapia', size: 4, pricePerKg: 800, stock: 0 });
+    omena = await Fish.create({ type: 'omena', size: 2, pricePerKg: 600, stock: 0 });
+
+    const created = await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Dunga Beach Cooperative', kind: 'cooperative', phone: '0712345678', location: 'Dunga Beach, Kisumu' })
+      .expect(201);
+    supplier = created.body.data.supplier;
+  });
+
+  const draft = (overrides = {}) => request(app)
+    .post('/api/purchase-orders')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({
+      supplier: supplier._id,
+      items: [
+        { fishId: tilapia._id, quantity: 20, unitCost: 500 },
+        { fishId: omena._id, quantity: 10, unitCost: 350 }
+      ],
+      ...overrides
+    });
+
+  const post = (path, body = {}) => request(app)
+    .post(path)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  describe('Suppliers', () => {
+    it('should reject a duplicate name regardless of case', async () => {
+      await request(app)
+        .post('/api/suppliers')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'dunga beach cooperative' })
+        .expect(409);
+    });
+
+    it('should only be managed by admins', async () => {
+      await request(app)
+        .get('/api/suppliers')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(403);
+    });
+
+    it('should hide deactivated suppliers from new purchase orders', async () => {
+      await request(app)
+        .delete(`/api/suppliers/${supplier._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await draft().expect(400);
+      expect(response.body.message).toBe('Supplier not found or inactive');
+    });
+  });
+
+  describe('Purchase orders', () => {
+    it('should draft an order with its cost', async () => {
+      const response = await draft().expect(201);
+      const { purchaseOrder } = response.body.data;
+
+      expect(purchaseOrder.poNumber).toMatch(/^PO-\d{8}-0001$/);
+      expect(purchaseOrder.status).toBe('draft');
+      expect(purchaseOrder.orderedCost).toBe(20 * 500 + 10 * 350);
+      expect(purchaseOrder.receivedCost).toBe(0);
+      expect(purchaseOrder.items[0]).toMatchObject({ fishType: 'tilapia', fishSize: 4, receivedQuantity: 0 });
+    });
+
+    it('should only edit drafts', async () => {
+      const { body } = await draft().expect(201);
+      const id = body.data.purchaseOrder._id;
+
+      await request(app)
+        .put(`/api/purchase-orders/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ notes: 'Deliver before 6am' })
+        .expect(200);
+
+      await post(`/api/purchase-orders/${id}/send`).expect(200);
+
+      const response = await request(app)
+        .put(`/api/purchase-orders/${id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ notes: 'Too late' })
+        .expect(409);
+      expect(response.body.message).toBe('Only draft purchase orders can be edited (this one is sent)');
+    });
+
+    it('should not receive an order that was never sent', async () => {
+      const { body } = await draft().expect(201);
+
+      await post(`/api/purchase-orders/${body.data.purchaseOrder._id}/receive`).expect(409);
+      expect((await Fish.findById(tilapia._id)).stock).toBe(0);
+    });
+
+    it('should receive stock as lots through the ledger', async () => {
+      const { body } = await draft().expect(201);
+      const id = body.data.purchaseOrder._id;
+      const [tilapiaItem, omenaItem] = body.data.purchaseOrder.items;
+
+      await post(`/api/purchase-orders/${id}/send`).expect(200);
+
+      // The cooperative came up short on tilapia and had no omena
+      const response = await post(`/api/purchase-orders/${id}/receive`, {
+        items: [
+          { itemId: tilapiaItem._id, receivedQuantity: 18.5 },
+          { itemId: omenaItem._id, receivedQuantity: 0 }
+        ]
+      }).expect(200);
+
+      const { purchaseOrder } = response.body.data;
+      expect(purchaseOrder.status).toBe('received');
+      expect(purchaseOrder.items.map(item => item.receivedQuantity)).toEqual([18.5, 0]);
+      expect(purchaseOrder.receivedCost).toBe(18.5 * 500);
+
+      expect((await Fish.findById(tilapia._id)).stock).toBe(18.5);
+      expect((await Fish.findById(omena._id)).stock).toBe(0);
+
+      const lot = await StockLot.findById(purchaseOrder.items[0].lot);
+      expect(lot).toMatchObject({
+        quantity: 18.5,
+        unitCost: 500,
+        supplier: 'Dunga Beach Cooperative',
+        reference: purchaseOrder.poNumber
+      });
+
+      const movements = await StockMovement.find({ fish: tilapia._id });
+      expect(movements).toHaveLength(1);
+      expect(movements[0]).toMatchObject({ type: 'restock', quantity: 18.5, note: `Received on ${purchaseOrder.poNumber}` });
+
+      // Receiving twice is refused
+      await post(`/api/purchase-orders/${id}/receive`).expect(409);
+    });
+
+    it('should show cost next to the selling price', async () => {
+      const { body } = await draft().expect(201);
+
+      const response = await request(app)
+        .get(`/api/purchase-orders/${body.data.purchaseOrder._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.costs[0]).toMatchObject({ unitCost: 500, sellingPrice: 800, marginPerKg: 300 });
+    });
+
+    it('should total what a supplier has delivered', async () => {
+      const { body } = await draft().expect(201);
+      const id = body.data.purchaseOrder._id;
+      await post(`/api/purchase-orders/${id}/send`).expect(200);
+      await post(`/api/purchase-orders/${id}/receive`).expect(200);
+
+      const response = await request(app)
+        .get(`/api/suppliers/${supplier._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.totals).toEqual({
+        receivedOrders: 1,
+        receivedQuantity: 30,
+        receivedCost: 13500
+      });
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const Order = require('../models/Order');
+const { generateToken } = require('../middleware/auth');
+
+describe('Reviews', () => {
+  let clientUser, clientToken, otherToken, adminToken, tilapia, omena, order;
+
+  beforeEach(async () => {
+    clientUser = new User({
+      name: 'Sarah Mwangi',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const otherUser = new User({
+      name: 'Other Client',
+      email: 'other@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '456 Other Street, Kisumu, Kenya'
+    });
+    await otherUser.save();
+    otherToken = generateToken(otherUser._id, otherUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    tilapia = await Fish.create({ type: 'tilapia', size: 4, pricePerKg: 800, stock: 20 });
+    omena = await Fish.create({ type: 'omena', size: 2, pricePerKg: 600, stock: 30 });
+
+    order = await Order.create({
+      userId: clientUser._id,
+      orderNumber: 'ORD-20231201-0001',
+      items: [
+        { fishId: tilapia._id, fishType: 'tilapia', fishSize: 4, quantity: 2, pricePerKg: 800, subtotal: 1600 },
+        { fishId: omena._id, fishType: 'omena', fishSize: 2, quantity: 3, pricePerKg: 600, subtotal: 1800 }
+      ],
+      totalPrice: 3400,
+      deliveryAddress: clientUser.deliveryAddress,
+      status: 'delivered'
+    });
+  });
+
+  const review = (body, token = clientToken) => request(app)
+    .post('/api/reviews')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ orderId: order._id, itemIndex: 0, rating: 5, ...body });
+
+  const moderate = (id, status) => request(app)
+    .put(`/api/reviews/${id}/moderate`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ status });
+
+  it('should review an item of a delivered order', async () => {
+    const response = await review({ comment: 'Very fresh' }).expect(201);
+
+    expect(response.body.data.review).toMatchObject({
+      fish: tilapia._id.toString(),
+      fishType: 'tilapia',
+      fishSize: 4,
+      rating: 5,
+      comment: 'Very fresh',
+      status: 'pending'
+    });
+  });
+
+  it('should only allow one review per order item', async () => {
+    await review().expect(201);
+    await review({ rating: 3 }).expect(409);
+    await review({ itemIndex: 1 }).expect(201);
+  });
+
+  it('should not review orders that are not delivered', async () => {
+    await Order.updateOne({ _id: order._id }, { status: 'shipped' });
+
+    const response = await review().expect(400);
+    expect(response.body.message).toBe('Only delivered orders can be reviewed (status: shipped)');
+  });
+
+  it('should not review items that are not in the order', async () => {
+    await review({ itemIndex: 2 }).expect(400);
+  });
+
+  it('should not review another customer\'s order', async () => {
+    await review({}, otherToken).expect(404);
+  });
+
+  it('should reject ratings outside 1 to 5', async () => {
+    await review({ rating: 6 }).expect(400);
+    await review({ rating: 4.5 }).expect(400);
+  });
+
+  it('should list the items still to review', async () => {
+    await review().expect(201);
+
+    const response = await request(app)
+      .get('/api/reviews/mine')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .expect(200);
+
+    expect(response.body.data.reviews).toHaveLength(1);
+    expect(response.body.data.reviewable).toEqual([expect.objectContaining({
+      orderId: order._id.toString(),
+      itemIndex: 1,
+      fishType: 'omena'
+    })]);
+  });
+
+  it('should only show and count approved reviews', async () => {
+    const first = await review({ rating: 5, comment: 'Very fresh' }).expect(201);
+    const second = await review({ itemIndex: 1, rating: 2 }).expect(201);
+
+    let listing = await request(app).get(`/api/fish/${tilapia._id}`).expect(200);
+    expect(listing.body.data.fish).toMatchObject({ averageRating: null, reviewCount: 0 });
+
+    const queue = await request(app)
+      .get('/api/reviews/moderation')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(queue.body.data.reviews).toHaveLength(2);
+
+    await moderate(first.body.data.review._id, 'approved').expect(200);
+    await moderate(second.body.data.review._id, 'hidden').expect(200);
+
+    listing = await request(app).get(`/api/fish/${tilapia._id}`).expect(200);
+    expect(listing.body.data.fish).toMatchObject({ averageRating: 5, reviewCount: 1 });
+
+    const all = await request(app).get('/api/fish').expect(200);
+    const omenaListing = all.body.data.fish.find(item => item._id === omena._id.toString());
+    expect(omenaListing).toMatchObject({ averageRating: null, reviewCount: 0 });
+
+    const published = await request(app).get(`/api/reviews?fish=${tilapia._id}`).expect(200);
+    expect(published.body.data.reviews).toHaveLength(1);
+    expect(published.body.data.reviews[0]).toMatchObject({ reviewer: 'Sarah M.', comment: 'Very fresh' });
+    expect(published.body.data.reviews[0].user).toBeUndefined();
+  });
+
+  it('should average the approved ratings', async () => {
+    const other = await Order.create({
+      userId: clientUser._id,
+      orderNumber: 'ORD-20231201-0002',
+      items: [{ fishId: tilapia._id, fishType: 'tilapia', fishSize: 4, quantity: 1, pricePerKg: 800, subtotal: 800 }],
+      totalPrice: 800,
+      deliveryAddress: clientUser.deliveryAddress,
+      status: 'delivered'
+    });
+
+    const first = await review({ rating: 5 }).expect(201);
+    const second = await review({ orderId: other._id, rating: 4 }).expect(201);
+    await moderate(first.body.data.review._id, 'approved').expect(200);
+    await moderate(second.body.data.review._id, 'approved').expect(200);
+
+    const response = await request(app).get(`/api/fish/${tilapia._id}`).expect(200);
+    expect(response.body.data.fish).toMatchObject({ averageRating: 4.5, reviewCount: 2 });
+  });
+
+  it('should only let admins moderate', async () => {
+    const created = await review().expect(201);
+
+    await request(app)
+      .put(`/api/reviews/${created.body.data.review._id}/moderate`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({ status: 'approved' })
+      .expect(403);
+  });
+});
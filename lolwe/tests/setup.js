@@ -1,12 +1,13 @@
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
 const mongoose = require('mongoose');
+const FishType = require('../models/FishType');
 
 let mongod;
 
 // Setup before all tests
 beforeAll(async () => {
-  // Create in-memory MongoDB instance
-  mongod = await MongoMemoryServer.create();
+  // Create in-memory MongoDB replica set (transactions need a replica set)
+  mongod = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
   const uri = mongod.getUri();
   
   // Connect to the in-memory database
@@ -16,6 +17,11 @@ beforeAll(async () => {
   });
 });
 
+// Every test starts with the default fish type catalog
+beforeEach(async () => {
+  await FishType.seedDefaults();
+});
+
 // Cleanup after each test
 afterEach(async () => {
   const collections = mongoose.connection.collections;
@@ -0,0 +1,267 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const Order = require('../models/Order');
+const StandingOrder = require('../models/StandingOrder');
+const { generateToken } = require('../middleware/auth');
+const { runDueStandingOrders } = require('../utils/standingOrderJob');
+
+describe('Standing Orders', () => {
+  let clientToken, otherToken, adminToken, clientUser, tilapia, catfish;
+
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  beforeEach(async () => {
+    clientUser = new User({
+      name: 'Mama Oliech Restaurant',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const otherUser = new User({
+      name: 'Other Client',
+      email: 'other@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '456 Other Street, Nairobi'
+    });
+    await otherUser.save();
+    otherToken = generateToken(otherUser._id, otherUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    [tilapia, catfish] = await Fish.create([
+      { type: 'tilapia', size: 4, pricePerKg: 800, stock: 50 },
+      { type: 'catfish', size: 6, pricePerKg: 1000, stock: 5 }
+    ]);
+  });
+
+  const createStandingOrder = (overrides = {}) => request(app)
+    .post('/api/standing-orders')
+    .set('Authorization', `Bearer ${clientToken}`)
+    .send({
+      items: [{ fishId: tilapia._id, quantity: 10 }],
+      frequency: 'daily',
+      nextRunAt: inDays(1),
+      ...overrides
+    });
+
+  describe('POST /api/standing-orders', () => {
+    it('should create a standing order for client', async () => {
+      const response = await createStandingOrder().expect(201);
+
+      const { standingOrder } = response.body.data;
+      expect(standingOrder.status).toBe('active');
+      expect(standingOrder.frequency).toBe('daily');
+      expect(standingOrder.deliveryAddress).toBe(clientUser.deliveryAddress);
+    });
+
+    it('should default weekly orders to the first run weekday', async () => {
+      const response = await createStandingOrder({ frequency: 'weekly' }).expect(201);
+
+      expect(response.body.data.standingOrder.daysOfWeek).toHaveLength(1);
+    });
+
+    it('should require days for custom schedules', async () => {
+      const response = await createStandingOrder({ frequency: 'custom' }).expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should start custom schedules on the first chosen day', async () => {
+      const response = await createStandingOrder({
+        frequency: 'custom',
+        daysOfWeek: [1, 4],
+        nextRunAt: inDays(1)
+      }).expect(201);
+
+      const standingOrder = await StandingOrder.findById(response.body.data.standingOrder._id);
+      expect(standingOrder.runsOn(standingOrder.nextRunAt)).toBe(true);
+      expect(standingOrder.nextRunAt.getTime()).toBeLessThan(inDays(8).getTime());
+    });
+
+    it('should reject unknown fish', async () => {
+      await createStandingOrder({
+        items: [{ fishId: '64f5a1b2c3d4e5f6a7b8c9d0', quantity: 1 }]
+      }).expect(404);
+    });
+
+    it('should reject admin users', async () => {
+      await request(app)
+        .post('/api/standing-orders')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ items: [{ fishId: tilapia._id, quantity: 1 }], frequency: 'daily', nextRunAt: inDays(1) })
+        .expect(403);
+    });
+  });
+
+  describe('Managing standing orders', () => {
+    let standingOrderId;
+
+    beforeEach(async () => {
+      const response = await createStandingOrder();
+      standingOrderId = response.body.data.standingOrder._id;
+    });
+
+    it('should list only own standing orders for clients', async () => {
+      const own = await request(app)
+        .get('/api/standing-orders')
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+      expect(own.body.data.standingOrders).toHaveLength(1);
+
+      const other = await request(app)
+        .get('/api/standing-orders')
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(200);
+      expect(other.body.data.standingOrders).toHaveLength(0);
+    });
+
+    it('should not let other clients change a standing order', async () => {
+      await request(app)
+        .post(`/api/standing-orders/${standingOrderId}/pause`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+    });
+
+    it('should pause and resume', async () => {
+      const paused = await request(app)
+        .post(`/api/standing-orders/${standingOrderId}/pause`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+      expect(paused.body.data.standingOrder.status).toBe('paused');
+
+      await request(app)
+        .post(`/api/standing-orders/${standingOrderId}/pause`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(400);
+
+      const resumed = await request(app)
+        .post(`/api/standing-orders/${standingOrderId}/resume`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+      expect(resumed.body.data.standingOrder.status).toBe('active');
+      expect(new Date(resumed.body.data.standingOrder.nextRunAt) > new Date()).toBe(true);
+    });
+
+    it('should update items and schedule', async () => {
+      const response = await request(app)
+        .put(`/api/standing-orders/${standingOrderId}`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ items: [{ fishId: catfish._id, quantity: 2 }], frequency: 'custom', daysOfWeek: [2, 5] })
+        .expect(200);
+
+      expect(response.body.data.standingOrder.items[0].quantity).toBe(2);
+      expect(response.body.data.standingOrder.daysOfWeek).toEqual([2, 5]);
+    });
+
+    it('should cancel a standing order', async () => {
+      await request(app)
+        .delete(`/api/standing-orders/${standingOrderId}`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/standing-orders/${standingOrderId}`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Scheduled job', () => {
+    const io = () => {
+      const emit = jest.fn();
+      return { emit, to: jest.fn(() => ({ emit })) };
+    };
+
+    it('should create an order when a standing order is due', async () => {
+      const created = await createStandingOrder().expect(201);
+      const dueAt = inDays(1);
+
+      const summary = await runDueStandingOrders({ now: new Date(dueAt.getTime() + 1000) });
+      expect(summary).toEqual({ created: 1, failed: 0 });
+
+      const orders = await Order.find({ userId: clientUser._id });
+      expect(orders).toHaveLength(1);
+      expect(orders[0].items[0].quantity).toBe(10);
+
+      const fish = await Fish.findById(tilapia._id);
+      expect(fish.stock).toBe(40);
+
+      const standingOrder = await StandingOrder.findById(created.body.data.standingOrder._id);
+      expect(standingOrder.lastRun.status).toBe('succeeded');
+      expect(standingOrder.lastRun.order.toString()).toBe(orders[0]._id.toString());
+      expect(standingOrder.runCount).toBe(1);
+      expect(standingOrder.nextRunAt > dueAt).toBe(true);
+    });
+
+    it('should not run standing orders that are not due or paused', async () => {
+      const created = await createStandingOrder().expect(201);
+
+      expect(await runDueStandingOrders()).toEqual({ created: 0, failed: 0 });
+
+      await request(app)
+        .post(`/api/standing-orders/${created.body.data.standingOrder._id}/pause`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .expect(200);
+
+      expect(await runDueStandingOrders({ now: inDays(2) })).toEqual({ created: 0, failed: 0 });
+      expect(await Order.countDocuments()).toBe(0);
+    });
+
+    it('should skip the run and notify the customer when stock runs short', async () => {
+      const created = await createStandingOrder({
+        items: [
+          { fishId: tilapia._id, quantity: 10 },
+          { fishId: catfish._id, quantity: 8 }
+        ]
+      }).expect(201);
+      const socket = io();
+
+      const summary = await runDueStandingOrders({ io: socket, now: inDays(2) });
+      expect(summary).toEqual({ created: 0, failed: 1 });
+
+      // Nothing was reserved
+      expect(await Order.countDocuments()).toBe(0);
+      expect((await Fish.findById(tilapia._id)).stock).toBe(50);
+
+      const standingOrder = await StandingOrder.findById(created.body.data.standingOrder._id);
+      expect(standingOrder.lastRun.status).toBe('failed');
+      expect(standingOrder.lastRun.message).toContain('Insufficient stock for catfish');
+      expect(standingOrder.failureCount).toBe(1);
+      expect(standingOrder.status).toBe('active');
+
+      expect(socket.to).toHaveBeenCalledWith(`user-${clientUser._id}`);
+      expect(socket.emit).toHaveBeenCalledWith('standingOrderRun', expect.objectContaining({
+        status: 'failed',
+        shortages: [expect.objectContaining({ fishType: 'catfish', available: 5, requested: 8 })]
+      }));
+    });
+
+    it('should create the order only once when runs overlap', async () => {
+      await createStandingOrder().expect(201);
+      const now = inDays(2);
+
+      const results = await Promise.all([
+        runDueStandingOrders({ now }),
+        runDueStandingOrders({ now })
+      ]);
+
+      expect(results[0].created + results[1].created).toBe(1);
+      expect(await Order.countDocuments()).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const StockAlert = require('../models/StockAlert');
+const { generateToken } = require('../middleware/auth');
+
+describe('Stock Alerts', () => {
+  let clientToken, adminToken, tilapia;
+
+  beforeEach(async () => {
+    const clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    tilapia = await Fish.create({ type: 'tilapia', size: 4, pricePerKg: 800, stock: 20, reorderThreshold: 15 });
+  });
+
+  const getAlerts = (query = '') => request(app)
+    .get(`/api/stock-alerts${query}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  const updateFish = (body) => request(app)
+    .put(`/api/fish/${tilapia._id}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  it('should raise an alert when an order takes stock below the threshold', async () => {
+    await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({
+        items: [{ fishId: tilapia._id, quantity: 6 }],
+        deliveryAddress: '123 Client Street, Nairobi, Kenya'
+      })
+      .expect(201);
+
+    const response = await getAlerts().expect(200);
+    expect(response.body.data.openCount).toBe(1);
+    expect(response.body.data.alerts[0]).toMatchObject({
+      type: 'low-stock',
+      stock: 14,
+      threshold: 15,
+      status: 'open',
+      fish: { type: 'tilapia', size: 4 }
+    });
+
+    const fish = await request(app).get(`/api/fish/${tilapia._id}`).expect(200);
+    expect(fish.body.data.fish.stockStatus).toBe('low-stock');
+  });
+
+  it('should not raise the same alert twice', async () => {
+    await updateFish({ stock: 12 }).expect(200);
+    await updateFish({ stock: 8 }).expect(200);
+
+    expect(await StockAlert.countDocuments()).toBe(1);
+  });
+
+  it('should supersede a low-stock alert when the fish runs out', async () => {
+    await updateFish({ stock: 12 }).expect(200);
+    await updateFish({ stock: 0 }).expect(200);
+
+    const response = await getAlerts().expect(200);
+    expect(response.body.data.alerts).toHaveLength(1);
+    expect(response.body.data.alerts[0].type).toBe('out-of-stock');
+
+    const resolved = await getAlerts('?status=resolved').expect(200);
+    expect(resolved.body.data.alerts[0].type).toBe('low-stock');
+  });
+
+  it('should raise an alert when the threshold is raised above the stock', async () => {
+    await updateFish({ reorderThreshold: 25 }).expect(200);
+
+    const [alert] = await StockAlert.find({ fish: tilapia._id });
+    expect(alert).toMatchObject({ type: 'low-stock', stock: 20, threshold: 25 });
+  });
+
+  it('should keep acknowledged alerts until the fish is restocked', async () => {
+    await updateFish({ stock: 10 }).expect(200);
+    const [alert] = (await getAlerts().expect(200)).body.data.alerts;
+
+    const acknowledged = await request(app)
+      .post(`/api/stock-alerts/${alert._id}/acknowledge`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(acknowledged.body.data.alert.status).toBe('acknowledged');
+
+    await request(app)
+      .post(`/api/stock-alerts/${alert._id}/acknowledge`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(404);
+
+    let response = await getAlerts().expect(200);
+    expect(response.body.data.alerts).toHaveLength(1);
+    expect(response.body.data.openCount).toBe(0);
+
+    await updateFish({ stock: 40 }).expect(200);
+
+    response = await getAlerts().expect(200);
+    expect(response.body.data.alerts).toHaveLength(0);
+    expect((await StockAlert.findById(alert._id)).resolvedAt).toBeDefined();
+  });
+
+  it('should push new alerts to admins', async () => {
+    const emitStockAlert = global.emitStockAlert;
+    global.emitStockAlert = jest.fn();
+
+    try {
+      await tilapia.updateStock(20, 'subtract');
+
+      expect(global.emitStockAlert).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'out-of-stock',
+        fish: expect.objectContaining({ type: 'tilapia', size: 4 })
+      }));
+    } finally {
+      global.emitStockAlert = emitStockAlert;
+    }
+  });
+
+  it('should only be listed for admins', async () => {
+    await request(app)
+      .get('/api/stock-alerts')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,227 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const Order = require('../models/Order');
+const StockLot = require('../models/StockLot');
+const StockMovement = require('../models/StockMovement');
+const { generateToken } = require('../middleware/auth');
+const { writeOffExpiredLots, reconcileStockLots } = require('../utils/stockLotJob');
+
+describe('Stock Lots', () => {
+  let clientToken, adminToken, tilapia;
+
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const inDays = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  beforeEach(async () => {
+    const clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    tilapia = await Fish.create({ type: 'tilapia', size: 4, pricePerKg: 800, stock: 0 });
+  });
+
+  const placeOrder = (quantity) => request(app)
+    .post('/api/orders')
+    .set('Authorization', `Bearer ${clientToken}`)
+    .send({
+      items: [{ fishId: tilapia._id, quantity }],
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+
+  describe('POST /api/fish/:id/lots', () => {
+    it('should receive a lot and add it to stock', async () => {
+      const response = await request(app)
+        .post(`/api/fish/${tilapia._id}/lots`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity: 20, supplier: 'Kisumu Landing', caughtAt: daysAgo(1).toISOString() })
+        .expect(201);
+
+      const { lot } = response.body.data;
+      expect(lot.remaining).toBe(20);
+      expect(lot.status).toBe('active');
+      expect(new Date(lot.expiresAt) > new Date(lot.caughtAt)).toBe(true);
+      expect((await Fish.findById(tilapia._id)).stock).toBe(20);
+    });
+
+    it('should reject lots from clients', async () => {
+      await request(app)
+        .post(`/api/fish/${tilapia._id}/lots`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({ quantity: 20 })
+        .expect(403);
+    });
+
+    it('should receive opening stock of a new fish as a lot', async () => {
+      const response = await request(app)
+        .post('/api/fish')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ type: 'omena', size: 2, pricePerKg: 600, stock: 15, supplier: 'Homa Bay' })
+        .expect(201);
+
+      expect(response.body.data.fish.stock).toBe(15);
+
+      const lots = await StockLot.find({ fish: response.body.data.fish._id });
+      expect(lots).toHaveLength(1);
+      expect(lots[0].supplier).toBe('Homa Bay');
+    });
+  });
+
+  describe('Drawing stock for orders', () => {
+    it('should draw from the lot that expires first', async () => {
+      const later = await StockLot.receive({ fish: tilapia._id, quantity: 10, caughtAt: daysAgo(1), expiresAt: inDays(3) });
+      const sooner = await StockLot.receive({ fish: tilapia._id, quantity: 5, caughtAt: daysAgo(2), expiresAt: inDays(1) });
+
+      const response = await placeOrder(8).expect(201);
+
+      const order = await Order.findById(response.body.data.order._id);
+      expect(order.items[0].lots.map(allocation => [allocation.lot.toString(), allocation.quantity])).toEqual([
+        [sooner._id.toString(), 5],
+        [later._id.toString(), 3]
+      ]);
+
+      expect((await StockLot.findById(sooner._id)).status).toBe('depleted');
+      expect((await StockLot.findById(later._id)).remaining).toBe(7);
+      expect((await Fish.findById(tilapia._id)).stock).toBe(7);
+    });
+
+    it('should return cancelled quantities to their lots', async () => {
+      const lot = await StockLot.receive({ fish: tilapia._id, quantity: 10, caughtAt: daysAgo(1), expiresAt: inDays(2) });
+
+      const response = await placeOrder(10).expect(201);
+
+      await request(app)
+        .post(`/api/orders/${response.body.data.order._id}/cancel`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({})
+        .expect(200);
+
+      const restored = await StockLot.findById(lot._id);
+      expect(restored.remaining).toBe(10);
+      expect(restored.status).toBe('active');
+      expect((await Fish.findById(tilapia._id)).stock).toBe(10);
+    });
+
+    it('should write off quantities returned to an expired lot', async () => {
+      const lot = await StockLot.receive({ fish: tilapia._id, quantity: 10, caughtAt: daysAgo(1), expiresAt: inDays(2) });
+
+      const response = await placeOrder(4).expect(201);
+      await StockLot.updateOne({ _id: lot._id }, { expiresAt: daysAgo(0.5) });
+
+      await request(app)
+        .post(`/api/orders/${response.body.data.order._id}/cancel`)
+        .set('Authorization', `Bearer ${clientToken}`)
+        .send({})
+        .expect(200);
+
+      expect((await StockLot.findById(lot._id)).writtenOff).toBe(4);
+      expect((await Fish.findById(tilapia._id)).stock).toBe(6);
+
+      const spoilage = await StockMovement.findOne({ fish: tilapia._id, type: 'spoilage' });
+      expect(spoilage).toMatchObject({ quantity: -4, lot: lot._id });
+
+      // The sweep reports only what it removed itself
+      expect(await writeOffExpiredLots()).toEqual({ lots: 1, quantity: 6 });
+      expect((await Fish.findById(tilapia._id)).stock).toBe(0);
+    });
+
+    it('should not sell expired lots', async () => {
+      await StockLot.receive({ fish: tilapia._id, quantity: 10, caughtAt: daysAgo(5), expiresAt: daysAgo(1) });
+      await StockLot.receive({ fish: tilapia._id, quantity: 4, caughtAt: daysAgo(1), expiresAt: inDays(2) });
+
+      const response = await placeOrder(6).expect(409);
+
+      expect(response.body.errors[0].available).toBe(4);
+    });
+  });
+
+  describe('Stock from before lot tracking', () => {
+    beforeEach(async () => {
+      await Fish.updateOne({ _id: tilapia._id }, { stock: 12 });
+    });
+
+    it('should become an opening lot when stock is drawn', async () => {
+      await placeOrder(5).expect(201);
+
+      const [lot] = await StockLot.find({ fish: tilapia._id });
+      expect(lot).toMatchObject({ quantity: 12, remaining: 7, notes: 'Opening stock from before lot tracking' });
+      expect((await Fish.findById(tilapia._id)).stock).toBe(7);
+    });
+
+    it('should be migrated into opening lots', async () => {
+      expect(await reconcileStockLots()).toBe(1);
+      expect(await reconcileStockLots()).toBe(0);
+
+      const lots = await StockLot.find({ fish: tilapia._id });
+      expect(lots.map(lot => lot.remaining)).toEqual([12]);
+    });
+
+    it('should match stock to the lots when they hold more', async () => {
+      await StockLot.create({ fish: tilapia._id, quantity: 15 });
+
+      await reconcileStockLots();
+
+      expect((await Fish.findById(tilapia._id)).stock).toBe(15);
+    });
+  });
+
+  describe('Expiry write-off', () => {
+    it('should write off expired lots and take them out of stock', async () => {
+      const expired = await StockLot.receive({ fish: tilapia._id, quantity: 10, caughtAt: daysAgo(5), expiresAt: daysAgo(1) });
+      await StockLot.receive({ fish: tilapia._id, quantity: 4, caughtAt: daysAgo(1), expiresAt: inDays(2) });
+
+      const summary = await writeOffExpiredLots();
+
+      expect(summary).toEqual({ lots: 1, quantity: 10 });
+
+      const lot = await StockLot.findById(expired._id);
+      expect(lot.status).toBe('expired');
+      expect(lot.remaining).toBe(0);
+      expect(lot.writtenOff).toBe(10);
+      expect((await Fish.findById(tilapia._id)).stock).toBe(4);
+    });
+  });
+
+  describe('Freshness on fish listings', () => {
+    it('should show the catch date of the lot being sold', async () => {
+      const caughtAt = daysAgo(2);
+      await StockLot.receive({ fish: tilapia._id, quantity: 5, caughtAt, expiresAt: inDays(1) });
+      await StockLot.receive({ fish: tilapia._id, quantity: 5, caughtAt: daysAgo(1), expiresAt: inDays(2) });
+
+      const list = await request(app).get('/api/fish').expect(200);
+      expect(new Date(list.body.data.fish[0].freshness.caughtAt)).toEqual(caughtAt);
+
+      const detail = await request(app).get(`/api/fish/${tilapia._id}`).expect(200);
+      expect(new Date(detail.body.data.fish.freshness.caughtAt)).toEqual(caughtAt);
+    });
+
+    it('should list lots for admins', async () => {
+      await StockLot.receive({ fish: tilapia._id, quantity: 5, caughtAt: daysAgo(1) });
+
+      const response = await request(app)
+        .get(`/api/fish/${tilapia._id}/lots`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.lots).toHaveLength(1);
+      expect(response.body.data.fish.stock).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const StockLot = require('../models/StockLot');
+const StockMovement = require('../models/StockMovement');
+const { generateToken } = require('../middleware/auth');
+const { writeOffExpiredLots } = require('../utils/stockLotJob');
+
+describe('Stock Movements', () => {
+  let clientToken, adminToken, clientUser, adminUser, tilapia;
+
+  beforeEach(async () => {
+    clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    tilapia = await Fish.create({ type: 'tilapia', size: 4, pricePerKg: 800, stock: 50 });
+  });
+
+  const getMovements = (query = '') => request(app)
+    .get(`/api/fish/${tilapia._id}/movements${query}`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  it('should record sales and returns against the order', async () => {
+    const created = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({
+        items: [{ fishId: tilapia._id, quantity: 5 }],
+        deliveryAddress: '123 Client Street, Nairobi, Kenya'
+      })
+      .expect(201);
+
+    const orderId = created.body.data.order._id;
+
+    await request(app)
+      .post(`/api/orders/${orderId}/cancel`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .send({})
+      .expect(200);
+
+    const response = await getMovements().expect(200);
+    const [returned, sale] = response.body.data.movements;
+
+    expect(sale).toMatchObject({ type: 'sale', quantity: -5, stockBefore: 50, stockAfter: 45 });
+    expect(sale.order._id).toBe(orderId);
+    expect(sale.actor._id).toBe(clientUser._id.toString());
+
+    expect(returned).toMatchObject({ type: 'return', quantity: 5, stockBefore: 45, stockAfter: 50 });
+    expect(returned.order.orderNumber).toBe(created.body.data.order.orderNumber);
+  });
+
+  it('should record admin stock edits as adjustments', async () => {
+    await request(app)
+      .put(`/api/fish/${tilapia._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stock: 42, reason: 'Physical count' })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/fish/${tilapia._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ stock: 60 })
+      .expect(200);
+
+    const response = await getMovements('?type=adjustment').expect(200);
+    const [increase, decrease] = response.body.data.movements;
+
+    expect(decrease).toMatchObject({ quantity: -8, stockBefore: 50, stockAfter: 42, note: 'Physical count' });
+    expect(decrease.actor.email).toBe('admin@example.com');
+    expect(increase).toMatchObject({ quantity: 18, stockBefore: 42, stockAfter: 60 });
+    expect(response.body.data.totals.adjustment).toEqual({ quantity: 10, count: 2 });
+  });
+
+  it('should not record price-only edits', async () => {
+    await request(app)
+      .put(`/api/fish/${tilapia._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ pricePerKg: 900 })
+      .expect(200);
+
+    expect(await StockMovement.countDocuments()).toBe(0);
+  });
+
+  it('should record received lots and spoilage', async () => {
+    await request(app)
+      .post(`/api/fish/${tilapia._id}/lots`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ quantity: 10 })
+      .expect(201);
+
+    await StockLot.receive({
+      fish: tilapia._id,
+      quantity: 4,
+      caughtAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000),
+      expiresAt: new Date(Date.now() - 60 * 1000)
+    });
+    await writeOffExpiredLots();
+
+    const response = await getMovements().expect(200);
+    const types = response.body.data.movements.map(movement => [movement.type, movement.quantity]);
+
+    expect(types).toEqual([['spoilage', -4], ['restock', 4], ['restock', 10]]);
+    expect(response.body.data.fish.stock).toBe(60);
+  });
+
+  it('should record Fish.updateStock', async () => {
+    const fish = await Fish.findById(tilapia._id);
+    await fish.updateStock(3, 'subtract', { type: 'spoilage', note: 'Damaged in transit' });
+
+    const [movement] = await StockMovement.find({ fish: tilapia._id });
+    expect(movement).toMatchObject({ type: 'spoilage', quantity: -3, stockBefore: 50, stockAfter: 47 });
+  });
+
+  it('should not allow movements to be changed', async () => {
+    const movement = await StockMovement.record({
+      fish: tilapia._id,
+      type: 'adjustment',
+      stockBefore: 50,
+      stockAfter: 48
+    });
+
+    await expect(StockMovement.updateOne({ _id: movement._id }, { quantity: 0 })).rejects.toThrow();
+    await expect(StockMovement.deleteOne({ _id: movement._id })).rejects.toThrow();
+
+    movement.note = 'edited';
+    await expect(movement.save()).rejects.toThrow();
+  });
+
+  it('should restrict the ledger to admins', async () => {
+    await request(app)
+      .get(`/api/fish/${tilapia._id}/movements`)
+      .set('Authorization', `Bearer ${clientToken}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,206 @@
+const request = require('supertest');
+const { app } = require('../server');
+const User = require('../models/User');
+const Fish = require('../models/Fish');
+const Order = require('../models/Order');
+const Coupon = require('../models/Coupon');
+const Payment = require('../models/Payment');
+const DeliveryZone = require('../models/DeliveryZone');
+const { generateToken } = require('../middleware/auth');
+
+describe('Fractional Quantities and Weighing', () => {
+  let clientToken, adminToken, clientUser, tilapia, omena;
+
+  beforeEach(async () => {
+    clientUser = new User({
+      name: 'John Client',
+      email: 'client@example.com',
+      password: 'Password123',
+      role: 'client',
+      deliveryAddress: '123 Client Street, Nairobi, Kenya'
+    });
+    await clientUser.save();
+    clientToken = generateToken(clientUser._id, clientUser.role);
+
+    const adminUser = new User({
+      name: 'Admin User',
+      email: 'admin@example.com',
+      password: 'Password123',
+      role: 'admin',
+      deliveryAddress: 'Admin Office'
+    });
+    await adminUser.save();
+    adminToken = generateToken(adminUser._id, adminUser.role);
+
+    [tilapia, omena] = await Fish.create([
+      { type: 'tilapia', size: 4, pricePerKg: 800, stock: 50 },
+      { type: 'omena', size: 2, pricePerKg: 600, stock: 30 }
+    ]);
+  });
+
+  const placeOrder = (items, extra = {}) => request(app)
+    .post('/api/orders')
+    .set('Authorization', `Bearer ${clientToken}`)
+    .send({ items, deliveryAddress: '123 Client Street, Nairobi, Kenya', ...extra });
+
+  const setStatus = (orderId, body) => request(app)
+    .put(`/api/orders/${orderId}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  const placeProcessingOrder = async (items, extra) => {
+    const created = await placeOrder(items, extra).expect(201);
+    const orderId = created.body.data.order._id;
+    await setStatus(orderId, { status: 'processing' }).expect(200);
+    return orderId;
+  };
+
+  describe('half-kilogram quantities', () => {
+    it('should accept quantities in 0.5 kg steps', async () => {
+      const response = await placeOrder([
+        { fishId: tilapia._id, quantity: 2.5 },
+        { fishId: omena._id, quantity: 0.5 }
+      ]).expect(201);
+
+      expect(response.body.data.order.totalPrice).toBe(2300);
+      expect((await Fish.findById(tilapia._id)).stock).toBe(47.5);
+      expect((await Fish.findById(omena._id)).stock).toBe(29.5);
+    });
+
+    it('should reject quantities between steps', async () => {
+      const response = await placeOrder([{ fishId: tilapia._id, quantity: 1.3 }]).expect(400);
+
+      expect(response.body.errors[0].message).toBe('Quantity must be in 0.5 kg steps');
+      await placeOrder([{ fishId: tilapia._id, quantity: 0.25 }]).expect(400);
+    });
+
+    it('should accept half-kilogram stock from admins', async () => {
+      await request(app)
+        .put(`/api/fish/${tilapia._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stock: 50.5 })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/fish/${tilapia._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stock: 50.2 })
+        .expect(400);
+    });
+  });
+
+  describe('weighing at dispatch', () => {
+    it('should bill the recorded weights and keep the estimate', async () => {
+      const orderId = await placeProcessingOrder([
+        { fishId: tilapia._id, quantity: 2 },
+        { fishId: omena._id, quantity: 1.5 }
+      ]);
+
+      const response = await setStatus(orderId, { status: 'shipped', weights: [2.15, 1.4] }).expect(200);
+      const { order } = response.body.data;
+
+      expect(order.status).toBe('shipped');
+      expect(order.items[0]).toMatchObject({ quantity: 2, actualWeight: 2.15, subtotal: 1720 });
+      expect(order.items[1]).toMatchObject({ quantity: 1.5, actualWeight: 1.4, subtotal: 840 });
+      expect(order.totalPrice).toBe(2560);
+      expect(order.weighing).toMatchObject({ estimatedTotal: 2600, difference: 60 });
+
+      // Stock stays reserved at the ordered quantity
+      expect((await Fish.findById(tilapia._id)).stock).toBe(48);
+    });
+
+    it('should recalculate a percentage promo discount', async () => {
+      await Coupon.create({ code: 'SAMAKI10', discountType: 'percentage', value: 10 });
+      const orderId = await placeProcessingOrder([{ fishId: tilapia._id, quantity: 2 }], { couponCode: 'SAMAKI10' });
+
+      await setStatus(orderId, { status: 'shipped', weights: [2.5] }).expect(200);
+
+      const order = await Order.findById(orderId);
+      expect(order.totalPrice).toBe(2000);
+      expect(order.discount.amount).toBe(200);
+      expect(order.weighing.difference).toBe(360);
+    });
+
+    it('should quote delivery again on the weighed total', async () => {
+      await DeliveryZone.create({
+        name: 'Nairobi',
+        coverage: 'area',
+        areas: ['nairobi'],
+        baseFee: 150,
+        freeDeliveryThreshold: 2000
+      });
+      const orderId = await placeProcessingOrder([{ fishId: tilapia._id, quantity: 2.5 }]);
+      expect((await Order.findById(orderId)).deliveryFee).toBe(0);
+
+      await setStatus(orderId, { status: 'shipped', weights: [2.4] }).expect(200);
+
+      const order = await Order.findById(orderId);
+      expect(order.totalPrice).toBe(1920);
+      expect(order.deliveryFee).toBe(150);
+      expect(order.weighing.difference).toBe(70);
+    });
+
+    it('should still ship without weights', async () => {
+      const orderId = await placeProcessingOrder([{ fishId: tilapia._id, quantity: 2 }]);
+
+      const response = await setStatus(orderId, { status: 'shipped' }).expect(200);
+      expect(response.body.data.order.weighing).toBeUndefined();
+      expect(response.body.data.order.totalPrice).toBe(1600);
+    });
+
+    it('should need one weight per item', async () => {
+      const orderId = await placeProcessingOrder([
+        { fishId: tilapia._id, quantity: 2 },
+        { fishId: omena._id, quantity: 1 }
+      ]);
+
+      const response = await setStatus(orderId, { status: 'shipped', weights: [2.1] }).expect(400);
+      expect(response.body.message).toBe('Expected 2 weights, one per item');
+
+      expect((await Order.findById(orderId)).status).toBe('processing');
+    });
+
+    it('should only take weights when shipping', async () => {
+      const created = await placeOrder([{ fishId: tilapia._id, quantity: 2 }]).expect(201);
+
+      await setStatus(created.body.data.order._id, { status: 'processing', weights: [2] }).expect(400);
+      await setStatus(created.body.data.order._id, { status: 'shipped', weights: [0] }).expect(400);
+    });
+
+    it('should reopen payment when a prepaid order weighs more', async () => {
+      const orderId = await placeProcessingOrder([{ fishId: tilapia._id, quantity: 2 }]);
+      await Payment.create({
+        orderId,
+        userId: clientUser._id,
+        phone: '254712345678',
+        amount: 1700,
+        status: 'paid'
+      });
+      await Order.findByIdAndUpdate(orderId, { paymentStatus: 'paid' });
+
+      await setStatus(orderId, { status: 'shipped', weights: [2.25] }).expect(200);
+
+      const order = await Order.findById(orderId);
+      expect(order.paymentStatus).toBe('pending');
+      expect(order.grandTotal).toBe(1900);
+    });
+
+    it('should keep a prepaid order paid when it weighs less', async () => {
+      const orderId = await placeProcessingOrder([{ fishId: tilapia._id, quantity: 2 }]);
+      await Payment.create({
+        orderId,
+        userId: clientUser._id,
+        phone: '254712345678',
+        amount: 1700,
+        status: 'paid'
+      });
+      await Order.findByIdAndUpdate(orderId, { paymentStatus: 'paid' });
+
+      await setStatus(orderId, { status: 'shipped', weights: [1.9] }).expect(200);
+
+      const order = await Order.findById(orderId);
+      expect(order.paymentStatus).toBe('paid');
+      expect(order.weighing.difference).toBe(-80);
+    });
+  });
+});
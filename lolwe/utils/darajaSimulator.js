@@ -0,0 +1,257 @@
+// Local simulator for the M-Pesa Daraja endpoints used by the STK Push flow.
+// Lets the payment flow run offline (development and jest) by pointing
+// MPESA_BASE_URL at it.
+//
+// Standalone: node utils/darajaSimulator.js (listens on DARAJA_SIMULATOR_PORT or 4010)
+
+const express = require('express');
+const crypto = require('crypto');
+const { buildPassword } = require('./mpesa');
+
+// Result codes Daraja sends in STK callbacks
+const RESULT_CODES = {
+  SUCCESS: 0,
+  INSUFFICIENT_FUNDS: 1,
+  CANCELLED_BY_USER: 1032,
+  TIMEOUT: 1037,
+  WRONG_PIN: 2001
+};
+
+const RESULT_DESCRIPTIONS = {
+  0: 'The service request is processed successfully.',
+  1: 'The balance is insufficient for the transaction.',
+  1032: 'Request cancelled by user',
+  1037: 'DS timeout user cannot be reached',
+  2001: 'The initiator information is invalid.'
+};
+
+const createDarajaSimulator = (options = {}) => {
+  const settings = {
+    consumerKey: options.consumerKey || 'test-consumer-key',
+    consumerSecret: options.consumerSecret || 'test-consumer-secret',
+    passkey: options.passkey || 'test-passkey',
+    resultCode: options.resultCode ?? RESULT_CODES.SUCCESS,
+    autoCallback: options.autoCallback ?? true,
+    callbackDelayMs: options.callbackDelayMs ?? 0
+  };
+
+  const tokens = new Set();
+  const requests = [];
+  const app = express();
+  let server = null;
+
+  app.use(express.json());
+
+  const badRequest = (res, errorCode, errorMessage) => {
+    res.status(400).json({
+      requestId: crypto.randomUUID(),
+      errorCode,
+      errorMessage
+    });
+  };
+
+  // Build the callback body Daraja would POST to CallBackURL
+  const buildCallback = (checkoutRequestId, overrides = {}) => {
+    const request = requests.find(item => item.checkoutRequestId === checkoutRequestId);
+
+    if (!request) {
+      throw new Error(`Unknown CheckoutRequestID: ${checkoutRequestId}`);
+    }
+
+    const resultCode = overrides.resultCode ?? settings.resultCode;
+    const stkCallback = {
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResultCode: resultCode,
+      ResultDesc: overrides.resultDesc || RESULT_DESCRIPTIONS[resultCode] || 'Transaction failed'
+    };
+
+    // The outcome is what STK Push Query reports from now on
+    request.result = { resultCode, resultDesc: stkCallback.ResultDesc };
+
+    if (resultCode === RESULT_CODES.SUCCESS) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: overrides.amount ?? request.body.Amount },
+          { Name: 'MpesaReceiptNumber', Value: overrides.receiptNumber || `SIM${crypto.randomBytes(4).toString('hex').toUpperCase()}` },
+          { Name: 'TransactionDate', Value: Number(request.body.Timestamp) },
+          { Name: 'PhoneNumber', Value: Number(request.body.PhoneNumber) }
+        ]
+      };
+    }
+
+    return { Body: { stkCallback } };
+  };
+
+  // Deliver a callback to the CallBackURL given in the original request
+  const sendCallback = async (checkoutRequestId, overrides = {}) => {
+    const request = requests.find(item => item.checkoutRequestId === checkoutRequestId);
+    const payload = buildCallback(checkoutRequestId, overrides);
+
+    const response = await fetch(request.body.CallBackURL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    return response.status;
+  };
+
+  // GET /oauth/v1/generate - Issue an access token
+  app.get('/oauth/v1/generate', (req, res) => {
+    const expected = Buffer.from(`${settings.consumerKey}:${settings.consumerSecret}`).toString('base64');
+
+    if (req.query.grant_type !== 'client_credentials') {
+      return badRequest(res, '400.008.02', 'Invalid grant type passed');
+    }
+
+    if (req.header('Authorization') !== `Basic ${expected}`) {
+      return badRequest(res, '400.008.01', 'Invalid Authentication passed');
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    tokens.add(accessToken);
+
+    res.status(200).json({
+      access_token: accessToken,
+      expires_in: '3599'
+    });
+  });
+
+  const invalidToken = (req, res) => {
+    const authHeader = req.header('Authorization') || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+    if (token && tokens.has(token)) {
+      return false;
+    }
+
+    res.status(401).json({
+      requestId: crypto.randomUUID(),
+      errorCode: '404.001.03',
+      errorMessage: 'Invalid Access Token'
+    });
+    return true;
+  };
+
+  // POST /mpesa/stkpush/v1/processrequest - Accept an STK Push request
+  app.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+    if (invalidToken(req, res)) return;
+
+    const body = req.body || {};
+    const required = ['BusinessShortCode', 'Password', 'Timestamp', 'TransactionType', 'Amount', 'PartyA', 'PartyB', 'PhoneNumber', 'CallBackURL', 'AccountReference'];
+    const missing = required.find(field => body[field] === undefined || body[field] === '');
+
+    if (missing) {
+      return badRequest(res, '400.002.02', `Bad Request - Invalid ${missing}`);
+    }
+
+    if (body.Password !== buildPassword(body.BusinessShortCode, settings.passkey, body.Timestamp)) {
+      return badRequest(res, '400.002.02', 'Bad Request - Invalid Password');
+    }
+
+    if (!/^254[17]\d{8}$/.test(String(body.PhoneNumber))) {
+      return badRequest(res, '400.002.02', 'Bad Request - Invalid PhoneNumber');
+    }
+
+    if (!Number.isInteger(Number(body.Amount)) || Number(body.Amount) < 1) {
+      return badRequest(res, '400.002.02', 'Bad Request - Invalid Amount');
+    }
+
+    const request = {
+      merchantRequestId: `${crypto.randomInt(10000, 99999)}-${crypto.randomInt(1000000, 9999999)}-1`,
+      checkoutRequestId: `ws_CO_${Date.now()}${crypto.randomInt(100, 999)}`,
+      body,
+      receivedAt: new Date()
+    };
+    requests.push(request);
+
+    res.status(200).json({
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+
+    if (settings.autoCallback) {
+      setTimeout(() => {
+        sendCallback(request.checkoutRequestId).catch(error => {
+          console.error('Daraja simulator callback failed:', error.message);
+        });
+      }, settings.callbackDelayMs);
+    }
+  });
+
+  // POST /mpesa/stkpushquery/v1/query - Report the result of an STK Push
+  app.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+    if (invalidToken(req, res)) return;
+
+    const body = req.body || {};
+
+    if (body.Password !== buildPassword(body.BusinessShortCode, settings.passkey, body.Timestamp)) {
+      return badRequest(res, '400.002.02', 'Bad Request - Invalid Password');
+    }
+
+    const request = requests.find(item => item.checkoutRequestId === body.CheckoutRequestID);
+
+    if (!request) {
+      return badRequest(res, '400.002.02', 'Bad Request - Invalid CheckoutRequestID');
+    }
+
+    // Daraja answers with an error until the customer has responded
+    if (!request.result) {
+      return res.status(500).json({
+        requestId: crypto.randomUUID(),
+        errorCode: '500.001.1001',
+        errorMessage: 'The transaction is being processed'
+      });
+    }
+
+    res.status(200).json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successfully',
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResultCode: String(request.result.resultCode),
+      ResultDesc: request.result.resultDesc
+    });
+  });
+
+  // Start listening (port 0 picks a free port)
+  const listen = (port = 0) => new Promise((resolve) => {
+    server = app.listen(port, () => {
+      resolve(`http://127.0.0.1:${server.address().port}`);
+    });
+  });
+
+  const close = () => new Promise((resolve) => {
+    if (!server) return resolve();
+    server.close(() => resolve());
+  });
+
+  return {
+    app,
+    settings,
+    requests,
+    buildCallback,
+    sendCallback,
+    listen,
+    close
+  };
+};
+
+if (require.main === module) {
+  const simulator = createDarajaSimulator({
+    consumerKey: process.env.MPESA_CONSUMER_KEY,
+    consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+    passkey: process.env.MPESA_PASSKEY,
+    callbackDelayMs: 2000
+  });
+
+  simulator.listen(process.env.DARAJA_SIMULATOR_PORT || 4010).then((url) => {
+    console.log(`📲 Daraja simulator running at ${url}`);
+  });
+}
+
+module.exports = { createDarajaSimulator, RESULT_CODES };
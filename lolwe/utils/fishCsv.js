@@ -0,0 +1,218 @@
+// Inventory as CSV: the export is a spreadsheet the import accepts back.
+// Rows are upserted on type + size; on existing fish a blank cell leaves
+// the value as it is.
+
+const { isQuantityStep } = require('./quantity');
+
+const FISH_CSV_COLUMNS = ['type', 'size', 'pricePerKg', 'stock', 'description'];
+const MAX_IMPORT_ROWS = 500;
+
+// Split CSV text into rows of cells (RFC 4180: quoted cells may hold commas,
+// line breaks and doubled quotes). Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Quote a cell when needed. Text starting with a formula character is
+// prefixed with ' so spreadsheets do not run it.
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+// Write fish in the import format
+const fishToCsv = (fish) => toCsv([
+  FISH_CSV_COLUMNS,
+  ...fish.map(item => FISH_CSV_COLUMNS.map(column => item[column]))
+]);
+
+// Read the rows of an import file into { row, values } keyed by column.
+// row is the line number in the spreadsheet (the header is line 1).
+const readFishRows = (text) => {
+  const [header = [], ...lines] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+
+  const unknown = columns.filter(column => !FISH_CSV_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}. Expected: ${FISH_CSV_COLUMNS.join(', ')}`);
+  }
+
+  const missing = ['type', 'size'].filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+  }
+
+  if (lines.length === 0) {
+    throw new Error('The file has no rows to import');
+  }
+
+  if (lines.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Import up to ${MAX_IMPORT_ROWS} rows at a time`);
+  }
+
+  return lines.map((cells, index) => ({
+    row: index + 2,
+    values: columns.reduce((values, column, position) => {
+      // Undo the ' the export puts before formula characters
+      values[column] = (cells[position] ?? '').trim().replace(/^'(?=[=+\-@])/, '');
+      return values;
+    }, {})
+  }));
+};
+
+// Blank cells are undefined; anything else that is not a number is NaN
+const parseNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+const fishKey = (type, size) => `${type}:${size}`;
+
+// Check each row and work out what importing it would do: create a fish,
+// update one (with the changed fields) or leave it unchanged.
+// fishTypes maps active type slugs to FishType documents; existingFish maps
+// fishKey(type, size) to the active fish with that type and size. Rows for an
+// existing fish keep its type even if that type has left the catalog, so an
+// export can always be imported back.
+const planFishImport = (rows, { fishTypes, existingFish }) => {
+  const seen = new Map();
+
+  return rows.map(({ row, values }) => {
+    const errors = [];
+    const type = (values.type || '').toLowerCase();
+    const size = parseNumber(values.size);
+    const pricePerKg = parseNumber(values.pricePerKg);
+    const stock = parseNumber(values.stock);
+    const description = values.description;
+    const key = fishKey(type, size);
+    const existing = existingFish.get(key);
+
+    const fishType = fishTypes.get(type);
+    if (!type) {
+      errors.push('Type is required');
+    } else if (!fishType && !existing) {
+      errors.push(`Fish type must be one of: ${[...fishTypes.keys()].join(', ')}`);
+    }
+
+    if (size === undefined) {
+      errors.push('Size is required');
+    } else if (!Number.isInteger(size) || size < 1) {
+      errors.push('Fish size must be a positive integer');
+    } else if (fishType && !existing && !fishType.allowsSize(size)) {
+      errors.push(`${fishType.name} size must be between ${fishType.minSize} and ${fishType.maxSize}`);
+    }
+
+    if (pricePerKg !== undefined && !(pricePerKg > 0)) {
+      errors.push('Price per kg must be a positive number');
+    }
+
+    if (stock !== undefined && !(stock >= 0)) {
+      errors.push('Stock must be a non-negative number');
+    } else if (stock !== undefined && !isQuantityStep(stock)) {
+      errors.push('Stock must be in 0.5 kg steps');
+    }
+
+    if (description !== undefined && description.length > 500) {
+      errors.push('Description cannot exceed 500 characters');
+    }
+
+    if (type && size !== undefined) {
+      if (seen.has(key)) {
+        errors.push(`Same type and size as row ${seen.get(key)}`);
+      } else {
+        seen.set(key, row);
+      }
+    }
+
+    const entry = { row, type, size, action: existing ? 'update' : 'create', changes: {}, errors };
+
+    if (!existing && pricePerKg === undefined) {
+      errors.push('Price per kg is required for a new fish');
+    }
+
+    if (errors.length > 0) {
+      entry.action = 'invalid';
+      return entry;
+    }
+
+    const updates = { pricePerKg, stock, description: description === '' ? undefined : description };
+
+    Object.entries(updates).forEach(([field, value]) => {
+      if (value === undefined) return;
+      const from = existing ? existing[field] ?? null : null;
+      if (from !== value) {
+        entry.changes[field] = { from, to: value };
+      }
+    });
+
+    if (existing && Object.keys(entry.changes).length === 0) {
+      entry.action = 'unchanged';
+    }
+
+    return entry;
+  });
+};
+
+// Count the planned actions
+const summarizeImport = (entries) => entries.reduce((summary, entry) => {
+  summary[entry.action] += 1;
+  return summary;
+}, { total: entries.length, create: 0, update: 0, unchanged: 0, invalid: 0 });
+
+module.exports = {
+  FISH_CSV_COLUMNS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  toCsv,
+  fishToCsv,
+  readFishRows,
+  fishKey,
+  planFishImport,
+  summarizeImport
+};
@@ -0,0 +1,79 @@
+// Facet counts for the fish listing: how many fish each filter option would
+// return. Each facet ignores its own filter but applies all the others, so
+// customers can see the alternatives to what they picked.
+
+// Price band edges in KSh per kg; the last band has no upper limit
+const PRICE_FACET_BOUNDARIES = [0, 500, 1000, 1500, 2000];
+
+// Merge the filters, leaving out one facet's own filter
+const matchWithout = (baseFilter, facetFilters, facet) => Object.entries(facetFilters)
+  .filter(([name]) => name !== facet)
+  .reduce((filter, [, clause]) => ({ ...filter, ...clause }), { ...baseFilter });
+
+// One $facet aggregation stage counting every facet.
+// baseFilter applies to all facets; facetFilters holds the type, size,
+// price and inStock filters keyed by facet name.
+const facetStage = (baseFilter, facetFilters) => ({
+  $facet: {
+    types: [
+      { $match: matchWithout(baseFilter, facetFilters, 'type') },
+      { $group: { _id: '$type', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ],
+    sizes: [
+      { $match: matchWithout(baseFilter, facetFilters, 'size') },
+      { $group: { _id: '$size', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ],
+    priceRanges: [
+      { $match: matchWithout(baseFilter, facetFilters, 'price') },
+      {
+        $bucket: {
+          groupBy: '$pricePerKg',
+          boundaries: PRICE_FACET_BOUNDARIES,
+          default: 'over',
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ],
+    availability: [
+      { $match: matchWithout(baseFilter, facetFilters, 'inStock') },
+      { $group: { _id: { $gt: ['$stock', 0] }, count: { $sum: 1 } } }
+    ]
+  }
+});
+
+// Shape the aggregation result for the API, listing empty price bands too
+const formatFacets = ({ types, sizes, priceRanges, availability }) => {
+  const bandCounts = new Map(priceRanges.map(band => [band._id, band.count]));
+  const lastBoundary = PRICE_FACET_BOUNDARIES[PRICE_FACET_BOUNDARIES.length - 1];
+  const countFor = (inStock) => availability.find(entry => entry._id === inStock)?.count || 0;
+
+  return {
+    types: types.map(entry => ({ value: entry._id, count: entry.count })),
+    sizes: sizes.map(entry => ({ value: entry._id, count: entry.count })),
+    priceRanges: [
+      ...PRICE_FACET_BOUNDARIES.slice(0, -1).map((min, index) => ({
+        min,
+        max: PRICE_FACET_BOUNDARIES[index + 1],
+        count: bandCounts.get(min) || 0
+      })),
+      { min: lastBoundary, max: null, count: bandCounts.get('over') || 0 }
+    ],
+    availability: {
+      inStock: countFor(true),
+      outOfStock: countFor(false)
+    }
+  };
+};
+
+// Count every facet for a listing in one aggregation
+const countFacets = async (Fish, baseFilter, facetFilters) => {
+  const [result] = await Fish.aggregate([facetStage(baseFilter, facetFilters)]);
+  return formatFacets(result);
+};
+
+module.exports = {
+  PRICE_FACET_BOUNDARIES,
+  countFacets
+};
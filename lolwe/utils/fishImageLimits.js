@@ -0,0 +1,6 @@
+// Limits on fish photos, kept apart from the image processing so the Fish
+// model can use them without loading sharp or the storage adapter
+
+const MAX_IMAGES_PER_FISH = 10;
+
+module.exports = { MAX_IMAGES_PER_FISH };
@@ -0,0 +1,106 @@
+// Checks, stores and resizes uploaded fish photos
+
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { AppError } = require('../middleware/errorHandler');
+const { getImageStorage } = require('./imageStorage');
+const { MAX_IMAGES_PER_FISH } = require('./fishImageLimits');
+
+// Upload types accepted, by MIME type => sharp format
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+// Thumbnail widths in pixels; images are never enlarged
+const THUMBNAIL_WIDTHS = {
+  small: 160,
+  medium: 480,
+  large: 1024
+};
+
+const getMaxImageBytes = () =>
+  (parseFloat(process.env.IMAGE_MAX_SIZE_MB) || 5) * 1024 * 1024;
+
+// Read the real format from the file itself; the declared type can lie
+const readImage = async (buffer) => {
+  try {
+    return await sharp(buffer).metadata();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Store an uploaded file and its thumbnails for a fish.
+// Resolves to the gallery entry to save on the fish.
+const storeFishImage = async (fishId, file, uploadedBy = null, storage = getImageStorage()) => {
+  const metadata = await readImage(file.buffer);
+
+  if (!metadata || !Object.values(IMAGE_TYPES).includes(metadata.format)) {
+    throw new AppError(`${file.originalname} is not a JPEG, PNG or WebP image`, 415);
+  }
+
+  const _id = new mongoose.Types.ObjectId();
+  const prefix = `fish/${fishId}/${_id}`;
+  const keys = [];
+
+  const save = async (name, buffer, contentType) => {
+    const key = `${prefix}/${name}`;
+    const url = await storage.save(key, buffer, contentType);
+    keys.push(key);
+    return url;
+  };
+
+  try {
+    const url = await save(`original.${EXTENSIONS[metadata.format]}`, file.buffer, `image/${metadata.format}`);
+
+    const thumbnails = {};
+    for (const [size, width] of Object.entries(THUMBNAIL_WIDTHS)) {
+      const resized = await sharp(file.buffer)
+        .rotate() // Respect the camera's orientation
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+      thumbnails[size] = await save(`${size}.webp`, resized, 'image/webp');
+    }
+
+    return {
+      _id,
+      url,
+      thumbnails,
+      keys,
+      contentType: `image/${metadata.format}`,
+      bytes: file.size,
+      width: metadata.width,
+      height: metadata.height,
+      uploadedBy
+    };
+  } catch (error) {
+    await removeStoredKeys(keys, storage);
+    throw error;
+  }
+};
+
+// Remove stored files, ignoring ones that are already gone
+const removeStoredKeys = async (keys, storage = getImageStorage()) => {
+  await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+    console.error(`Failed to remove stored image ${key}:`, error.message);
+  })));
+};
+
+// Remove a gallery image's files from storage
+const removeFishImage = (image, storage = getImageStorage()) => removeStoredKeys(image.keys || [], storage);
+
+module.exports = {
+  IMAGE_TYPES,
+  THUMBNAIL_WIDTHS,
+  MAX_IMAGES_PER_FISH,
+  getMaxImageBytes,
+  storeFishImage,
+  removeStoredKeys,
+  removeFishImage
+};
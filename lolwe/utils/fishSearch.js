@@ -0,0 +1,142 @@
+// Typo-tolerant search over the fish catalog. The catalog is small, so the
+// usual filters narrow the candidates in MongoDB and each candidate is then
+// scored here against the search terms.
+
+// Fields searched, with how much a match in each counts towards relevance
+const SEARCH_FIELDS = [
+  { field: 'typeName', weight: 3 },
+  { field: 'swahiliName', weight: 3 },
+  { field: 'type', weight: 2 },
+  { field: 'description', weight: 1 }
+];
+
+const MAX_SEARCH_TERMS = 10;
+
+// Split text into lower case words, remembering where each one starts
+const tokenize = (text = '') => {
+  const words = [];
+  for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+    words.push({ word: match[0].toLowerCase(), start: match.index, length: match[0].length });
+  }
+  return words;
+};
+
+// Search terms, without repeats
+const parseSearch = (search = '') =>
+  [...new Set(tokenize(search).map(({ word }) => word))].slice(0, MAX_SEARCH_TERMS);
+
+// Edit distance where swapping two neighbouring letters counts as one typo
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+// Short words must be spelled right; longer ones may have one or two typos
+const allowedTypos = (term) => (term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2);
+
+// How well a search term matches a word, from 0 (not at all) to 1 (exactly)
+const scoreWord = (term, word) => {
+  if (term === word) return 1;
+  if (term.length >= 2 && word.startsWith(term)) return 0.8;
+
+  const allowed = allowedTypos(term);
+  if (!allowed || Math.abs(term.length - word.length) > allowed) return 0;
+
+  const distance = editDistance(term, word);
+  return distance <= allowed ? 0.6 - (distance - 1) * 0.2 : 0;
+};
+
+// Score one fish (with its catalog names) against the search terms.
+// Returns null when no term matches, otherwise the relevance score and
+// the character ranges to highlight in each matching field.
+const scoreFish = (item, terms) => {
+  const fields = SEARCH_FIELDS
+    .filter(({ field }) => item[field])
+    .map(({ field, weight }) => ({ field, weight, text: String(item[field]), words: tokenize(item[field]) }));
+
+  const ranges = new Map();
+  let score = 0;
+  let matchedTerms = 0;
+
+  for (const term of terms) {
+    let best = 0;
+
+    for (const { field, weight, words } of fields) {
+      for (const { word, start, length } of words) {
+        const wordScore = scoreWord(term, word);
+        if (!wordScore) continue;
+
+        best = Math.max(best, wordScore * weight);
+        if (!ranges.has(field)) ranges.set(field, new Map());
+        ranges.get(field).set(start, length);
+      }
+    }
+
+    if (best) {
+      score += best;
+      matchedTerms += 1;
+    }
+  }
+
+  if (!matchedTerms) return null;
+
+  // Fish matching every term rank above ones that only match some
+  score *= matchedTerms / terms.length;
+
+  const highlights = fields
+    .filter(({ field }) => ranges.has(field))
+    .map(({ field, text }) => ({
+      field,
+      text,
+      matches: [...ranges.get(field)]
+        .sort(([a], [b]) => a - b)
+        .map(([start, length]) => ({ start, length }))
+    }));
+
+  return { score: Math.round(score * 100) / 100, highlights };
+};
+
+// Rank candidate fish against a search, best match first. Each candidate
+// needs type, description, featured and createdAt; typesBySlug supplies the
+// catalog names. Fish that match nothing are left out.
+const rankFish = (candidates, search, typesBySlug = new Map()) => {
+  const terms = parseSearch(search);
+  if (!terms.length) return [];
+
+  return candidates
+    .map(item => {
+      const fishType = typesBySlug.get(item.type);
+      const result = scoreFish({
+        ...item,
+        typeName: fishType?.name,
+        swahiliName: fishType?.swahiliName
+      }, terms);
+
+      return result && { _id: item._id, ...result, featured: item.featured, createdAt: item.createdAt };
+    })
+    .filter(Boolean)
+    .sort((a, b) =>
+      b.score - a.score ||
+      Number(b.featured || 0) - Number(a.featured || 0) ||
+      new Date(b.createdAt) - new Date(a.createdAt)
+    );
+};
+
+module.exports = {
+  parseSearch,
+  editDistance,
+  rankFish
+};
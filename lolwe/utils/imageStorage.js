@@ -0,0 +1,113 @@
+// Where uploaded fish images are kept. Every backend has the same shape:
+//   save(key, buffer, contentType) => public URL
+//   remove(key)
+// Local disk is the default; set IMAGE_STORAGE=s3 for an S3-compatible bucket.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '..', 'uploads');
+
+// Read configuration at call time so tests can point uploads at a temp folder
+const getUploadDir = () => process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR;
+
+const getLocalPublicUrl = () =>
+  (process.env.UPLOAD_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/$/, '');
+
+// Files under UPLOAD_DIR, served by server.js at /uploads
+const createLocalStorage = () => {
+  const root = getUploadDir();
+  const publicUrl = getLocalPublicUrl();
+
+  // Keys come from the server, but never let one escape the upload folder
+  const resolve = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${publicUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+// Any S3-compatible bucket (AWS, MinIO, DigitalOcean Spaces, Cloudflare R2).
+// Needs the optional @aws-sdk/client-s3 package.
+const createS3Storage = () => {
+  let s3;
+  try {
+    s3 = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('IMAGE_STORAGE=s3 needs the @aws-sdk/client-s3 package (npm install @aws-sdk/client-s3)');
+  }
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when IMAGE_STORAGE=s3');
+  }
+
+  const client = new s3.S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined
+  });
+
+  const publicUrl = (process.env.S3_PUBLIC_URL || `https://${bucket}.s3.amazonaws.com`).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    async save(key, buffer, contentType) {
+      await client.send(new s3.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+      return `${publicUrl}/${key}`;
+    },
+
+    async remove(key) {
+      await client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+  };
+};
+
+const backends = {
+  local: createLocalStorage,
+  s3: createS3Storage
+};
+
+// Get the storage backend named by IMAGE_STORAGE
+const getImageStorage = () => {
+  const name = process.env.IMAGE_STORAGE || 'local';
+  const create = backends[name];
+
+  if (!create) {
+    throw new Error(`Unknown IMAGE_STORAGE "${name}". Use one of: ${Object.keys(backends).join(', ')}`);
+  }
+
+  return create();
+};
+
+module.exports = {
+  getImageStorage,
+  getUploadDir
+};
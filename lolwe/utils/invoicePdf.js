@@ -0,0 +1,151 @@
+const PDFDocument = require('pdfkit');
+
+// Seller details printed on every invoice
+const getBusiness = () => ({
+  name: process.env.BUSINESS_NAME || 'Fish Delivery',
+  address: process.env.BUSINESS_ADDRESS || 'Nairobi, Kenya',
+  phone: process.env.BUSINESS_PHONE || '',
+  email: process.env.BUSINESS_EMAIL || '',
+  kraPin: process.env.BUSINESS_KRA_PIN || '',
+  vatRate: parseFloat(process.env.INVOICE_VAT_RATE) || 0
+});
+
+const formatMoney = (amount) => `KSh ${Number(amount || 0).toLocaleString('en-KE', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  timeZone: process.env.ORDER_NUMBER_TIMEZONE || 'Africa/Nairobi',
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Render the invoice for an order (with userId populated) into a PDF buffer.
+// Prices are VAT inclusive; when INVOICE_VAT_RATE is set the VAT share is shown.
+const generateInvoicePdf = (order) => new Promise((resolve, reject) => {
+  const business = getBusiness();
+  const customer = order.userId || {};
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Invoice ${order.invoiceNumber}` } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const isPaid = order.paymentStatus === 'paid';
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+
+  // Header: seller and document details
+  doc.fontSize(20).font('Helvetica-Bold').text(business.name, left, 50);
+  doc.fontSize(9).font('Helvetica').fillColor('#555555');
+  [
+    business.address,
+    business.phone && `Tel: ${business.phone}`,
+    business.email,
+    business.kraPin && `KRA PIN: ${business.kraPin}`
+  ].filter(Boolean).forEach(line => doc.text(line));
+
+  doc.fillColor('#000000').fontSize(16).font('Helvetica-Bold')
+    .text(isPaid ? 'TAX INVOICE / RECEIPT' : 'TAX INVOICE', left, 50, { align: 'right' });
+  doc.fontSize(9).font('Helvetica')
+    .text(`Invoice No: ${order.invoiceNumber}`, { align: 'right' })
+    .text(`Invoice Date: ${formatDate(order.invoicedAt || new Date())}`, { align: 'right' })
+    .text(`Order No: ${order.orderNumber}`, { align: 'right' })
+    .text(`Order Date: ${formatDate(order.createdAt)}`, { align: 'right' })
+    .text(`Payment: ${capitalize(order.paymentStatus || 'pending')}`, { align: 'right' });
+
+  // Customer details
+  doc.moveDown(2);
+  const billToY = Math.max(doc.y, 140);
+  doc.fontSize(10).font('Helvetica-Bold').text('Bill To', left, billToY);
+  doc.font('Helvetica').fontSize(9);
+  [customer.name, customer.email, customer.phone, order.deliveryAddress]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+
+  // Items table
+  const columns = [
+    { label: 'Item', x: left, width: 200 },
+    { label: 'Qty (kg)', x: left + 210, width: 60, align: 'right' },
+    { label: 'Unit Price', x: left + 280, width: 90, align: 'right' },
+    { label: 'Amount', x: left + 380, width: right - left - 380, align: 'right' }
+  ];
+
+  const drawRow = (values, y, font = 'Helvetica') => {
+    doc.font(font).fontSize(9);
+    columns.forEach((column, index) => {
+      doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+    });
+  };
+
+  let y = doc.y + 25;
+  drawRow(columns.map(column => column.label), y, 'Helvetica-Bold');
+  y += 15;
+  doc.moveTo(left, y).lineTo(right, y).strokeColor('#cccccc').stroke();
+  y += 8;
+
+  order.items.forEach(item => {
+    const method = item.preparation?.method;
+    const surcharge = item.preparation?.surchargePerKg || 0;
+
+    drawRow([
+      `${capitalize(item.fishType)} (size ${item.fishSize}${method && method !== 'whole' ? `, ${method}` : ''})`,
+      String(item.actualWeight ?? item.quantity),
+      formatMoney(item.pricePerKg + surcharge),
+      formatMoney(item.subtotal)
+    ], y);
+
+    // Filleting and the like leave less than the weight billed
+    if (item.preparedWeight < item.billedQuantity) {
+      doc.font('Helvetica').fontSize(7).fillColor('#555555')
+        .text(`About ${item.preparedWeight} kg after preparation`, left, y + 11, { width: 200 })
+        .fillColor('#000000');
+      y += 10;
+    }
+    y += 18;
+  });
+
+  doc.moveTo(left, y).lineTo(right, y).strokeColor('#cccccc').stroke();
+  y += 10;
+
+  // Totals
+  const discount = order.discount?.amount || 0;
+  const grandTotal = order.totalPrice - discount + order.deliveryFee;
+  const totals = [
+    ['Subtotal', formatMoney(order.totalPrice)],
+    discount > 0 && [`Discount (${order.discount.code})`, `- ${formatMoney(discount)}`],
+    ['Delivery Fee', formatMoney(order.deliveryFee)],
+    business.vatRate > 0 && [
+      `VAT ${business.vatRate}% (included)`,
+      formatMoney(grandTotal * business.vatRate / (100 + business.vatRate))
+    ]
+  ].filter(Boolean);
+
+  totals.forEach(([label, value]) => {
+    drawRow(['', '', label, value], y);
+    y += 16;
+  });
+
+  drawRow(['', '', 'Total', formatMoney(grandTotal)], y + 4, 'Helvetica-Bold');
+
+  if (isPaid) {
+    doc.fontSize(28).font('Helvetica-Bold').fillColor('#16a34a')
+      .text('PAID', left, y, { width: 150 });
+    doc.fillColor('#000000');
+  }
+
+  doc.fontSize(8).font('Helvetica').fillColor('#777777')
+    .text('Thank you for your business.', left, doc.page.height - 80, {
+      width: right - left,
+      align: 'center'
+    });
+
+  doc.end();
+});
+
+module.exports = { generateInvoicePdf };
@@ -0,0 +1,185 @@
+// M-Pesa Daraja API client (STK Push / Lipa Na M-Pesa Online)
+
+const DEFAULT_BASE_URL = 'https://sandbox.safaricom.co.ke';
+
+// Read configuration at call time so tests can point at the local simulator
+const getConfig = () => ({
+  baseUrl: process.env.MPESA_BASE_URL || DEFAULT_BASE_URL,
+  consumerKey: process.env.MPESA_CONSUMER_KEY,
+  consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+  shortCode: process.env.MPESA_SHORTCODE,
+  passkey: process.env.MPESA_PASSKEY,
+  callbackUrl: process.env.MPESA_CALLBACK_URL
+});
+
+// Error raised when Daraja rejects a request or cannot be reached
+class MpesaError extends Error {
+  constructor(message, statusCode = 502, details = null) {
+    super(message);
+    this.name = 'MpesaError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Convert 07XXXXXXXX / +2547XXXXXXXX into the 2547XXXXXXXX format Daraja expects
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+
+  const digits = String(phone).replace(/[\s-]/g, '').replace(/^\+/, '');
+
+  if (/^0[17]\d{8}$/.test(digits)) return `254${digits.slice(1)}`;
+  if (/^254[17]\d{8}$/.test(digits)) return digits;
+
+  return null;
+};
+
+// Daraja timestamps are YYYYMMDDHHmmss in Nairobi time (UTC+3)
+const getTimestamp = (date = new Date()) => {
+  const nairobi = new Date(date.getTime() + 3 * 60 * 60 * 1000);
+  return nairobi.toISOString().replace(/[-T:]/g, '').slice(0, 14);
+};
+
+// STK password is base64(shortCode + passkey + timestamp)
+const buildPassword = (shortCode, passkey, timestamp) => {
+  return Buffer.from(`${shortCode}${passkey}${timestamp}`).toString('base64');
+};
+
+const parseResponse = async (response) => {
+  const text = await response.text();
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    return { raw: text };
+  }
+};
+
+// Get an OAuth access token using the consumer key and secret
+const getAccessToken = async () => {
+  const { baseUrl, consumerKey, consumerSecret } = getConfig();
+
+  if (!consumerKey || !consumerSecret) {
+    throw new MpesaError('M-Pesa credentials are not configured', 500);
+  }
+
+  const credentials = Buffer.from(`${consumerKey}:${consumerSecret}`).toString('base64');
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/oauth/v1/generate?grant_type=client_credentials`, {
+      headers: { Authorization: `Basic ${credentials}` }
+    });
+  } catch (error) {
+    throw new MpesaError(`Unable to reach M-Pesa: ${error.message}`);
+  }
+
+  const body = await parseResponse(response);
+
+  if (!response.ok || !body.access_token) {
+    throw new MpesaError(body.errorMessage || 'Failed to obtain M-Pesa access token', 502, body);
+  }
+
+  return body.access_token;
+};
+
+// Start an STK Push prompt on the customer's phone
+const stkPush = async ({ phone, amount, accountReference, description }) => {
+  const { baseUrl, shortCode, passkey, callbackUrl } = getConfig();
+
+  if (!shortCode || !passkey || !callbackUrl) {
+    throw new MpesaError('M-Pesa STK Push is not configured', 500);
+  }
+
+  const accessToken = await getAccessToken();
+  const timestamp = getTimestamp();
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/mpesa/stkpush/v1/processrequest`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        BusinessShortCode: shortCode,
+        Password: buildPassword(shortCode, passkey, timestamp),
+        Timestamp: timestamp,
+        TransactionType: 'CustomerPayBillOnline',
+        Amount: Math.ceil(amount),
+        PartyA: phone,
+        PartyB: shortCode,
+        PhoneNumber: phone,
+        CallBackURL: callbackUrl,
+        AccountReference: accountReference.slice(0, 12),
+        TransactionDesc: (description || 'Fish order').slice(0, 13)
+      })
+    });
+  } catch (error) {
+    throw new MpesaError(`Unable to reach M-Pesa: ${error.message}`);
+  }
+
+  const body = await parseResponse(response);
+
+  if (!response.ok || body.ResponseCode !== '0') {
+    throw new MpesaError(body.errorMessage || body.ResponseDescription || 'STK Push request was rejected', 502, body);
+  }
+
+  return {
+    merchantRequestId: body.MerchantRequestID,
+    checkoutRequestId: body.CheckoutRequestID,
+    customerMessage: body.CustomerMessage
+  };
+};
+
+// Ask Daraja for the result of an STK Push (STK Push Query)
+const stkQuery = async (checkoutRequestId) => {
+  const { baseUrl, shortCode, passkey } = getConfig();
+
+  if (!shortCode || !passkey) {
+    throw new MpesaError('M-Pesa STK Push is not configured', 500);
+  }
+
+  const accessToken = await getAccessToken();
+  const timestamp = getTimestamp();
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/mpesa/stkpushquery/v1/query`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        BusinessShortCode: shortCode,
+        Password: buildPassword(shortCode, passkey, timestamp),
+        Timestamp: timestamp,
+        CheckoutRequestID: checkoutRequestId
+      })
+    });
+  } catch (error) {
+    throw new MpesaError(`Unable to reach M-Pesa: ${error.message}`);
+  }
+
+  const body = await parseResponse(response);
+
+  if (!response.ok || body.ResponseCode !== '0') {
+    throw new MpesaError(body.errorMessage || body.ResponseDescription || 'STK Push query was rejected', 502, body);
+  }
+
+  return {
+    resultCode: Number(body.ResultCode),
+    resultDesc: body.ResultDesc
+  };
+};
+
+module.exports = {
+  MpesaError,
+  normalizePhone,
+  getTimestamp,
+  buildPassword,
+  getAccessToken,
+  stkPush,
+  stkQuery
+};
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Fish = require('../models/Fish');
+const DeliveryZone = require('../models/DeliveryZone');
+const DeliverySlot = require('../models/DeliverySlot');
+const Coupon = require('../models/Coupon');
+const StockLot = require('../models/StockLot');
+const { AppError } = require('../middleware/errorHandler');
+
+// Create an order for a customer: reserve stock, apply the promo code,
+// price delivery, book the slot and number the order in one transaction.
+// Shared by POST /api/orders and the standing order job so both follow
+// exactly the same rules.
+const placeOrder = async ({ user, items, deliveryAddress, notes, zoneId, location, slotId, couponCode }) => {
+  const userId = user._id;
+  const orderId = new mongoose.Types.ObjectId();
+  const address = deliveryAddress || user.deliveryAddress;
+
+  const session = await mongoose.startSession();
+  let order;
+
+  try {
+    // Reserve stock and create the order in a single transaction so that
+    // concurrent checkouts cannot oversell the same fish
+    await session.withTransaction(async () => {
+      const orderItems = [];
+      const shortages = [];
+      let totalPrice = 0;
+
+      for (const item of items) {
+        const fish = await Fish.findById(item.fishId).session(session);
+
+        if (!fish || !fish.isActive) {
+          throw new AppError(`Fish with ID ${item.fishId} not found`, 404);
+        }
+
+        const preparation = fish.findPreparation(item.preparation);
+
+        if (!preparation) {
+          throw new AppError(`${fish.type} size ${fish.size} is not available ${item.preparation}`, 400);
+        }
+
+        // Expired lots must not be sold, even if the sweep hasn't run yet,
+        // and every kg sold must come from a lot
+        await StockLot.writeOffExpired(fish._id, session);
+        await StockLot.reconcile(fish._id, session);
+
+        // Conditional decrement: only succeeds while stock >= quantity
+        const reserved = await Fish.reserveStock(fish._id, item.quantity, session, {
+          type: 'sale',
+          actor: userId,
+          order: orderId
+        });
+
+        if (!reserved) {
+          const current = await Fish.findById(fish._id).session(session).select('stock');
+          shortages.push({
+            fishId: fish._id,
+            fishType: fish.type,
+            fishSize: fish.size,
+            available: current ? current.stock : 0,
+            requested: item.quantity
+          });
+          continue;
+        }
+
+        // Pick the lots that expire first
+        const lots = await StockLot.allocate(fish._id, item.quantity, session);
+
+        // Prepare order item; preparation is charged on the weight ordered
+        const subtotal = item.quantity * (fish.pricePerKg + preparation.surchargePerKg);
+        orderItems.push({
+          fishId: fish._id,
+          fishType: fish.type,
+          fishSize: fish.size,
+          quantity: item.quantity,
+          pricePerKg: fish.pricePerKg,
+          preparation,
+          subtotal,
+          lots: lots.length > 0 ? lots : undefined
+        });
+
+        totalPrice += subtotal;
+      }
+
+      // Any shortage aborts the transaction and rolls back every reservation
+      if (shortages.length > 0) {
+        const message = shortages.map(shortage =>
+          `Insufficient stock for ${shortage.fishType} size ${shortage.fishSize}. Available: ${shortage.available}kg, Requested: ${shortage.requested}kg`
+        ).join('; ');
+        throw new AppError(message, 409, shortages);
+      }
+
+      // Promo code: check its rules, then count the use against the total cap
+      let discount;
+      if (couponCode) {
+        const coupon = await Coupon.findByCode(couponCode).session(session);
+
+        if (!coupon) {
+          throw new AppError('Invalid promo code', 400);
+        }
+
+        const result = await coupon.validateFor({ userId, items: orderItems }, session);
+
+        if (!result.valid) {
+          throw new AppError(result.message, 400);
+        }
+
+        const redeemed = await Coupon.redeem(coupon._id, session);
+
+        if (!redeemed) {
+          throw new AppError('Promo code has reached its usage limit', 400);
+        }
+
+        if (!(await coupon.redeemFor(userId, session))) {
+          throw new AppError(
+            coupon.firstOrderOnly ? 'Promo code is only valid on your first order' : 'You have already used this promo code',
+            400
+          );
+        }
+
+        discount = { coupon: coupon._id, code: coupon.code, amount: result.discount };
+      }
+
+      // Same quote the cart showed, so the fee seen is the fee charged. The
+      // minimum and free delivery apply to what is paid after the discount.
+      const netTotal = totalPrice - (discount?.amount || 0);
+      const quote = await DeliveryZone.quote({ subtotal: netTotal, zoneId, location, address }, session);
+
+      if (!quote) {
+        throw new AppError('Sorry, we do not deliver to this location yet', 422);
+      }
+
+      if (!quote.meetsMinimum) {
+        throw new AppError(
+          `Minimum order for ${quote.zone.name} is KSh ${quote.minimumOrder}. Your subtotal${discount ? ' after discount' : ''} is KSh ${netTotal}`,
+          400
+        );
+      }
+
+      // Take a place in the chosen delivery window, rolled back with the rest
+      let slot = null;
+      if (slotId) {
+        if (!quote.zone) {
+          throw new AppError('Delivery slots are not available for this location', 400);
+        }
+
+        slot = await DeliverySlot.book(slotId, quote.zone._id, session);
+
+        if (!slot) {
+          throw new AppError('Selected delivery slot is full or no longer available', 409);
+        }
+      }
+
+      // Generate order number
+      const orderNumber = await Order.generateOrderNumber(session);
+
+      // Create order
+      order = new Order({
+        _id: orderId,
+        userId,
+        orderNumber,
+        items: orderItems,
+        totalPrice,
+        discount,
+        deliveryAddress: address,
+        deliveryFee: quote.deliveryFee,
+        deliveryZone: quote.zone?._id,
+        deliveryLocation: location,
+        deliverySlot: slot?._id,
+        deliveryWindow: slot ? { start: slot.start, end: slot.end } : undefined,
+        notes
+      });
+
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Detach the ended session so later queries (e.g. populate) don't reuse it
+  order.$session(null);
+  return order;
+};
+
+module.exports = { placeOrder };
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Fish = require('../models/Fish');
+const PriceChange = require('../models/PriceChange');
+const ScheduledPrice = require('../models/ScheduledPrice');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000; // 1 minute
+
+// Apply every scheduled price whose time has come, oldest first, each in its
+// own transaction so the fish price and its history never disagree. Prices for
+// fish that were deleted or archived are cancelled; one that fails is logged
+// and left pending for the next run.
+const applyScheduledPrices = async ({ io = null, now = new Date() } = {}) => {
+  const due = await ScheduledPrice.findDue(now);
+  const summary = { applied: 0, cancelled: 0, failed: 0 };
+
+  for (const scheduled of due) {
+    const session = await mongoose.startSession();
+    let change = null;
+    let outcome = null;
+
+    try {
+      await session.withTransaction(async () => {
+        // The callback can be retried, so the outcome is only counted once
+        // the transaction has committed
+        change = null;
+        outcome = null;
+
+        // Skip one that was cancelled or applied since it was loaded
+        const current = await ScheduledPrice.findOne({ _id: scheduled._id, status: 'pending' }).session(session);
+        if (!current) return;
+
+        const fish = await Fish.findById(current.fish).session(session);
+
+        if (!fish || !fish.isActive) {
+          current.status = 'cancelled';
+          current.cancelledAt = now;
+          await current.save({ session });
+          outcome = 'cancelled';
+          return;
+        }
+
+        const oldPrice = fish.pricePerKg;
+        fish.pricePerKg = current.pricePerKg;
+        await fish.save({ session });
+
+        change = await PriceChange.record({
+          fish: fish._id,
+          oldPrice,
+          newPrice: current.pricePerKg,
+          source: 'scheduled',
+          changedBy: current.createdBy,
+          scheduledPrice: current._id,
+          note: current.note
+        }, session);
+
+        current.status = 'applied';
+        current.appliedAt = now;
+        await current.save({ session });
+        outcome = 'applied';
+      });
+    } catch (error) {
+      console.error(`❌ Scheduled price ${scheduled._id} failed:`, error.message);
+      summary.failed += 1;
+      continue;
+    } finally {
+      await session.endSession();
+    }
+
+    if (outcome) {
+      summary[outcome] += 1;
+    }
+
+    if (io && change) {
+      io.to('admin-room').emit('priceChanged', {
+        fishId: change.fish,
+        oldPrice: change.oldPrice,
+        newPrice: change.newPrice,
+        scheduledPriceId: scheduled._id
+      });
+    }
+  }
+
+  return summary;
+};
+
+// Start the periodic price check. Returns the timer so callers can stop it.
+const startPriceScheduler = (io, intervalMs) => {
+  const interval = intervalMs
+    || (parseInt(process.env.PRICE_SCHEDULE_INTERVAL_MINUTES) * 60 * 1000)
+    || DEFAULT_INTERVAL_MS;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return; // Previous run still in progress
+
+    running = true;
+    try {
+      const summary = await applyScheduledPrices({ io });
+      if (summary.applied || summary.failed) {
+        console.log(`🏷️ Scheduled prices: ${summary.applied} applied, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Price schedule job error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = { applyScheduledPrices, startPriceScheduler };
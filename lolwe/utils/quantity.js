@@ -0,0 +1,22 @@
+// Fish is sold and stocked in half-kilogram steps
+
+const QUANTITY_STEP_KG = 0.5;
+
+// Check a quantity is a whole number of steps (0 included)
+const isQuantityStep = (value) => {
+  const quantity = Number(value);
+  return Number.isFinite(quantity) && Number.isInteger(quantity / QUANTITY_STEP_KG);
+};
+
+// Round a weighed weight to the gram
+const roundWeight = (weight) => Math.round(weight * 1000) / 1000;
+
+// Round a money amount to the cent
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  QUANTITY_STEP_KG,
+  isQuantityStep,
+  roundWeight,
+  roundMoney
+};
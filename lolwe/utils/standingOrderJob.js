@@ -0,0 +1,127 @@
+const StandingOrder = require('../models/StandingOrder');
+const User = require('../models/User');
+const { AppError } = require('../middleware/errorHandler');
+const { placeOrder } = require('./orderPlacement');
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Run one due standing order. The run is claimed by moving nextRunAt first,
+// so two schedulers never create the same order twice.
+const runStandingOrder = async (standingOrder, { io = null, now = new Date() } = {}) => {
+  const claimed = await StandingOrder.findOneAndUpdate(
+    { _id: standingOrder._id, status: 'active', nextRunAt: standingOrder.nextRunAt },
+    { nextRunAt: standingOrder.computeNextRun(now) },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return null; // Already taken by another run, paused or cancelled
+  }
+
+  const user = await User.findById(claimed.userId);
+
+  try {
+    if (!user || !user.isActive) {
+      throw new AppError('Customer account is no longer active', 403);
+    }
+
+    const order = await placeOrder({
+      user,
+      items: claimed.items.map(item => ({ fishId: item.fishId, quantity: item.quantity, preparation: item.preparation })),
+      deliveryAddress: claimed.deliveryAddress,
+      location: claimed.location?.lat != null ? claimed.location : undefined,
+      notes: claimed.notes
+    });
+
+    claimed.lastRun = { at: now, status: 'succeeded', order: order._id };
+    claimed.runCount += 1;
+    await claimed.save();
+
+    console.log(`🔁 Standing order ${claimed._id} created order ${order.orderNumber}`);
+
+    if (io) {
+      io.to('admin-room').emit('newOrder', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        standingOrderId: claimed._id
+      });
+      io.to(`user-${claimed.userId}`).emit('standingOrderRun', {
+        standingOrderId: claimed._id,
+        status: 'succeeded',
+        orderId: order._id,
+        orderNumber: order.orderNumber
+      });
+    }
+
+    return { standingOrder: claimed, order };
+  } catch (error) {
+    if (!error.isOperational) {
+      console.error(`❌ Standing order ${claimed._id} run failed:`, error.message);
+    }
+
+    const message = error.isOperational ? error.message : 'Order could not be created';
+
+    claimed.lastRun = { at: now, status: 'failed', message };
+    claimed.failureCount += 1;
+    await claimed.save();
+
+    console.warn(`⚠️ Standing order ${claimed._id} skipped: ${message}`);
+
+    // Tell the customer straight away, e.g. when a fish is out of stock
+    if (io) {
+      io.to(`user-${claimed.userId}`).emit('standingOrderRun', {
+        standingOrderId: claimed._id,
+        status: 'failed',
+        message,
+        shortages: error.statusCode === 409 ? error.errors : undefined,
+        nextRunAt: claimed.nextRunAt
+      });
+    }
+
+    return { standingOrder: claimed, error };
+  }
+};
+
+// Run every standing order that is due, one at a time
+const runDueStandingOrders = async ({ io = null, now = new Date() } = {}) => {
+  const due = await StandingOrder.findDue(now);
+  const summary = { created: 0, failed: 0 };
+
+  for (const standingOrder of due) {
+    const result = await runStandingOrder(standingOrder, { io, now });
+
+    if (result?.order) summary.created += 1;
+    if (result?.error) summary.failed += 1;
+  }
+
+  return summary;
+};
+
+// Start the periodic job. Returns the timer so callers can stop it.
+const startStandingOrderScheduler = (io, intervalMs) => {
+  const interval = intervalMs
+    || (parseInt(process.env.STANDING_ORDER_INTERVAL_MINUTES) * 60 * 1000)
+    || DEFAULT_INTERVAL_MS;
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return; // Previous run still in progress
+
+    running = true;
+    try {
+      const summary = await runDueStandingOrders({ io });
+      if (summary.created || summary.failed) {
+        console.log(`🔁 Standing orders run: ${summary.created} created, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Standing order job error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = { runStandingOrder, runDueStandingOrders, startStandingOrderScheduler };
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Fish = require('../models/Fish');
+const StockLot = require('../models/StockLot');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Write off every expired lot still on sale, one fish per transaction so
+// stock always matches the lots that can still be sold
+const writeOffExpiredLots = async ({ io = null, now = new Date() } = {}) => {
+  const fishIds = await StockLot.findFishWithExpiredLots(now);
+  const summary = { lots: 0, quantity: 0 };
+
+  for (const fishId of fishIds) {
+    const session = await mongoose.startSession();
+    let writeOffs = [];
+
+    try {
+      await session.withTransaction(async () => {
+        writeOffs = await StockLot.writeOffExpired(fishId, session, now);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const quantity = writeOffs.reduce((total, writeOff) => total + writeOff.quantity, 0);
+    summary.lots += writeOffs.length;
+    summary.quantity += quantity;
+
+    if (io && writeOffs.length > 0) {
+      io.to('admin-room').emit('lotsExpired', {
+        fishId,
+        lots: writeOffs.map(writeOff => writeOff.lot),
+        quantity
+      });
+    }
+  }
+
+  return summary;
+};
+
+// Bring every fish's stock in line with its lots, one fish per transaction.
+// Stock from before lot tracking becomes an opening lot. Resolves to the
+// number of opening lots created.
+const reconcileStockLots = async () => {
+  const fishIds = await Fish.distinct('_id');
+  let opened = 0;
+
+  for (const fishId of fishIds) {
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        if (await StockLot.reconcile(fishId, session)) opened += 1;
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  return opened;
+};
+
+// Start the periodic expiry sweep. Returns the timer so callers can stop it.
+const startStockLotScheduler = (io, intervalMs) => {
+  const interval = intervalMs
+    || (parseInt(process.env.STOCK_LOT_INTERVAL_MINUTES) * 60 * 1000)
+    || DEFAULT_INTERVAL_MS;
+  let running = false;
+
+  // Once at start-up, so stock recorded before lot tracking is covered by lots
+  reconcileStockLots()
+    .then(opened => {
+      if (opened) console.log(`📦 Opening lots created for ${opened} fish`);
+    })
+    .catch(error => console.error('❌ Stock lot reconcile error:', error.message));
+
+  const timer = setInterval(async () => {
+    if (running) return; // Previous run still in progress
+
+    running = true;
+    try {
+      const summary = await writeOffExpiredLots({ io });
+      if (summary.lots) {
+        console.log(`🗑️ Expired lots written off: ${summary.lots} lots, ${summary.quantity}kg`);
+      }
+    } catch (error) {
+      console.error('❌ Stock lot job error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = { writeOffExpiredLots, reconcileStockLots, startStockLotScheduler };
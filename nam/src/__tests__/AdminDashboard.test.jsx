@@ -3,14 +3,27 @@ import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import AdminDashboard from '../components/AdminDashboard';
 import { AuthProvider } from '../context/AuthContext';
 import axios from 'axios';
+import { io } from 'socket.io-client';
 
 // Mock axios
 jest.mock('axios');
 const mockedAxios = axios;
 
+// Mock socket.io-client (stock alerts are pushed to the admin room)
+const mockSocket = {
+  on: jest.fn(),
+  emit: jest.fn(),
+  disconnect: jest.fn(),
+};
+
+jest.mock('socket.io-client', () => ({
+  io: jest.fn(() => mockSocket),
+}));
+
 // Mock the useAuth hook
 const mockAuthContext = {
   API_BASE_URL: 'http://localhost:5000/api',
+  token: 'admin-token',
 };
 
 jest.mock('../context/AuthContext', () => ({
@@ -192,6 +205,82 @@ describe('AdminDashboard Component', () => {
       });
     });
 
+    it('checks a CSV import before applying it', async () => {
+      const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+      mockedAxios.post.mockResolvedValue({
+        data: {
+          success: true,
+          message: 'Dry run, nothing was imported',
+          data: { summary: { total: 2, create: 1, update: 1, unchanged: 0, invalid: 0 }, report: [] }
+        }
+      });
+
+      renderAdminDashboard();
+
+      await waitFor(() => {
+        fireEvent.click(screen.getByText('Fish Inventory'));
+      });
+
+      const input = await waitFor(() => screen.getByText('Import CSV').parentElement.querySelector('input[type="file"]'));
+      const file = new File(['type,size,pricePerKg\ntilapia,4,850'], 'fish.csv', { type: 'text/csv' });
+      fireEvent.change(input, { target: { files: [file] } });
+
+      await waitFor(() => {
+        expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+      });
+      expect(mockedAxios.post.mock.calls[0][0]).toBe('http://localhost:5000/api/fish/import?dryRun=true');
+      expect(mockedAxios.post.mock.calls[1][0]).toBe('http://localhost:5000/api/fish/import');
+      expect(confirmSpy).toHaveBeenCalledWith(expect.stringContaining('1 new, 1 updated, 0 unchanged'));
+
+      confirmSpy.mockRestore();
+    });
+
+    it('shows archived fish and restores them', async () => {
+      const defaultGet = mockedAxios.get.getMockImplementation();
+      mockedAxios.get.mockImplementation((url) => {
+        if (url.includes('/fish/archived')) {
+          return Promise.resolve({
+            data: {
+              success: true,
+              data: {
+                fish: [{
+                  _id: '3',
+                  type: 'catfish',
+                  size: 5,
+                  pricePerKg: 900,
+                  stock: 0,
+                  archivedAt: '2023-11-30T10:00:00Z',
+                  references: { orders: 2, standingOrders: 0, purchaseOrders: 0 },
+                  canPurge: false
+                }]
+              }
+            }
+          });
+        }
+        return defaultGet(url);
+      });
+      mockedAxios.post.mockResolvedValue({ data: { success: true } });
+
+      renderAdminDashboard();
+
+      await waitFor(() => {
+        fireEvent.click(screen.getByText('Fish Inventory'));
+      });
+      fireEvent.click(await screen.findByText('Archived'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Catfish')).toBeInTheDocument();
+        expect(screen.getByText('Kept for 2 orders')).toBeInTheDocument();
+        expect(screen.getByText('Delete permanently')).toBeDisabled();
+      });
+
+      fireEvent.click(screen.getByText('Restore'));
+
+      await waitFor(() => {
+        expect(mockedAxios.post).toHaveBeenCalledWith('http://localhost:5000/api/fish/3/restore');
+      });
+    });
+
     it('shows add fish button', async () => {
       renderAdminDashboard();
       
@@ -322,6 +411,132 @@ describe('AdminDashboard Component', () => {
     });
   });
 
+  describe('Stock Alerts Tab', () => {
+    const mockAlert = {
+      _id: 'alert-1',
+      fish: { _id: '2', type: 'omena', size: 2 },
+      type: 'low-stock',
+      stock: 5,
+      threshold: 10,
+      status: 'open',
+      createdAt: '2023-12-01T12:00:00Z'
+    };
+
+    beforeEach(() => {
+      mockedAxios.get.mockImplementation((url) => {
+        if (url.includes('/stock-alerts')) {
+          return Promise.resolve({ data: { success: true, data: { alerts: [mockAlert], openCount: 1 } } });
+        }
+        if (url.includes('/fish')) {
+          return Promise.resolve({ data: { success: true, data: { fish: mockFishData } } });
+        }
+        return Promise.resolve({ data: { success: true, data: {} } });
+      });
+    });
+
+    it('lists open alerts and acknowledges them', async () => {
+      mockedAxios.post.mockResolvedValue({
+        data: { success: true, data: { alert: { ...mockAlert, status: 'acknowledged' } } }
+      });
+
+      renderAdminDashboard();
+
+      await waitFor(() => {
+        fireEvent.click(screen.getByText('Stock Alerts'));
+      });
+
+      await waitFor(() => {
+        expect(screen.getByText('Omena size 2 is running low')).toBeInTheDocument();
+      });
+
+      fireEvent.click(screen.getByText('Acknowledge'));
+
+      await waitFor(() => {
+        expect(mockedAxios.post).toHaveBeenCalledWith('http://localhost:5000/api/stock-alerts/alert-1/acknowledge');
+        expect(screen.getByText('Acknowledged')).toBeInTheDocument();
+      });
+    });
+
+    it('joins the admin room for new alerts', async () => {
+      renderAdminDashboard();
+
+      expect(io).toHaveBeenCalledWith('http://localhost:5000', { auth: { token: 'admin-token' } });
+
+      const connect = mockSocket.on.mock.calls.find(([event]) => event === 'connect')[1];
+      connect();
+
+      expect(mockSocket.emit).toHaveBeenCalledWith('join-admin-room');
+      expect(mockSocket.on).toHaveBeenCalledWith('stockAlert', expect.any(Function));
+    });
+  });
+
+  describe('Reviews Tab', () => {
+    const mockReview = {
+      _id: 'review-1',
+      fishType: 'tilapia',
+      fishSize: 4,
+      rating: 4,
+      comment: 'Very fresh',
+      status: 'pending',
+      user: { name: 'John Doe', email: 'john@example.com' },
+      order: { orderNumber: 'ORD-20231201-0001' },
+      createdAt: '2023-12-01T12:00:00Z'
+    };
+
+    beforeEach(() => {
+      mockedAxios.get.mockImplementation((url) => {
+        if (url.includes('/reviews/moderation')) {
+          return Promise.resolve({ data: { success: true, data: { reviews: [mockReview] } } });
+        }
+        if (url.includes('/fish')) {
+          return Promise.resolve({ data: { success: true, data: { fish: mockFishData } } });
+        }
+        return Promise.resolve({ data: { success: true, data: {} } });
+      });
+    });
+
+    it('loads the review queue only when opened', async () => {
+      renderAdminDashboard();
+
+      await waitFor(() => {
+        expect(mockedAxios.get).toHaveBeenCalledWith('http://localhost:5000/api/fish');
+      });
+      expect(mockedAxios.get).not.toHaveBeenCalledWith(
+        'http://localhost:5000/api/reviews/moderation',
+        expect.anything()
+      );
+
+      fireEvent.click(screen.getByText('Reviews'));
+
+      await waitFor(() => {
+        expect(mockedAxios.get).toHaveBeenCalledWith(
+          'http://localhost:5000/api/reviews/moderation',
+          { params: { status: 'pending' } }
+        );
+        expect(screen.getByText('"Very fresh"')).toBeInTheDocument();
+      });
+    });
+
+    it('approves a pending review', async () => {
+      mockedAxios.put.mockResolvedValue({ data: { success: true, data: {} } });
+
+      renderAdminDashboard();
+      fireEvent.click(screen.getByText('Reviews'));
+
+      await waitFor(() => {
+        fireEvent.click(screen.getByText('Approve'));
+      });
+
+      await waitFor(() => {
+        expect(mockedAxios.put).toHaveBeenCalledWith(
+          'http://localhost:5000/api/reviews/review-1/moderate',
+          { status: 'approved', note: undefined }
+        );
+        expect(screen.getByText('No pending reviews.')).toBeInTheDocument();
+      });
+    });
+  });
+
   describe('Data Fetching', () => {
     it('fetches dashboard data on mount', async () => {
       renderAdminDashboard();
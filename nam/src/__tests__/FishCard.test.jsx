@@ -38,6 +38,18 @@ describe('FishCard Component', () => {
       expect(screen.getByText('Fresh tilapia from Lake Victoria')).toBeInTheDocument();
     });
 
+    it('marks search matches in the description', () => {
+      const searched = {
+        ...mockFish,
+        highlights: [
+          { field: 'description', text: mockFish.description, matches: [{ start: 6, length: 7 }] }
+        ]
+      };
+      render(<FishCard fish={searched} onAddToCart={mockOnAddToCart} />);
+
+      expect(screen.getByText('tilapia').tagName).toBe('MARK');
+    });
+
     it('renders fish image when provided', () => {
       render(<FishCard fish={mockFish} onAddToCart={mockOnAddToCart} />);
       
@@ -53,6 +65,20 @@ describe('FishCard Component', () => {
       expect(screen.getByText('🐟')).toBeInTheDocument();
     });
 
+    it('shows the average rating and review count', () => {
+      const rated = { ...mockFish, averageRating: 4.5, reviewCount: 12 };
+      render(<FishCard fish={rated} onAddToCart={mockOnAddToCart} />);
+
+      expect(screen.getByText('4.5 (12)')).toBeInTheDocument();
+      expect(screen.getByLabelText('Rated 4.5 out of 5 from 12 reviews')).toBeInTheDocument();
+    });
+
+    it('hides the rating until the fish has reviews', () => {
+      render(<FishCard fish={{ ...mockFish, averageRating: null, reviewCount: 0 }} onAddToCart={mockOnAddToCart} />);
+
+      expect(screen.queryByLabelText(/^Rated/)).not.toBeInTheDocument();
+    });
+
     it('formats fish type with proper capitalization', () => {
       const fishTypes = ['tilapia', 'omena', 'catfish', 'nileperch'];
       
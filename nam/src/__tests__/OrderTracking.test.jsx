@@ -15,6 +15,11 @@ jest.mock('socket.io-client', () => ({
   io: jest.fn(() => mockSocket),
 }));
 
+// Mock axios (timeline requests)
+jest.mock('axios', () => ({
+  get: jest.fn(() => Promise.reject(new Error('Network disabled in tests'))),
+}));
+
 // Mock the useAuth hook
 const mockAuthContext = {
   API_BASE_URL: 'http://localhost:5000/api',
@@ -225,6 +230,43 @@ describe('OrderTracking Component', () => {
     });
   });
 
+  describe('Status Timeline', () => {
+    const orderWithHistory = {
+      ...mockOrder,
+      statusHistory: [
+        { from: null, to: 'pending', timestamp: '2023-12-01T10:00:00Z' },
+        {
+          from: 'pending',
+          to: 'processing',
+          timestamp: '2023-12-02T10:00:00Z',
+          actor: { name: 'Admin User', role: 'admin' },
+          note: 'Cleaning the fish'
+        }
+      ]
+    };
+
+    it('renders status history entries with actor and note', () => {
+      renderOrderTracking(orderWithHistory);
+
+      expect(screen.getByText('Status History')).toBeInTheDocument();
+      expect(screen.getByText('by Admin User')).toBeInTheDocument();
+      expect(screen.getByText('Cleaning the fish')).toBeInTheDocument();
+    });
+
+    it('requests the timeline for the order', () => {
+      const axios = require('axios');
+      renderOrderTracking(orderWithHistory);
+
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:5000/api/orders/1/timeline');
+    });
+
+    it('hides status history when none is recorded', () => {
+      renderOrderTracking();
+
+      expect(screen.queryByText('Status History')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Multiple Items', () => {
     it('renders multiple order items correctly', () => {
       const multiItemOrder = {
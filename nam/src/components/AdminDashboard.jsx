@@ -8,10 +8,20 @@ import {
   ChartBarIcon,
   UsersIcon,
   ShoppingBagIcon,
-  CurrencyDollarIcon
+  CurrencyDollarIcon,
+  PhotoIcon,
+  StarIcon,
+  BellAlertIcon,
+  ChatBubbleLeftRightIcon,
+  ArrowUturnLeftIcon,
+  ArrowDownTrayIcon,
+  ArrowUpTrayIcon
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
+import { io } from 'socket.io-client';
 import { useAuth } from '../context/AuthContext';
+import { promptDispatchWeights } from '../utils/weights';
+import PriceHistoryChart from './PriceHistoryChart';
 
 const AdminDashboard = () => {
   const [activeTab, setActiveTab] = useState('overview');
@@ -21,20 +31,54 @@ const AdminDashboard = () => {
   const [loading, setLoading] = useState(true);
   const [showAddFishModal, setShowAddFishModal] = useState(false);
   const [editingFish, setEditingFish] = useState(null);
-  const { API_BASE_URL } = useAuth();
+  const [priceHistoryFishId, setPriceHistoryFishId] = useState(null);
+  const [stockAlerts, setStockAlerts] = useState([]);
+  const [inventoryView, setInventoryView] = useState('active');
+  const [archivedFish, setArchivedFish] = useState([]);
+  const [reviews, setReviews] = useState([]);
+  const [reviewStatus, setReviewStatus] = useState('pending');
+  const { API_BASE_URL, token } = useAuth();
 
   const tabs = [
     { id: 'overview', name: 'Overview', icon: ChartBarIcon },
     { id: 'inventory', name: 'Fish Inventory', icon: ShoppingBagIcon },
     { id: 'orders', name: 'Orders', icon: ShoppingBagIcon },
+    { id: 'alerts', name: 'Stock Alerts', icon: BellAlertIcon },
+    { id: 'reviews', name: 'Reviews', icon: ChatBubbleLeftRightIcon },
     { id: 'users', name: 'Users', icon: UsersIcon },
   ];
 
   // Fetch dashboard data
   useEffect(() => {
     fetchDashboardData();
+    fetchStockAlerts();
   }, []);
 
+  // The review queue is only loaded when the Reviews tab is open
+  useEffect(() => {
+    if (activeTab === 'reviews') {
+      fetchReviews(reviewStatus);
+    }
+  }, [activeTab, reviewStatus]);
+
+  // New stock alerts are pushed to the admin room as stock falls; the server
+  // only lets signed-in admins join it
+  useEffect(() => {
+    const socket = io(API_BASE_URL.replace('/api', ''), { auth: { token } });
+
+    socket.on('connect', () => {
+      socket.emit('join-admin-room');
+    });
+
+    socket.on('stockAlert', (alert) => {
+      setStockAlerts(prev => [alert, ...prev.filter(existing => existing._id !== alert._id)]);
+    });
+
+    return () => {
+      socket.disconnect();
+    };
+  }, [API_BASE_URL, token]);
+
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
@@ -54,6 +98,199 @@ const AdminDashboard = () => {
     }
   };
 
+  // Unresolved alerts; acknowledged ones stay listed until the fish is restocked
+  const fetchStockAlerts = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/stock-alerts`);
+      setStockAlerts(response.data.data.alerts || []);
+    } catch (error) {
+      console.error('Error fetching stock alerts:', error);
+    }
+  };
+
+  const acknowledgeStockAlert = async (alertId) => {
+    try {
+      const response = await axios.post(`${API_BASE_URL}/stock-alerts/${alertId}/acknowledge`);
+      const acknowledged = response.data.data.alert;
+      setStockAlerts(prev => prev.map(alert => (
+        alert._id === alertId ? { ...alert, status: acknowledged.status, acknowledgedAt: acknowledged.acknowledgedAt } : alert
+      )));
+    } catch (error) {
+      console.error('Error acknowledging stock alert:', error);
+      fetchStockAlerts();
+    }
+  };
+
+  const fetchReviews = async (status) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/reviews/moderation`, { params: { status } });
+      setReviews(response.data.data.reviews || []);
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+    }
+  };
+
+  const moderateReview = async (review, status) => {
+    let note;
+    if (status === 'hidden') {
+      note = window.prompt('Why is this review being hidden? (optional)');
+      if (note === null) return; // Admin dismissed the dialog
+    }
+
+    try {
+      await axios.put(`${API_BASE_URL}/reviews/${review._id}/moderate`, { status, note: note?.trim() || undefined });
+      // Leaves the current list, since it is filtered by status
+      setReviews(prev => prev.filter(existing => existing._id !== review._id));
+      if (status !== review.status) fetchDashboardData(); // Ratings on the fish changed
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      fetchReviews(reviewStatus);
+    }
+  };
+
+  const updateReorderThreshold = async (fishItem) => {
+    const value = window.prompt(
+      `Raise a low-stock alert for ${formatFishType(fishItem.type)} size ${fishItem.size} at how many kg?`,
+      String(fishItem.reorderThreshold ?? 10)
+    );
+    if (value === null) return; // Admin dismissed the dialog
+
+    const reorderThreshold = Number(value);
+    if (!Number.isFinite(reorderThreshold) || reorderThreshold < 0) {
+      window.alert('Reorder threshold must be a non-negative number.');
+      return;
+    }
+
+    try {
+      await axios.put(`${API_BASE_URL}/fish/${fishItem._id}`, { reorderThreshold });
+      fetchDashboardData(); // Refresh data
+      fetchStockAlerts();
+    } catch (error) {
+      console.error('Error updating reorder threshold:', error);
+      window.alert(error.response?.data?.message || 'Failed to update reorder threshold.');
+    }
+  };
+
+  // Inventory spreadsheet: export, edit, then import back (upserted on type + size)
+  const exportInventory = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/fish/export`, { responseType: 'blob' });
+      const disposition = response.headers['content-disposition'] || '';
+      const filename = disposition.match(/filename="(.+)"/)?.[1] || 'fish-inventory.csv';
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting inventory:', error);
+      window.alert('Failed to export inventory.');
+    }
+  };
+
+  const importInventory = async (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    const post = (query) => axios.post(`${API_BASE_URL}/fish/import${query}`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+
+    try {
+      // Check the file first and show what would change
+      const { data } = await post('?dryRun=true');
+      const { summary, report } = data.data;
+
+      if (summary.invalid > 0) {
+        const problems = report
+          .filter(entry => entry.action === 'invalid')
+          .slice(0, 10)
+          .map(entry => `Row ${entry.row}: ${entry.errors.join('; ')}`);
+        window.alert(`${data.message}. Nothing was imported.\n\n${problems.join('\n')}`);
+        return;
+      }
+
+      if (!window.confirm(
+        `Import ${file.name}?\n\n${summary.create} new, ${summary.update} updated, ${summary.unchanged} unchanged.`
+      )) return;
+
+      await post('');
+      fetchDashboardData(); // Refresh data
+      fetchStockAlerts();
+    } catch (error) {
+      console.error('Error importing inventory:', error);
+      window.alert(error.response?.data?.message || 'Failed to import inventory.');
+    }
+  };
+
+  // Archived (soft deleted) fish can be restored, or purged once nothing refers to them
+  const fetchArchivedFish = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/fish/archived`);
+      setArchivedFish(response.data.data.fish || []);
+    } catch (error) {
+      console.error('Error fetching archived fish:', error);
+    }
+  };
+
+  const showInventoryView = (view) => {
+    setInventoryView(view);
+    if (view === 'archived') fetchArchivedFish();
+  };
+
+  const archiveFish = async (fishItem) => {
+    if (!window.confirm(`Archive ${formatFishType(fishItem.type)} size ${fishItem.size}? Customers will no longer see it.`)) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/fish/${fishItem._id}`);
+      fetchDashboardData(); // Refresh data
+    } catch (error) {
+      console.error('Error archiving fish:', error);
+      window.alert(error.response?.data?.message || 'Failed to archive fish.');
+    }
+  };
+
+  const restoreFish = async (fishItem) => {
+    try {
+      await axios.post(`${API_BASE_URL}/fish/${fishItem._id}/restore`);
+      fetchArchivedFish();
+      fetchDashboardData(); // Refresh data
+    } catch (error) {
+      console.error('Error restoring fish:', error);
+      window.alert(error.response?.data?.message || 'Failed to restore fish.');
+    }
+  };
+
+  const purgeFish = async (fishItem) => {
+    if (!window.confirm(`Permanently delete ${formatFishType(fishItem.type)} size ${fishItem.size}? This cannot be undone.`)) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/fish/${fishItem._id}/purge`);
+      fetchArchivedFish();
+    } catch (error) {
+      console.error('Error purging fish:', error);
+      window.alert(error.response?.data?.message || 'Failed to delete fish.');
+    }
+  };
+
+  // Why an archived fish cannot be purged yet
+  const purgeBlockers = (fishItem) => {
+    const { orders = 0, standingOrders = 0, purchaseOrders = 0 } = fishItem.references || {};
+    return [
+      fishItem.stock > 0 && `${fishItem.stock}kg in stock`,
+      orders > 0 && `${orders} order${orders > 1 ? 's' : ''}`,
+      standingOrders > 0 && `${standingOrders} standing order${standingOrders > 1 ? 's' : ''}`,
+      purchaseOrders > 0 && `${purchaseOrders} purchase order${purchaseOrders > 1 ? 's' : ''}`
+    ].filter(Boolean);
+  };
+
+  const openAlertCount = stockAlerts.filter(alert => alert.status === 'open').length;
+
+  const isLowStock = (fishItem) => fishItem.stock <= (fishItem.reorderThreshold ?? 10);
+
   const formatFishType = (type) => {
     return type.charAt(0).toUpperCase() + type.slice(1);
   };
@@ -70,14 +307,59 @@ const AdminDashboard = () => {
   };
 
   const updateOrderStatus = async (orderId, newStatus) => {
+    // Shipping records what each item weighed; the customer is billed for that
+    const update = { status: newStatus };
+    if (newStatus === 'shipped') {
+      const order = orders.find(o => o._id === orderId);
+      const weights = order?.items?.length ? promptDispatchWeights(order) : undefined;
+      if (weights === null) return; // Admin dismissed the dialog
+      update.weights = weights;
+    }
+
     try {
-      await axios.put(`${API_BASE_URL}/orders/${orderId}`, { status: newStatus });
+      await axios.put(`${API_BASE_URL}/orders/${orderId}`, update);
       fetchDashboardData(); // Refresh data
     } catch (error) {
       console.error('Error updating order status:', error);
     }
   };
 
+  // Gallery management for a fish; the first image is the cover
+  const uploadFishImages = async (fishId, fileList) => {
+    const formData = new FormData();
+    Array.from(fileList).forEach(file => formData.append('images', file));
+
+    try {
+      await axios.post(`${API_BASE_URL}/fish/${fishId}/images`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      fetchDashboardData(); // Refresh data
+    } catch (error) {
+      console.error('Error uploading images:', error);
+      window.alert(error.response?.data?.message || 'Failed to upload images.');
+    }
+  };
+
+  const setCoverImage = async (fishId, imageId) => {
+    try {
+      await axios.post(`${API_BASE_URL}/fish/${fishId}/images/${imageId}/cover`);
+      fetchDashboardData(); // Refresh data
+    } catch (error) {
+      console.error('Error changing cover image:', error);
+    }
+  };
+
+  const deleteFishImage = async (fishId, imageId) => {
+    if (!window.confirm('Remove this image?')) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/fish/${fishId}/images/${imageId}`);
+      fetchDashboardData(); // Refresh data
+    } catch (error) {
+      console.error('Error removing image:', error);
+    }
+  };
+
   // Overview Tab Component
   const OverviewTab = () => (
     <div className="space-y-6">
@@ -93,6 +375,9 @@ const AdminDashboard = () => {
           {
             title: 'Total Revenue',
             value: `KSh ${(stats.summary?.totalRevenue || 0).toLocaleString()}`,
+            subtitle: stats.summary?.totalDiscounts
+              ? `Net KSh ${stats.summary.netRevenue.toLocaleString()} after discounts`
+              : null,
             icon: CurrencyDollarIcon,
             color: 'text-success-600 bg-success-100'
           },
@@ -120,6 +405,9 @@ const AdminDashboard = () => {
               <div>
                 <p className="text-sm text-gray-600">{stat.title}</p>
                 <p className="text-2xl font-bold text-gray-900 mt-1">{stat.value}</p>
+                {stat.subtitle && (
+                  <p className="text-xs text-gray-500 mt-1">{stat.subtitle}</p>
+                )}
               </div>
               <div className={`p-3 rounded-lg ${stat.color}`}>
                 <stat.icon className="w-6 h-6" />
@@ -162,72 +450,359 @@ const AdminDashboard = () => {
   const InventoryTab = () => (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
-        <h3 className="text-lg font-semibold text-gray-900">Fish Inventory</h3>
-        <motion.button
-          onClick={() => setShowAddFishModal(true)}
-          className="btn btn-primary flex items-center space-x-2"
-          whileHover={{ scale: 1.05 }}
-          whileTap={{ scale: 0.95 }}
-        >
-          <PlusIcon className="w-4 h-4" />
-          <span>Add Fish</span>
-        </motion.button>
+        <div className="flex items-center space-x-4">
+          <h3 className="text-lg font-semibold text-gray-900">Fish Inventory</h3>
+          <div className="flex rounded-lg border border-gray-200 overflow-hidden text-sm">
+            {[['active', 'Active'], ['archived', 'Archived']].map(([view, label]) => (
+              <button
+                key={view}
+                onClick={() => showInventoryView(view)}
+                className={`px-3 py-1 ${inventoryView === view ? 'bg-primary-600 text-white' : 'text-gray-600 hover:bg-gray-50'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="flex items-center space-x-3">
+          <motion.button
+            onClick={exportInventory}
+            className="btn btn-outline flex items-center space-x-2"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <ArrowDownTrayIcon className="w-4 h-4" />
+            <span>Export CSV</span>
+          </motion.button>
+          <label className="btn btn-outline flex items-center space-x-2 cursor-pointer">
+            <ArrowUpTrayIcon className="w-4 h-4" />
+            <span>Import CSV</span>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              className="hidden"
+              onChange={(e) => {
+                if (e.target.files.length > 0) importInventory(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          <motion.button
+            onClick={() => setShowAddFishModal(true)}
+            className="btn btn-primary flex items-center space-x-2"
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+          >
+            <PlusIcon className="w-4 h-4" />
+            <span>Add Fish</span>
+          </motion.button>
+        </div>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {fish.map((fishItem, index) => (
-          <motion.div
-            key={fishItem._id}
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ delay: index * 0.1 }}
-            className="card p-6"
-          >
-            <div className="flex items-start justify-between mb-4">
-              <div>
-                <h4 className="font-semibold text-gray-900">{formatFishType(fishItem.type)}</h4>
-                <p className="text-sm text-gray-500">Size {fishItem.size}</p>
+      {inventoryView === 'archived' ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {archivedFish.length === 0 && (
+            <p className="text-gray-500">No archived fish.</p>
+          )}
+          {archivedFish.map((fishItem) => (
+            <div key={fishItem._id} className="card p-6 bg-gray-50">
+              <div className="mb-4">
+                <h4 className="font-semibold text-gray-700">{formatFishType(fishItem.type)}</h4>
+                <p className="text-sm text-gray-500">
+                  Size {fishItem.size} · KSh {fishItem.pricePerKg?.toLocaleString()}/kg
+                </p>
+                {fishItem.archivedAt && (
+                  <p className="text-xs text-gray-400 mt-1">
+                    Archived {new Date(fishItem.archivedAt).toLocaleDateString()}
+                  </p>
+                )}
               </div>
+
+              {!fishItem.canPurge && (
+                <p className="text-xs text-gray-500 mb-3">
+                  Kept for {purgeBlockers(fishItem).join(', ')}
+                </p>
+              )}
+
               <div className="flex items-center space-x-2">
-                <motion.button
-                  onClick={() => setEditingFish(fishItem)}
-                  className="p-2 text-gray-400 hover:text-primary-600 transition-colors duration-200"
-                  whileHover={{ scale: 1.1 }}
-                  whileTap={{ scale: 0.9 }}
+                <button
+                  onClick={() => restoreFish(fishItem)}
+                  className="btn btn-outline btn-sm flex items-center space-x-1"
                 >
-                  <PencilIcon className="w-4 h-4" />
-                </motion.button>
-                <motion.button
-                  className="p-2 text-gray-400 hover:text-error-600 transition-colors duration-200"
-                  whileHover={{ scale: 1.1 }}
-                  whileTap={{ scale: 0.9 }}
+                  <ArrowUturnLeftIcon className="w-4 h-4" />
+                  <span>Restore</span>
+                </button>
+                <button
+                  onClick={() => purgeFish(fishItem)}
+                  disabled={!fishItem.canPurge}
+                  className="btn btn-ghost btn-sm text-error-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                  title={fishItem.canPurge ? 'Delete permanently' : 'Only fish nothing refers to can be deleted'}
                 >
-                  <TrashIcon className="w-4 h-4" />
-                </motion.button>
+                  Delete permanently
+                </button>
               </div>
             </div>
+          ))}
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {fish.map((fishItem, index) => (
+            <motion.div
+              key={fishItem._id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: index * 0.1 }}
+              className="card p-6"
+            >
+              <div className="flex items-start justify-between mb-4">
+                <div>
+                  <h4 className="font-semibold text-gray-900">{formatFishType(fishItem.type)}</h4>
+                  <p className="text-sm text-gray-500">Size {fishItem.size}</p>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <motion.button
+                    onClick={() => setPriceHistoryFishId(priceHistoryFishId === fishItem._id ? null : fishItem._id)}
+                    className={`p-2 transition-colors duration-200 ${priceHistoryFishId === fishItem._id ? 'text-primary-600' : 'text-gray-400 hover:text-primary-600'}`}
+                    title="Price history"
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                  >
+                    <ChartBarIcon className="w-4 h-4" />
+                  </motion.button>
+                  <motion.button
+                    onClick={() => setEditingFish(fishItem)}
+                    className="p-2 text-gray-400 hover:text-primary-600 transition-colors duration-200"
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                  >
+                    <PencilIcon className="w-4 h-4" />
+                  </motion.button>
+                  <motion.button
+                    onClick={() => archiveFish(fishItem)}
+                    className="p-2 text-gray-400 hover:text-error-600 transition-colors duration-200"
+                    title="Archive"
+                    whileHover={{ scale: 1.1 }}
+                    whileTap={{ scale: 0.9 }}
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </motion.button>
+                </div>
+              </div>
 
-            <div className="space-y-2">
-              <div className="flex items-center justify-between">
-                <span className="text-sm text-gray-600">Price</span>
-                <span className="font-medium">KSh {fishItem.pricePerKg?.toLocaleString()}/kg</span>
+              <div className="space-y-2">
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-gray-600">Price</span>
+                  <span className="font-medium">KSh {fishItem.pricePerKg?.toLocaleString()}/kg</span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-gray-600">Stock</span>
+                  <span className={`font-medium ${isLowStock(fishItem) ? 'text-warning-600' : 'text-success-600'}`}>
+                    {fishItem.stock}kg
+                  </span>
+                </div>
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-gray-600">Reorder at</span>
+                  <button
+                    onClick={() => updateReorderThreshold(fishItem)}
+                    className="text-sm font-medium text-primary-600 hover:text-primary-700"
+                    title="Change reorder threshold"
+                  >
+                    {fishItem.reorderThreshold ?? 10}kg
+                  </button>
+                </div>
               </div>
-              <div className="flex items-center justify-between">
-                <span className="text-sm text-gray-600">Stock</span>
-                <span className={`font-medium ${fishItem.stock <= 10 ? 'text-warning-600' : 'text-success-600'}`}>
-                  {fishItem.stock}kg
-                </span>
+
+              {isLowStock(fishItem) && (
+                <div className="mt-3 p-2 bg-warning-50 border border-warning-200 rounded-lg">
+                  <p className="text-xs text-warning-700">Low stock warning!</p>
+                </div>
+              )}
+
+              {priceHistoryFishId === fishItem._id && (
+                <div className="mt-4 pt-4 border-t border-gray-100">
+                  <PriceHistoryChart fishId={fishItem._id} />
+                </div>
+              )}
+
+              {/* Gallery */}
+              <div className="mt-4">
+                <div className="flex flex-wrap gap-2">
+                  {(fishItem.images || []).map((image, imageIndex) => (
+                    <div key={image._id} className="relative group">
+                      <img
+                        src={image.thumbnails?.small || image.url}
+                        alt={`${formatFishType(fishItem.type)} ${imageIndex + 1}`}
+                        className={`w-14 h-14 object-cover rounded-lg ${imageIndex === 0 ? 'ring-2 ring-primary-500' : ''}`}
+                      />
+                      <div className="absolute inset-0 hidden group-hover:flex items-center justify-center space-x-1 bg-black/40 rounded-lg">
+                        {imageIndex > 0 && (
+                          <button
+                            onClick={() => setCoverImage(fishItem._id, image._id)}
+                            className="p-1 text-white"
+                            title="Make cover"
+                          >
+                            <StarIcon className="w-4 h-4" />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => deleteFishImage(fishItem._id, image._id)}
+                          className="p-1 text-white"
+                          title="Remove"
+                        >
+                          <TrashIcon className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                  <label className="w-14 h-14 flex items-center justify-center border-2 border-dashed border-gray-300 rounded-lg cursor-pointer text-gray-400 hover:text-primary-600 hover:border-primary-400" title="Add photos">
+                    <PhotoIcon className="w-5 h-5" />
+                    <input
+                      type="file"
+                      accept="image/jpeg,image/png,image/webp"
+                      multiple
+                      className="hidden"
+                      onChange={(e) => {
+                        if (e.target.files.length > 0) uploadFishImages(fishItem._id, e.target.files);
+                        e.target.value = '';
+                      }}
+                    />
+                  </label>
+                </div>
               </div>
-            </div>
+            </motion.div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
 
-            {fishItem.stock <= 10 && (
-              <div className="mt-3 p-2 bg-warning-50 border border-warning-200 rounded-lg">
-                <p className="text-xs text-warning-700">Low stock warning!</p>
+  // Stock Alerts Tab Component
+  const AlertsTab = () => (
+    <div className="space-y-6">
+      <h3 className="text-lg font-semibold text-gray-900">Stock Alerts</h3>
+
+      {stockAlerts.length === 0 ? (
+        <div className="card p-6 text-center">
+          <p className="text-gray-500">No stock alerts. Everything is above its reorder threshold.</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {stockAlerts.map((alert) => (
+            <motion.div
+              key={alert._id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              className={`card p-4 flex items-center justify-between border-l-4 ${
+                alert.type === 'out-of-stock' ? 'border-error-500' : 'border-warning-500'
+              }`}
+            >
+              <div>
+                <p className="font-medium text-gray-900">
+                  {alert.fish ? `${formatFishType(alert.fish.type)} size ${alert.fish.size}` : 'Removed fish'}
+                  {' '}{alert.type === 'out-of-stock' ? 'is out of stock' : 'is running low'}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {alert.stock}kg left, reorder at {alert.threshold}kg · {new Date(alert.createdAt).toLocaleString()}
+                </p>
               </div>
-            )}
-          </motion.div>
-        ))}
+              {alert.status === 'open' ? (
+                <motion.button
+                  onClick={() => acknowledgeStockAlert(alert._id)}
+                  className="btn btn-outline btn-sm"
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                >
+                  Acknowledge
+                </motion.button>
+              ) : (
+                <span className="text-sm text-gray-500">Acknowledged</span>
+              )}
+            </motion.div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  // Reviews Tab Component
+  const ReviewsTab = () => (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Customer Reviews</h3>
+        <div className="flex items-center space-x-2">
+          {['pending', 'approved', 'hidden'].map(status => (
+            <button
+              key={status}
+              onClick={() => setReviewStatus(status)}
+              className={`btn btn-sm ${reviewStatus === status ? 'btn-primary' : 'btn-outline'}`}
+            >
+              {status.charAt(0).toUpperCase() + status.slice(1)}
+            </button>
+          ))}
+        </div>
       </div>
+
+      {reviews.length === 0 ? (
+        <div className="card p-6 text-center">
+          <p className="text-gray-500">No {reviewStatus} reviews.</p>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {reviews.map((review) => (
+            <motion.div
+              key={review._id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              className="card p-4 flex items-start justify-between"
+            >
+              <div>
+                <div className="flex items-center space-x-2">
+                  <p className="font-medium text-gray-900">
+                    {formatFishType(review.fishType)} size {review.fishSize}
+                  </p>
+                  <div className="flex" aria-label={`Rated ${review.rating} out of 5`}>
+                    {[1, 2, 3, 4, 5].map(star => (
+                      <StarIcon
+                        key={star}
+                        className={`w-4 h-4 ${star <= review.rating ? 'text-warning-400 fill-current' : 'text-gray-300'}`}
+                      />
+                    ))}
+                  </div>
+                </div>
+                {review.comment && <p className="text-sm text-gray-700 mt-1">"{review.comment}"</p>}
+                <p className="text-sm text-gray-500 mt-1">
+                  {review.user?.name} · {review.order?.orderNumber} · {new Date(review.createdAt).toLocaleString()}
+                </p>
+                {review.moderationNote && (
+                  <p className="text-xs text-gray-500 mt-1">Note: {review.moderationNote}</p>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                {review.status !== 'approved' && (
+                  <motion.button
+                    onClick={() => moderateReview(review, 'approved')}
+                    className="btn btn-primary btn-sm"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    Approve
+                  </motion.button>
+                )}
+                {review.status !== 'hidden' && (
+                  <motion.button
+                    onClick={() => moderateReview(review, 'hidden')}
+                    className="btn btn-outline btn-sm"
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                  >
+                    Hide
+                  </motion.button>
+                )}
+              </div>
+            </motion.div>
+          ))}
+        </div>
+      )}
     </div>
   );
 
@@ -353,6 +928,11 @@ const AdminDashboard = () => {
               >
                 <tab.icon className="w-5 h-5" />
                 <span>{tab.name}</span>
+                {tab.id === 'alerts' && openAlertCount > 0 && (
+                  <span className="px-2 py-0.5 text-xs rounded-full bg-error-100 text-error-700">
+                    {openAlertCount}
+                  </span>
+                )}
               </motion.button>
             ))}
           </nav>
@@ -370,6 +950,8 @@ const AdminDashboard = () => {
             {activeTab === 'overview' && <OverviewTab />}
             {activeTab === 'inventory' && <InventoryTab />}
             {activeTab === 'orders' && <OrdersTab />}
+            {activeTab === 'alerts' && <AlertsTab />}
+            {activeTab === 'reviews' && <ReviewsTab />}
             {activeTab === 'users' && (
               <div className="text-center py-12">
                 <p className="text-gray-500">User management coming soon...</p>
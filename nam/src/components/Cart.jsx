@@ -5,35 +5,212 @@ import {
   XMarkIcon, 
   MinusIcon, 
   PlusIcon,
-  TrashIcon 
+  TrashIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
 
-const Cart = ({ isOpen, onClose, items = [], onUpdateQuantity, onRemoveItem, onCheckout }) => {
+// Fish is sold in half-kilogram steps
+const QUANTITY_STEP = 0.5;
+
+const Cart = ({
+  isOpen,
+  onClose,
+  items = [],
+  onUpdateQuantity,
+  onRemoveItem,
+  onChangePreparation,
+  selectedSlotId = '',
+  onSelectSlot,
+  couponCode = '',
+  onApplyCoupon,
+  onCheckout
+}) => {
   const [localItems, setLocalItems] = useState([]);
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState('');
+  const [slots, setSlots] = useState([]);
+  const [promoInput, setPromoInput] = useState('');
+  const [promo, setPromo] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const { API_BASE_URL } = useAuth();
 
   useEffect(() => {
     setLocalItems(items);
   }, [items]);
 
+  // Cart lines are keyed by fish and preparation
+  const getItemKey = (item) => item.cartKey || item._id;
+
+  const toRequestItem = (item) => ({
+    fishId: item._id,
+    quantity: item.quantity,
+    preparation: item.preparation || undefined
+  });
+
+  const getPreparation = (item) => {
+    return item.preparationOptions?.find(option => option.method === (item.preparation || 'whole'));
+  };
+
+  const getUnitPrice = (item) => {
+    return item.pricePerKg + (getPreparation(item)?.surchargePerKg || 0);
+  };
+
+  // Delivery fee comes from the customer's delivery zone
+  useEffect(() => {
+    if (!isOpen || localItems.length === 0) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchQuote = async () => {
+      try {
+        const response = await axios.post(`${API_BASE_URL}/delivery/quote`, {
+          items: localItems.map(toRequestItem),
+          couponCode: couponCode || undefined
+        });
+
+        if (!cancelled) {
+          setQuote(response.data.data.quote);
+          setQuoteError('');
+        }
+      } catch (err) {
+        console.error('Error fetching delivery quote:', err);
+        if (!cancelled) {
+          setQuote(null);
+          setQuoteError(err.response?.data?.message || 'Unable to calculate delivery fee');
+        }
+      }
+    };
+
+    fetchQuote();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, localItems, couponCode, API_BASE_URL]);
+
   const calculateSubtotal = (item) => {
-    return item.quantity * item.pricePerKg;
+    return item.quantity * getUnitPrice(item);
   };
 
   const calculateTotal = () => {
     return localItems.reduce((total, item) => total + calculateSubtotal(item), 0);
   };
 
-  const deliveryFee = 100; // KSh 100 delivery fee
-  const grandTotal = calculateTotal() + deliveryFee;
+  // Delivery windows are offered per zone
+  const zoneId = quote?.zone?._id;
+
+  useEffect(() => {
+    if (!isOpen || !zoneId) {
+      setSlots([]);
+      return;
+    }
+
+    let cancelled = false;
+
+    const fetchSlots = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/delivery/slots?zoneId=${zoneId}`);
+
+        if (!cancelled) {
+          setSlots(response.data.data.slots);
+        }
+      } catch (err) {
+        console.error('Error fetching delivery slots:', err);
+        if (!cancelled) {
+          setSlots([]);
+        }
+      }
+    };
+
+    fetchSlots();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, zoneId, API_BASE_URL]);
+
+  // Drop a selection that is no longer offered (zone changed or slot filled up)
+  useEffect(() => {
+    if (selectedSlotId && onSelectSlot && !slots.some(slot => slot._id === selectedSlotId)) {
+      onSelectSlot('');
+    }
+  }, [slots, selectedSlotId, onSelectSlot]);
+
+  // The discount depends on the cart, so the applied code is re-checked when it changes
+  useEffect(() => {
+    if (!isOpen || !couponCode || localItems.length === 0) {
+      setPromo(null);
+      return;
+    }
+
+    let cancelled = false;
+
+    const validatePromo = async () => {
+      try {
+        const response = await axios.post(`${API_BASE_URL}/coupons/validate`, {
+          code: couponCode,
+          items: localItems.map(toRequestItem)
+        });
+
+        if (!cancelled) {
+          setPromo(response.data.data);
+          setPromoError('');
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setPromo(null);
+          setPromoError(err.response?.data?.message || 'Unable to apply promo code');
+          if (onApplyCoupon) onApplyCoupon('');
+        }
+      }
+    };
+
+    validatePromo();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, couponCode, localItems, API_BASE_URL, onApplyCoupon]);
+
+  const handleApplyPromo = (e) => {
+    e.preventDefault();
+    setPromoError('');
+    if (onApplyCoupon && promoInput.trim()) {
+      onApplyCoupon(promoInput.trim().toUpperCase());
+    }
+  };
+
+  const handleRemovePromo = () => {
+    setPromoInput('');
+    setPromoError('');
+    if (onApplyCoupon) onApplyCoupon('');
+  };
+
+  const formatSlot = (slot) => {
+    const start = new Date(slot.start);
+    const end = new Date(slot.end);
+    const day = start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    const time = (date) => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    return `${day}, ${time(start)} – ${time(end)} (${slot.remaining} left)`;
+  };
+
+  const deliveryFee = quote ? quote.deliveryFee : null;
+  const discount = promo ? promo.discount : 0;
+  const grandTotal = calculateTotal() - discount + (deliveryFee || 0);
+  const canCheckout = Boolean(quote) && quote.meetsMinimum;
 
   const handleUpdateQuantity = (itemId, newQuantity) => {
-    if (newQuantity < 1) {
+    if (newQuantity <= 0) {
       handleRemoveItem(itemId);
       return;
     }
 
     const updatedItems = localItems.map(item => 
-      item._id === itemId ? { ...item, quantity: newQuantity } : item
+      getItemKey(item) === itemId ? { ...item, quantity: newQuantity } : item
     );
     setLocalItems(updatedItems);
     
@@ -43,7 +220,7 @@ const Cart = ({ isOpen, onClose, items = [], onUpdateQuantity, onRemoveItem, onC
   };
 
   const handleRemoveItem = (itemId) => {
-    const updatedItems = localItems.filter(item => item._id !== itemId);
+    const updatedItems = localItems.filter(item => getItemKey(item) !== itemId);
     setLocalItems(updatedItems);
     
     if (onRemoveItem) {
@@ -135,7 +312,7 @@ const Cart = ({ isOpen, onClose, items = [], onUpdateQuantity, onRemoveItem, onC
                   <AnimatePresence>
                     {localItems.map((item, index) => (
                       <motion.div
-                        key={item._id}
+                        key={getItemKey(item)}
                         initial={{ opacity: 0, x: 20 }}
                         animate={{ opacity: 1, x: 0 }}
                         exit={{ opacity: 0, x: -20, height: 0 }}
@@ -153,10 +330,15 @@ const Cart = ({ isOpen, onClose, items = [], onUpdateQuantity, onRemoveItem, onC
                             <h4 className="font-medium text-gray-900 truncate">
                               {formatFishType(item.type)}
                             </h4>
-                            <p className="text-sm text-gray-500">Size {item.size}</p>
+                            <p className="text-sm text-gray-500">
+                              Size {item.size}
+                              {getPreparation(item)?.yieldFactor < 1 && (
+                                <> • about {(item.quantity * getPreparation(item).yieldFactor).toFixed(1)}kg after preparation</>
+                              )}
+                            </p>
                             <div className="flex items-center justify-between mt-2">
                               <span className="text-sm font-medium text-primary-600">
-                                KSh {item.pricePerKg.toLocaleString()}/kg
+                                KSh {getUnitPrice(item).toLocaleString()}/kg
                               </span>
                               <span className="text-sm font-semibold text-gray-900">
                                 KSh {calculateSubtotal(item).toLocaleString()}
@@ -166,7 +348,7 @@ const Cart = ({ isOpen, onClose, items = [], onUpdateQuantity, onRemoveItem, onC
 
                           {/* Remove Button */}
                           <motion.button
-                            onClick={() => handleRemoveItem(item._id)}
+                            onClick={() => handleRemoveItem(getItemKey(item))}
                             className="p-1 text-gray-400 hover:text-error-500 transition-colors duration-200"
                             whileHover={{ scale: 1.1 }}
                             whileTap={{ scale: 0.9 }}
@@ -175,12 +357,34 @@ const Cart = ({ isOpen, onClose, items = [], onUpdateQuantity, onRemoveItem, onC
                           </motion.button>
                         </div>
 
+                        {/* Preparation */}
+                        {item.preparationOptions?.length > 1 && (
+                          <div className="flex items-center justify-between mt-4">
+                            <label htmlFor={`cart-preparation-${getItemKey(item)}`} className="text-sm text-gray-600">
+                              Preparation
+                            </label>
+                            <select
+                              id={`cart-preparation-${getItemKey(item)}`}
+                              value={item.preparation || 'whole'}
+                              onChange={(e) => onChangePreparation && onChangePreparation(getItemKey(item), e.target.value)}
+                              className="px-3 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+                            >
+                              {item.preparationOptions.map(option => (
+                                <option key={option.method} value={option.method}>
+                                  {option.method.charAt(0).toUpperCase() + option.method.slice(1)}
+                                  {option.surchargePerKg > 0 ? ` (+KSh ${option.surchargePerKg.toLocaleString()}/kg)` : ''}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                        )}
+
                         {/* Quantity Controls */}
                         <div className="flex items-center justify-between mt-4">
                           <span className="text-sm text-gray-600">Quantity</span>
                           <div className="flex items-center space-x-3">
                             <motion.button
-                              onClick={() => handleUpdateQuantity(item._id, item.quantity - 1)}
+                              onClick={() => handleUpdateQuantity(getItemKey(item), item.quantity - QUANTITY_STEP)}
                               className="w-8 h-8 rounded-full bg-gray-200 hover:bg-gray-300 flex items-center justify-center transition-colors duration-200"
                               whileHover={{ scale: 1.1 }}
                               whileTap={{ scale: 0.9 }}
@@ -191,7 +395,7 @@ const Cart = ({ isOpen, onClose, items = [], onUpdateQuantity, onRemoveItem, onC
                               {item.quantity}kg
                             </span>
                             <motion.button
-                              onClick={() => handleUpdateQuantity(item._id, item.quantity + 1)}
+                              onClick={() => handleUpdateQuantity(getItemKey(item), item.quantity + QUANTITY_STEP)}
                               className="w-8 h-8 rounded-full bg-primary-500 hover:bg-primary-600 flex items-center justify-center transition-colors duration-200"
                               whileHover={{ scale: 1.1 }}
                               whileTap={{ scale: 0.9 }}
@@ -220,10 +424,39 @@ const Cart = ({ isOpen, onClose, items = [], onUpdateQuantity, onRemoveItem, onC
                     <span className="text-gray-600">Subtotal</span>
                     <span className="font-medium">KSh {calculateTotal().toLocaleString()}</span>
                   </div>
+                  {promo && (
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="text-gray-600">
+                        Discount ({promo.code})
+                        <button
+                          onClick={handleRemovePromo}
+                          className="ml-2 text-xs text-gray-400 hover:text-error-500"
+                        >
+                          Remove
+                        </button>
+                      </span>
+                      <span className="font-medium text-success-600">
+                        − KSh {discount.toLocaleString()}
+                      </span>
+                    </div>
+                  )}
                   <div className="flex items-center justify-between text-sm">
                     <span className="text-gray-600">Delivery Fee</span>
-                    <span className="font-medium">KSh {deliveryFee.toLocaleString()}</span>
+                    <span className="font-medium">
+                      {deliveryFee === null
+                        ? '—'
+                        : quote.freeDelivery ? 'Free' : `KSh ${deliveryFee.toLocaleString()}`}
+                    </span>
                   </div>
+                  {quote?.zone && (
+                    <div className="flex items-center justify-between text-xs text-gray-500">
+                      <span>Delivery zone</span>
+                      <span>
+                        {quote.zone.name}
+                        {quote.distanceKm !== null && ` (${quote.distanceKm} km)`}
+                      </span>
+                    </div>
+                  )}
                   <div className="border-t border-gray-300 pt-3">
                     <div className="flex items-center justify-between">
                       <span className="text-lg font-semibold text-gray-900">Total</span>
@@ -234,16 +467,61 @@ const Cart = ({ isOpen, onClose, items = [], onUpdateQuantity, onRemoveItem, onC
                   </div>
                 </div>
 
+                {/* Promo Code */}
+                {!promo && (
+                  <form onSubmit={handleApplyPromo} className="mb-6">
+                    <div className="flex space-x-2">
+                      <input
+                        type="text"
+                        value={promoInput}
+                        onChange={(e) => setPromoInput(e.target.value)}
+                        placeholder="Promo code"
+                        className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors duration-200 uppercase"
+                      />
+                      <button type="submit" className="btn btn-outline" disabled={!promoInput.trim()}>
+                        Apply
+                      </button>
+                    </div>
+                    {promoError && (
+                      <p className="text-xs text-error-600 mt-2">{promoError}</p>
+                    )}
+                  </form>
+                )}
+
+                {/* Delivery Slot Picker */}
+                {slots.length > 0 && (
+                  <div className="mb-6">
+                    <label htmlFor="delivery-slot" className="flex items-center text-sm font-medium text-gray-700 mb-2">
+                      <ClockIcon className="w-4 h-4 mr-1" />
+                      Delivery window
+                    </label>
+                    <select
+                      id="delivery-slot"
+                      value={selectedSlotId}
+                      onChange={(e) => onSelectSlot && onSelectSlot(e.target.value)}
+                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors duration-200"
+                    >
+                      <option value="">Standard delivery (within 3 days)</option>
+                      {slots.map(slot => (
+                        <option key={slot._id} value={slot._id}>
+                          {formatSlot(slot)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 {/* Checkout Button */}
                 <motion.button
                   onClick={() => {
-                    if (onCheckout) {
+                    if (onCheckout && canCheckout) {
                       onCheckout(localItems, grandTotal);
                     }
                   }}
-                  className="w-full btn btn-primary btn-lg relative overflow-hidden"
-                  whileHover={{ scale: 1.02 }}
-                  whileTap={{ scale: 0.98 }}
+                  disabled={!canCheckout}
+                  className="w-full btn btn-primary btn-lg relative overflow-hidden disabled:opacity-50 disabled:cursor-not-allowed"
+                  whileHover={{ scale: canCheckout ? 1.02 : 1 }}
+                  whileTap={{ scale: canCheckout ? 0.98 : 1 }}
                 >
                   <motion.div
                     className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent"
@@ -254,9 +532,21 @@ const Cart = ({ isOpen, onClose, items = [], onUpdateQuantity, onRemoveItem, onC
                   <span className="relative z-10">Proceed to Checkout</span>
                 </motion.button>
 
-                <p className="text-xs text-gray-500 text-center mt-3">
-                  Free delivery on orders above KSh 2,000
-                </p>
+                {quoteError ? (
+                  <p className="text-xs text-error-600 text-center mt-3">{quoteError}</p>
+                ) : quote && !quote.meetsMinimum ? (
+                  <p className="text-xs text-warning-600 text-center mt-3">
+                    Minimum order for {quote.zone.name} is KSh {quote.minimumOrder.toLocaleString()}
+                  </p>
+                ) : quote?.freeDelivery ? (
+                  <p className="text-xs text-success-600 text-center mt-3">
+                    You qualify for free delivery
+                  </p>
+                ) : quote?.amountToFreeDelivery ? (
+                  <p className="text-xs text-gray-500 text-center mt-3">
+                    Add KSh {quote.amountToFreeDelivery.toLocaleString()} more for free delivery
+                  </p>
+                ) : null}
               </motion.div>
             )}
           </motion.div>
@@ -1,6 +1,6 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { motion } from 'framer-motion';
-import { PlusIcon, TagIcon } from '@heroicons/react/24/outline';
+import { PlusIcon, TagIcon, ClockIcon, StarIcon } from '@heroicons/react/24/outline';
 
 const FishCard = ({ fish, onAddToCart, className = '' }) => {
   const {
@@ -11,12 +11,50 @@ const FishCard = ({ fish, onAddToCart, className = '' }) => {
     stock,
     description,
     image,
+    images = [],
+    defaultImage,
+    typeName,
+    swahiliName,
+    freshness,
+    averageRating = null,
+    reviewCount = 0,
+    highlights = [],
+    preparationOptions = [{ method: 'whole', surchargePerKg: 0, yieldFactor: 1 }],
+    reorderThreshold = 10,
     isAvailable = stock > 0,
-    stockStatus = stock === 0 ? 'out-of-stock' : stock <= 10 ? 'low-stock' : 'in-stock'
+    stockStatus = stock === 0 ? 'out-of-stock' : stock <= reorderThreshold ? 'low-stock' : 'in-stock'
   } = fish;
 
   const formatFishType = (type) => {
-    return type.charAt(0).toUpperCase() + type.slice(1);
+    return typeName || type.charAt(0).toUpperCase() + type.slice(1);
+  };
+
+  // Mark the words a search matched, using the ranges the server sent
+  const highlight = (field, text) => {
+    const matches = highlights.find(entry => entry.field === field && entry.text === text)?.matches;
+    if (!matches?.length) return text;
+
+    const parts = [];
+    let position = 0;
+    matches.forEach(({ start, length }) => {
+      if (start > position) parts.push(text.slice(position, start));
+      parts.push(<mark key={start} className="bg-yellow-100 rounded-sm">{text.slice(start, start + length)}</mark>);
+      position = start + length;
+    });
+    parts.push(text.slice(position));
+    return parts;
+  };
+
+  // Uploaded gallery first (cover is the first image), then the pasted URL
+  const [imageIndex, setImageIndex] = useState(0);
+  const displayImage = images[imageIndex]?.thumbnails?.medium || images[imageIndex]?.url || image || defaultImage;
+
+  const [preparationMethod, setPreparationMethod] = useState(preparationOptions[0]?.method || 'whole');
+  const preparation = preparationOptions.find(option => option.method === preparationMethod) || preparationOptions[0];
+  const displayPrice = pricePerKg + (preparation?.surchargePerKg || 0);
+
+  const formatPreparation = (method) => {
+    return method.charAt(0).toUpperCase() + method.slice(1);
   };
 
   const getStockBadge = () => {
@@ -30,9 +68,18 @@ const FishCard = ({ fish, onAddToCart, className = '' }) => {
 
   const stockBadge = getStockBadge();
 
+  const formatCatchDate = (date) => {
+    return new Date(date).toLocaleDateString('en-KE', { day: 'numeric', month: 'short' });
+  };
+
   const handleAddToCart = () => {
     if (onAddToCart && isAvailable) {
-      onAddToCart(fish);
+      // Whole is the default preparation, so it needs no extra argument
+      if (preparationMethod === 'whole') {
+        onAddToCart(fish);
+      } else {
+        onAddToCart(fish, preparationMethod);
+      }
     }
   };
 
@@ -49,9 +96,9 @@ const FishCard = ({ fish, onAddToCart, className = '' }) => {
     >
       {/* Image Container */}
       <div className="relative overflow-hidden bg-gray-100 aspect-fish">
-        {image ? (
+        {displayImage ? (
           <motion.img
-            src={image}
+            src={displayImage}
             alt={`${formatFishType(type)} size ${size}`}
             className="w-full h-full object-cover"
             whileHover={{ scale: 1.1 }}
@@ -80,6 +127,20 @@ const FishCard = ({ fish, onAddToCart, className = '' }) => {
           </motion.div>
         )}
         
+        {/* Gallery */}
+        {images.length > 1 && (
+          <div className="absolute bottom-3 right-3 flex space-x-1">
+            {images.map((galleryImage, index) => (
+              <button
+                key={galleryImage._id}
+                onClick={() => setImageIndex(index)}
+                className={`w-2 h-2 rounded-full ${index === imageIndex ? 'bg-white' : 'bg-white/50'}`}
+                aria-label={`Show photo ${index + 1}`}
+              />
+            ))}
+          </div>
+        )}
+
         {/* Stock Badge */}
         <motion.div
           className="absolute top-3 right-3"
@@ -104,6 +165,21 @@ const FishCard = ({ fish, onAddToCart, className = '' }) => {
             <span>Size {size}</span>
           </span>
         </motion.div>
+
+        {/* Freshness Badge */}
+        {freshness?.caughtAt && (
+          <motion.div
+            className="absolute bottom-3 left-3"
+            initial={{ scale: 0 }}
+            animate={{ scale: 1 }}
+            transition={{ delay: 0.35 }}
+          >
+            <span className="badge badge-success flex items-center space-x-1">
+              <ClockIcon className="w-3 h-3" />
+              <span>Caught on {formatCatchDate(freshness.caughtAt)}</span>
+            </span>
+          </motion.div>
+        )}
       </div>
 
       {/* Content */}
@@ -117,7 +193,10 @@ const FishCard = ({ fish, onAddToCart, className = '' }) => {
               animate={{ opacity: 1 }}
               transition={{ delay: 0.4 }}
             >
-              {formatFishType(type)}
+              {typeName ? highlight('typeName', typeName) : formatFishType(type)}
+              {swahiliName && (
+                <span className="ml-1 text-sm font-normal text-gray-500">({highlight('swahiliName', swahiliName)})</span>
+              )}
             </motion.h3>
             <motion.p 
               className="text-sm text-gray-500"
@@ -127,6 +206,20 @@ const FishCard = ({ fish, onAddToCart, className = '' }) => {
             >
               Size {size} • {stock}kg available
             </motion.p>
+            {reviewCount > 0 && (
+              <div
+                className="flex items-center mt-1"
+                aria-label={`Rated ${averageRating} out of 5 from ${reviewCount} review${reviewCount === 1 ? '' : 's'}`}
+              >
+                {[1, 2, 3, 4, 5].map(star => (
+                  <StarIcon
+                    key={star}
+                    className={`w-4 h-4 ${star <= Math.round(averageRating) ? 'text-warning-400 fill-current' : 'text-gray-300'}`}
+                  />
+                ))}
+                <span className="ml-1 text-xs text-gray-500">{averageRating} ({reviewCount})</span>
+              </div>
+            )}
           </div>
           <motion.div 
             className="text-right"
@@ -135,7 +228,7 @@ const FishCard = ({ fish, onAddToCart, className = '' }) => {
             transition={{ delay: 0.6 }}
           >
             <p className="text-2xl font-bold text-primary-600">
-              KSh {pricePerKg.toLocaleString()}
+              KSh {displayPrice.toLocaleString()}
             </p>
             <p className="text-xs text-gray-500">per kg</p>
           </motion.div>
@@ -149,10 +242,37 @@ const FishCard = ({ fish, onAddToCart, className = '' }) => {
             animate={{ opacity: 1 }}
             transition={{ delay: 0.7 }}
           >
-            {description}
+            {highlight('description', description)}
           </motion.p>
         )}
 
+        {/* Preparation Options */}
+        {preparationOptions.length > 1 && (
+          <div className="mb-4">
+            <label htmlFor={`preparation-${_id}`} className="block text-xs font-medium text-gray-700 mb-1">
+              Preparation
+            </label>
+            <select
+              id={`preparation-${_id}`}
+              value={preparationMethod}
+              onChange={(e) => setPreparationMethod(e.target.value)}
+              className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              {preparationOptions.map(option => (
+                <option key={option.method} value={option.method}>
+                  {formatPreparation(option.method)}
+                  {option.surchargePerKg > 0 ? ` (+KSh ${option.surchargePerKg.toLocaleString()}/kg)` : ''}
+                </option>
+              ))}
+            </select>
+            {preparation?.yieldFactor < 1 && (
+              <p className="text-xs text-gray-500 mt-1">
+                You receive about {Math.round(preparation.yieldFactor * 100)}% of the weight ordered
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Add to Cart Button */}
         <motion.button
           onClick={handleAddToCart}
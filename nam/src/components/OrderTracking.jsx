@@ -8,11 +8,13 @@ import {
   XCircleIcon 
 } from '@heroicons/react/24/outline';
 import { io } from 'socket.io-client';
+import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 
 const OrderTracking = ({ order, className = '' }) => {
   const [currentOrder, setCurrentOrder] = useState(order);
   const [socket, setSocket] = useState(null);
+  const [timeline, setTimeline] = useState(order?.statusHistory || []);
   const { API_BASE_URL } = useAuth();
 
   // Status configuration
@@ -56,6 +58,30 @@ const OrderTracking = ({ order, className = '' }) => {
 
   const statusOrder = ['pending', 'processing', 'shipped', 'delivered'];
 
+  // Fetch the persisted status history for this order
+  const fetchTimeline = async (orderId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/orders/${orderId}/timeline`);
+      if (response.data.success) {
+        setTimeline(response.data.data.timeline);
+      }
+    } catch (err) {
+      console.error('Error fetching order timeline:', err);
+    }
+  };
+
+  // Fetch the latest copy of this order
+  const fetchOrder = async (orderId) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/orders/${orderId}`);
+      if (response.data.success) {
+        setCurrentOrder(response.data.data.order);
+      }
+    } catch (err) {
+      console.error('Error fetching order:', err);
+    }
+  };
+
   // Set up socket connection for real-time updates
   useEffect(() => {
     if (!currentOrder?._id) return;
@@ -76,6 +102,14 @@ const OrderTracking = ({ order, className = '' }) => {
           status: updateData.status,
           updatedAt: updateData.updatedAt
         }));
+        fetchTimeline(currentOrder._id);
+      }
+    });
+
+    // Items were weighed at dispatch; reload to show the billed weights
+    newSocket.on('orderWeighed', (weighing) => {
+      if (weighing.orderId === currentOrder._id) {
+        fetchOrder(currentOrder._id);
       }
     });
 
@@ -96,6 +130,10 @@ const OrderTracking = ({ order, className = '' }) => {
   // Update local state when order prop changes
   useEffect(() => {
     setCurrentOrder(order);
+    setTimeline(order?.statusHistory || []);
+    if (order?._id) {
+      fetchTimeline(order._id);
+    }
   }, [order]);
 
   if (!currentOrder) {
@@ -124,6 +162,12 @@ const OrderTracking = ({ order, className = '' }) => {
     return type.charAt(0).toUpperCase() + type.slice(1);
   };
 
+  // Latest time the order entered a given status
+  const getStatusTimestamp = (status) => {
+    const entry = [...timeline].reverse().find(item => item.to === status);
+    return entry?.timestamp;
+  };
+
   return (
     <div className={`card p-6 ${className}`}>
       {/* Order Header */}
@@ -177,6 +221,11 @@ const OrderTracking = ({ order, className = '' }) => {
                 }`}>
                   {statusConf.title}
                 </span>
+                {getStatusTimestamp(status) && (
+                  <span className="text-xs text-gray-500 text-center">
+                    {formatDate(getStatusTimestamp(status))}
+                  </span>
+                )}
               </div>
             );
           })}
@@ -217,6 +266,33 @@ const OrderTracking = ({ order, className = '' }) => {
         </div>
       </motion.div>
 
+      {/* Status History */}
+      {timeline.length > 0 && (
+        <div className="space-y-3 mb-6">
+          <h4 className="font-medium text-gray-900">Status History</h4>
+          <ol className="space-y-2">
+            {timeline.map((entry, index) => (
+              <li key={index} className="flex items-start justify-between text-sm">
+                <div>
+                  <p className="text-gray-900">
+                    {statusConfig[entry.to]?.title || entry.to}
+                    {entry.actor?.name && (
+                      <span className="text-gray-500"> by {entry.actor.name}</span>
+                    )}
+                  </p>
+                  {entry.note && (
+                    <p className="text-xs text-gray-500">{entry.note}</p>
+                  )}
+                </div>
+                <span className="text-xs text-gray-500 ml-4">
+                  {formatDate(entry.timestamp)}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
       {/* Order Items */}
       <div className="space-y-3 mb-6">
         <h4 className="font-medium text-gray-900">Order Items</h4>
@@ -234,10 +310,12 @@ const OrderTracking = ({ order, className = '' }) => {
               </div>
               <div>
                 <p className="font-medium text-gray-900">
-                  {formatFishType(item.fishType)} (Size {item.fishSize})
+                  {formatFishType(item.fishType)} (Size {item.fishSize}{item.preparation && item.preparation.method !== 'whole' ? `, ${item.preparation.method}` : ''})
                 </p>
                 <p className="text-sm text-gray-500">
-                  {item.quantity}kg × KSh {item.pricePerKg.toLocaleString()}
+                  {item.actualWeight ?? item.quantity}kg × KSh {(item.pricePerKg + (item.preparation?.surchargePerKg || 0)).toLocaleString()}
+                  {item.actualWeight != null && ` (ordered ${item.quantity}kg)`}
+                  {item.preparedWeight < (item.actualWeight ?? item.quantity) && ` • about ${item.preparedWeight}kg after preparation`}
                 </p>
               </div>
             </div>
@@ -254,6 +332,14 @@ const OrderTracking = ({ order, className = '' }) => {
           <span className="text-gray-600">Subtotal</span>
           <span className="font-medium">KSh {currentOrder.totalPrice?.toLocaleString()}</span>
         </div>
+        {currentOrder.discount?.amount > 0 && (
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-gray-600">Discount ({currentOrder.discount.code})</span>
+            <span className="font-medium text-success-600">
+              − KSh {currentOrder.discount.amount.toLocaleString()}
+            </span>
+          </div>
+        )}
         <div className="flex items-center justify-between mb-2">
           <span className="text-gray-600">Delivery Fee</span>
           <span className="font-medium">KSh {currentOrder.deliveryFee?.toLocaleString() || '100'}</span>
@@ -261,17 +347,29 @@ const OrderTracking = ({ order, className = '' }) => {
         <div className="flex items-center justify-between text-lg font-semibold text-gray-900 pt-2 border-t border-gray-200">
           <span>Total</span>
           <span className="text-primary-600">
-            KSh {((currentOrder.totalPrice || 0) + (currentOrder.deliveryFee || 100)).toLocaleString()}
+            KSh {((currentOrder.totalPrice || 0) - (currentOrder.discount?.amount || 0) + (currentOrder.deliveryFee || 100)).toLocaleString()}
           </span>
         </div>
       </div>
 
+      {/* Weighed at dispatch */}
+      {currentOrder.weighing && currentOrder.weighing.difference !== 0 && (
+        <div className="mt-4 p-4 bg-warning-50 rounded-lg text-sm text-gray-700">
+          Your order was weighed at dispatch and comes to KSh {Math.abs(currentOrder.weighing.difference).toLocaleString()}
+          {currentOrder.weighing.difference > 0 ? ' more' : ' less'} than the estimated KSh {currentOrder.weighing.estimatedTotal.toLocaleString()}.
+        </div>
+      )}
+
       {/* Delivery Information */}
       {currentOrder.deliveryAddress && (
         <div className="mt-6 p-4 bg-blue-50 rounded-lg">
           <h4 className="font-medium text-gray-900 mb-2">Delivery Address</h4>
           <p className="text-sm text-gray-600">{currentOrder.deliveryAddress}</p>
-          {currentOrder.estimatedDelivery && (
+          {currentOrder.deliveryWindow?.start ? (
+            <p className="text-sm text-gray-500 mt-2">
+              Delivery window: {formatDate(currentOrder.deliveryWindow.start)} – {formatDate(currentOrder.deliveryWindow.end)}
+            </p>
+          ) : currentOrder.estimatedDelivery && (
             <p className="text-sm text-gray-500 mt-2">
               Estimated delivery: {formatDate(currentOrder.estimatedDelivery)}
             </p>
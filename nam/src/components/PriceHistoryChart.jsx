@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { ClockIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+
+const WIDTH = 320;
+const HEIGHT = 120;
+const PADDING = 8;
+
+// Step chart of a fish's price over time, with upcoming scheduled prices dashed
+const PriceHistoryChart = ({ fishId }) => {
+  const [history, setHistory] = useState([]);
+  const [scheduled, setScheduled] = useState([]);
+  const [currentPrice, setCurrentPrice] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const { API_BASE_URL } = useAuth();
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fishId]);
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get(`${API_BASE_URL}/fish/${fishId}/price-history`);
+      setHistory(response.data.data.history || []);
+      setScheduled(response.data.data.scheduled || []);
+      setCurrentPrice(response.data.data.fish.pricePerKg);
+    } catch (error) {
+      console.error('Error fetching price history:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const schedulePrice = async () => {
+    const price = window.prompt('New price per kg (KSh)');
+    if (price === null) return;
+    const effectiveAt = window.prompt('Takes effect on (YYYY-MM-DD HH:MM)');
+    if (effectiveAt === null) return;
+
+    try {
+      await axios.post(`${API_BASE_URL}/fish/${fishId}/scheduled-prices`, {
+        pricePerKg: parseFloat(price),
+        effectiveAt: new Date(effectiveAt.replace(' ', 'T')).toISOString()
+      });
+      fetchHistory();
+    } catch (error) {
+      console.error('Error scheduling price:', error);
+      window.alert(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to schedule the price.');
+    }
+  };
+
+  const cancelScheduledPrice = async (scheduleId) => {
+    if (!window.confirm('Cancel this scheduled price?')) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/fish/${fishId}/scheduled-prices/${scheduleId}`);
+      fetchHistory();
+    } catch (error) {
+      console.error('Error cancelling scheduled price:', error);
+    }
+  };
+
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-KE', { day: 'numeric', month: 'short' });
+
+  if (loading) {
+    return <p className="text-xs text-gray-500">Loading price history...</p>;
+  }
+
+  // Points in time order: past changes, today's price, then scheduled prices
+  const now = Date.now();
+  const past = history.map(change => ({ time: new Date(change.createdAt).getTime(), price: change.newPrice }));
+  const future = scheduled.map(price => ({ time: new Date(price.effectiveAt).getTime(), price: price.pricePerKg }));
+  const points = [...past, ...(currentPrice !== null ? [{ time: now, price: currentPrice }] : []), ...future];
+
+  const times = points.map(point => point.time);
+  const prices = points.map(point => point.price);
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const minPrice = Math.min(...prices);
+  const maxPrice = Math.max(...prices);
+
+  const x = (time) => PADDING + ((time - minTime) / (maxTime - minTime || 1)) * (WIDTH - PADDING * 2);
+  const y = (price) => HEIGHT - PADDING - ((price - minPrice) / (maxPrice - minPrice || 1)) * (HEIGHT - PADDING * 2);
+
+  // Prices hold until the next change, so draw steps rather than slopes
+  const stepPath = (series) => series.map((point, index) => (index === 0
+    ? `M ${x(point.time)} ${y(point.price)}`
+    : `H ${x(point.time)} V ${y(point.price)}`
+  )).join(' ');
+
+  const pastSeries = points.filter(point => point.time <= now);
+  const futureSeries = future.length && pastSeries.length ? [pastSeries[pastSeries.length - 1], ...future] : future;
+
+  return (
+    <div className="space-y-2">
+      {history.length > 0 || future.length > 0 ? (
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-28" role="img" aria-label="Price history chart">
+          <path d={stepPath(pastSeries)} fill="none" stroke="currentColor" strokeWidth="2" className="text-primary-600" />
+          {futureSeries.length > 0 && (
+            <path d={stepPath(futureSeries)} fill="none" stroke="currentColor" strokeWidth="2" strokeDasharray="4 4" className="text-warning-600" />
+          )}
+          {points.map((point, index) => (
+            <circle key={index} cx={x(point.time)} cy={y(point.price)} r="3" className="fill-current text-primary-600">
+              <title>{`KSh ${point.price.toLocaleString()} from ${formatDate(point.time)}`}</title>
+            </circle>
+          ))}
+        </svg>
+      ) : (
+        <p className="text-xs text-gray-500">No price changes recorded yet.</p>
+      )}
+
+      {points.length > 0 && (
+        <div className="flex justify-between text-xs text-gray-500">
+          <span>KSh {minPrice.toLocaleString()} – {maxPrice.toLocaleString()}/kg</span>
+          <span>{history.length} change{history.length === 1 ? '' : 's'}</span>
+        </div>
+      )}
+
+      {scheduled.map(price => (
+        <div key={price._id} className="flex items-center justify-between text-xs p-2 bg-warning-50 rounded-lg">
+          <span className="flex items-center space-x-1 text-warning-700">
+            <ClockIcon className="w-3 h-3" />
+            <span>KSh {price.pricePerKg.toLocaleString()}/kg from {formatDate(price.effectiveAt)}</span>
+          </span>
+          <button
+            onClick={() => cancelScheduledPrice(price._id)}
+            className="text-gray-400 hover:text-error-600"
+            title="Cancel scheduled price"
+          >
+            <XMarkIcon className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+
+      <button onClick={schedulePrice} className="text-xs text-primary-600 hover:underline">
+        Schedule a price change
+      </button>
+    </div>
+  );
+};
+
+export default PriceHistoryChart;
@@ -17,10 +17,12 @@ const Home = () => {
   const [featuredFish, setFeaturedFish] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [loading, setLoading] = useState(true);
+  const [customerReviews, setCustomerReviews] = useState([]);
   const { API_BASE_URL } = useAuth();
 
   useEffect(() => {
     fetchFeaturedFish();
+    fetchCustomerReviews();
   }, []);
 
   const fetchFeaturedFish = async () => {
@@ -45,6 +47,18 @@ const Home = () => {
     }
   };
 
+  // Latest approved reviews with a comment, shown as testimonials
+  const fetchCustomerReviews = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/reviews?withComment=true&limit=3`);
+      if (response.data.success) {
+        setCustomerReviews(response.data.data.reviews);
+      }
+    } catch (error) {
+      console.error('Error fetching reviews:', error);
+    }
+  };
+
   const handleSearch = (e) => {
     e.preventDefault();
     if (searchQuery.trim()) {
@@ -71,26 +85,13 @@ const Home = () => {
     }
   ];
 
-  const testimonials = [
-    {
-      name: 'Sarah Mwangi',
-      rating: 5,
-      comment: 'Best fish delivery service in Nairobi! Always fresh and on time.',
-      location: 'Westlands, Nairobi'
-    },
-    {
-      name: 'John Kamau',
-      rating: 5,
-      comment: 'Great variety and excellent customer service. Highly recommended!',
-      location: 'Karen, Nairobi'
-    },
-    {
-      name: 'Grace Wanjiku',
-      rating: 5,
-      comment: 'The tilapia is always perfectly fresh. My family loves it!',
-      location: 'Kileleshwa, Nairobi'
-    }
-  ];
+  // Testimonials are the latest approved customer reviews
+  const testimonials = customerReviews.map(review => ({
+    name: review.reviewer,
+    rating: review.rating,
+    comment: review.comment,
+    location: `${review.fishType.charAt(0).toUpperCase() + review.fishType.slice(1)} size ${review.fishSize}`
+  }));
 
   return (
     <div className="min-h-screen">
@@ -353,48 +354,50 @@ const Home = () => {
       </section>
 
       {/* Testimonials Section */}
-      <section className="py-20 bg-white">
-        <div className="container-custom">
-          <motion.div
-            initial={{ opacity: 0, y: 50 }}
-            whileInView={{ opacity: 1, y: 0 }}
-            viewport={{ once: true }}
-            transition={{ duration: 0.8 }}
-            className="text-center mb-16"
-          >
-            <h2 className="text-3xl lg:text-4xl font-bold text-gray-900 mb-4">
-              What Our Customers Say
-            </h2>
-            <p className="text-xl text-gray-600 max-w-2xl mx-auto">
-              Join thousands of satisfied customers who trust us for their fresh fish needs.
-            </p>
-          </motion.div>
+      {testimonials.length > 0 && (
+        <section className="py-20 bg-white">
+          <div className="container-custom">
+            <motion.div
+              initial={{ opacity: 0, y: 50 }}
+              whileInView={{ opacity: 1, y: 0 }}
+              viewport={{ once: true }}
+              transition={{ duration: 0.8 }}
+              className="text-center mb-16"
+            >
+              <h2 className="text-3xl lg:text-4xl font-bold text-gray-900 mb-4">
+                What Our Customers Say
+              </h2>
+              <p className="text-xl text-gray-600 max-w-2xl mx-auto">
+                Join thousands of satisfied customers who trust us for their fresh fish needs.
+              </p>
+            </motion.div>
 
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
-            {testimonials.map((testimonial, index) => (
-              <motion.div
-                key={testimonial.name}
-                initial={{ opacity: 0, y: 50 }}
-                whileInView={{ opacity: 1, y: 0 }}
-                viewport={{ once: true }}
-                transition={{ duration: 0.8, delay: index * 0.2 }}
-                className="card p-6 text-center"
-              >
-                <div className="flex justify-center mb-4">
-                  {[...Array(testimonial.rating)].map((_, i) => (
-                    <StarIcon key={i} className="w-5 h-5 text-warning-400 fill-current" />
-                  ))}
-                </div>
-                <p className="text-gray-600 mb-6 italic">"{testimonial.comment}"</p>
-                <div>
-                  <h4 className="font-semibold text-gray-900">{testimonial.name}</h4>
-                  <p className="text-sm text-gray-500">{testimonial.location}</p>
-                </div>
-              </motion.div>
-            ))}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+              {testimonials.map((testimonial, index) => (
+                <motion.div
+                  key={`${testimonial.name}-${index}`}
+                  initial={{ opacity: 0, y: 50 }}
+                  whileInView={{ opacity: 1, y: 0 }}
+                  viewport={{ once: true }}
+                  transition={{ duration: 0.8, delay: index * 0.2 }}
+                  className="card p-6 text-center"
+                >
+                  <div className="flex justify-center mb-4">
+                    {[...Array(testimonial.rating)].map((_, i) => (
+                      <StarIcon key={i} className="w-5 h-5 text-warning-400 fill-current" />
+                    ))}
+                  </div>
+                  <p className="text-gray-600 mb-6 italic">"{testimonial.comment}"</p>
+                  <div>
+                    <h4 className="font-semibold text-gray-900">{testimonial.name}</h4>
+                    <p className="text-sm text-gray-500">{testimonial.location}</p>
+                  </div>
+                </motion.div>
+              ))}
+            </div>
           </div>
-        </div>
-      </section>
+        </section>
+      )}
 
       {/* CTA Section */}
       <section className="py-20 bg-gradient-to-r from-primary-600 to-primary-700">
@@ -6,12 +6,15 @@ import {
   TruckIcon, 
   CheckCircleIcon,
   XCircleIcon,
-  MagnifyingGlassIcon
+  MagnifyingGlassIcon,
+  ArrowDownTrayIcon,
+  StarIcon
 } from '@heroicons/react/24/outline';
 import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import OrderTracking from '../components/OrderTracking';
 import { useToast } from '../components/Toast';
+import { promptDispatchWeights } from '../utils/weights';
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
@@ -19,6 +22,7 @@ const Orders = () => {
   const [loading, setLoading] = useState(true);
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showOrderDetails, setShowOrderDetails] = useState(false);
+  const [myReviews, setMyReviews] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [statusFilter, setStatusFilter] = useState('');
   const [pagination, setPagination] = useState({
@@ -29,7 +33,7 @@ const Orders = () => {
   });
 
   const { API_BASE_URL, isAdmin } = useAuth();
-  const { error } = useToast();
+  const { success, error } = useToast();
 
   useEffect(() => {
     fetchOrders();
@@ -81,6 +85,9 @@ const Orders = () => {
       if (response.data.success) {
         setSelectedOrder(response.data.data.order);
         setShowOrderDetails(true);
+        if (response.data.data.order.status === 'delivered' && !isAdmin()) {
+          fetchMyReviews();
+        }
       }
     } catch (err) {
       console.error('Error fetching order details:', err);
@@ -88,14 +95,53 @@ const Orders = () => {
     }
   };
 
+  const fetchMyReviews = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/reviews/mine`);
+      if (response.data.success) {
+        setMyReviews(response.data.data.reviews);
+      }
+    } catch (err) {
+      console.error('Error fetching reviews:', err);
+    }
+  };
+
+  const submitReview = async (order, itemIndex, rating) => {
+    const comment = window.prompt(`Rate ${rating} out of 5. Add a comment? (optional)`);
+    if (comment === null) return; // Customer dismissed the dialog
+
+    try {
+      const response = await axios.post(`${API_BASE_URL}/reviews`, {
+        orderId: order._id,
+        itemIndex,
+        rating,
+        comment: comment.trim() || undefined
+      });
+      success(response.data.message);
+      fetchMyReviews();
+    } catch (err) {
+      console.error('Error submitting review:', err);
+      error(err.response?.data?.message || 'Failed to submit review. Please try again.');
+    }
+  };
+
   const updateOrderStatus = async (orderId, newStatus) => {
     if (!isAdmin()) {
       error('Only admins can update order status.');
       return;
     }
 
+    // Shipping records what each item weighed; the customer is billed for that
+    const update = { status: newStatus };
+    if (newStatus === 'shipped') {
+      const order = orders.find(o => o._id === orderId);
+      const weights = order?.items?.length ? promptDispatchWeights(order) : undefined;
+      if (weights === null) return; // Admin dismissed the dialog
+      update.weights = weights;
+    }
+
     try {
-      await axios.put(`${API_BASE_URL}/orders/${orderId}`, { status: newStatus });
+      await axios.put(`${API_BASE_URL}/orders/${orderId}`, update);
       fetchOrders(); // Refresh orders list
       if (selectedOrder && selectedOrder._id === orderId) {
         fetchOrderDetails(orderId); // Refresh order details if currently viewing
@@ -106,6 +152,47 @@ const Orders = () => {
     }
   };
 
+  const cancelOrder = async (orderId) => {
+    const reason = window.prompt('Why are you cancelling this order? (optional)');
+    if (reason === null) return; // Customer dismissed the dialog
+
+    try {
+      await axios.post(`${API_BASE_URL}/orders/${orderId}/cancel`, { reason: reason.trim() || undefined });
+      success('Order cancelled successfully.');
+      fetchOrders(); // Refresh orders list
+      if (selectedOrder && selectedOrder._id === orderId) {
+        fetchOrderDetails(orderId); // Refresh order details if currently viewing
+      }
+    } catch (err) {
+      console.error('Error cancelling order:', err);
+      error(err.response?.data?.message || 'Failed to cancel order. Please try again.');
+    }
+  };
+
+  const downloadInvoice = async (order) => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/orders/${order._id}/invoice.pdf`, {
+        responseType: 'blob'
+      });
+
+      // Use the invoice number the server put in the filename
+      const disposition = response.headers['content-disposition'] || '';
+      const filename = disposition.match(/filename="(.+)"/)?.[1] || `invoice-${order.orderNumber}.pdf`;
+
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading invoice:', err);
+      error('Failed to download invoice. Please try again.');
+    }
+  };
+
   const getStatusIcon = (status) => {
     const icons = {
       pending: ClockIcon,
@@ -298,7 +385,7 @@ const Orders = () => {
                               key={itemIndex}
                               className="inline-flex items-center px-2 py-1 bg-gray-100 text-gray-700 text-xs rounded-full"
                             >
-                              {formatFishType(item.fishType)} (Size {item.fishSize}) - {item.quantity}kg
+                              {formatFishType(item.fishType)} (Size {item.fishSize}{item.preparation && item.preparation.method !== 'whole' ? `, ${item.preparation.method}` : ''}) - {item.actualWeight ?? item.quantity}kg
                             </span>
                           ))}
                           {order.items?.length > 3 && (
@@ -327,6 +414,19 @@ const Orders = () => {
                         </select>
                       )}
 
+                      {/* Cancel Button (Customer, pending orders only) */}
+                      {!isAdmin() && order.status === 'pending' && (
+                        <motion.button
+                          onClick={() => cancelOrder(order._id)}
+                          className="btn btn-outline btn-sm flex items-center space-x-2 text-error-600"
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                        >
+                          <XCircleIcon className="w-4 h-4" />
+                          <span>Cancel</span>
+                        </motion.button>
+                      )}
+
                       {/* View Details Button */}
                       <motion.button
                         onClick={() => fetchOrderDetails(order._id)}
@@ -414,17 +514,69 @@ const Orders = () => {
               <div className="p-6">
                 <div className="flex items-center justify-between mb-6">
                   <h2 className="text-2xl font-bold text-gray-900">Order Details</h2>
-                  <motion.button
-                    onClick={() => setShowOrderDetails(false)}
-                    className="p-2 hover:bg-gray-100 rounded-lg transition-colors duration-200"
-                    whileHover={{ scale: 1.1 }}
-                    whileTap={{ scale: 0.9 }}
-                  >
-                    <XCircleIcon className="w-6 h-6 text-gray-500" />
-                  </motion.button>
+                  <div className="flex items-center space-x-2">
+                    {['shipped', 'delivered'].includes(selectedOrder.status) && (
+                      <motion.button
+                        onClick={() => downloadInvoice(selectedOrder)}
+                        className="btn btn-outline btn-sm flex items-center space-x-1"
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                      >
+                        <ArrowDownTrayIcon className="w-4 h-4" />
+                        <span>Invoice (PDF)</span>
+                      </motion.button>
+                    )}
+                    <motion.button
+                      onClick={() => setShowOrderDetails(false)}
+                      className="p-2 hover:bg-gray-100 rounded-lg transition-colors duration-200"
+                      whileHover={{ scale: 1.1 }}
+                      whileTap={{ scale: 0.9 }}
+                    >
+                      <XCircleIcon className="w-6 h-6 text-gray-500" />
+                    </motion.button>
+                  </div>
                 </div>
                 
                 <OrderTracking order={selectedOrder} />
+
+                {/* Reviews: one per item once the order is delivered */}
+                {selectedOrder.status === 'delivered' && !isAdmin() && (
+                  <div className="mt-6 pt-6 border-t border-gray-200">
+                    <h3 className="text-lg font-semibold text-gray-900 mb-3">Rate your fish</h3>
+                    <div className="space-y-3">
+                      {selectedOrder.items.map((item, index) => {
+                        const review = myReviews.find(r => r.order === selectedOrder._id && r.itemIndex === index);
+                        const fishName = `${item.fishType.charAt(0).toUpperCase() + item.fishType.slice(1)} size ${item.fishSize}`;
+
+                        return (
+                          <div key={index} className="flex items-center justify-between">
+                            <span className="text-sm text-gray-700">{fishName}</span>
+                            <div className="flex items-center">
+                              {[1, 2, 3, 4, 5].map(star => (
+                                <button
+                                  key={star}
+                                  onClick={() => submitReview(selectedOrder, index, star)}
+                                  disabled={Boolean(review)}
+                                  className="p-0.5 disabled:cursor-default"
+                                  aria-label={`Rate ${fishName} ${star} out of 5`}
+                                >
+                                  <StarIcon
+                                    className={`w-5 h-5 ${review && star <= review.rating ? 'text-warning-400 fill-current' : 'text-gray-300 hover:text-warning-400'}`}
+                                  />
+                                </button>
+                              ))}
+                              {review && (
+                                <span className="ml-2 text-xs text-gray-500">
+                                  {review.status === 'pending' ? 'Awaiting approval' : 'Thanks for your review'}
+                                </span>
+                              )}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
               </div>
             </motion.div>
           </motion.div>
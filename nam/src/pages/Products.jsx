@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   FunnelIcon, 
@@ -14,9 +14,10 @@ import { useToast } from '../components/Toast';
 
 const Products = () => {
   const [fish, setFish] = useState([]);
-  const [filteredFish, setFilteredFish] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [searchQuery, setSearchQuery] = useState('');
+  // Home page searches arrive as /products?search=...
+  const [searchQuery, setSearchQuery] = useState(() => new URLSearchParams(window.location.search).get('search') || '');
+  const [debouncedSearch, setDebouncedSearch] = useState(searchQuery.trim());
   const [filters, setFilters] = useState({
     type: '',
     size: '',
@@ -25,9 +26,13 @@ const Products = () => {
     inStock: false
   });
   const [showFilters, setShowFilters] = useState(false);
-  const [sortBy, setSortBy] = useState('name');
+  const [sortBy, setSortBy] = useState(searchQuery.trim() ? 'relevance' : 'name');
   const [cartItems, setCartItems] = useState([]);
   const [showCart, setShowCart] = useState(false);
+  const [deliverySlotId, setDeliverySlotId] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+  const [fishTypes, setFishTypes] = useState([]);
+  const [facets, setFacets] = useState(null);
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -35,25 +40,47 @@ const Products = () => {
     itemsPerPage: 12
   });
 
-  const { API_BASE_URL } = useAuth();
+  const { API_BASE_URL, isAuthenticated } = useAuth();
   const { success, error } = useToast();
+  const checkoutKeyRef = useRef(null);
+
+  // A changed cart, delivery slot or promo code is a different order, so it gets a new idempotency key
+  useEffect(() => {
+    checkoutKeyRef.current = null;
+  }, [cartItems, deliverySlotId, couponCode]);
 
   useEffect(() => {
     fetchFish();
-  }, [filters, pagination.currentPage, sortBy]);
+  }, [filters, pagination.currentPage, sortBy, debouncedSearch]);
 
   useEffect(() => {
-    // Apply search filter
-    if (searchQuery.trim()) {
-      const filtered = fish.filter(fishItem =>
-        fishItem.type.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        fishItem.description?.toLowerCase().includes(searchQuery.toLowerCase())
-      );
-      setFilteredFish(filtered);
-    } else {
-      setFilteredFish(fish);
+    fetchFishTypes();
+  }, []);
+
+  // Search on the server once typing pauses; results come back best match first
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      const search = searchQuery.trim();
+      if (search === debouncedSearch) return;
+
+      setDebouncedSearch(search);
+      setPagination(prev => ({ ...prev, currentPage: 1 }));
+      setSortBy(prev => (search ? 'relevance' : prev === 'relevance' ? 'name' : prev));
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
+
+  const fetchFishTypes = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/fish-types`);
+      if (response.data.success) {
+        setFishTypes(response.data.data.fishTypes);
+      }
+    } catch (err) {
+      console.error('Error fetching fish types:', err);
     }
-  }, [searchQuery, fish]);
+  };
 
   const fetchFish = async () => {
     try {
@@ -65,9 +92,11 @@ const Products = () => {
       if (filters.minPrice) params.append('minPrice', filters.minPrice);
       if (filters.maxPrice) params.append('maxPrice', filters.maxPrice);
       if (filters.inStock) params.append('inStock', 'true');
+      if (debouncedSearch) params.append('search', debouncedSearch);
       
       params.append('page', pagination.currentPage);
       params.append('limit', pagination.itemsPerPage);
+      params.append('facets', 'true');
 
       const response = await axios.get(`${API_BASE_URL}/fish?${params}`);
       
@@ -78,6 +107,7 @@ const Products = () => {
         fishData = sortFish(fishData, sortBy);
         
         setFish(fishData);
+        setFacets(response.data.data.facets || null);
         setPagination(prev => ({
           ...prev,
           ...response.data.data.pagination
@@ -130,55 +160,132 @@ const Products = () => {
     setPagination(prev => ({ ...prev, currentPage: 1 }));
   };
 
-  const handleAddToCart = (fishItem) => {
-    const existingItem = cartItems.find(item => item._id === fishItem._id);
+  // The same fish prepared differently is a separate cart line
+  const getCartKey = (fishId, preparation) => `${fishId}:${preparation}`;
+
+  const handleAddToCart = (fishItem, preparation = 'whole') => {
+    const cartKey = getCartKey(fishItem._id, preparation);
+    const existingItem = cartItems.find(item => item.cartKey === cartKey);
     
     if (existingItem) {
       setCartItems(prev =>
         prev.map(item =>
-          item._id === fishItem._id
+          item.cartKey === cartKey
             ? { ...item, quantity: item.quantity + 1 }
             : item
         )
       );
     } else {
-      setCartItems(prev => [...prev, { ...fishItem, quantity: 1 }]);
+      setCartItems(prev => [...prev, { ...fishItem, preparation, cartKey, quantity: 1 }]);
     }
     
     success(`${fishItem.type.charAt(0).toUpperCase() + fishItem.type.slice(1)} added to cart!`);
   };
 
-  const handleUpdateCartQuantity = (itemId, newQuantity) => {
-    if (newQuantity < 1) {
-      handleRemoveFromCart(itemId);
+  const handleUpdateCartQuantity = (itemKey, newQuantity) => {
+    if (newQuantity <= 0) {
+      handleRemoveFromCart(itemKey);
       return;
     }
     
     setCartItems(prev =>
       prev.map(item =>
-        item._id === itemId
+        item.cartKey === itemKey
           ? { ...item, quantity: newQuantity }
           : item
       )
     );
   };
 
-  const handleRemoveFromCart = (itemId) => {
-    setCartItems(prev => prev.filter(item => item._id !== itemId));
+  const handleRemoveFromCart = (itemKey) => {
+    setCartItems(prev => prev.filter(item => item.cartKey !== itemKey));
+  };
+
+  // Switching preparation merges into an existing line for the same choice
+  const handleChangePreparation = (itemKey, preparation) => {
+    setCartItems(prev => {
+      const changed = prev.find(item => item.cartKey === itemKey);
+      if (!changed) return prev;
+
+      const cartKey = getCartKey(changed._id, preparation);
+      const existing = prev.find(item => item.cartKey === cartKey);
+
+      if (existing) {
+        return prev
+          .filter(item => item.cartKey !== itemKey)
+          .map(item => item.cartKey === cartKey ? { ...item, quantity: item.quantity + changed.quantity } : item);
+      }
+
+      return prev.map(item => item.cartKey === itemKey ? { ...item, preparation, cartKey } : item);
+    });
+  };
+
+  const handleCheckout = async (items) => {
+    if (!isAuthenticated()) {
+      error('Please log in to place an order.');
+      return;
+    }
+
+    // Retries of the same cart reuse the key, so a double tap or a flaky
+    // connection never places the order twice
+    if (!checkoutKeyRef.current) {
+      checkoutKeyRef.current = crypto.randomUUID();
+    }
+
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/orders`,
+        {
+          items: items.map(item => ({ fishId: item._id, quantity: item.quantity, preparation: item.preparation })),
+          slotId: deliverySlotId || undefined,
+          couponCode: couponCode || undefined
+        },
+        { headers: { 'Idempotency-Key': checkoutKeyRef.current } }
+      );
+
+      if (response.data.success) {
+        success(`Order ${response.data.data.order.orderNumber} placed successfully!`);
+        setCartItems([]);
+        setDeliverySlotId('');
+        setCouponCode('');
+        setShowCart(false);
+        fetchFish(); // Refresh stock levels
+      }
+    } catch (err) {
+      console.error('Error placing order:', err);
+      error(err.response?.data?.message || 'Failed to place order. Please try again.');
+    }
   };
 
-  const handleCheckout = (items, total) => {
-    // Navigate to checkout or handle checkout logic
-    console.log('Checkout:', { items, total });
-    success('Proceeding to checkout...');
+  // Sizes allowed for the selected type, or for any type in the catalog
+  const sizeRangeTypes = fishTypes.filter(fishType => !filters.type || fishType.slug === filters.type);
+  const minSize = Math.min(...sizeRangeTypes.map(fishType => fishType.minSize));
+  const maxSize = Math.max(...sizeRangeTypes.map(fishType => fishType.maxSize));
+  const fishSizes = sizeRangeTypes.length > 0
+    ? Array.from({ length: maxSize - minSize + 1 }, (_, index) => minSize + index)
+    : [];
+
+  // How many fish an option would show with the other filters kept; unknown until the first load
+  const facetCount = (facet, value) => {
+    if (!facets) return null;
+    return facets[facet].find(entry => String(entry.value) === String(value))?.count || 0;
   };
 
-  const formatFishType = (type) => {
-    return type.charAt(0).toUpperCase() + type.slice(1);
+  const formatOption = (label, count) => (count === null ? label : `${label} (${count})`);
+
+  // Price bands run up to, not including, their max
+  const selectPriceRange = (range) => {
+    setFilters(prev => ({
+      ...prev,
+      minPrice: String(range.min),
+      maxPrice: range.max === null ? '' : String(range.max - 0.01)
+    }));
+    setPagination(prev => ({ ...prev, currentPage: 1 }));
   };
 
-  const fishTypes = ['tilapia', 'omena', 'catfish', 'nileperch'];
-  const fishSizes = [2, 3, 4, 5, 6, 7, 8];
+  const formatPriceRange = (range) => (range.max === null
+    ? `KSh ${range.min.toLocaleString()}+`
+    : `KSh ${range.min.toLocaleString()} – ${(range.max - 1).toLocaleString()}`);
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -223,6 +330,7 @@ const Products = () => {
               onChange={(e) => setSortBy(e.target.value)}
               className="px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-colors duration-200"
             >
+              {debouncedSearch && <option value="relevance">Best Match</option>}
               <option value="name">Sort by Name</option>
               <option value="price-low">Price: Low to High</option>
               <option value="price-high">Price: High to Low</option>
@@ -283,11 +391,18 @@ const Products = () => {
                       className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                     >
                       <option value="">All Types</option>
-                      {fishTypes.map(type => (
-                        <option key={type} value={type}>
-                          {formatFishType(type)}
-                        </option>
-                      ))}
+                      {fishTypes.map(fishType => {
+                        const count = facetCount('types', fishType.slug);
+                        return (
+                          <option
+                            key={fishType.slug}
+                            value={fishType.slug}
+                            disabled={count === 0 && filters.type !== fishType.slug}
+                          >
+                            {formatOption(fishType.swahiliName ? `${fishType.name} (${fishType.swahiliName})` : fishType.name, count)}
+                          </option>
+                        );
+                      })}
                     </select>
                   </div>
 
@@ -302,11 +417,18 @@ const Products = () => {
                       className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                     >
                       <option value="">All Sizes</option>
-                      {fishSizes.map(size => (
-                        <option key={size} value={size}>
-                          Size {size}
-                        </option>
-                      ))}
+                      {fishSizes.map(size => {
+                        const count = facetCount('sizes', size);
+                        return (
+                          <option
+                            key={size}
+                            value={size}
+                            disabled={count === 0 && String(filters.size) !== String(size)}
+                          >
+                            {formatOption(`Size ${size}`, count)}
+                          </option>
+                        );
+                      })}
                     </select>
                   </div>
 
@@ -345,14 +467,32 @@ const Products = () => {
                       id="inStock"
                       checked={filters.inStock}
                       onChange={(e) => handleFilterChange('inStock', e.target.checked)}
+                      disabled={!filters.inStock && facets?.availability.inStock === 0}
                       className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
                     />
                     <label htmlFor="inStock" className="ml-2 block text-sm text-gray-900">
-                      In Stock Only
+                      {formatOption('In Stock Only', facets ? facets.availability.inStock : null)}
                     </label>
                   </div>
                 </div>
 
+                {/* Price Ranges */}
+                {facets && (
+                  <div className="mt-4 flex flex-wrap gap-2">
+                    {facets.priceRanges.map(range => (
+                      <button
+                        key={range.min}
+                        type="button"
+                        onClick={() => selectPriceRange(range)}
+                        disabled={range.count === 0}
+                        className="px-3 py-1 text-sm rounded-full border border-gray-300 text-gray-700 hover:border-primary-500 hover:text-primary-600 disabled:opacity-40 disabled:cursor-not-allowed"
+                      >
+                        {formatPriceRange(range)} ({range.count})
+                      </button>
+                    ))}
+                  </div>
+                )}
+
                 {/* Clear Filters */}
                 <div className="mt-4 flex justify-end">
                   <motion.button
@@ -381,7 +521,7 @@ const Products = () => {
               </div>
             ))}
           </div>
-        ) : filteredFish.length === 0 ? (
+        ) : fish.length === 0 ? (
           <motion.div
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
@@ -403,7 +543,7 @@ const Products = () => {
           </motion.div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-            {filteredFish.map((fishItem, index) => (
+            {fish.map((fishItem, index) => (
               <motion.div
                 key={fishItem._id}
                 initial={{ opacity: 0, y: 20 }}
@@ -475,6 +615,11 @@ const Products = () => {
         items={cartItems}
         onUpdateQuantity={handleUpdateCartQuantity}
         onRemoveItem={handleRemoveFromCart}
+        onChangePreparation={handleChangePreparation}
+        selectedSlotId={deliverySlotId}
+        onSelectSlot={setDeliverySlotId}
+        couponCode={couponCode}
+        onApplyCoupon={setCouponCode}
         onCheckout={handleCheckout}
       />
     </div>
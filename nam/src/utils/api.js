@@ -70,7 +70,39 @@ export const fishAPI = {
   create: (fishData) => api.post('/fish', fishData),
   update: (id, fishData) => api.put(`/fish/${id}`, fishData),
   delete: (id) => api.delete(`/fish/${id}`),
+  getArchived: (params = {}) => api.get('/fish/archived', { params }),
+  restore: (id) => api.post(`/fish/${id}/restore`),
+  purge: (id) => api.delete(`/fish/${id}/purge`),
   getTypesSummary: () => api.get('/fish/types/summary'),
+  exportCsv: () => api.get('/fish/export', { responseType: 'blob' }),
+  importCsv: (file, { dryRun = false } = {}) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/fish/import', formData, {
+      params: { dryRun },
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  getMovements: (id, params = {}) => api.get(`/fish/${id}/movements`, { params }),
+  getPriceHistory: (id, params = {}) => api.get(`/fish/${id}/price-history`, { params }),
+  schedulePrice: (id, priceData) => api.post(`/fish/${id}/scheduled-prices`, priceData),
+  cancelScheduledPrice: (id, scheduleId) => api.delete(`/fish/${id}/scheduled-prices/${scheduleId}`),
+  uploadImages: (id, files) => {
+    const formData = new FormData();
+    files.forEach(file => formData.append('images', file));
+    return api.post(`/fish/${id}/images`, formData, { headers: { 'Content-Type': 'multipart/form-data' } });
+  },
+  setCoverImage: (id, imageId) => api.post(`/fish/${id}/images/${imageId}/cover`),
+  deleteImage: (id, imageId) => api.delete(`/fish/${id}/images/${imageId}`),
+};
+
+// Fish types API calls
+export const fishTypesAPI = {
+  getAll: (params = {}) => api.get('/fish-types', { params }),
+  getById: (id) => api.get(`/fish-types/${id}`),
+  create: (fishTypeData) => api.post('/fish-types', fishTypeData),
+  update: (id, fishTypeData) => api.put(`/fish-types/${id}`, fishTypeData),
+  delete: (id) => api.delete(`/fish-types/${id}`),
 };
 
 // Orders API calls
@@ -79,7 +111,78 @@ export const ordersAPI = {
   getAll: (params = {}) => api.get('/orders', { params }),
   getById: (id) => api.get(`/orders/${id}`),
   update: (id, orderData) => api.put(`/orders/${id}`, orderData),
+  cancel: (id, reason) => api.post(`/orders/${id}/cancel`, { reason }),
+  getInvoice: (id) => api.get(`/orders/${id}/invoice.pdf`, { responseType: 'blob' }),
   delete: (id) => api.delete(`/orders/${id}`),
 };
 
+// Delivery API calls
+export const deliveryAPI = {
+  getZones: () => api.get('/delivery/zones'),
+  createZone: (zoneData) => api.post('/delivery/zones', zoneData),
+  updateZone: (id, zoneData) => api.put(`/delivery/zones/${id}`, zoneData),
+  deleteZone: (id) => api.delete(`/delivery/zones/${id}`),
+  getSlots: (params = {}) => api.get('/delivery/slots', { params }),
+  createSlot: (slotData) => api.post('/delivery/slots', slotData),
+  updateSlot: (id, slotData) => api.put(`/delivery/slots/${id}`, slotData),
+  deleteSlot: (id) => api.delete(`/delivery/slots/${id}`),
+  quote: (quoteData) => api.post('/delivery/quote', quoteData),
+};
+
+// Standing orders API calls
+export const standingOrdersAPI = {
+  create: (standingOrderData) => api.post('/standing-orders', standingOrderData),
+  getAll: (params = {}) => api.get('/standing-orders', { params }),
+  getById: (id) => api.get(`/standing-orders/${id}`),
+  update: (id, standingOrderData) => api.put(`/standing-orders/${id}`, standingOrderData),
+  pause: (id) => api.post(`/standing-orders/${id}/pause`),
+  resume: (id) => api.post(`/standing-orders/${id}/resume`),
+  cancel: (id) => api.delete(`/standing-orders/${id}`),
+};
+
+// Promo code API calls
+export const couponsAPI = {
+  getAll: () => api.get('/coupons'),
+  getById: (id) => api.get(`/coupons/${id}`),
+  create: (couponData) => api.post('/coupons', couponData),
+  update: (id, couponData) => api.put(`/coupons/${id}`, couponData),
+  delete: (id) => api.delete(`/coupons/${id}`),
+  validate: (code, items) => api.post('/coupons/validate', { code, items }),
+};
+
+// Supplier API calls
+export const suppliersAPI = {
+  getAll: (params = {}) => api.get('/suppliers', { params }),
+  getById: (id) => api.get(`/suppliers/${id}`),
+  create: (supplierData) => api.post('/suppliers', supplierData),
+  update: (id, supplierData) => api.put(`/suppliers/${id}`, supplierData),
+  delete: (id) => api.delete(`/suppliers/${id}`),
+};
+
+// Purchase order API calls
+export const purchaseOrdersAPI = {
+  getAll: (params = {}) => api.get('/purchase-orders', { params }),
+  getById: (id) => api.get(`/purchase-orders/${id}`),
+  create: (purchaseOrderData) => api.post('/purchase-orders', purchaseOrderData),
+  update: (id, purchaseOrderData) => api.put(`/purchase-orders/${id}`, purchaseOrderData),
+  send: (id) => api.post(`/purchase-orders/${id}/send`),
+  receive: (id, receipt = {}) => api.post(`/purchase-orders/${id}/receive`, receipt),
+  delete: (id) => api.delete(`/purchase-orders/${id}`),
+};
+
+// Stock alert API calls
+export const stockAlertsAPI = {
+  getAll: (params = {}) => api.get('/stock-alerts', { params }),
+  acknowledge: (id) => api.post(`/stock-alerts/${id}/acknowledge`),
+};
+
+// Review API calls
+export const reviewsAPI = {
+  getAll: (params = {}) => api.get('/reviews', { params }),
+  getMine: () => api.get('/reviews/mine'),
+  create: (reviewData) => api.post('/reviews', reviewData),
+  getModeration: (params = {}) => api.get('/reviews/moderation', { params }),
+  moderate: (id, status, note) => api.put(`/reviews/${id}/moderate`, { status, note }),
+};
+
 export default api;
\ No newline at end of file
@@ -1,14 +1,6 @@
 // API Configuration
 };
 
-// Default Fish Images (fallback)
-export const DEFAULT_FISH_IMAGES = {
-  tilapia: 'https://images.pexels.com/photos/1640777/pexels-photo-1640777.jpeg',
-  omena: 'https://images.pexels.com/photos/1640777/pexels-photo-1640777.jpeg',
-  catfish: 'https://images.pexels.com/photos/1640777/pexels-photo-1640777.jpeg',
-  nileperch: 'https://images.pexels.com/photos/1640777/pexels-photo-1640777.jpeg',
-};
-
 // Utility Functions
 export const formatCurrency = (amount) => {
   return `${PRICING.CURRENCY} ${amount.toLocaleString()}`;
@@ -39,9 +31,10 @@ export const formatRelativeTime = (dateString) => {
   return `${Math.floor(diffInSeconds / 86400)} days ago`;
 };
 
-export const getStockStatus = (stock) => {
+// Matches the server: a fish is low on stock at or below its reorder threshold
+export const getStockStatus = (stock, reorderThreshold = 10) => {
   if (stock === 0) return 'out-of-stock';
-  if (stock <= 10) return 'low-stock';
+  if (stock <= reorderThreshold) return 'low-stock';
   return 'in-stock';
 };
 
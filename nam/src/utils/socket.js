@@ -108,6 +108,13 @@ class SocketManager {
     }
   }
 
+  // The server picks the room from the token sent when connecting
+  joinUserRoom() {
+    if (this.socket) {
+      this.socket.emit('join-user-room');
+    }
+  }
+
   joinAdminRoom() {
     if (this.socket) {
       this.socket.emit('join-admin-room');
@@ -0,0 +1,19 @@
+// Ask staff for each item's weight on the scale when an order is dispatched.
+// Returns the weights in item order, or null if they cancelled.
+export const promptDispatchWeights = (order) => {
+  const weights = [];
+
+  for (const item of order.items || []) {
+    const label = `${item.fishType} size ${item.fishSize}${item.preparation && item.preparation.method !== 'whole' ? `, ${item.preparation.method}` : ''}`;
+    let answer = window.prompt(`Weight at dispatch for ${label} (ordered ${item.quantity}kg)`, String(item.quantity));
+
+    while (answer !== null && !(parseFloat(answer) > 0)) {
+      answer = window.prompt(`Please enter a weight in kg for ${label}`, String(item.quantity));
+    }
+
+    if (answer === null) return null;
+    weights.push(parseFloat(answer));
+  }
+
+  return weights;
+};